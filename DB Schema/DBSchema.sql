@@ -16,6 +16,47 @@ CREATE TABLE IF NOT EXISTS match_pairs (
     FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
 );
 
+-- Table: blank_answers (optional; accepted answers of FillBlank questions)
+DROP TABLE IF EXISTS blank_answers;
+CREATE TABLE IF NOT EXISTS blank_answers (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    blank_number INTEGER NOT NULL,  -- 1 = first ___ in question_text; several rows per number = alternate spellings
+    answer_text TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Table: numeric_answers (optional; correct value of Numeric questions)
+DROP TABLE IF EXISTS numeric_answers;
+CREATE TABLE IF NOT EXISTS numeric_answers (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    answer_value REAL NOT NULL,
+    tolerance TEXT NOT NULL,      -- absolute margin ('0.5', '0' = exact) or percentage of the value ('2%')
+    unit TEXT,                    -- optional, e.g. 'm/s', 'kg', '₹'
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Table: order_items (optional; items of Order questions)
+DROP TABLE IF EXISTS order_items;
+CREATE TABLE IF NOT EXISTS order_items (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,    -- 1 = first item of the correct sequence
+    item_text TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Table: descriptive_answers (optional; model answer and rubric of Descriptive questions)
+DROP TABLE IF EXISTS descriptive_answers;
+CREATE TABLE IF NOT EXISTS descriptive_answers (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    model_answer TEXT,            -- shown after answering and printed in the exam report
+    rubric TEXT,                  -- key points of a full answer, separated by '|'
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
 -- Table: options
 DROP TABLE IF EXISTS options;
 CREATE TABLE IF NOT EXISTS options (
@@ -26,9 +67,36 @@ CREATE TABLE IF NOT EXISTS options (
     FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
 );
 
+-- Table: media (optional; images referenced as media:NAME, or figures of question_id)
+DROP TABLE IF EXISTS media;
+CREATE TABLE IF NOT EXISTS media (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER,          -- NULL for images shared by several questions
+    name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,      -- image/png, image/jpeg, image/gif, image/webp, image/svg+xml
+    data BLOB NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Table: tags (optional; free-form labels, many per question)
+DROP TABLE IF EXISTS tags;
+CREATE TABLE IF NOT EXISTS tags (
+    question_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Table: passages (optional; shared text of a comprehension passage or case study)
+DROP TABLE IF EXISTS passages;
+CREATE TABLE IF NOT EXISTS passages (
+    id INTEGER PRIMARY KEY,
+    title TEXT,                   -- optional heading, e.g. 'Case: Riverside Hospital'
+    passage_text TEXT NOT NULL
+);
+
 -- Table: questions
 DROP TABLE IF EXISTS questions;
-CREATE TABLE IF NOT EXISTS questions (id INTEGER PRIMARY KEY, question_text TEXT NOT NULL, question_type TEXT NOT NULL, explanation TEXT, reference TEXT, topic TEXT NOT NULL, subtopic TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS questions (id INTEGER PRIMARY KEY, question_text TEXT NOT NULL, question_type TEXT NOT NULL, explanation TEXT, reference TEXT, topic TEXT NOT NULL, subtopic TEXT NOT NULL, difficulty TEXT, marks REAL, passage_id INTEGER REFERENCES passages(id));  -- difficulty: Easy / Medium / Hard, optional; marks: NULL = the exam's default; passage_id: NULL for standalone questions
 
 COMMIT TRANSACTION;
 PRAGMA foreign_keys = on;
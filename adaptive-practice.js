@@ -0,0 +1,388 @@
+/**
+ * ============================================================================
+ * ADAPTIVE PRACTICE MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Learning mode normally runs a list drawn before the test starts. Adaptive
+ * practice instead picks each next question from every question that passed
+ * the filters, using the learner's record so far, and stops once every topic
+ * is estimated as mastered.
+ *
+ * How the next question is chosen:
+ * • Difficulty - each topic keeps its own level (Easy, Medium, Hard; unrated
+ *   questions count as Medium). Two right answers in a row step the level up,
+ *   a wrong or partly right answer steps it down.
+ * • Topic - topics are worked through in the order they appear in the bank.
+ *   A mastered topic steps up to the next one; a learner stuck at a topic's
+ *   easiest level (two misses in a row) steps back to an earlier unmastered
+ *   topic and returns to this one later.
+ * • Mastery - a topic's estimate is its share of marks earned, with harder
+ *   questions weighing more (Easy 1, Medium 2, Hard 3) and one right and one
+ *   wrong answer assumed up front so a single answer cannot decide it. A
+ *   topic is mastered at the target estimate once it has at least
+ *   ADAPTIVE_MIN_ANSWERS answers and one right answer at its hardest level.
+ * • Passage groups are picked whole.
+ *
+ * The session stops when every topic is mastered, the question limit
+ * ("Number of Questions") is reached, or the unmastered topics run out of
+ * questions. showFinalScore() then lists the estimate of each topic.
+ *
+ * Core Functions:
+ * • startAdaptivePractice() - Starts a session over a pool of questions
+ * • restartAdaptivePractice() - Starts the same session again from scratch
+ * • recordAdaptiveAnswer() - Updates level, streaks and estimate after an answer
+ * • continueAdaptivePractice() - Appends the next question, or reports the session over
+ * • getAdaptiveTopicEstimates() - Estimate per topic
+ * • formatAdaptiveSummary() - Per-topic estimates for the final score
+ *
+ * Dependencies:
+ * • database-manager.js - DIFFICULTY_LEVELS, normalizeDifficulty, attachQuestionMedia (via question-media.js)
+ * • question-types.js - groupQuestionsByPassage
+ * • test-engine.js - startTest, appendQuestionCard
+ * • app-state.js - AppState.adaptive holds the running session
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+const ADAPTIVE_MIN_ANSWERS = 3;
+const ADAPTIVE_DEFAULT_TARGET = 80;
+
+// ============================================================================
+// SESSION
+// ============================================================================
+
+/**
+ * Level of a question on the adaptive staircase
+ * @param {Object} question - Question object
+ * @returns {number} 0 = Easy, 1 = Medium (also unrated), 2 = Hard
+ */
+function getAdaptiveLevel(question) {
+  const index = DIFFICULTY_LEVELS.indexOf(normalizeDifficulty(question.difficulty));
+  return index === -1 ? 1 : index;
+}
+
+/**
+ * Creates the state of an adaptive session
+ *
+ * @param {Array} pool - Questions that passed the filters
+ * @param {Object} settings
+ * @param {number} settings.maxQuestions - Most questions to ask
+ * @param {number} settings.target - Mastery target in percent (e.g. 80)
+ * @returns {Object} Session state (kept in AppState.adaptive)
+ */
+function createAdaptiveSession(pool, settings) {
+  const units = groupQuestionsByPassage(pool);
+  const topics = [];
+  const perTopic = {};
+  units.forEach(unit => {
+    const topic = String(unit[0].topic || '');
+    if (!perTopic[topic]) {
+      topics.push(topic);
+      perTopic[topic] = { minLevel: 2, maxLevel: 0, level: 1, hits: 0, misses: 0, answered: 0, earned: 0, weight: 0, topLevelCorrect: false };
+    }
+    unit.forEach(q => {
+      const level = getAdaptiveLevel(q);
+      perTopic[topic].minLevel = Math.min(perTopic[topic].minLevel, level);
+      perTopic[topic].maxLevel = Math.max(perTopic[topic].maxLevel, level);
+    });
+  });
+  // Everyone starts at Medium, or the nearest level the topic has
+  topics.forEach(topic => {
+    const state = perTopic[topic];
+    state.level = Math.min(Math.max(1, state.minLevel), state.maxLevel);
+  });
+  return {
+    source: pool,
+    settings: {
+      maxQuestions: Math.max(1, parseInt(settings.maxQuestions, 10) || pool.length),
+      target: Math.min(100, Math.max(1, Number(settings.target) || ADAPTIVE_DEFAULT_TARGET))
+    },
+    remaining: units,
+    topics,
+    perTopic,
+    current: topics[0],
+    asked: 0,
+    recorded: [],
+    stopReason: '',
+    showMarks: usesCustomMarks(pool, AppState.markingScheme)
+  };
+}
+
+/**
+ * Starts adaptive practice in learning mode
+ *
+ * @param {Array} pool - Questions that passed the filters
+ * @param {Object} settings - { maxQuestions, target } (see createAdaptiveSession)
+ * @returns {boolean} False when the pool is empty
+ */
+function startAdaptivePractice(pool, settings) {
+  if (!Array.isArray(pool) || pool.length === 0) return false;
+  const session = createAdaptiveSession(pool, settings);
+  const first = takeNextAdaptiveUnit(session);
+  if (!first) return false;
+  startTest(first, { adaptive: session });
+  renderAdaptiveStatus();
+  return true;
+}
+
+/**
+ * Starts the current adaptive session again with the same pool and settings
+ * @returns {boolean} False when there is no adaptive session
+ */
+function restartAdaptivePractice() {
+  const session = AppState.adaptive;
+  if (!session) return false;
+  AppState.explanationMode = AppState.lastExplanationMode;
+  return startAdaptivePractice(session.source, session.settings);
+}
+
+// ============================================================================
+// ESTIMATES
+// ============================================================================
+
+/**
+ * Estimated mastery of one topic
+ * @param {Object} state - Per-topic state
+ * @returns {number} Estimate between 0 and 1
+ */
+function getAdaptiveEstimate(state) {
+  return (state.earned + 1) / (state.weight + 2);
+}
+
+/**
+ * Checks whether a topic has reached the mastery target
+ * @param {Object} session - Adaptive session
+ * @param {string} topic - Topic name
+ * @returns {boolean} True when mastered
+ */
+function isAdaptiveTopicMastered(session, topic) {
+  const state = session.perTopic[topic];
+  return state.answered >= ADAPTIVE_MIN_ANSWERS &&
+    state.topLevelCorrect &&
+    getAdaptiveEstimate(state) * 100 >= session.settings.target;
+}
+
+/**
+ * Lists the estimate of every topic of a session
+ * @param {Object} session - Adaptive session
+ * @returns {Array<{topic: string, answered: number, level: string, estimate: number, mastered: boolean}>} One entry per topic, in bank order
+ */
+function getAdaptiveTopicEstimates(session) {
+  return session.topics.map(topic => {
+    const state = session.perTopic[topic];
+    return {
+      topic,
+      answered: state.answered,
+      level: DIFFICULTY_LEVELS[state.level],
+      estimate: Math.round(getAdaptiveEstimate(state) * 100),
+      mastered: isAdaptiveTopicMastered(session, topic)
+    };
+  });
+}
+
+// ============================================================================
+// STEPPING
+// ============================================================================
+
+/**
+ * Updates the record after a question has been answered
+ * A question answered again (it cannot be retried here) is counted once.
+ *
+ * @param {number} qIndex - Index of the answered question in AppState.questions
+ */
+function recordAdaptiveAnswer(qIndex) {
+  const session = AppState.adaptive;
+  const question = AppState.questions[qIndex];
+  const result = AppState.questionResults[qIndex];
+  if (!session || !question || !result || session.recorded[qIndex]) return;
+  session.recorded[qIndex] = true;
+
+  const state = session.perTopic[String(question.topic || '')];
+  if (!state) return;
+  const level = getAdaptiveLevel(question);
+  const credit = result.isCorrect ? 1 : (result.credit || 0);
+  state.answered++;
+  state.earned += credit * (level + 1);
+  state.weight += level + 1;
+
+  if (result.isCorrect) {
+    state.misses = 0;
+    if (level >= state.maxLevel) state.topLevelCorrect = true;
+    if (++state.hits >= 2) {
+      state.level = Math.min(state.level + 1, state.maxLevel);
+      state.hits = 0;
+    }
+  } else {
+    state.hits = 0;
+    state.misses++;
+    state.level = Math.max(state.level - 1, state.minLevel);
+  }
+}
+
+/**
+ * Checks whether a topic still has questions to ask
+ * @param {Object} session - Adaptive session
+ * @param {string} topic - Topic name
+ * @returns {boolean} True when questions remain
+ */
+function adaptiveTopicHasQuestions(session, topic) {
+  return session.remaining.some(unit => String(unit[0].topic || '') === topic);
+}
+
+/**
+ * Chooses the topic of the next question
+ * @param {Object} session - Adaptive session
+ * @returns {string|null} Topic, or null when no unmastered topic has questions left
+ */
+function chooseAdaptiveTopic(session) {
+  const open = topic => !isAdaptiveTopicMastered(session, topic) && adaptiveTopicHasQuestions(session, topic);
+  const index = session.topics.indexOf(session.current);
+  const state = session.perTopic[session.current];
+
+  // Stuck at the easiest level: step back to the nearest earlier open topic
+  if (state && state.misses >= 2 && state.level === state.minLevel) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (open(session.topics[i])) {
+        state.misses = 0;
+        return session.topics[i];
+      }
+    }
+  }
+  if (open(session.current)) return session.current;
+
+  // Mastered or out of questions: step up to the next open topic
+  for (let step = 1; step <= session.topics.length; step++) {
+    const topic = session.topics[(index + step) % session.topics.length];
+    if (open(topic)) return topic;
+  }
+  return null;
+}
+
+/**
+ * Takes the next question (or passage group) out of the session's pool
+ * @param {Object} session - Adaptive session
+ * @returns {Array|null} Questions to append, or null when the session is over (session.stopReason says why)
+ */
+function takeNextAdaptiveUnit(session) {
+  if (session.topics.every(topic => isAdaptiveTopicMastered(session, topic))) {
+    session.stopReason = `Mastery target (${session.settings.target}%) reached in every topic.`;
+    return null;
+  }
+  if (session.asked >= session.settings.maxQuestions) {
+    session.stopReason = `Question limit reached (${session.settings.maxQuestions}).`;
+    return null;
+  }
+  const topic = chooseAdaptiveTopic(session);
+  if (topic === null) {
+    session.stopReason = 'No questions left for the topics not yet mastered.';
+    return null;
+  }
+  session.current = topic;
+
+  // Closest level to the topic's current one; ties are broken at random
+  const level = session.perTopic[topic].level;
+  const candidates = session.remaining.filter(unit => String(unit[0].topic || '') === topic);
+  const distance = unit => Math.abs(getAdaptiveLevel(unit[0]) - level);
+  const best = Math.min(...candidates.map(distance));
+  const closest = candidates.filter(unit => distance(unit) === best);
+  const unit = closest[Math.floor(Math.random() * closest.length)];
+  session.remaining.splice(session.remaining.indexOf(unit), 1);
+  session.asked += unit.length;
+
+  // Images are loaded only for questions that are actually asked
+  if (AppState.isDbMode && AppState.database && typeof attachQuestionMedia === 'function') {
+    attachQuestionMedia(AppState.database, unit);
+  }
+  return unit;
+}
+
+/**
+ * Appends the next adaptive question once the last one has been answered
+ * @returns {boolean} True when a question was added, false when the session is over
+ */
+function continueAdaptivePractice() {
+  const session = AppState.adaptive;
+  if (!session) return false;
+  const unit = takeNextAdaptiveUnit(session);
+  renderAdaptiveStatus();
+  if (!unit) return false;
+
+  const container = document.getElementById("test");
+  const firstIndex = AppState.questions.length;
+  unit.forEach(q => {
+    const copy = { ...q };
+    if (copy.options) copy.options = shuffle([...copy.options]);
+    AppState.questions.push(copy);
+  });
+  for (let i = firstIndex; i < AppState.questions.length; i++) {
+    appendQuestionCard(container, AppState.questions, i, session.showMarks);
+    const card = document.getElementById(`q-${AppState.questions[i].id}`);
+    if (card) card.classList.add(i === firstIndex ? "active" : "disabled");
+  }
+  const firstCard = document.getElementById(`q-${AppState.questions[firstIndex].id}`);
+  if (firstCard && typeof firstCard.scrollIntoView === 'function') {
+    firstCard.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+  return true;
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Shows the current topic, level and estimates above the questions
+ */
+function renderAdaptiveStatus() {
+  const session = AppState.adaptive;
+  const container = document.getElementById("test");
+  if (!session || !container) return;
+  let bar = document.getElementById("adaptive-status");
+  if (!bar) {
+    bar = document.createElement("div");
+    bar.id = "adaptive-status";
+    bar.style.cssText = "position: sticky; top: 0; z-index: 5; margin-bottom: 12px; padding: 8px 12px; background: #e7f3ff; border: 1px solid #b3d7ff; border-radius: 6px; font-size: 0.9em;";
+    container.insertBefore(bar, container.firstChild);
+  }
+  const topics = getAdaptiveTopicEstimates(session)
+    .map(entry => `<span style="margin-right: 12px; white-space: nowrap;">${entry.mastered ? '✅' : ''}${sanitizeText(entry.topic || 'General')}: ${entry.estimate}%</span>`)
+    .join('');
+  const now = session.stopReason
+    ? `<strong>${sanitizeText(session.stopReason)}</strong>`
+    : `Now: <strong>${sanitizeText(session.current || 'General')}</strong> · ${DIFFICULTY_LEVELS[session.perTopic[session.current].level]}`;
+  bar.innerHTML = `🎯 <strong>Adaptive practice</strong> (target ${session.settings.target}%) · ${now}<div style="margin-top: 4px;">${topics}</div>`;
+}
+
+/**
+ * Describes the session for the final score: why it stopped and each topic's estimate
+ * @param {Object} session - Adaptive session
+ * @returns {string} HTML
+ */
+function formatAdaptiveSummary(session) {
+  const rows = getAdaptiveTopicEstimates(session).map(entry => `
+        <tr>
+          <td style="text-align: left; padding: 4px 8px;">${sanitizeText(entry.topic || 'General')}</td>
+          <td style="padding: 4px 8px;">${entry.answered}</td>
+          <td style="padding: 4px 8px;">${entry.level}</td>
+          <td style="padding: 4px 8px;"><strong>${entry.estimate}%</strong></td>
+          <td style="padding: 4px 8px;">${entry.mastered ? '✅ Mastered' : entry.answered === 0 ? 'Not reached' : 'Keep practising'}</td>
+        </tr>`).join('');
+  return `
+    <div class="adaptive-summary" style="margin-top: 10px;">
+      <div><strong>Adaptive practice:</strong> ${sanitizeText(session.stopReason || 'Stopped early.')}</div>
+      <table style="margin: 6px auto 0; border-collapse: collapse; font-size: 0.9em; text-align: center;">
+        <thead><tr>
+          <th style="text-align: left; padding: 4px 8px;">Topic</th>
+          <th style="padding: 4px 8px;">Answered</th>
+          <th style="padding: 4px 8px;">Level</th>
+          <th style="padding: 4px 8px;">Estimate</th>
+          <th style="padding: 4px 8px;"></th>
+        </tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </div>`;
+}
@@ -67,6 +67,10 @@ const AppState = {
   originalData: null,
   score: 0,
   questionResults: [], // Track correct/incorrect for each question
+  adaptive: null, // Running adaptive practice session (adaptive-practice.js)
+  reviewSession: false, // Current test is a "Due for review" session (review-deck.js)
+  mistakesSession: false, // Current test repeats the questions missed in the test before
+  attemptClock: null, // Answer times and first outcomes of the running test (attempt-history.js)
   
   // Configuration state
   explanationMode: 1,
@@ -83,12 +87,16 @@ const AppState = {
   
   // Filter and session state
   lastFilteredQuestions: null,
+  lastBlueprint: null, // Blueprint the last JSON-mode test was drawn to
   
   // Test behavior options with sensible defaults
   allowTryAgain: true,
   showTopicSubtopic: true,
   showImmediateResult: true,
   showCorrectAnswer: true,
+  orderPartialCredit: false, // Ordering questions earn credit per item in place
+  scoringPolicy: { multiple: 'all-or-nothing', match: 'all-or-nothing' }, // Partial credit of multiple-answer and match questions
+  markingScheme: { defaultMarks: 1, negativeMarks: '0' }, // Marks per question and marks off for a wrong answer
   
   // Persistent option states for different modes
   savedJsonOptions: null,
@@ -110,6 +118,11 @@ const AppState = {
     this.explanationMode = 2;
     this.database = null;
     this.lastFilteredQuestions = null;
+    this.lastBlueprint = null;
+    this.adaptive = null;
+    this.reviewSession = false;
+    this.mistakesSession = false;
+    this.attemptClock = null;
     this.lastExplanationMode = 2;
     this.lastDbQueryParams = null;
     this.isDbMode = false;
@@ -124,6 +137,9 @@ const AppState = {
     this.showTopicSubtopic = true;
     this.showImmediateResult = true;
     this.showCorrectAnswer = true;
+    this.orderPartialCredit = false;
+    this.scoringPolicy = { multiple: 'all-or-nothing', match: 'all-or-nothing' };
+    this.markingScheme = { defaultMarks: 1, negativeMarks: '0' };
     
     // Clear persistent saved settings
     this.savedJsonOptions = null;
@@ -150,15 +166,21 @@ function saveOptionsState() {
     selectedTopics: [],
     selectedSubtopics: [],
     selectedTypes: [],
+    selectedDifficulties: null, // null = every level (or no difficulty section)
+    tagFilter: null, // { tags, mode: 'any'|'all' }; null = no tag checked
     explanationMode: 1,
     behaviorOptions: {
       allowTryAgain: true,
       showTopicSubtopic: true,
       showImmediateResult: true,
-      showCorrectAnswer: true
+      showCorrectAnswer: true,
+      orderPartialCredit: false,
+      scoringPolicy: { multiple: 'all-or-nothing', match: 'all-or-nothing' },
+      markingScheme: { defaultMarks: 1, negativeMarks: '0' }
     },
     numQuestions: 10,
-    selectionMode: 'random', // Only for DB mode
+    selectionMode: 'random',
+    adaptive: { enabled: false, target: 80 }, // Adaptive practice and its mastery target (%)
     testMode: 'learning' // Default to learning mode
   };
   
@@ -216,6 +238,19 @@ function saveOptionsState() {
     });
   }
   
+  // Save difficulty selections (section only exists when the bank rates questions)
+  const difficultyCheckboxes = Array.from(panel.querySelectorAll('.difficulty-checkbox'));
+  if (difficultyCheckboxes.length > 0 && !difficultyCheckboxes.every(cb => cb.checked)) {
+    state.selectedDifficulties = difficultyCheckboxes.filter(cb => cb.checked).map(cb => cb.value);
+  }
+  
+  // Save tag selections (section only exists when the bank has tagged questions)
+  const checkedTags = Array.from(panel.querySelectorAll('.tag-checkbox:checked')).map(cb => cb.value);
+  if (checkedTags.length > 0) {
+    const tagModeRadio = panel.querySelector('input[name="tagMatchMode"]:checked');
+    state.tagFilter = { tags: checkedTags, mode: tagModeRadio && tagModeRadio.value === 'all' ? 'all' : 'any' };
+  }
+  
   // Save explanation mode
   const expRadio = panel.querySelector('input[name="expMode"]:checked');
   if (expRadio) {
@@ -227,16 +262,31 @@ function saveOptionsState() {
   const topicRevealId = isDbMode ? 'topicRevealOptionDb' : 'topicRevealOption';
   const immediateResultId = isDbMode ? 'immediateResultOptionDb' : 'immediateResultOption';
   const correctAnswerId = isDbMode ? 'correctAnswerOptionDb' : 'correctAnswerOption';
+  const orderPartialId = isDbMode ? 'orderPartialOptionDb' : 'orderPartialOption';
+  const multipleScoringId = isDbMode ? 'multipleScoringOptionDb' : 'multipleScoringOption';
+  const matchScoringId = isDbMode ? 'matchScoringOptionDb' : 'matchScoringOption';
+  const defaultMarksId = isDbMode ? 'defaultMarksOptionDb' : 'defaultMarksOption';
+  const negativeMarksId = isDbMode ? 'negativeMarksOptionDb' : 'negativeMarksOption';
   
   const tryAgainCb = document.getElementById(tryAgainId);
   const topicRevealCb = document.getElementById(topicRevealId);
   const immediateResultCb = document.getElementById(immediateResultId);
   const correctAnswerCb = document.getElementById(correctAnswerId);
+  const orderPartialCb = document.getElementById(orderPartialId);
+  const multipleScoringSelect = document.getElementById(multipleScoringId);
+  const matchScoringSelect = document.getElementById(matchScoringId);
+  const defaultMarksInput = document.getElementById(defaultMarksId);
+  const negativeMarksInput = document.getElementById(negativeMarksId);
   
   if (tryAgainCb) state.behaviorOptions.allowTryAgain = tryAgainCb.checked;
   if (topicRevealCb) state.behaviorOptions.showTopicSubtopic = topicRevealCb.checked;
   if (immediateResultCb) state.behaviorOptions.showImmediateResult = immediateResultCb.checked;
   if (correctAnswerCb) state.behaviorOptions.showCorrectAnswer = correctAnswerCb.checked;
+  if (orderPartialCb) state.behaviorOptions.orderPartialCredit = orderPartialCb.checked;
+  if (multipleScoringSelect) state.behaviorOptions.scoringPolicy.multiple = multipleScoringSelect.value;
+  if (matchScoringSelect) state.behaviorOptions.scoringPolicy.match = matchScoringSelect.value;
+  if (defaultMarksInput) state.behaviorOptions.markingScheme.defaultMarks = defaultMarksInput.value;
+  if (negativeMarksInput) state.behaviorOptions.markingScheme.negativeMarks = negativeMarksInput.value;
   
   // Save number of questions
   const numInput = document.getElementById('numQuestions');
@@ -244,13 +294,15 @@ function saveOptionsState() {
     state.numQuestions = parseInt(numInput.value) || 10;
   }
   
-  // Save selection mode (DB only)
-  if (isDbMode) {
-    const selectionModeRadio = panel.querySelector('input[name="selectionMode"]:checked');
-    if (selectionModeRadio) {
-      state.selectionMode = selectionModeRadio.value;
-    }
+  // Save selection mode
+  const selectionModeRadio = panel.querySelector('input[name="selectionMode"]:checked');
+  if (selectionModeRadio) {
+    state.selectionMode = selectionModeRadio.value;
   }
+  const adaptiveCb = document.getElementById(isDbMode ? 'adaptiveOptionDb' : 'adaptiveOption');
+  const masteryTargetSelect = document.getElementById(isDbMode ? 'masteryTargetOptionDb' : 'masteryTargetOption');
+  if (adaptiveCb) state.adaptive.enabled = adaptiveCb.checked;
+  if (masteryTargetSelect) state.adaptive.target = parseInt(masteryTargetSelect.value, 10) || 80;
   
   // Save test mode
   const testModeRadio = panel.querySelector('input[name="testMode"]:checked');
@@ -388,6 +440,24 @@ function restoreOptionsState() {
       }
     }
     
+    // Restore difficulty selections (older saved states have none: keep all checked)
+    if (Array.isArray(state.selectedDifficulties)) {
+      panel.querySelectorAll('.difficulty-checkbox').forEach(cb => {
+        cb.checked = state.selectedDifficulties.includes(cb.value);
+      });
+    }
+    
+    // Restore tag selections (tags are matched case-insensitively)
+    if (state.tagFilter && Array.isArray(state.tagFilter.tags)) {
+      const savedTags = state.tagFilter.tags.map(tag => String(tag).toLowerCase());
+      panel.querySelectorAll('.tag-checkbox').forEach(cb => {
+        cb.checked = savedTags.includes(cb.value.toLowerCase());
+      });
+      panel.querySelectorAll('input[name="tagMatchMode"]').forEach(radio => {
+        radio.checked = radio.value === (state.tagFilter.mode === 'all' ? 'all' : 'any');
+      });
+    }
+    
     // Restore explanation mode
     const expRadios = panel.querySelectorAll('input[name="expMode"]');
     expRadios.forEach(radio => {
@@ -399,11 +469,21 @@ function restoreOptionsState() {
     const topicRevealId = isDbMode ? 'topicRevealOptionDb' : 'topicRevealOption';
     const immediateResultId = isDbMode ? 'immediateResultOptionDb' : 'immediateResultOption';
     const correctAnswerId = isDbMode ? 'correctAnswerOptionDb' : 'correctAnswerOption';
+    const orderPartialId = isDbMode ? 'orderPartialOptionDb' : 'orderPartialOption';
+    const multipleScoringId = isDbMode ? 'multipleScoringOptionDb' : 'multipleScoringOption';
+    const matchScoringId = isDbMode ? 'matchScoringOptionDb' : 'matchScoringOption';
+    const defaultMarksId = isDbMode ? 'defaultMarksOptionDb' : 'defaultMarksOption';
+    const negativeMarksId = isDbMode ? 'negativeMarksOptionDb' : 'negativeMarksOption';
     
     const tryAgainCb = document.getElementById(tryAgainId);
     const topicRevealCb = document.getElementById(topicRevealId);
     const immediateResultCb = document.getElementById(immediateResultId);
     const correctAnswerCb = document.getElementById(correctAnswerId);
+    const orderPartialCb = document.getElementById(orderPartialId);
+    const multipleScoringSelect = document.getElementById(multipleScoringId);
+    const matchScoringSelect = document.getElementById(matchScoringId);
+    const defaultMarksInput = document.getElementById(defaultMarksId);
+    const negativeMarksInput = document.getElementById(negativeMarksId);
     
     if (tryAgainCb) tryAgainCb.checked = state.behaviorOptions.allowTryAgain;
     if (topicRevealCb) topicRevealCb.checked = state.behaviorOptions.showTopicSubtopic;
@@ -413,6 +493,17 @@ function restoreOptionsState() {
       immediateResultCb.dispatchEvent(new Event('change'));
     }
     if (correctAnswerCb) correctAnswerCb.checked = state.behaviorOptions.showCorrectAnswer;
+    if (orderPartialCb) orderPartialCb.checked = !!state.behaviorOptions.orderPartialCredit;
+    const scoringPolicy = typeof normalizeScoringPolicy === 'function'
+      ? normalizeScoringPolicy(state.behaviorOptions.scoringPolicy)
+      : { multiple: 'all-or-nothing', match: 'all-or-nothing' };
+    if (multipleScoringSelect) multipleScoringSelect.value = scoringPolicy.multiple;
+    if (matchScoringSelect) matchScoringSelect.value = scoringPolicy.match;
+    const markingScheme = typeof normalizeMarkingScheme === 'function'
+      ? normalizeMarkingScheme(state.behaviorOptions.markingScheme)
+      : { defaultMarks: 1, negativeMarks: '0' };
+    if (defaultMarksInput) defaultMarksInput.value = markingScheme.defaultMarks;
+    if (negativeMarksInput) negativeMarksInput.value = markingScheme.negativeMarks;
     
     // Restore number of questions
     const numInput = document.getElementById('numQuestions');
@@ -424,12 +515,17 @@ function restoreOptionsState() {
       }, 50);
     }
     
-    // Restore selection mode (DB only)
-    if (isDbMode && state.selectionMode) {
-      const selectionModeRadios = panel.querySelectorAll('input[name="selectionMode"]');
-      selectionModeRadios.forEach(radio => {
-        radio.checked = (radio.value === state.selectionMode);
-      });
+    // Restore selection mode
+    const savedModeRadio = state.selectionMode && panel.querySelector(`input[name="selectionMode"][value="${state.selectionMode}"]`);
+    if (savedModeRadio) {
+      savedModeRadio.checked = true;
+      savedModeRadio.dispatchEvent(new Event('change', { bubbles: true })); // Refresh the distribution tooltip
+    }
+    if (state.adaptive) {
+      const adaptiveCb = document.getElementById(isDbMode ? 'adaptiveOptionDb' : 'adaptiveOption');
+      const masteryTargetSelect = document.getElementById(isDbMode ? 'masteryTargetOptionDb' : 'masteryTargetOption');
+      if (adaptiveCb) adaptiveCb.checked = !!state.adaptive.enabled;
+      if (masteryTargetSelect) masteryTargetSelect.value = String(state.adaptive.target);
     }
   }, 10); // Minimal timeout to ensure DOM is ready
   
@@ -532,6 +628,9 @@ function resetOptionsToDefaults() {
   AppState.showTopicSubtopic = true;
   AppState.showImmediateResult = true;
   AppState.showCorrectAnswer = true;
+  AppState.orderPartialCredit = false;
+  AppState.scoringPolicy = { multiple: 'all-or-nothing', match: 'all-or-nothing' };
+  AppState.markingScheme = { defaultMarks: 1, negativeMarks: '0' };
   AppState.explanationMode = 2; // "Both when right and wrong"
   
   // ...removed debug log...
@@ -0,0 +1,261 @@
+/**
+ * ============================================================================
+ * ATTEMPT HISTORY MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Saves every finished test to the browser's IndexedDB so results outlive
+ * the score screen: the mode, the bank, the filters it was drawn with, and
+ * the outcome and time of each question. history.html reads the saved
+ * attempts back for its charts and drill-down.
+ *
+ * What is saved:
+ * • Learning mode (plain, adaptive or review) - when showFinalScore() runs;
+ *   only the first answer of each question counts, as on the score screen
+ *   before any Try Again.
+ * • Exam Mode - when the exam is submitted.
+ * • Practice rounds of the incorrect and unanswered questions (either mode)
+ *   are saved as their own 'practice' mode, apart from the tests they repeat.
+ * • Time per question - learning mode counts from the previous answer (or
+ *   the start of the test); Exam Mode counts the seconds each question was
+ *   on screen.
+ *
+ * Core Functions:
+ * • noteAttemptAnswer() - Notes the time of a learning-mode answer
+ * • recordLearningAttempt() - Saves the finished learning-mode test
+ * • buildExamAttempt() - Builds the record of a submitted exam
+ * • describeAttemptFilters() - Filters of the options panel, for the record
+ * • saveAttempt() / loadAttempts() / clearAttempts() - IndexedDB storage
+ *
+ * Dependencies:
+ * • browser-storage.js - openIndexedDb
+ * • app-state.js - Running test (questions, results, options)
+ * • question-scoring.js - getQuestionMarks, markAnswer
+ * • question-types.js - isDescriptiveQuestion
+ * • review-deck.js - getReviewBank (attempts use the same bank names)
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+const HISTORY_DB_NAME = 'InsightPrepHistory';
+const HISTORY_STORE = 'attempts';
+const HISTORY_TEXT_LENGTH = 200; // Characters of question text kept for the drill-down
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Opens (and on first use creates) the history database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is not available
+ */
+function openHistoryDatabase() {
+  return openIndexedDb(HISTORY_DB_NAME, 1, db => {
+    db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+  });
+}
+
+/**
+ * Saves an attempt
+ * @param {Object} attempt - Attempt record (see buildAttemptRecord)
+ * @returns {Promise<number|null>} Id of the saved attempt, null when it could not be stored
+ */
+async function saveAttempt(attempt) {
+  const db = await openHistoryDatabase();
+  if (!db) return null;
+  return new Promise(resolve => {
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    const request = tx.objectStore(HISTORY_STORE).add(attempt);
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); resolve(null); };
+  });
+}
+
+/**
+ * Loads every saved attempt, oldest first
+ * @returns {Promise<Array<Object>>} Attempts
+ */
+async function loadAttempts() {
+  const db = await openHistoryDatabase();
+  if (!db) return [];
+  return new Promise(resolve => {
+    const request = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).getAll();
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result.sort((a, b) => a.finishedAt.localeCompare(b.finishedAt)));
+    };
+    request.onerror = () => { db.close(); resolve([]); };
+  });
+}
+
+/**
+ * Deletes every saved attempt
+ * @returns {Promise<boolean>} False when the history could not be opened
+ */
+async function clearAttempts() {
+  const db = await openHistoryDatabase();
+  if (!db) return false;
+  return new Promise(resolve => {
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    tx.objectStore(HISTORY_STORE).clear();
+    tx.oncomplete = () => { db.close(); resolve(true); };
+    tx.onerror = () => { db.close(); resolve(false); };
+  });
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Summarises the filters a test was drawn with, from the saved options of the panel
+ * @returns {Object} { topics, types, difficulties, tags, selectionMode, numQuestions, blueprint }
+ *   (empty topics / types = all of them)
+ */
+function describeAttemptFilters() {
+  const saved = (AppState.isDbMode ? AppState.savedDbOptions : AppState.savedJsonOptions) || {};
+  const blueprint = AppState.isDbMode
+    ? AppState.lastDbQueryParams && AppState.lastDbQueryParams.blueprint
+    : AppState.lastBlueprint;
+  return {
+    topics: saved.allTopicsSelected ? [] : [...new Set(saved.selectedTopics || [])],
+    types: saved.allTypesSelected ? [] : (saved.selectedTypes || []),
+    difficulties: saved.selectedDifficulties || null,
+    tags: saved.tagFilter || null,
+    selectionMode: saved.selectionMode || 'random',
+    numQuestions: saved.numQuestions || null,
+    blueprint: blueprint ? blueprint.name : null
+  };
+}
+
+/**
+ * Builds an attempt record from questions and their outcomes
+ *
+ * @param {Object} details
+ * @param {string} details.mode - 'learning', 'adaptive', 'review', 'practice' or 'exam'
+ * @param {Array<Object>} details.questions - Questions in test order
+ * @param {Array<Object|undefined>} details.outcomes - { isCorrect, credit } per question; undefined = unanswered
+ * @param {Array<number>} details.seconds - Seconds spent per question
+ * @param {number} details.timeSpent - Seconds for the whole test
+ * @param {Object} details.markingScheme - Marking scheme of the test
+ * @param {Object|null} details.filters - See describeAttemptFilters
+ * @param {Array<Object>} [details.sections] - Exam sections (name, questions, answered, score, ...)
+ * @param {number} [details.rawMarks] - Marks as the exam results give them; learning mode leaves these out
+ * @param {number} [details.maxMarks] - Marks out of (a section with an attempt limit counts only its best-paid questions)
+ * @param {number} [details.percentage] - Score percentage as the exam results give it
+ * @returns {Object} Attempt record
+ */
+function buildAttemptRecord(details) {
+  let rawMarks = 0;
+  let maxMarks = 0;
+  const questions = details.questions.map((q, index) => {
+    const outcome = details.outcomes[index];
+    const descriptive = isDescriptiveQuestion(q);
+    if (!(descriptive && details.mode === 'exam')) {
+      maxMarks += getQuestionMarks(q, details.markingScheme);
+      rawMarks += markAnswer(q, { answered: !!outcome, isCorrect: !!(outcome && outcome.isCorrect), credit: (outcome && outcome.credit) || 0 }, details.markingScheme);
+    }
+    const credit = outcome ? (outcome.isCorrect ? 1 : outcome.credit || 0) : 0;
+    return {
+      id: q.id ?? null,
+      text: String(q.question || q.question_text || '').slice(0, HISTORY_TEXT_LENGTH),
+      topic: q.topic || '',
+      subtopic: q.subtopic || '',
+      type: q.question_type || q.type || '',
+      difficulty: q.difficulty || '',
+      outcome: descriptive && details.mode === 'exam' ? 'ungraded'
+        : !outcome ? 'unanswered'
+        : outcome.isCorrect ? 'correct'
+        : credit > 0 ? 'partial' : 'wrong',
+      credit,
+      seconds: details.seconds[index] || 0
+    };
+  });
+  const graded = questions.filter(q => q.outcome !== 'ungraded');
+  const answered = graded.filter(q => q.outcome !== 'unanswered');
+  const score = graded.reduce((sum, q) => sum + q.credit, 0);
+  const data = AppState.originalData;
+  return {
+    finishedAt: new Date().toISOString(),
+    mode: details.mode,
+    bank: getReviewBank(),
+    bankTitle: AppState.isDbMode ? AppState.dbFileName : (data && data.title) || '',
+    filters: details.filters || null,
+    totalQuestions: questions.length,
+    answered: answered.length,
+    correct: graded.filter(q => q.outcome === 'correct').length,
+    partial: graded.filter(q => q.outcome === 'partial').length,
+    score,
+    // Learning mode scores over every question, Exam Mode over the answered ones
+    percentage: details.percentage ?? Math.round(score / Math.max(1, details.mode === 'exam' ? answered.length : graded.length) * 100),
+    rawMarks: details.rawMarks ?? rawMarks,
+    maxMarks: details.maxMarks ?? maxMarks,
+    timeSpent: details.timeSpent,
+    sections: details.sections || [],
+    questions
+  };
+}
+
+/**
+ * Notes the time of a learning-mode answer (first answer of a question only)
+ * @param {number} qIndex - Index of the answered question in AppState.questions
+ */
+function noteAttemptAnswer(qIndex) {
+  const clock = AppState.attemptClock;
+  if (!clock || clock.seconds[qIndex] !== undefined) return;
+  const now = Date.now();
+  clock.seconds[qIndex] = Math.round((now - clock.lastAnswerAt) / 1000);
+  clock.lastAnswerAt = now;
+  clock.outcomes[qIndex] = { ...AppState.questionResults[qIndex] };
+}
+
+/**
+ * Saves the learning-mode test that has just finished (once per test)
+ * @returns {Promise<number|null>} Id of the saved attempt
+ */
+function recordLearningAttempt() {
+  const clock = AppState.attemptClock;
+  if (!clock || clock.saved) return Promise.resolve(null);
+  clock.saved = true;
+  return saveAttempt(buildAttemptRecord({
+    mode: AppState.adaptive ? 'adaptive' : AppState.reviewSession ? 'review' : AppState.mistakesSession ? 'practice' : 'learning',
+    questions: AppState.questions,
+    outcomes: AppState.questions.map((q, index) => clock.outcomes[index]),
+    seconds: clock.seconds,
+    timeSpent: Math.round((Date.now() - clock.startedAt) / 1000),
+    markingScheme: AppState.markingScheme,
+    filters: describeAttemptFilters()
+  }));
+}
+
+/**
+ * Builds the record of a submitted exam
+ *
+ * @param {Object} engine - ExamEngine (questions, filters, markingScheme, questionTimeUsed, practiceRound)
+ * @param {Object} results - Output of ExamEngine.calculateResults()
+ * @returns {Object} Attempt record
+ */
+function buildExamAttempt(engine, results) {
+  return buildAttemptRecord({
+    mode: engine.practiceRound > 0 ? 'practice' : 'exam',
+    questions: engine.questions,
+    outcomes: engine.questions.map((q, index) => results.outcomes.get(index)),
+    seconds: engine.questionTimeUsed,
+    timeSpent: results.timeSpent,
+    markingScheme: engine.markingScheme,
+    filters: engine.filters,
+    rawMarks: results.rawMarks,
+    maxMarks: results.maxMarks,
+    percentage: results.percentage,
+    sections: results.sections.map(section => ({
+      name: section.name,
+      questions: section.questions,
+      answered: section.answered,
+      correct: section.correctCount,
+      score: section.score,
+      timeSpent: section.timeSpent
+    }))
+  });
+}
@@ -0,0 +1,497 @@
+/**
+ * ============================================================================
+ * EXAM BLUEPRINT MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * A blueprint fixes how many questions a test takes from each topic/subtopic,
+ * question type and difficulty, so the same mock paper can be drawn again
+ * without re-ticking the filter panel. Used by both filter panels; rows are
+ * matched against plain question objects, so JSON banks and databases share
+ * one implementation.
+ *
+ * Blueprint Format (also the .blueprint.json file):
+ *   { "name": "Physics mock",
+ *     "rows": [ { "topic": "Physics", "subtopic": "", "type": "MCQ",
+ *                 "difficulty": "Hard", "count": 5 } ] }
+ * An empty topic, subtopic, type or difficulty matches any value. Types are
+ * the bank's own names: question_type in a database (MCQ, Match…), type in a
+ * JSON bank (single, match…).
+ *
+ * Drawing:
+ * Rows are filled from the most specific to the most general, so a
+ * "Physics, any type" row only takes what the "Physics, MCQ" row left over.
+ * Each row draws passage groups whole where its count allows; an exact count
+ * may still take only part of a group.
+ *
+ * Core Functions:
+ * • normalizeBlueprint() - Validates a saved or loaded blueprint
+ * • planBlueprint() - Questions available to each row (feasibility check)
+ * • drawToBlueprint() - Random draw with exactly the counts of every row
+ * • loadBlueprintPresets() / saveBlueprintPreset() / deleteBlueprintPreset() - Named presets (localStorage)
+ * • downloadBlueprintFile() / readBlueprintFile() - .blueprint.json files
+ * • buildBlueprintSection() - The editor section of the filter panels
+ * • getActiveBlueprint() - The blueprint to draw to, or null when switched off
+ *
+ * Dependencies:
+ * • core-utils.js - sanitizeText
+ * • database-manager.js - normalizeDifficulty, DIFFICULTY_LEVELS
+ * • question-types.js - shuffleKeepingPassages, takeQuestionsKeepingPassages
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+const BLUEPRINT_PRESETS_KEY = 'examBlueprints';
+const BLUEPRINT_FIELDS = ['topic', 'subtopic', 'type', 'difficulty'];
+
+// ============================================================================
+// BLUEPRINT RULES
+// ============================================================================
+
+/**
+ * Reads the type name a blueprint row matches against
+ * @param {Object} question - Question object or database row
+ * @returns {string} question_type for database questions, type for JSON ones
+ */
+function getBlueprintType(question) {
+  return String((question && (question.question_type || question.type)) || '');
+}
+
+/**
+ * Validates a blueprint; rows without a positive whole count are dropped
+ * @param {*} data - Parsed preset or file contents
+ * @returns {{name: string, rows: Array<Object>}|null} The blueprint, or null when it has no usable row
+ */
+function normalizeBlueprint(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.rows)) return null;
+  const rows = data.rows
+    .filter(row => row && typeof row === 'object')
+    .map(row => {
+      const clean = { count: Number(row.count) };
+      BLUEPRINT_FIELDS.forEach(field => { clean[field] = row[field] == null ? '' : String(row[field]).trim(); });
+      clean.difficulty = clean.difficulty ? (normalizeDifficulty(clean.difficulty) || clean.difficulty) : '';
+      return clean;
+    })
+    .filter(row => Number.isInteger(row.count) && row.count > 0);
+  if (rows.length === 0) return null;
+  return { name: String(data.name || '').trim() || 'Blueprint', rows };
+}
+
+/**
+ * Checks whether a question fits a blueprint row
+ * @param {Object} row - Blueprint row
+ * @param {Object} question - Question object or database row
+ * @returns {boolean} True when every field the row sets matches
+ */
+function blueprintRowMatches(row, question) {
+  if (row.topic && String(question.topic || '') !== row.topic) return false;
+  if (row.subtopic && String(question.subtopic || '') !== row.subtopic) return false;
+  if (row.type && getBlueprintType(question) !== row.type) return false;
+  if (row.difficulty && normalizeDifficulty(question.difficulty) !== row.difficulty) return false;
+  return true;
+}
+
+/**
+ * Describes a row for messages, e.g. "Physics › Optics · MCQ · Hard"
+ * @param {Object} row - Blueprint row
+ * @returns {string} Readable description
+ */
+function describeBlueprintRow(row) {
+  const topic = row.topic ? (row.subtopic ? `${row.topic} › ${row.subtopic}` : row.topic) : (row.subtopic ? `any topic › ${row.subtopic}` : 'any topic');
+  return [topic, row.type || 'any type', row.difficulty || 'any difficulty'].join(' · ');
+}
+
+/**
+ * Fills the rows most specific first, each from the questions earlier rows left
+ * @param {Array} questions - Questions to draw from
+ * @param {Object} blueprint - Normalized blueprint
+ * @param {function(Array): Array} arrange - Orders a row's candidates before taking (shuffle or keep)
+ * @returns {Array<{available: number, picked: Array}>} Per row, in the blueprint's row order
+ */
+function allocateBlueprint(questions, blueprint, arrange) {
+  const used = new Set();
+  const results = blueprint.rows.map(() => ({ available: 0, picked: [] }));
+  const specificity = row => BLUEPRINT_FIELDS.filter(field => row[field]).length;
+  blueprint.rows
+    .map((row, index) => index)
+    .sort((a, b) => specificity(blueprint.rows[b]) - specificity(blueprint.rows[a]) || a - b)
+    .forEach(index => {
+      const row = blueprint.rows[index];
+      const candidates = questions.filter(q => !used.has(q) && blueprintRowMatches(row, q));
+      const picked = takeQuestionsKeepingPassages(arrange(candidates), row.count);
+      picked.forEach(q => used.add(q));
+      results[index] = { available: candidates.length, picked };
+    });
+  return results;
+}
+
+/**
+ * Checks a blueprint against a bank
+ * @param {Array} questions - The bank (question objects or rows with topic, subtopic, type and difficulty)
+ * @param {Object} blueprint - Normalized blueprint
+ * @returns {{rows: Array<{available: number, short: number}>, total: number, feasible: boolean}} Per-row availability
+ */
+function planBlueprint(questions, blueprint) {
+  const rows = allocateBlueprint(questions, blueprint, candidates => candidates)
+    .map((result, index) => ({ available: result.available, short: Math.max(0, blueprint.rows[index].count - result.picked.length) }));
+  return {
+    rows,
+    total: blueprint.rows.reduce((sum, row) => sum + row.count, 0),
+    feasible: rows.every(row => row.short === 0)
+  };
+}
+
+/**
+ * Draws a test to a blueprint
+ * @param {Array} questions - Questions to draw from
+ * @param {Object} blueprint - Normalized blueprint
+ * @returns {{questions: Array, shortfalls: Array<string>}} The drawn questions (passage groups together) and a message per row the bank cannot fill
+ */
+function drawToBlueprint(questions, blueprint) {
+  const results = allocateBlueprint(questions, blueprint, shuffleKeepingPassages);
+  const shortfalls = [];
+  results.forEach((result, index) => {
+    const row = blueprint.rows[index];
+    if (result.picked.length < row.count) {
+      shortfalls.push(`${describeBlueprintRow(row)}: needs ${row.count}, only ${result.picked.length} available`);
+    }
+  });
+  return { questions: shuffleKeepingPassages(results.flatMap(result => result.picked)), shortfalls };
+}
+
+// ============================================================================
+// PRESETS AND FILES
+// ============================================================================
+
+/**
+ * Reads the saved blueprint presets
+ * @returns {Object} Map of name → blueprint
+ */
+function loadBlueprintPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BLUEPRINT_PRESETS_KEY) || '{}');
+    const presets = {};
+    Object.keys(saved || {}).forEach(name => {
+      const blueprint = normalizeBlueprint(saved[name]);
+      if (blueprint) presets[name] = blueprint;
+    });
+    return presets;
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Saves a blueprint as a preset under its name (replacing one of the same name)
+ * @param {Object} blueprint - Normalized blueprint
+ * @returns {boolean} False when the browser refused to store it
+ */
+function saveBlueprintPreset(blueprint) {
+  const presets = loadBlueprintPresets();
+  presets[blueprint.name] = blueprint;
+  try {
+    localStorage.setItem(BLUEPRINT_PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Removes a saved preset
+ * @param {string} name - Preset name
+ */
+function deleteBlueprintPreset(name) {
+  const presets = loadBlueprintPresets();
+  delete presets[name];
+  try { localStorage.setItem(BLUEPRINT_PRESETS_KEY, JSON.stringify(presets)); } catch (_) {}
+}
+
+/**
+ * Downloads a blueprint as <name>.blueprint.json
+ * @param {Object} blueprint - Normalized blueprint
+ */
+function downloadBlueprintFile(blueprint) {
+  const blob = new Blob([JSON.stringify(blueprint, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${blueprint.name.replace(/[^a-z0-9_\-]+/gi, '_')}.blueprint.json`;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => { try { URL.revokeObjectURL(url); } catch(_){} document.body.removeChild(a); }, 0);
+}
+
+/**
+ * Reads a .blueprint.json file
+ * @param {File} file - Chosen file
+ * @returns {Promise<Object>} The normalized blueprint; rejects with a readable message
+ */
+async function readBlueprintFile(file) {
+  let data;
+  try {
+    data = JSON.parse((await file.text()).replace(/^﻿/, ''));
+  } catch (_) {
+    throw new Error(`${file.name} is not a JSON file.`);
+  }
+  const blueprint = normalizeBlueprint(data);
+  if (!blueprint) throw new Error(`${file.name} has no blueprint rows (each row needs a count of at least 1).`);
+  return blueprint;
+}
+
+// ============================================================================
+// EDITOR
+// ============================================================================
+
+/**
+ * Builds the "Blueprint" section of a filter panel
+ *
+ * @param {Array} catalog - The loaded bank: objects with topic, subtopic, difficulty and question_type or type
+ * @param {Object} [options]
+ * @param {string} [options.idSuffix] - 'Db' in database mode, so ids match the panel's other options
+ * @param {Object} [options.saved] - Blueprint to show (the one the last test used); switches the section on
+ * @param {Array<HTMLElement>} [options.overridden] - Filter sections the blueprint replaces; greyed out while it is on
+ * @returns {HTMLElement} Section element with id "blueprint-section"
+ */
+function buildBlueprintSection(catalog, options = {}) {
+  const { idSuffix = '', saved = null, overridden = [] } = options;
+  const section = document.createElement('div');
+  section.className = 'filter-section';
+  section.id = 'blueprint-section';
+  section.innerHTML = `
+    <h3>📐 Blueprint</h3>
+    <label title="Draw exactly the number of questions each row asks for">
+      <input type="checkbox" id="blueprintOption${idSuffix}" ${saved ? 'checked' : ''}> Draw the test to a blueprint (exact counts per topic, type and difficulty)
+    </label>
+    <div class="blueprint-note" style="display: ${saved ? 'block' : 'none'}; margin-top: 4px; font-size: 0.9em; color: #856404;">
+      ⚠️ The topic, type, difficulty, tag and number-of-questions choices are not used while the blueprint is on.
+    </div>
+    <div class="blueprint-body" style="display: ${saved ? 'block' : 'none'}; margin-top: 8px;">
+      <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-bottom: 8px;">
+        <select class="blueprint-presets" title="Load a saved blueprint"></select>
+        <input type="text" class="blueprint-name" placeholder="Blueprint name" maxlength="60" style="width: 12em;">
+        <button type="button" class="custom-btn blueprint-save" title="Save these rows as a preset in this browser">💾 Save</button>
+        <button type="button" class="custom-btn blueprint-delete" title="Delete the selected preset">🗑️ Delete</button>
+        <button type="button" class="custom-btn blueprint-download" title="Download these rows as a .blueprint.json file">⬇️ Download</button>
+        <button type="button" class="custom-btn blueprint-open" title="Open a .blueprint.json file">📂 Open File</button>
+        <input type="file" class="blueprint-file" accept=".json,application/json" style="display: none;">
+      </div>
+      <table class="blueprint-table" style="border-collapse: collapse; font-size: 0.9em;">
+        <thead><tr>
+          <th style="text-align: left; padding: 3px 6px;">Topic</th>
+          <th style="text-align: left; padding: 3px 6px;">Subtopic</th>
+          <th style="text-align: left; padding: 3px 6px;">Type</th>
+          <th style="text-align: left; padding: 3px 6px;">Difficulty</th>
+          <th style="text-align: left; padding: 3px 6px;">Questions</th>
+          <th style="text-align: left; padding: 3px 6px;">Available</th>
+          <th></th>
+        </tr></thead>
+        <tbody></tbody>
+      </table>
+      <button type="button" class="custom-btn blueprint-add" style="margin-top: 6px;">➕ Add Row</button>
+      <div class="blueprint-summary" style="margin-top: 6px; font-weight: bold;"></div>
+    </div>`;
+
+  const sorted = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const topics = sorted(catalog.map(q => String(q.topic || '')));
+  const types = sorted(catalog.map(getBlueprintType));
+  const difficulties = DIFFICULTY_LEVELS.filter(level => catalog.some(q => normalizeDifficulty(q.difficulty) === level));
+  const subtopicsOf = topic => sorted(catalog.filter(q => !topic || String(q.topic || '') === topic).map(q => String(q.subtopic || '')));
+
+  const body = section.querySelector('.blueprint-body');
+  const tbody = section.querySelector('tbody');
+  const presetSelect = section.querySelector('.blueprint-presets');
+  const nameInput = section.querySelector('.blueprint-name');
+  const summary = section.querySelector('.blueprint-summary');
+  const status = (message, isError) => {
+    const target = document.getElementById('file-chosen');
+    if (target) target.innerHTML = `<span style="color: ${isError ? 'red' : '#0078d7'};">${message}</span>`;
+  };
+
+  // Fills a select with "any" plus the given values (keeping a value the bank lacks, e.g. from a file)
+  const fillSelect = (select, values, anyLabel, current) => {
+    const list = current && !values.includes(current) ? [...values, current] : values;
+    select.innerHTML = '';
+    select.appendChild(new Option(anyLabel, ''));
+    list.forEach(value => select.appendChild(new Option(value, value)));
+    select.value = current || '';
+  };
+
+  const readRows = () => readBlueprintRows(tbody);
+
+  // The sections the blueprint replaces stay visible but cannot be changed
+  const markOverridden = on => overridden.filter(Boolean).forEach(div => {
+    div.style.opacity = on ? '0.5' : '';
+    div.style.pointerEvents = on ? 'none' : '';
+    div.setAttribute('aria-disabled', on ? 'true' : 'false');
+  });
+
+  // Feasibility against the loaded bank, row by row
+  const refresh = () => {
+    const rows = readRows();
+    const blueprint = normalizeBlueprint({ rows });
+    const plan = blueprint ? planBlueprint(catalog, blueprint) : null;
+    let planIndex = 0;
+    Array.from(tbody.rows).forEach((tr, i) => {
+      const cell = tr.querySelector('.bp-available');
+      if (!(rows[i].count > 0)) {
+        cell.textContent = '—';
+        cell.style.color = '#666';
+        return;
+      }
+      const { available, short } = plan.rows[planIndex++];
+      cell.textContent = short > 0 ? `⚠️ ${rows[i].count - short} of ${rows[i].count}` : `✅ ${available}`;
+      cell.style.color = short > 0 ? '#c62828' : '#2e7d32';
+      cell.title = short > 0
+        ? `Only ${rows[i].count - short} question${rows[i].count - short === 1 ? '' : 's'} left for this row once the more specific rows have drawn theirs`
+        : `${available} question${available === 1 ? '' : 's'} to draw from`;
+    });
+    if (!plan) {
+      summary.textContent = 'Add a row with at least one question.';
+      summary.style.color = '#666';
+    } else {
+      const shortRows = plan.rows.filter(row => row.short > 0).length;
+      summary.textContent = shortRows === 0
+        ? `Total: ${plan.total} question${plan.total === 1 ? '' : 's'} · ✅ the bank can fill every row`
+        : `Total: ${plan.total} question${plan.total === 1 ? '' : 's'} · ⚠️ ${shortRows} row${shortRows === 1 ? '' : 's'} cannot be filled from this bank`;
+      summary.style.color = shortRows === 0 ? '#2e7d32' : '#c62828';
+    }
+  };
+
+  const addRow = (row = {}) => {
+    const tr = document.createElement('tr');
+    const cell = 'padding: 3px 6px;';
+    tr.innerHTML = `
+      <td style="${cell}"><select class="bp-topic"></select></td>
+      <td style="${cell}"><select class="bp-subtopic"></select></td>
+      <td style="${cell}"><select class="bp-type"></select></td>
+      <td style="${cell}"><select class="bp-difficulty"></select></td>
+      <td style="${cell}"><input type="number" class="bp-count" min="1" step="1" value="${Number(row.count) > 0 ? Number(row.count) : 5}" style="width: 4.5em;"></td>
+      <td style="${cell}" class="bp-available"></td>
+      <td style="${cell}"><button type="button" class="bp-remove" title="Remove this row" style="cursor: pointer;">✖</button></td>`;
+    const topicSelect = tr.querySelector('.bp-topic');
+    const subtopicSelect = tr.querySelector('.bp-subtopic');
+    fillSelect(topicSelect, topics, 'Any topic', row.topic);
+    fillSelect(subtopicSelect, subtopicsOf(row.topic), 'Any subtopic', row.subtopic);
+    fillSelect(tr.querySelector('.bp-type'), types, 'Any type', row.type);
+    fillSelect(tr.querySelector('.bp-difficulty'), difficulties, 'Any difficulty', row.difficulty);
+    topicSelect.addEventListener('change', () => fillSelect(subtopicSelect, subtopicsOf(topicSelect.value), 'Any subtopic', ''));
+    tr.querySelector('.bp-remove').addEventListener('click', () => { tr.remove(); refresh(); });
+    tbody.appendChild(tr);
+  };
+
+  const showBlueprint = blueprint => {
+    tbody.innerHTML = '';
+    blueprint.rows.forEach(addRow);
+    nameInput.value = blueprint.name;
+    refresh();
+  };
+
+  const fillPresets = selected => {
+    const presets = loadBlueprintPresets();
+    presetSelect.innerHTML = '';
+    presetSelect.appendChild(new Option(Object.keys(presets).length > 0 ? 'Saved blueprints…' : 'No saved blueprints', ''));
+    Object.keys(presets).sort((a, b) => a.localeCompare(b)).forEach(name => presetSelect.appendChild(new Option(name, name)));
+    presetSelect.value = selected && presets[selected] ? selected : '';
+  };
+
+  const currentBlueprint = () => normalizeBlueprint({ name: nameInput.value, rows: readRows() });
+
+  section.querySelector(`#blueprintOption${idSuffix}`).addEventListener('change', (e) => {
+    body.style.display = e.target.checked ? 'block' : 'none';
+    section.querySelector('.blueprint-note').style.display = e.target.checked ? 'block' : 'none';
+    markOverridden(e.target.checked);
+  });
+  tbody.addEventListener('change', refresh);
+  tbody.addEventListener('input', refresh);
+  section.querySelector('.blueprint-add').addEventListener('click', () => { addRow(); refresh(); });
+  presetSelect.addEventListener('change', () => {
+    const preset = loadBlueprintPresets()[presetSelect.value];
+    if (preset) showBlueprint(preset);
+  });
+  section.querySelector('.blueprint-save').addEventListener('click', () => {
+    const blueprint = currentBlueprint();
+    if (!blueprint || !nameInput.value.trim()) {
+      status(blueprint ? 'Give the blueprint a name before saving it.' : 'Add a row with at least one question before saving.', true);
+      return;
+    }
+    if (!saveBlueprintPreset(blueprint)) {
+      status('This browser would not store the blueprint. Use Download to keep it as a file.', true);
+      return;
+    }
+    fillPresets(blueprint.name);
+    status(`Blueprint "${sanitizeText(blueprint.name)}" saved.`);
+  });
+  section.querySelector('.blueprint-delete').addEventListener('click', () => {
+    if (!presetSelect.value) {
+      status('Choose a saved blueprint to delete.', true);
+      return;
+    }
+    const name = presetSelect.value;
+    deleteBlueprintPreset(name);
+    fillPresets();
+    status(`Blueprint "${sanitizeText(name)}" deleted.`);
+  });
+  section.querySelector('.blueprint-download').addEventListener('click', () => {
+    const blueprint = currentBlueprint();
+    if (!blueprint) {
+      status('Add a row with at least one question before downloading.', true);
+      return;
+    }
+    downloadBlueprintFile(blueprint);
+  });
+  const fileInput = section.querySelector('.blueprint-file');
+  section.querySelector('.blueprint-open').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      showBlueprint(await readBlueprintFile(file));
+      status(`Blueprint loaded from ${sanitizeText(file.name)}.`);
+    } catch (error) {
+      status(sanitizeText(error.message), true);
+    }
+  });
+
+  fillPresets(saved && saved.name);
+  markOverridden(!!saved);
+  if (saved) {
+    showBlueprint(saved);
+  } else {
+    addRow({ topic: topics.length === 1 ? topics[0] : '', count: Math.min(5, catalog.length) });
+    refresh();
+  }
+  return section;
+}
+
+/**
+ * Reads the rows of a blueprint editor table as entered
+ * @param {HTMLTableSectionElement} tbody - Row container of the editor
+ * @returns {Array<Object>} { topic, subtopic, type, difficulty, count } per row, before normalizeBlueprint()
+ */
+function readBlueprintRows(tbody) {
+  return Array.from(tbody.rows, tr => ({
+    topic: tr.querySelector('.bp-topic').value,
+    subtopic: tr.querySelector('.bp-subtopic').value,
+    type: tr.querySelector('.bp-type').value,
+    difficulty: tr.querySelector('.bp-difficulty').value,
+    count: parseInt(tr.querySelector('.bp-count').value, 10) || 0
+  }));
+}
+
+/**
+ * Reads the blueprint the current filter panel should draw to
+ * @returns {Object|null} Normalized blueprint, or null when the section is absent, switched off or has no row
+ */
+function getActiveBlueprint() {
+  const section = document.getElementById('blueprint-section');
+  const toggle = section && section.querySelector('input[type="checkbox"][id^="blueprintOption"]');
+  if (!toggle || !toggle.checked) return null;
+  return normalizeBlueprint({
+    name: section.querySelector('.blueprint-name').value,
+    rows: readBlueprintRows(section.querySelector('tbody'))
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * ============================================================================
+ * BROWSER STORAGE MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Opens the IndexedDB databases that features keep in the learner's browser
+ * (the review deck, the attempt history). Loaded by InsightPrep.html,
+ * exam.html and history.html, so it only relies on the browser.
+ *
+ * Core Functions:
+ * • openIndexedDb() - Opens (and on first use creates) a database
+ *
+ * Dependencies:
+ * • None
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+/**
+ * Opens an IndexedDB database, creating or upgrading it when needed
+ * Resolves to null rather than failing, so a feature can carry on without
+ * storage where the browser offers none.
+ *
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Creates the object stores; called with the IDBDatabase
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is not available
+ */
+function openIndexedDb(name, version, upgrade) {
+  return new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    let request;
+    try {
+      request = indexedDB.open(name, version);
+    } catch (error) {
+      resolve(null); // e.g. storage blocked for file:// pages
+      return;
+    }
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
+}
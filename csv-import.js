@@ -0,0 +1,626 @@
+/**
+ * ============================================================================
+ * CSV / TSV IMPORT MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Lets content authors load question banks straight from spreadsheets. A
+ * CSV or TSV export is parsed, its columns are mapped onto the JSON Question
+ * schema (see JSON/questions_json_format.md), and the resulting questions are
+ * handed to buildFilterPanel() exactly like a loaded JSON bank.
+ *
+ * Key Responsibilities:
+ * • Parsing: RFC 4180 style parsing (quoted cells, escaped quotes, embedded
+ *   newlines) with automatic comma / tab / semicolon detection
+ * • Column Mapping: Guess the mapping from header names and let the user
+ *   adjust it in a preview dialog before importing
+ * • Conversion: Turn each row into a Question object (single, multiple,
+ *   match, assertion) using the same conventions as the JSON format
+ * • Error Reporting: Collect per-row errors (with spreadsheet line numbers)
+ *   so authors can fix their sheet; rows with errors are skipped on import
+ *
+ * Spreadsheet Conventions:
+ * • options: one cell with options separated by "|", or several columns all
+ *   mapped to "Options" (one option per column, empty cells ignored)
+ * • answer: option text, option letter (A, B, ...) or 1-based option number;
+ *   several answers for type "multiple" are separated by "|"
+ * • match: options cell holds "Left = Right" pairs separated by "|"
+ * • type: single | multiple | match | assertion; DB names such as MCQ,
+ *   MCQ-Multiple, TrueFalse, Match and AssertionReason are accepted too.
+ *   When empty the type is inferred from the number of answers.
+ *
+ * Core Functions:
+ * • handleDelimitedFileInput() - Entry point used by handleFileInput()
+ * • parseDelimitedText() - Text → rows of cells
+ * • guessCsvColumnMapping() - Header names → Question fields
+ * • convertCsvRows() - Rows + mapping → { questions, rowErrors }
+ * • showCsvImportPreview() - Column-mapping preview and error report dialog
+ * • loadImportedQuestionBank() - Shared JSON-mode loader for imported banks
+ *
+ * Dependencies:
+ * • core-utils.js - sanitizeText
+ * • app-state.js - AppState, resetWorkflow, resetOptionsToDefaults
+ * • database-manager.js - normalizeDifficulty, normalizeTags
+ * • json-filter-panel.js - buildFilterPanel
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// ============================================================================
+// FIELD DEFINITIONS
+// ============================================================================
+
+/**
+ * Question fields a spreadsheet column can be mapped to.
+ * Aliases are compared after lower-casing and stripping spaces, "_" and "-".
+ */
+const CSV_IMPORT_FIELDS = [
+  { key: 'question', label: 'Question', required: true, aliases: ['question', 'questiontext', 'prompt', 'stem'] },
+  { key: 'type', label: 'Type', required: false, aliases: ['type', 'questiontype', 'qtype'] },
+  { key: 'topic', label: 'Topic', required: false, aliases: ['topic', 'category'] },
+  { key: 'subtopic', label: 'Subtopic', required: false, aliases: ['subtopic', 'subcategory'] },
+  { key: 'options', label: 'Options', required: false, aliases: ['options', 'choices', 'option', 'choice', 'pairs', 'matchpairs'] },
+  { key: 'answer', label: 'Answer', required: false, aliases: ['answer', 'answers', 'correct', 'correctanswer', 'correctanswers', 'key'] },
+  { key: 'explanation', label: 'Explanation', required: false, aliases: ['explanation', 'rationale', 'solution'] },
+  { key: 'reference', label: 'Reference', required: false, aliases: ['reference', 'source', 'ref'] },
+  { key: 'difficulty', label: 'Difficulty', required: false, aliases: ['difficulty', 'level', 'difficultylevel'] },
+  { key: 'tags', label: 'Tags', required: false, aliases: ['tags', 'tag', 'labels', 'keywords'] }
+];
+
+// Separator used inside a single cell for options, answers and match pairs
+const CSV_LIST_SEPARATOR = '|';
+
+// Map of accepted type spellings to JSON question types
+const CSV_TYPE_ALIASES = {
+  'single': 'single',
+  'mcq': 'single',
+  'mcqscenario': 'single',
+  'cohort05mcq': 'single',
+  'truefalse': 'single',
+  'multiple': 'multiple',
+  'mcqmultiple': 'multiple',
+  'multi': 'multiple',
+  'match': 'match',
+  'matching': 'match',
+  'assertion': 'assertion',
+  'assertionreason': 'assertion'
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Normalizes a header or type label for alias lookups
+ * @param {string} value - Raw label
+ * @returns {string} Lower-case label without spaces, "_" or "-"
+ */
+function normalizeCsvLabel(value) {
+  return String(value || '').toLowerCase().replace(/[\s_\-]+/g, '');
+}
+
+/**
+ * Picks the cell delimiter for a file
+ * TSV files always use tabs; otherwise the most frequent of tab, comma and
+ * semicolon on the header line wins.
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(text, fileName = '') {
+  if (/\.tsv$/i.test(fileName)) return '\t';
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = {
+    '\t': (firstLine.match(/\t/g) || []).length,
+    ',': (firstLine.match(/,/g) || []).length,
+    ';': (firstLine.match(/;/g) || []).length
+  };
+  return Object.keys(counts).reduce((best, d) => counts[d] > counts[best] ? d : best, ',');
+}
+
+/**
+ * Parses delimited text into rows of cells
+ * Supports quoted cells, doubled quotes and line breaks inside quotes.
+ * Blank rows are dropped.
+ * @param {string} text - File contents
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<{line: number, cells: string[]}>} Rows with their 1-based starting line
+ */
+function parseDelimitedText(text, delimiter) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  const pushRow = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== '')) {
+      rows.push({ line: rowStartLine, cells: cells.map(c => c.trim()) });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      cell = '';
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      pushRow();
+      line++;
+      rowStartLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length > 0) pushRow();
+
+  return rows;
+}
+
+/**
+ * Splits a list cell ("a | b | c") into trimmed, non-empty items
+ * @param {string} value - Cell text
+ * @returns {string[]} Items
+ */
+function splitCsvList(value) {
+  return String(value || '')
+    .split(CSV_LIST_SEPARATOR)
+    .map(item => item.trim())
+    .filter(item => item !== '');
+}
+
+// ============================================================================
+// COLUMN MAPPING & CONVERSION
+// ============================================================================
+
+/**
+ * Guesses which Question field each column holds from its header
+ * Columns such as "Option A" or "Choice 2" map to options. Only the first
+ * column matching a single-valued field is mapped; the rest are ignored.
+ * @param {string[]} headers - Header row cells
+ * @returns {string[]} Field key per column ('' = ignore)
+ */
+function guessCsvColumnMapping(headers) {
+  const used = new Set();
+  return headers.map(header => {
+    const label = normalizeCsvLabel(header);
+    if (/^(option|choice)[a-z0-9]$|^(option|choice)\d+$/.test(label)) {
+      return 'options';
+    }
+    const field = CSV_IMPORT_FIELDS.find(f => f.aliases.includes(label));
+    if (!field) return '';
+    if (field.key !== 'options' && used.has(field.key)) return '';
+    used.add(field.key);
+    return field.key;
+  });
+}
+
+/**
+ * Resolves one answer token against the option list
+ * Accepts the option text (case-insensitive), a letter (A = first option)
+ * or a 1-based option number.
+ * @param {string} token - Answer as written in the sheet
+ * @param {string[]} options - Option texts
+ * @returns {string|null} Matching option text, or null when not found
+ */
+function resolveCsvAnswer(token, options) {
+  const exact = options.find(o => o === token) || options.find(o => o.toLowerCase() === token.toLowerCase());
+  if (exact) return exact;
+  if (/^[A-Za-z]$/.test(token)) {
+    const idx = token.toUpperCase().charCodeAt(0) - 65;
+    if (idx < options.length) return options[idx];
+  }
+  if (/^\d+$/.test(token)) {
+    const idx = parseInt(token, 10) - 1;
+    if (idx >= 0 && idx < options.length) return options[idx];
+  }
+  return null;
+}
+
+/**
+ * Converts one spreadsheet row into a Question object
+ * @param {string[]} cells - Row cells
+ * @param {string[]} mapping - Field key per column
+ * @param {number} rowNumber - Running number used as the question id
+ * @returns {{question: Object|null, errors: string[]}} Converted question and problems found
+ */
+function csvRowToQuestion(cells, mapping, rowNumber) {
+  const errors = [];
+  const values = {};
+  const optionCells = [];
+
+  mapping.forEach((field, col) => {
+    if (!field) return;
+    const value = cells[col] !== undefined ? cells[col] : '';
+    if (field === 'options') {
+      optionCells.push(value);
+    } else if (values[field] === undefined) {
+      values[field] = value;
+    }
+  });
+
+  const questionText = values.question || '';
+  if (!questionText) errors.push('Missing question text');
+
+  // Options: one "a | b | c" cell, or one option per mapped column
+  const options = optionCells.length === 1
+    ? splitCsvList(optionCells[0])
+    : optionCells.reduce((all, value) => all.concat(splitCsvList(value)), []);
+
+  const rawType = values.type || '';
+  let type = rawType ? CSV_TYPE_ALIASES[normalizeCsvLabel(rawType)] : null;
+  if (rawType && !type) {
+    errors.push(`Unknown type "${rawType}" (use single, multiple, match or assertion)`);
+  }
+  const isTrueFalse = normalizeCsvLabel(rawType) === 'truefalse';
+  if (isTrueFalse && options.length === 0) {
+    options.push('True', 'False');
+  }
+
+  const question = {
+    id: rowNumber,
+    topic: values.topic || 'General',
+    subtopic: values.subtopic || 'General',
+    type: type || 'single',
+    question: questionText
+  };
+
+  const answerTokens = splitCsvList(values.answer);
+
+  if (type === 'match') {
+    const pairs = {};
+    options.forEach(pair => {
+      const sep = pair.indexOf('=');
+      const left = sep > -1 ? pair.slice(0, sep).trim() : '';
+      const right = sep > -1 ? pair.slice(sep + 1).trim() : '';
+      if (!left || !right) {
+        errors.push(`Match pair "${pair}" must look like "Left = Right"`);
+      } else if (pairs[left] !== undefined) {
+        errors.push(`Duplicate left item "${left}"`);
+      } else {
+        pairs[left] = right;
+      }
+    });
+    if (Object.keys(pairs).length < 2) {
+      errors.push('Match questions need at least 2 pairs');
+    }
+    question.matchPairs = pairs;
+  } else {
+    if (options.length < 2) {
+      errors.push('At least 2 options are required');
+    }
+    if (answerTokens.length === 0) {
+      errors.push('Missing answer');
+    }
+    const resolved = [];
+    answerTokens.forEach(token => {
+      const match = resolveCsvAnswer(token, options);
+      if (match === null) {
+        errors.push(`Answer "${token}" does not match any option`);
+      } else if (!resolved.includes(match)) {
+        resolved.push(match);
+      }
+    });
+
+    if (!type) {
+      question.type = resolved.length > 1 ? 'multiple' : 'single';
+    } else if (type !== 'multiple' && resolved.length > 1) {
+      errors.push(`Type "${type}" allows only one answer but ${resolved.length} were given`);
+    }
+
+    question.options = options;
+    question.answer = question.type === 'multiple' ? resolved : (resolved[0] || '');
+  }
+
+  if (values.explanation) question.explanation = values.explanation;
+  if (values.reference) question.reference = values.reference;
+  if (values.difficulty) {
+    const difficulty = normalizeDifficulty(values.difficulty);
+    if (difficulty) {
+      question.difficulty = difficulty;
+    } else {
+      errors.push(`Unknown difficulty "${values.difficulty}" (use Easy, Medium or Hard)`);
+    }
+  }
+  if (values.tags) {
+    const tags = normalizeTags(splitCsvList(values.tags));
+    if (tags.length > 0) question.tags = tags;
+  }
+
+  return { question: errors.length === 0 ? question : null, errors };
+}
+
+/**
+ * Converts all data rows with the given mapping
+ * @param {Array<{line: number, cells: string[]}>} dataRows - Rows below the header
+ * @param {string[]} mapping - Field key per column
+ * @returns {{questions: Object[], rowErrors: Array<{line: number, errors: string[]}>}} Import result
+ */
+function convertCsvRows(dataRows, mapping) {
+  const questions = [];
+  const rowErrors = [];
+
+  if (!mapping.includes('question')) {
+    return { questions, rowErrors: [{ line: 1, errors: ['No column is mapped to "Question"'] }] };
+  }
+
+  dataRows.forEach((row, index) => {
+    const { question, errors } = csvRowToQuestion(row.cells, mapping, index + 1);
+    if (errors.length > 0) {
+      rowErrors.push({ line: row.line, errors });
+    } else {
+      questions.push(question);
+    }
+  });
+
+  return { questions, rowErrors };
+}
+
+// ============================================================================
+// PREVIEW DIALOG
+// ============================================================================
+
+/**
+ * Shows the column-mapping preview with per-row errors
+ * Every mapping change re-runs the conversion so the error list and counts
+ * stay current. Importing loads only the rows without errors.
+ * @param {string} fileName - Original file name
+ * @param {Array<{line: number, cells: string[]}>} rows - Parsed rows, header first
+ * @param {string} delimiter - Detected delimiter (shown in the summary)
+ */
+function showCsvImportPreview(fileName, rows, delimiter) {
+  const headers = rows[0].cells;
+  const dataRows = rows.slice(1);
+  const mapping = guessCsvColumnMapping(headers);
+  const delimiterName = delimiter === '\t' ? 'tab' : delimiter === ';' ? 'semicolon' : 'comma';
+
+  const overlay = document.createElement('div');
+  overlay.id = 'csv-import-overlay';
+  overlay.style.cssText = `
+    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+    background: rgba(0,0,0,0.5); z-index: 10000; display: flex;
+    justify-content: center; align-items: center; padding: 20px; box-sizing: border-box;
+  `;
+
+  const modal = document.createElement('div');
+  modal.style.cssText = `
+    background: white; border-radius: 8px; max-width: 95vw; max-height: 85vh;
+    overflow: hidden; box-shadow: 0 4px 20px rgba(0,0,0,0.3); display: flex; flex-direction: column;
+    min-width: min(900px, 95vw);
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    padding: 20px; background: #2196f3; color: white; display: flex;
+    justify-content: space-between; align-items: center;
+  `;
+  header.innerHTML = `<h3 style="margin: 0;">📑 Import ${sanitizeText(fileName)}</h3>`;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.style.cssText = `
+    background: none; border: none; color: white; font-size: 24px;
+    cursor: pointer; padding: 0; width: 30px; height: 30px; border-radius: 50%;
+  `;
+  header.appendChild(closeBtn);
+
+  const summary = document.createElement('div');
+  summary.style.cssText = 'padding: 15px; background: #e3f2fd; border-bottom: 1px solid #ddd;';
+
+  const content = document.createElement('div');
+  content.style.cssText = 'flex: 1; overflow: auto; padding: 20px;';
+
+  // Mapping + preview table: one select per column above the first rows
+  const table = document.createElement('table');
+  table.style.cssText = 'border-collapse: collapse; width: 100%; font-size: 0.9em; margin-bottom: 20px;';
+
+  const selectRow = document.createElement('tr');
+  headers.forEach((h, col) => {
+    const th = document.createElement('th');
+    th.style.cssText = 'padding: 8px; background: #f5f5f5; border: 1px solid #ddd; text-align: left; vertical-align: top;';
+    const name = document.createElement('div');
+    name.textContent = h || `Column ${col + 1}`;
+    name.style.marginBottom = '6px';
+    const select = document.createElement('select');
+    select.dataset.col = col;
+    select.innerHTML = '<option value="">(ignore)</option>' +
+      CSV_IMPORT_FIELDS.map(f => `<option value="${f.key}">${f.label}${f.required ? ' *' : ''}</option>`).join('');
+    select.value = mapping[col];
+    select.addEventListener('change', () => {
+      mapping[col] = select.value;
+      refresh();
+    });
+    th.appendChild(name);
+    th.appendChild(select);
+    selectRow.appendChild(th);
+  });
+  table.appendChild(selectRow);
+
+  dataRows.slice(0, 5).forEach(row => {
+    const tr = document.createElement('tr');
+    headers.forEach((_, col) => {
+      const td = document.createElement('td');
+      td.style.cssText = 'padding: 6px 8px; border: 1px solid #eee; max-width: 260px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      td.textContent = row.cells[col] || '';
+      td.title = row.cells[col] || '';
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+
+  const errorsDiv = document.createElement('div');
+
+  content.appendChild(table);
+  content.appendChild(errorsDiv);
+
+  const footer = document.createElement('div');
+  footer.style.cssText = 'padding: 15px 20px; border-top: 1px solid #ddd; display: flex; gap: 10px; justify-content: flex-end;';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.className = 'custom-btn';
+  cancelBtn.style.cssText = 'background-color: #f5f5f5; color: #333; border: 1px solid #ccc;';
+
+  const importBtn = document.createElement('button');
+  importBtn.className = 'custom-btn';
+
+  footer.appendChild(cancelBtn);
+  footer.appendChild(importBtn);
+
+  modal.appendChild(header);
+  modal.appendChild(summary);
+  modal.appendChild(content);
+  modal.appendChild(footer);
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  let result = { questions: [], rowErrors: [] };
+
+  function refresh() {
+    result = convertCsvRows(dataRows, mapping);
+    const errorRows = result.rowErrors.length;
+
+    summary.innerHTML = `
+      <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 20px;">
+        <div style="text-align: center; padding: 10px; background: white; border-radius: 6px; border-left: 4px solid #2196f3;">
+          <div style="font-size: 1.4em; font-weight: bold; color: #1976d2;">${dataRows.length}</div>
+          <div style="color: #1976d2;">📄 Data rows (${delimiterName} separated)</div>
+        </div>
+        <div style="text-align: center; padding: 10px; background: #e8f5e8; border-radius: 6px; border-left: 4px solid #4caf50;">
+          <div style="font-size: 1.4em; font-weight: bold; color: #2e7d32;">${result.questions.length}</div>
+          <div style="color: #2e7d32;">✅ Ready to import</div>
+        </div>
+        <div style="text-align: center; padding: 10px; background: #ffebee; border-radius: 6px; border-left: 4px solid #f44336;">
+          <div style="font-size: 1.4em; font-weight: bold; color: #c62828;">${errorRows}</div>
+          <div style="color: #c62828;">⚠️ Rows with errors (skipped)</div>
+        </div>
+      </div>
+      <div style="text-align: center; margin-top: 10px; font-size: 0.9em; color: #666;">
+        Choose the field for each column. Separate options, answers and match pairs with "${CSV_LIST_SEPARATOR}".
+      </div>
+    `;
+
+    if (errorRows === 0) {
+      errorsDiv.innerHTML = '<div style="text-align: center; color: green; padding: 10px;">🎉 All rows are valid!</div>';
+    } else {
+      errorsDiv.innerHTML = `
+        <h4 style="margin: 0 0 10px 0; color: #c62828;">Row errors</h4>
+        <table style="border-collapse: collapse; width: 100%; font-size: 0.9em;">
+          <tr>
+            <th style="padding: 6px 8px; background: #ffebee; border: 1px solid #ddd; text-align: left; width: 80px;">Line</th>
+            <th style="padding: 6px 8px; background: #ffebee; border: 1px solid #ddd; text-align: left;">Problems</th>
+          </tr>
+          ${result.rowErrors.map(r => `
+            <tr>
+              <td style="padding: 6px 8px; border: 1px solid #eee;">${r.line}</td>
+              <td style="padding: 6px 8px; border: 1px solid #eee;">${r.errors.map(sanitizeText).join('<br>')}</td>
+            </tr>`).join('')}
+        </table>
+      `;
+    }
+
+    importBtn.textContent = `Import ${result.questions.length} question${result.questions.length === 1 ? '' : 's'}`;
+    importBtn.disabled = result.questions.length === 0;
+    importBtn.style.opacity = importBtn.disabled ? '0.5' : '1';
+  }
+
+  const close = () => {
+    if (overlay.parentNode) document.body.removeChild(overlay);
+  };
+
+  closeBtn.onclick = close;
+  cancelBtn.onclick = close;
+  overlay.onclick = (e) => {
+    if (e.target === overlay) close();
+  };
+  importBtn.onclick = () => {
+    if (result.questions.length === 0) return;
+    close();
+    loadImportedQuestionBank(fileName, result.questions, result.rowErrors.length, 'row');
+  };
+
+  refresh();
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Loads converted questions into JSON mode
+ * Mirrors the success path of handleFileInput() so the rest of the app
+ * cannot tell an imported bank (CSV/TSV, Moodle XML, GIFT) from a JSON one.
+ * @param {string} fileName - Original file name
+ * @param {Object[]} questions - Converted questions
+ * @param {number} skippedCount - Number of rows/questions skipped because of errors
+ * @param {string} skippedLabel - What was skipped ("row" or "question")
+ */
+function loadImportedQuestionBank(fileName, questions, skippedCount = 0, skippedLabel = 'row') {
+  if (AppState.originalData !== null || AppState.questions.length > 0) {
+    resetWorkflow();
+  }
+
+  const data = { title: fileName.replace(/\.[^.]+$/, '') || 'Imported Test', fileName, questions };
+  AppState.originalData = data;
+  AppState.isDbMode = false;
+
+  const chosen = document.getElementById('file-chosen');
+  if (chosen) {
+    chosen.innerHTML = `✅ Test loaded: <strong>${sanitizeText(data.title)}</strong>` +
+      (skippedCount > 0 ? ` <span style="color: #c62828;">(${skippedCount} ${skippedLabel}${skippedCount === 1 ? '' : 's'} skipped due to errors)</span>` : '');
+  }
+
+  if (typeof resetOptionsToDefaults === 'function') {
+    resetOptionsToDefaults();
+  }
+  buildFilterPanel(data.questions);
+}
+
+/**
+ * Reads a CSV/TSV file and opens the mapping preview
+ * @param {File} file - Selected spreadsheet export
+ */
+function handleDelimitedFileInput(file) {
+  const reader = new FileReader();
+  reader.onload = function(event) {
+    try {
+      const text = typeof event.target.result === 'string' ? event.target.result : '';
+      const delimiter = detectDelimiter(text, file.name);
+      const rows = parseDelimitedText(text, delimiter);
+      if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one question row.');
+      }
+      showCsvImportPreview(file.name, rows, delimiter);
+    } catch (err) {
+      console.error('CSV import failed:', err);
+      const chosen = document.getElementById('file-chosen');
+      if (chosen) {
+        chosen.innerHTML = `❌ Could not read <strong>${sanitizeText(file.name)}</strong>: ${sanitizeText(err.message)}`;
+      }
+    }
+  };
+  reader.readAsText(file);
+}
@@ -182,6 +182,10 @@ function getTypeDescription(typeName) {
     'True or False': 'Binary choice questions',
     'Assertion-Reason': 'Statement and reason evaluation',
     'Match the Following': 'Pairing exercises',
+    'FillBlank': 'Typed answers for ___ blanks in the question',
+    'Numeric': 'Typed numbers checked within a tolerance',
+    'Order': 'Items dragged into the right sequence',
+    'Descriptive': 'Written answers, self-assessed or marked by a teacher',
     'Other': 'Other question formats'
   };
   return descriptions[typeName] || '';
@@ -666,8 +670,9 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
   function updateQuestionTypeCounts() {
     // Get selected topic/subtopic combinations
     const selectAllTopics = document.getElementById("select-all-topics-db");
+    const attributeFilter = getAttributeSqlFilter();
     
-    if (selectAllTopics && selectAllTopics.checked) {
+    if (selectAllTopics && selectAllTopics.checked && !attributeFilter) {
       // All topics and subtopics selected - restore original enhanced counts
       const enhancedTypes = window.currentEnhancedTypes || [];
       enhancedTypes.forEach((typeInfo) => {
@@ -681,9 +686,10 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       });
     } else {
       // Build query based on individual subtopic selections
+      const allTopicsSelected = selectAllTopics && selectAllTopics.checked;
       const selectedSubtopics = topicDiv.querySelectorAll(".subtopic-checkbox:checked");
       
-      if (selectedSubtopics.length === 0) {
+      if (!allTopicsSelected && selectedSubtopics.length === 0) {
         // No subtopics selected - show 0 for all enhanced types
         const enhancedTypes = window.currentEnhancedTypes || [];
         enhancedTypes.forEach((typeInfo) => {
@@ -698,16 +704,20 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
         return;
       }
       
-      // Build conditions for selected subtopics
+      // Build conditions for selected subtopics (difficulty/tag-only filtering keeps every topic)
       const conditions = [];
+      if (allTopicsSelected) {
+        conditions.push('1=1');
+      }
       selectedSubtopics.forEach(subtopicCb => {
+        if (allTopicsSelected) return;
         const topic = subtopicCb.dataset.topic;
         const subtopic = subtopicCb.value;
         conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
       });
       
       // Re-analyze questions with topic/subtopic filtering to get correct enhanced type counts
-      const filteredQuestionsRes = AppState.database.exec(`SELECT id, question_type FROM questions WHERE ${conditions.join(' OR ')}`);
+      const filteredQuestionsRes = AppState.database.exec(`SELECT id, question_type FROM questions WHERE (${conditions.join(' OR ')})${attributeFilter}`);
       
       if (filteredQuestionsRes[0]?.values) {
         const filteredQuestions = filteredQuestionsRes[0].values;
@@ -819,6 +829,87 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
   
   wrapper.appendChild(typeDiv);
 
+  // Difficulty section - only for databases with a difficulty column holding rated questions
+  let difficultyDiv = null;
+  if (questionsTableHasColumn(AppState.database, 'difficulty')) {
+    const difficultyRes = AppState.database.exec("SELECT difficulty FROM questions");
+    const difficultyCounts = countQuestionsByDifficulty((difficultyRes[0]?.values || []).map(row => ({ difficulty: row[0] })));
+    if (DIFFICULTY_LEVELS.some(level => difficultyCounts[level])) {
+      difficultyDiv = buildDifficultyFilterSection(difficultyCounts, shouldRestore ? (savedState.selectedDifficulties || null) : null);
+      wrapper.appendChild(difficultyDiv);
+    }
+  }
+  
+  // Difficulty counts follow the topic/subtopic selection, like the type counts
+  function updateDifficultyCountsDb() {
+    if (!difficultyDiv) return;
+    const selectAllTopics = document.getElementById("select-all-topics-db");
+    let sql = "SELECT difficulty FROM questions";
+    if (!(selectAllTopics && selectAllTopics.checked)) {
+      const conditions = Array.from(topicDiv.querySelectorAll(".subtopic-checkbox:checked")).map(cb =>
+        `(topic = '${escapeSQL(cb.dataset.topic)}' AND subtopic = '${escapeSQL(cb.value)}')`);
+      sql += conditions.length > 0 ? ` WHERE ${conditions.join(' OR ')}` : ' WHERE 0 = 1';
+    }
+    const res = AppState.database.exec(sql);
+    updateDifficultyCounts(countQuestionsByDifficulty((res[0]?.values || []).map(row => ({ difficulty: row[0] }))));
+  }
+  
+  if (difficultyDiv) {
+    topicDiv.addEventListener("change", updateDifficultyCountsDb);
+    difficultyDiv.addEventListener("change", () => {
+      updateQuestionTypeCounts();
+      updateMaxQuestions();
+    });
+  }
+
+  // Tag section - only for databases with a tags table holding at least one tag
+  const hasTagsTable = databaseHasTable(AppState.database, 'tags');
+
+  // Reads tags for the questions matched by a WHERE clause and counts them per tag
+  function countDbQuestionsByTag(whereClause) {
+    const res = AppState.database.exec(`SELECT question_id, tag FROM tags WHERE question_id IN (SELECT id FROM questions WHERE ${whereClause})`);
+    const tagsById = {};
+    (res[0]?.values || []).forEach(([questionId, tag]) => {
+      (tagsById[questionId] = tagsById[questionId] || []).push(tag);
+    });
+    return countQuestionsByTag(Object.values(tagsById).map(tags => ({ tags })));
+  }
+
+  let tagDiv = null;
+  if (hasTagsTable) {
+    const tagCounts = countDbQuestionsByTag('1=1');
+    if (Object.keys(tagCounts).length > 0) {
+      tagDiv = buildTagFilterSection(tagCounts, shouldRestore ? (savedState.tagFilter || null) : null);
+      wrapper.appendChild(tagDiv);
+    }
+  }
+
+  // Tag counts follow the topic/subtopic and difficulty selection
+  function updateTagCountsDb() {
+    if (!tagDiv) return;
+    const selectAllTopics = document.getElementById("select-all-topics-db");
+    let where = '1=1';
+    if (!(selectAllTopics && selectAllTopics.checked)) {
+      const conditions = Array.from(topicDiv.querySelectorAll(".subtopic-checkbox:checked")).map(cb =>
+        `(topic = '${escapeSQL(cb.dataset.topic)}' AND subtopic = '${escapeSQL(cb.value)}')`);
+      where = conditions.length > 0 ? `(${conditions.join(' OR ')})` : '0 = 1';
+    }
+    const difficultyCondition = buildDifficultyCondition(getSelectedDifficulties());
+    if (difficultyCondition) where += ` AND ${difficultyCondition}`;
+    updateTagCounts(countDbQuestionsByTag(where));
+  }
+
+  if (tagDiv) {
+    topicDiv.addEventListener("change", updateTagCountsDb);
+    if (difficultyDiv) {
+      difficultyDiv.addEventListener("change", updateTagCountsDb);
+    }
+    tagDiv.addEventListener("change", () => {
+      updateQuestionTypeCounts();
+      updateMaxQuestions();
+    });
+  }
+
   // Explanation & Reference Display (EXACT GOLDEN 22) - respect saved state
   const expDiv = document.createElement("div");
   expDiv.className = "filter-section";
@@ -845,8 +936,11 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     allowTryAgain: true,
     showTopicSubtopic: true,
     showImmediateResult: true,
-    showCorrectAnswer: true
+    showCorrectAnswer: true,
+    orderPartialCredit: false
   };
+  const savedScoring = normalizeScoringPolicy(savedBehavior.scoringPolicy);
+  const savedMarking = normalizeMarkingScheme(savedBehavior.markingScheme);
   
   // Determine if Try Again should be disabled based on immediate result setting
   const tryAgainDisabled = !savedBehavior.showImmediateResult;
@@ -856,7 +950,12 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     <label><input type="checkbox" id="tryAgainOptionDb" ${tryAgainChecked ? 'checked' : ''} ${tryAgainDisabled ? 'disabled' : ''}> Allow "Try Again" for incorrect answers</label><br>
     <label><input type="checkbox" id="topicRevealOptionDb" ${savedBehavior.showTopicSubtopic ? 'checked' : ''}> Show Topic/Subtopic when answering</label><br>
     <label><input type="checkbox" id="immediateResultOptionDb" ${savedBehavior.showImmediateResult ? 'checked' : ''}> Show result immediately after each answer</label><br>
-    <label><input type="checkbox" id="correctAnswerOptionDb" ${savedBehavior.showCorrectAnswer ? 'checked' : ''}> Show correct answer when wrong</label>
+    <label><input type="checkbox" id="correctAnswerOptionDb" ${savedBehavior.showCorrectAnswer ? 'checked' : ''}> Show correct answer when wrong</label><br>
+    <label title="Without this, an ordering question only scores when every item is in place"><input type="checkbox" id="orderPartialOptionDb" ${savedBehavior.orderPartialCredit ? 'checked' : ''}> Partial credit for ordering questions (by position)</label><br>
+    <label title="Per correct option: each correct option picked earns its share of the mark and each wrong pick takes a share away (never below 0)">Multiple-answer scoring: <select id="multipleScoringOptionDb"><option value="all-or-nothing">All or nothing</option><option value="per-option" ${savedScoring.multiple === 'per-option' ? 'selected' : ''}>Per correct option, wrong picks deduct</option></select></label><br>
+    <label title="Per pair: each correctly matched pair earns its share of the mark">Match scoring: <select id="matchScoringOptionDb"><option value="all-or-nothing">All or nothing</option><option value="per-pair" ${savedScoring.match === 'per-pair' ? 'selected' : ''}>Per correct pair</option></select></label><br>
+    <label title="Marks of a question that does not set its own (questions.marks column)">Marks per question: <input type="number" id="defaultMarksOptionDb" value="${savedMarking.defaultMarks}" min="0.25" step="0.25" style="width: 5em;"></label>
+    <label title="Marks taken off for a wrong answer: a number (1 for a +4/−1 scheme) or a share of the question's marks (25%). Unanswered questions lose nothing." style="margin-left: 12px;">Negative marks per wrong answer: <input type="text" id="negativeMarksOptionDb" value="${savedMarking.negativeMarks}" placeholder="0, 1 or 25%" style="width: 5em;"></label>
     <div style="margin-top: 8px; padding: 8px; background: #f0f8ff; border-radius: 4px; font-size: 0.9em; color: #666;">
       <em>Note: If "immediate result" is OFF, results and selected options will be revealed after the final score</em>
     </div>
@@ -962,13 +1061,41 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     // Function to update calculated exam duration
     function updateCalculatedDuration() {
       const durationValueSpan = document.getElementById('duration-value');
-      if (durationValueSpan && numInput) {
+      const durationNote = document.getElementById('duration-note');
+      const sectionSpecs = getExamSectionSpecs();
+      if (durationValueSpan && sectionSpecs) {
+        durationValueSpan.textContent = formatScore(sectionSpecs.reduce((sum, spec) => sum + spec.duration, 0));
+        if (durationNote) durationNote.textContent = '(Sum of the section times)';
+      } else if (durationValueSpan && numInput) {
         const numQuestions = parseInt(numInput.value) || 10;
         const calculatedDuration = Math.round(numQuestions * 1.5);
         durationValueSpan.textContent = calculatedDuration;
+        if (durationNote) durationNote.textContent = '(Number of questions × 1.5 minutes)';
       }
     }
     
+    // Sections editor: one row per topic with a selected subtopic
+    const sectionsToggle = document.getElementById('examSectionsOptionDb');
+    const sectionsEditor = document.getElementById('exam-sections-editor');
+    const refreshSectionsEditor = () => {
+      if (!sectionsToggle || !sectionsEditor) return;
+      sectionsEditor.style.display = sectionsToggle.checked ? 'block' : 'none';
+      if (sectionsToggle.checked) renderExamSectionsEditor(sectionsEditor, topicDiv);
+      updateCalculatedDuration();
+    };
+    if (sectionsToggle && sectionsEditor) {
+      sectionsToggle.addEventListener('change', refreshSectionsEditor);
+      topicDiv.addEventListener('change', () => { if (sectionsToggle.checked) refreshSectionsEditor(); });
+      sectionsEditor.addEventListener('input', (e) => {
+        // A new question count suggests 1.5 minutes per question again
+        if (e.target.classList.contains('section-count')) {
+          const minutes = e.target.closest('tr').querySelector('.section-minutes');
+          minutes.value = Math.round((parseInt(e.target.value, 10) || 0) * 1.5);
+        }
+        updateCalculatedDuration();
+      });
+    }
+    
     // Function to update exam duration visibility
     function updateExamDurationVisibility() {
       const examModeRadio = document.querySelector('input[name="testMode"][value="exam"]');
@@ -1159,7 +1286,18 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
   modeDiv.innerHTML = `
     <h3>Selection Mode</h3>
     <label><input type="radio" name="selectionMode" value="random" ${savedSelectionMode === 'random' ? 'checked' : ''}> Random (default)</label><br>
-    <label><input type="radio" name="selectionMode" value="balanced" ${savedSelectionMode === 'balanced' ? 'checked' : ''}> Balanced (1 per subtopic, then random)</label>
+    <label><input type="radio" name="selectionMode" value="balanced" ${savedSelectionMode === 'balanced' ? 'checked' : ''}> Balanced (1 per subtopic, then random)</label><br>
+    <label title="Every topic, subtopic and question type gets its share of the questions, in proportion to how many it has"><input type="radio" name="selectionMode" value="stratified" ${savedSelectionMode === 'stratified' ? 'checked' : ''}> Stratified (proportional by topic, subtopic and type)</label>
+    <label style="display: block; margin-top: 8px;" title="Learning mode only. Picks each next question from every question that passes the filters, stepping difficulty and topic up or down from your answers, and stops once every topic reaches the mastery target. Number of Questions becomes the most it will ask. Not used with a blueprint.">
+      <input type="checkbox" id="adaptiveOptionDb"> 🎯 Adaptive practice
+    </label>
+    <label style="margin-left: 22px;">Mastery target:
+      <select id="masteryTargetOptionDb">
+        <option value="70">70%</option>
+        <option value="80" selected>80%</option>
+        <option value="90">90%</option>
+      </select>
+    </label>
   `;
   
   // Exam Duration section (right side) - initially hidden
@@ -1173,15 +1311,33 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     <div id="calculated-duration" style="font-size: 1.1em; font-weight: bold; color: #0078d7;">
       <span id="duration-value">15</span> minutes
     </div>
-    <div style="margin-top: 5px; font-size: 0.9em; color: #666;">
+    <div id="duration-note" style="margin-top: 5px; font-size: 0.9em; color: #666;">
       (Number of questions × 1.5 minutes)
     </div>
+    <label style="display: block; margin-top: 10px;" title="Split the exam into one section per selected topic. Sections run one after another on their own timers; when a section's time ends its answers are locked.">
+      <input type="checkbox" id="examSectionsOptionDb"> 📚 Timed sections (one per topic)
+    </label>
+    <div id="exam-sections-editor" style="display: none; margin-top: 6px;"></div>
   `;
   
   modeAndDurationContainer.appendChild(modeDiv);
   modeAndDurationContainer.appendChild(examDurationDiv);
   wrapper.appendChild(modeAndDurationContainer);
 
+  // Blueprint editor, checked against every question in the database
+  const catalogColumns = questionsTableHasColumn(AppState.database, 'difficulty')
+    ? 'topic, subtopic, question_type, difficulty'
+    : 'topic, subtopic, question_type';
+  const catalogResult = AppState.database.exec(`SELECT ${catalogColumns} FROM questions`);
+  const blueprintCatalog = catalogResult[0]
+    ? catalogResult[0].values.map(row => ({ topic: row[0], subtopic: row[1], question_type: row[2], difficulty: row[3] }))
+    : [];
+  wrapper.appendChild(buildBlueprintSection(blueprintCatalog, {
+    idSuffix: 'Db',
+    saved: AppState.lastDbQueryParams && AppState.lastDbQueryParams.blueprint,
+    overridden: [topicDiv, typeDiv, difficultyDiv, tagDiv, numDiv]
+  }));
+
   // === Candidate Name cookie helpers (never-expiring cookie with localStorage fallback) ===
   function setCandidateNameCookie(name) {
     try {
@@ -1208,30 +1364,51 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     try { localStorage.removeItem('candidateName'); } catch (_) {}
   }
 
-  // Start button and button container (EXACT GOLDEN 22)
-  const startBtn = document.createElement("button");
-  startBtn.textContent = "Start Test";
-  
-  // Add the main Start Test button click handler
-  startBtn.addEventListener("click", () => {
-    console.log("=== Main Start Test button clicked ===");
-    
+  /**
+   * Reads the test behavior options and explanation mode into AppState
+   */
+  const applyTestOptions = () => {
     // Read behavior options from checkboxes and update AppState (EXACT GOLDEN 22)
     const tryAgainCb = document.getElementById('tryAgainOptionDb');
     const topicRevealCb = document.getElementById('topicRevealOptionDb');
     const immediateResultCb = document.getElementById('immediateResultOptionDb');
     const correctAnswerCb = document.getElementById('correctAnswerOptionDb');
+    const orderPartialCb = document.getElementById('orderPartialOptionDb');
+    const multipleScoringSelect = document.getElementById('multipleScoringOptionDb');
+    const matchScoringSelect = document.getElementById('matchScoringOptionDb');
+    const defaultMarksInput = document.getElementById('defaultMarksOptionDb');
+    const negativeMarksInput = document.getElementById('negativeMarksOptionDb');
     
     if (tryAgainCb) AppState.allowTryAgain = tryAgainCb.checked;
     if (topicRevealCb) AppState.showTopicSubtopic = topicRevealCb.checked;
     if (immediateResultCb) AppState.showImmediateResult = immediateResultCb.checked;
     if (correctAnswerCb) AppState.showCorrectAnswer = correctAnswerCb.checked;
+    if (orderPartialCb) AppState.orderPartialCredit = orderPartialCb.checked;
+    AppState.scoringPolicy = normalizeScoringPolicy({
+      multiple: multipleScoringSelect ? multipleScoringSelect.value : undefined,
+      match: matchScoringSelect ? matchScoringSelect.value : undefined
+    });
+    AppState.markingScheme = normalizeMarkingScheme({
+      defaultMarks: defaultMarksInput ? defaultMarksInput.value : undefined,
+      negativeMarks: negativeMarksInput ? negativeMarksInput.value : undefined
+    });
     
     // Read explanation mode from radio buttons
     const expRadio = document.querySelector('input[name="expMode"]:checked');
     if (expRadio) {
       AppState.explanationMode = parseInt(expRadio.value);
     }
+  };
+  
+  // Start button and button container (EXACT GOLDEN 22)
+  const startBtn = document.createElement("button");
+  startBtn.textContent = "Start Test";
+  
+  // Add the main Start Test button click handler
+  startBtn.addEventListener("click", () => {
+    console.log("=== Main Start Test button clicked ===");
+    
+    applyTestOptions();
     
     // Save current options state before starting test (consistent with JSON mode)
     if (typeof saveOptionsState === 'function') {
@@ -1284,7 +1461,15 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       selectedTypes = [...dbTypes];
     }
     
-    if (selectedTypes.length === 0) {
+    // A blueprint sets its own topics, types and difficulties
+    const blueprint = getActiveBlueprint();
+    const blueprintSection = document.getElementById('blueprint-section');
+    if (!blueprint && blueprintSection && blueprintSection.querySelector('#blueprintOptionDb').checked) {
+      alert("The blueprint has no rows. Please add a row with at least one question, or switch the blueprint off.");
+      return;
+    }
+    
+    if (!blueprint && selectedTypes.length === 0) {
       alert("Please select at least one question type.");
       return;
     }
@@ -1293,9 +1478,11 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     const selectAllTopics = document.getElementById("select-all-topics-db");
     let sql;
     
-    if (selectAllTopics && selectAllTopics.checked) {
+    if (blueprint) {
+      sql = 'SELECT * FROM questions';
+    } else if (selectAllTopics && selectAllTopics.checked) {
       // All topics and subtopics selected
-      sql = `SELECT * FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+      sql = `SELECT * FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
     } else {
       // Build query based on individual subtopic selections
       const selectedSubtopics = document.querySelectorAll(".subtopic-checkbox:checked");
@@ -1313,7 +1500,7 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
         conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
       });
       
-      sql = `SELECT * FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+      sql = `SELECT * FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
     }
     
     console.log("Database query:", sql);
@@ -1338,10 +1525,21 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     
     console.log(`Found ${questions.length} raw questions from database`);
     
+    // Draw to the blueprint before converting, so only the drawn rows are loaded
+    if (blueprint) {
+      const drawn = drawToBlueprint(questions, blueprint);
+      if (drawn.shortfalls.length > 0) {
+        alert(`This database cannot fill the blueprint "${blueprint.name}":\n\n• ${drawn.shortfalls.join('\n• ')}\n\nPlease lower those counts or loosen the rows.`);
+        return;
+      }
+      questions = drawn.questions;
+    }
+    
     // Process each question to add options and standardize format (following Golden 22 logic)
     questions = questions.map(q => {
       // Set basic fields for compatibility
       q.question = q.question_text; // Standardize question text field
+      applyQuestionDifficulty(q);
       
       // Process different question types
       if (q.question_type === 'MCQ' || q.question_type === 'MCQ-Scenario' || q.question_type === 'Cohort-05-MCQ' || q.question_type === 'MCQ-Multiple') {
@@ -1419,15 +1617,33 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
         q.options = optRes[0]?.values?.map(v => v[0]) || [];
         const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === "1");
         q.answer = correctOpt ? correctOpt[0] : null;
+      } else if (q.question_type === 'FillBlank') {
+        // Accepted answers come from blank_answers (attachBlankAnswers below)
+        q.type = 'fillblank';
+      } else if (q.question_type === 'Numeric') {
+        // Value, tolerance and unit come from numeric_answers (attachNumericAnswers below)
+        q.type = 'numeric';
+      } else if (q.question_type === 'Order') {
+        // Items and their sequence come from order_items (attachOrderItems below)
+        q.type = 'order';
+      } else if (q.question_type === 'Descriptive') {
+        // Model answer and rubric come from descriptive_answers (attachDescriptiveAnswers below)
+        q.type = 'descriptive';
       }
       
       return q;
     });
+    attachBlankAnswers(AppState.database, questions);
+    attachNumericAnswers(AppState.database, questions);
+    attachOrderItems(AppState.database, questions);
+    attachDescriptiveAnswers(AppState.database, questions);
+    attachPassages(AppState.database, questions);
+    attachQuestionTags(AppState.database, questions);
     
     console.log(`Question processing complete: ${questions.length} questions loaded`);
     
     // Apply enhanced type filtering if individual enhanced types were selected
-    if (!typeChecks[0].checked) {
+    if (!blueprint && !typeChecks[0].checked) {
       // Individual enhanced types were selected - filter the processed questions
       const selectedEnhancedTypes = [];
       typeChecks.forEach((cb, i) => {
@@ -1440,34 +1656,7 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       
       if (selectedEnhancedTypes.length > 0) {
         const originalCount = questions.length;
-        questions = questions.filter(q => {
-          // Check if this question matches any of the selected enhanced types
-          for (const enhancedType of selectedEnhancedTypes) {
-            if (enhancedType.includes(' - ')) {
-              const baseType = enhancedType.split(' - ')[0];
-              if (q.question_type === baseType) {
-                if (enhancedType.includes('Multiple Correct')) {
-                  // Should have multiple correct answers (array with length > 1)
-                  if (Array.isArray(q.answer) && q.answer.length > 1) return true;
-                } else if (enhancedType.includes('Single Correct')) {
-                  // Should have single correct answer and not be True/False
-                  if (q.type === 'single' && q.options && q.options.length > 2) return true;
-                } else if (enhancedType.includes('True or False')) {
-                  // Should be True/False type
-                  if (q.options && q.options.length === 2 && 
-                      ((q.options[0].toLowerCase() === 'true' && q.options[1].toLowerCase() === 'false') ||
-                       (q.options[0].toLowerCase() === 'false' && q.options[1].toLowerCase() === 'true'))) {
-                    return true;
-                  }
-                }
-              }
-            } else {
-              // Direct type match (non-enhanced)
-              if (q.question_type === enhancedType) return true;
-            }
-          }
-          return false;
-        });
+        questions = questions.filter(q => matchesEnhancedTypes(q, selectedEnhancedTypes));
         
         console.log(`Enhanced type filtering: ${originalCount} → ${questions.length} questions`);
       }
@@ -1480,27 +1669,68 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     
     // Get number of questions and selection mode
     const numInput = document.getElementById("numQuestions");
-    const numQuestions = Math.min(parseInt(numInput.value) || 10, questions.length);
+    const numQuestions = blueprint ? questions.length : Math.min(parseInt(numInput.value) || 10, questions.length);
     const mode = modeDiv.querySelector('input[name="selectionMode"]:checked').value;
     
     // Store database mode flag
     AppState.isDbMode = true;
     
     // Apply selection mode and create final question set
+    // Questions sharing a passage are picked (and shown) together
     let chosenQuestions;
-    if (mode === 'random') {
-      chosenQuestions = shuffle(questions).slice(0, numQuestions);
+    // A sectioned exam draws each section from its own topic
+    const examModeChosen = document.querySelector('input[name="testMode"][value="exam"]');
+    const sectionSpecs = examModeChosen && examModeChosen.checked ? getExamSectionSpecs() : null;
+    let examSections = [];
+    // Adaptive practice (learning mode, no blueprint) keeps the whole pool and picks as it goes
+    const adaptiveSettings = !blueprint && !(examModeChosen && examModeChosen.checked) && document.getElementById("adaptiveOptionDb").checked
+      ? { maxQuestions: numQuestions, target: parseInt(document.getElementById("masteryTargetOptionDb").value, 10) }
+      : null;
+    if (adaptiveSettings) {
+      chosenQuestions = questions;
+    } else if (blueprint && sectionSpecs) {
+      // The blueprint already chose the questions; each of its topics becomes a
+      // section, keeping the minutes and attempt limit set for that topic
+      const drawn = buildExamSections(questions, [...new Set(questions.map(q => q.topic))].map(topic => {
+        const spec = sectionSpecs.find(s => s.topic === topic);
+        return { topic, count: questions.length, duration: spec ? spec.duration : 0, attemptLimit: spec ? spec.attemptLimit : null };
+      }), pool => pool);
+      chosenQuestions = drawn.questions;
+      examSections = drawn.sections;
+    } else if (blueprint) {
+      chosenQuestions = questions;
+    } else if (sectionSpecs) {
+      const drawn = buildExamSections(questions, sectionSpecs, (pool, count) => mode === 'balanced'
+        ? balancedSelection(pool, count)
+        : mode === 'stratified'
+          ? stratifiedSelection(pool, count)
+          : takeQuestionsKeepingPassages(shuffleKeepingPassages(pool), count));
+      if (drawn.questions.length === 0) {
+        alert("None of the sections has questions matching your criteria. Please adjust the sections or your filters.");
+        return;
+      }
+      chosenQuestions = drawn.questions;
+      examSections = drawn.sections;
+    } else if (mode === 'random') {
+      chosenQuestions = takeQuestionsKeepingPassages(shuffleKeepingPassages(questions), numQuestions);
     } else if (mode === 'balanced') {
       chosenQuestions = balancedSelection(questions, numQuestions);
+    } else if (mode === 'stratified') {
+      chosenQuestions = stratifiedSelection(questions, numQuestions);
     } else {
-      chosenQuestions = questions.slice(0, numQuestions);
+      chosenQuestions = takeQuestionsKeepingPassages(questions, numQuestions);
     }
+    // Images are loaded only for the questions that made the cut
+    // (adaptive practice loads them one question at a time)
+    if (!adaptiveSettings) attachQuestionMedia(AppState.database, chosenQuestions);
     
     console.log(`Selected ${chosenQuestions.length} questions using ${mode} mode`);
     
     // Store last query parameters for restart functionality
     AppState.lastDbQueryParams = {
       selectedTypes: selectedTypes,
+      selectedDifficulties: getSelectedDifficulties(),
+      tagFilter: getSelectedTagFilter(),
       selectedTopics: Array.from(topicDiv.querySelectorAll('.topic-checkbox:checked')).map(cb => cb.value),
       mode: mode,
       selectionMode: mode, // Add this for compatibility with rerunDatabaseTest
@@ -1512,7 +1742,12 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       allowTryAgain: AppState.allowTryAgain,
       showTopicSubtopic: AppState.showTopicSubtopic,
       showImmediateResult: AppState.showImmediateResult,
-      showCorrectAnswer: AppState.showCorrectAnswer
+      showCorrectAnswer: AppState.showCorrectAnswer,
+      orderPartialCredit: AppState.orderPartialCredit,
+      scoringPolicy: AppState.scoringPolicy,
+      markingScheme: AppState.markingScheme,
+      blueprint: blueprint,
+      adaptive: adaptiveSettings
     };
     
     // Store subtopic selections if not "all topics" mode
@@ -1548,8 +1783,11 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
           // Store on AppState for convenience (optional future use)
           AppState.candidateName = candidateName;
 
-          // Calculate exam duration based on number of questions (1.5 minutes per question)
-          const examDuration = Math.round(chosenQuestions.length * 1.5);
+          // Calculate exam duration based on number of questions (1.5 minutes per question),
+          // or add up the section times
+          const examDuration = examSections.length > 0
+            ? examSections.reduce((sum, section) => sum + section.duration, 0)
+            : Math.round(chosenQuestions.length * 1.5);
 
           // Store exam data in sessionStorage for exam-engine.js
           const examData = {
@@ -1557,13 +1795,24 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
             startTime: new Date().toISOString(),
             mode: 'exam',
             duration: examDuration,
+            sections: examSections,
             candidateName,
+            orderPartialCredit: AppState.orderPartialCredit,
+            scoringPolicy: AppState.scoringPolicy,
+            markingScheme: AppState.markingScheme,
+            filters: typeof describeAttemptFilters === 'function' ? describeAttemptFilters() : null,
             // Store database state for proper restoration
             dbFileName: AppState.dbFileName,
             dbTopics: AppState.dbTopics,
             dbTypes: AppState.dbTypes
           };
-          sessionStorage.setItem('examData', JSON.stringify(examData));
+          try {
+            sessionStorage.setItem('examData', JSON.stringify(examData));
+          } catch (storageError) {
+            // Embedded images can push the hand-over past the browser's storage quota
+            alert('These questions are too large to open in Exam Mode (most likely because of their images). Please choose fewer questions or use Learning Mode.');
+            return;
+          }
 
           // Navigate to exam page
           window.location.href = 'exam.html';
@@ -1574,7 +1823,11 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
         panel.innerHTML = ""; // Clear filter panel before starting test
         document.getElementById("restart").style.display = "none"; // Hide restart until questions are shown
         document.getElementById("restart-bottom").style.display = "none";
-        startTest(chosenQuestions);
+        if (adaptiveSettings) {
+          startAdaptivePractice(chosenQuestions, adaptiveSettings);
+        } else {
+          startTest(chosenQuestions);
+        }
       }
   }, 500);
   });
@@ -1590,10 +1843,10 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
   tooltip.style.display = "none";
   startBtnContainer.appendChild(tooltip);
   
-  // Function to update tooltip content for balanced mode
+  // Function to update tooltip content for balanced and stratified modes
   function updateBalancedTooltip() {
     const mode = modeDiv.querySelector('input[name="selectionMode"]:checked').value;
-    if (mode === 'balanced') {
+    if (mode === 'balanced' || mode === 'stratified') {
       tooltip.style.display = "block";
       
       // Get current filter selections for DATABASE MODE (hierarchical structure)
@@ -1634,11 +1887,13 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       // Check available questions based on subtopic selections
       const selectAllTopics = document.getElementById("select-all-topics-db");
       let availableQuestionCount = 0;
+      let filterWhere = null;
       
       if (selectAllTopics && selectAllTopics.checked) {
         // All topics and subtopics selected
         if (selectedTypes.length > 0) {
-          const countSql = `SELECT COUNT(*) FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+          filterWhere = `question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
+          const countSql = `SELECT COUNT(*) FROM questions WHERE ${filterWhere}`;
           const countRes = AppState.database.exec(countSql);
           availableQuestionCount = countRes[0]?.values[0][0] || 0;
         }
@@ -1654,12 +1909,36 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
             conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
           });
           
-          const countSql = `SELECT COUNT(*) FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+          filterWhere = `(${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
+          const countSql = `SELECT COUNT(*) FROM questions WHERE ${filterWhere}`;
           const countRes = AppState.database.exec(countSql);
           availableQuestionCount = countRes[0]?.values[0][0] || 0;
         }
       }
       
+      // Stratified: the share of each topic, subtopic and type, counted over the
+      // questions the Start Test handler keeps once its type filter has run
+      if (mode === 'stratified') {
+        const selectedEnhancedTypes = typeChecks[0].checked
+          ? []
+          : Array.from(typeChecks).filter((cb, i) => i > 0 && cb.checked && cb.value !== 'ALL').map(cb => cb.value);
+        const rows = filterWhere
+          ? executeSecureQueryAll(AppState.database, `SELECT id, topic, subtopic, question_type FROM questions WHERE ${filterWhere}`)
+          : [];
+        const strata = {};
+        rows
+          .filter(row => selectedEnhancedTypes.length === 0 || matchesEnhancedTypes(readEnhancedTypeFields(row), selectedEnhancedTypes))
+          .forEach(row => {
+            const stratum = getQuestionStratum(row);
+            if (!strata[stratum.key]) {
+              strata[stratum.key] = { topic: stratum.topic, subtopic: stratum.subtopic, type: stratum.type, available: 0 };
+            }
+            strata[stratum.key].available++;
+          });
+        tooltip.innerHTML = formatStratifiedPlan(allocateStratifiedCounts(Object.values(strata).sort(compareStrata), requestedCount), requestedCount);
+        return;
+      }
+      
       let distributionHTML = "";
       
       if (availableQuestionCount > 0) {
@@ -1682,7 +1961,7 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
           
           // Get breakdown by question type across all topics
           selectedTypes.forEach(qType => {
-            const typeCountSql = `SELECT COUNT(*) FROM questions WHERE question_type = '${escapeSQL(qType)}'`;
+            const typeCountSql = `SELECT COUNT(*) FROM questions WHERE question_type = '${escapeSQL(qType)}'${getAttributeSqlFilter()}`;
             const typeCountRes = AppState.database.exec(typeCountSql);
             const typeCount = typeCountRes[0]?.values[0][0] || 0;
             if (typeCount > 0) {
@@ -1720,7 +1999,7 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
             const typeBreakdown = [];
             selectedTypes.forEach(qType => {
               const subtopicConditions = subtopics.map(st => `(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(st)}')`).join(' OR ');
-              const typeCountSql = `SELECT COUNT(*) FROM questions WHERE (${subtopicConditions}) AND question_type = '${escapeSQL(qType)}'`;
+              const typeCountSql = `SELECT COUNT(*) FROM questions WHERE (${subtopicConditions}) AND question_type = '${escapeSQL(qType)}'${getAttributeSqlFilter()}`;
               const typeCountRes = AppState.database.exec(typeCountSql);
               const typeCount = typeCountRes[0]?.values[0][0] || 0;
               if (typeCount > 0) {
@@ -1785,6 +2064,12 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
   // Update tooltip when filters change
   topicDiv.addEventListener("change", updateBalancedTooltip);
   typeDiv.addEventListener("change", updateBalancedTooltip);
+  if (difficultyDiv) {
+    difficultyDiv.addEventListener("change", updateBalancedTooltip);
+  }
+  if (tagDiv) {
+    tagDiv.addEventListener("change", updateBalancedTooltip);
+  }
   
   // Update tooltip when number of questions changes
   setTimeout(() => {
@@ -1829,6 +2114,22 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       }
     });
     
+    // Reset difficulty - every level selected
+    if (difficultyDiv) {
+      difficultyDiv.querySelectorAll(".difficulty-checkbox").forEach(cb => cb.checked = true);
+      updateDifficultyCountsDb();
+      updateQuestionTypeCounts();
+    }
+    
+    // Reset tags - no tag filter, "Match any"
+    if (tagDiv) {
+      tagDiv.querySelectorAll(".tag-checkbox").forEach(cb => cb.checked = false);
+      const anyMode = tagDiv.querySelector('input[name="tagMatchMode"][value="any"]');
+      if (anyMode) anyMode.checked = true;
+      updateTagCountsDb();
+      updateQuestionTypeCounts();
+    }
+    
     // Reset explanation mode to "Both when right and wrong" (value 2)
     const expRadios = expDiv.querySelectorAll("input[name=expMode]");
     expRadios.forEach(radio => {
@@ -1840,12 +2141,20 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     document.getElementById("topicRevealOptionDb").checked = true;
     document.getElementById("immediateResultOptionDb").checked = true;
     document.getElementById("correctAnswerOptionDb").checked = true;
+    document.getElementById("orderPartialOptionDb").checked = false;
+    document.getElementById("multipleScoringOptionDb").value = 'all-or-nothing';
+    document.getElementById("matchScoringOptionDb").value = 'all-or-nothing';
+    document.getElementById("defaultMarksOptionDb").value = 1;
+    document.getElementById("negativeMarksOptionDb").value = '0';
     
     // Update AppState with default values
     AppState.allowTryAgain = true;
     AppState.showTopicSubtopic = true;
     AppState.showImmediateResult = true;
     AppState.showCorrectAnswer = true;
+    AppState.orderPartialCredit = false;
+    AppState.scoringPolicy = { multiple: 'all-or-nothing', match: 'all-or-nothing' };
+    AppState.markingScheme = { defaultMarks: 1, negativeMarks: '0' };
     AppState.explanationMode = 2; // "Both when right and wrong"
     
     // Clear persistent saved settings to prevent restoration
@@ -1860,11 +2169,27 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
       numInput.value = 10;
     }
     
+    // Blueprint off (its rows and presets are kept)
+    const blueprintToggle = document.getElementById("blueprintOptionDb");
+    if (blueprintToggle && blueprintToggle.checked) {
+      blueprintToggle.checked = false;
+      blueprintToggle.dispatchEvent(new Event('change'));
+    }
+    
+    // Back to one exam-wide list and timer
+    const sectionsToggle = document.getElementById("examSectionsOptionDb");
+    if (sectionsToggle && sectionsToggle.checked) {
+      sectionsToggle.checked = false;
+      sectionsToggle.dispatchEvent(new Event('change'));
+    }
+    
     // Reset selection mode to random
     const selectionModeRadios = modeDiv.querySelectorAll("input[name=selectionMode]");
     selectionModeRadios.forEach(radio => {
       radio.checked = radio.value === "random";
     });
+    document.getElementById("adaptiveOptionDb").checked = false;
+    document.getElementById("masteryTargetOptionDb").value = "80";
     
     // Update tooltip after resetting to random mode
     updateBalancedTooltip();
@@ -1893,179 +2218,224 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
     } catch(e) { return false; }
   })();
   if (hasJsonParam) {
-  const exportBtn = document.createElement('button');
-  exportBtn.textContent = 'Export to JSON';
-    exportBtn.className = 'custom-btn';
-    exportBtn.style.marginRight = '10px';
-    exportBtn.style.backgroundColor = '#f5f5f5';
-    exportBtn.style.color = '#333';
-    exportBtn.style.border = '1px solid #ccc';
-
-    exportBtn.addEventListener('click', () => {
-      try {
-        // Reuse current selections to build the same question set as Start Test
-        // 1) Selected types (map enhanced back to DB types like Start Test)
-        let selectedTypes = [];
-        const typeChecks = typeDiv.querySelectorAll('input[type=checkbox]');
-        const mapEnhancedToDbType = (enhancedType) => {
-          if (window.enhancedTypeMapping) {
-            for (const [dbType, enhanced] of Object.entries(window.enhancedTypeMapping)) {
-              if (enhanced.includes(enhancedType)) return dbType;
-            }
+    // Builds the export payload for the current selections, exactly like Start Test picks
+    // questions. Every export format (JSON, Moodle XML, GIFT, QTI) is produced from this payload.
+    // Returns null (after alerting) when the selection yields nothing to export.
+    const buildExportPayload = () => {
+      // Reuse current selections to build the same question set as Start Test
+      // 1) Selected types (map enhanced back to DB types like Start Test)
+      let selectedTypes = [];
+      const typeChecks = typeDiv.querySelectorAll('input[type=checkbox]');
+      const mapEnhancedToDbType = (enhancedType) => {
+        if (window.enhancedTypeMapping) {
+          for (const [dbType, enhanced] of Object.entries(window.enhancedTypeMapping)) {
+            if (enhanced.includes(enhancedType)) return dbType;
           }
-          return enhancedType;
-        };
-        if (typeChecks[0]?.checked) {
-          selectedTypes = window.currentDatabaseTypes && window.currentDatabaseTypes.length > 0
-            ? [...window.currentDatabaseTypes]
-            : Array.from(typeChecks).slice(1).filter(cb => cb.value && cb.value !== 'ALL').map(cb => mapEnhancedToDbType(cb.value));
-        } else {
-          const dbTypes = new Set();
-          typeChecks.forEach((cb, i) => { if (i > 0 && cb.checked && cb.value !== 'ALL') dbTypes.add(mapEnhancedToDbType(cb.value)); });
-          selectedTypes = [...dbTypes];
-        }
-        if (selectedTypes.length === 0) {
-          alert('Please select at least one question type before exporting.');
-          return;
         }
+        return enhancedType;
+      };
+      if (typeChecks[0]?.checked) {
+        selectedTypes = window.currentDatabaseTypes && window.currentDatabaseTypes.length > 0
+          ? [...window.currentDatabaseTypes]
+          : Array.from(typeChecks).slice(1).filter(cb => cb.value && cb.value !== 'ALL').map(cb => mapEnhancedToDbType(cb.value));
+      } else {
+        const dbTypes = new Set();
+        typeChecks.forEach((cb, i) => { if (i > 0 && cb.checked && cb.value !== 'ALL') dbTypes.add(mapEnhancedToDbType(cb.value)); });
+        selectedTypes = [...dbTypes];
+      }
+      if (selectedTypes.length === 0) {
+        alert('Please select at least one question type before exporting.');
+        return null;
+      }
 
-        // 2) Build SQL per topic/subtopic selection
-        const selectAllTopics = document.getElementById('select-all-topics-db');
-        let sql;
-        if (selectAllTopics && selectAllTopics.checked) {
-          sql = `SELECT * FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
-        } else {
-          const selectedSubtopics = topicDiv.querySelectorAll('.subtopic-checkbox:checked');
-          if (selectedSubtopics.length === 0) {
-            alert('Please select at least one topic/subtopic before exporting.');
-            return;
-          }
-          const conditions = [];
-          selectedSubtopics.forEach(cb => {
-            const topic = cb.dataset.topic;
-            const subtopic = cb.value;
-            conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
-          });
-          sql = `SELECT * FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+      // 2) Build SQL per topic/subtopic selection
+      const selectAllTopics = document.getElementById('select-all-topics-db');
+      let sql;
+      if (selectAllTopics && selectAllTopics.checked) {
+        sql = `SELECT * FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
+      } else {
+        const selectedSubtopics = topicDiv.querySelectorAll('.subtopic-checkbox:checked');
+        if (selectedSubtopics.length === 0) {
+          alert('Please select at least one topic/subtopic before exporting.');
+          return null;
         }
+        const conditions = [];
+        selectedSubtopics.forEach(cb => {
+          const topic = cb.dataset.topic;
+          const subtopic = cb.value;
+          conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
+        });
+        sql = `SELECT * FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
+      }
 
-        const result = AppState.database.exec(sql);
-        const allRows = result[0] ? result[0].values : [];
-        if (allRows.length === 0) {
-          alert('No questions found for export with the current filters.');
-          return;
-        }
+      const result = AppState.database.exec(sql);
+      const allRows = result[0] ? result[0].values : [];
+      if (allRows.length === 0) {
+        alert('No questions found for export with the current filters.');
+        return null;
+      }
 
-        // 3) Transform rows to question objects and enrich (same as Start Test path)
-        const columns = result[0].columns;
-        let questions = allRows.map(row => {
-          const q = {}; columns.forEach((col, idx) => q[col] = row[idx]); return q;
-        });
+      // 3) Transform rows to question objects and enrich (same as Start Test path)
+      const columns = result[0].columns;
+      let questions = allRows.map(row => {
+        const q = {}; columns.forEach((col, idx) => q[col] = row[idx]); return q;
+      });
 
-        questions = questions.map(q => {
-          q.question = q.question_text;
-          if (q.question_type === 'MCQ' || q.question_type === 'MCQ-Scenario' || q.question_type === 'Cohort-05-MCQ' || q.question_type === 'MCQ-Multiple') {
-            const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
-            q.options = optRes[0]?.values?.map(v => v[0]) || [];
-            q.answer = optRes[0]?.values?.filter(v => v[1] === 1 || v[1] === '1')?.map(v => v[0]) || [];
-            q.type = (q.question_type === 'MCQ-Multiple') ? 'multiple' : ((Array.isArray(q.answer) && q.answer.length > 1) ? 'multiple' : 'single');
-            if (q.type === 'single' && q.answer.length === 1) q.answer = q.answer[0];
-          } else if (q.question_type === 'TrueFalse') {
-            q.options = ['True','False'];
-            q.type = 'single';
-            const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id}`);
-            const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === '1');
-            q.answer = correctOpt ? correctOpt[0] : null;
-          } else if (q.question_type === 'Match') {
-            q.type = 'match';
-            const matchRes = AppState.database.exec(`SELECT left_text, right_text FROM match_pairs WHERE question_id = ${q.id} ORDER BY id`);
-            if (matchRes[0]?.values) {
-              q.matchPairs = {};
-              matchRes[0].values.forEach(([l,r]) => { q.matchPairs[l] = r; });
-              q.options = ['Refer to match pairs'];
-              q.answer = q.matchPairs;
-            }
-          } else if (q.question_type === 'AssertionReason') {
-            q.type = 'assertion';
-            const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
-            q.options = optRes[0]?.values?.map(v => v[0]) || [];
-            const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === '1');
-            q.answer = correctOpt ? correctOpt[0] : null;
+      questions = questions.map(q => {
+        q.question = q.question_text;
+        applyQuestionDifficulty(q);
+        if (q.question_type === 'MCQ' || q.question_type === 'MCQ-Scenario' || q.question_type === 'Cohort-05-MCQ' || q.question_type === 'MCQ-Multiple') {
+          const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
+          q.options = optRes[0]?.values?.map(v => v[0]) || [];
+          q.answer = optRes[0]?.values?.filter(v => v[1] === 1 || v[1] === '1')?.map(v => v[0]) || [];
+          q.type = (q.question_type === 'MCQ-Multiple') ? 'multiple' : ((Array.isArray(q.answer) && q.answer.length > 1) ? 'multiple' : 'single');
+          if (q.type === 'single' && q.answer.length === 1) q.answer = q.answer[0];
+        } else if (q.question_type === 'TrueFalse') {
+          q.options = ['True','False'];
+          q.type = 'single';
+          const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id}`);
+          const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === '1');
+          q.answer = correctOpt ? correctOpt[0] : null;
+        } else if (q.question_type === 'Match') {
+          q.type = 'match';
+          const matchRes = AppState.database.exec(`SELECT left_text, right_text FROM match_pairs WHERE question_id = ${q.id} ORDER BY id`);
+          if (matchRes[0]?.values) {
+            q.matchPairs = {};
+            matchRes[0].values.forEach(([l,r]) => { q.matchPairs[l] = r; });
+            q.options = ['Refer to match pairs'];
+            q.answer = q.matchPairs;
           }
-          return q;
-        });
+        } else if (q.question_type === 'AssertionReason') {
+          q.type = 'assertion';
+          const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
+          q.options = optRes[0]?.values?.map(v => v[0]) || [];
+          const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === '1');
+          q.answer = correctOpt ? correctOpt[0] : null;
+        } else if (q.question_type === 'FillBlank') {
+          q.type = 'fillblank';
+        } else if (q.question_type === 'Numeric') {
+          q.type = 'numeric';
+        } else if (q.question_type === 'Order') {
+          q.type = 'order';
+        } else if (q.question_type === 'Descriptive') {
+          q.type = 'descriptive';
+        }
+        return q;
+      });
+      attachBlankAnswers(AppState.database, questions);
+      attachNumericAnswers(AppState.database, questions);
+      attachOrderItems(AppState.database, questions);
+      attachDescriptiveAnswers(AppState.database, questions);
+      attachPassages(AppState.database, questions);
+      attachQuestionTags(AppState.database, questions);
 
-        // Enhanced type filtering if individual enhanced types were selected
-        if (!typeChecks[0]?.checked) {
-          const selectedEnhancedTypes = [];
-          typeChecks.forEach((cb, i) => { if (i > 0 && cb.checked && cb.value !== 'ALL') selectedEnhancedTypes.push(cb.value); });
-          if (selectedEnhancedTypes.length > 0) {
-            questions = questions.filter(q => {
-              for (const enhancedType of selectedEnhancedTypes) {
-                if (enhancedType.includes(' - ')) {
-                  const baseType = enhancedType.split(' - ')[0];
-                  if (q.question_type === baseType) {
-                    if (enhancedType.includes('Multiple Correct')) {
-                      if (Array.isArray(q.answer) && q.answer.length > 1) return true;
-                    } else if (enhancedType.includes('Single Correct')) {
-                      if (q.type === 'single' && q.options && q.options.length > 2) return true;
-                    } else if (enhancedType.includes('True or False')) {
-                      if (q.options && q.options.length === 2 && ((q.options[0].toLowerCase() === 'true' && q.options[1].toLowerCase() === 'false') || (q.options[0].toLowerCase() === 'false' && q.options[1].toLowerCase() === 'true'))) return true;
-                    }
+      // Enhanced type filtering if individual enhanced types were selected
+      if (!typeChecks[0]?.checked) {
+        const selectedEnhancedTypes = [];
+        typeChecks.forEach((cb, i) => { if (i > 0 && cb.checked && cb.value !== 'ALL') selectedEnhancedTypes.push(cb.value); });
+        if (selectedEnhancedTypes.length > 0) {
+          questions = questions.filter(q => {
+            for (const enhancedType of selectedEnhancedTypes) {
+              if (enhancedType.includes(' - ')) {
+                const baseType = enhancedType.split(' - ')[0];
+                if (q.question_type === baseType) {
+                  if (enhancedType.includes('Multiple Correct')) {
+                    if (Array.isArray(q.answer) && q.answer.length > 1) return true;
+                  } else if (enhancedType.includes('Single Correct')) {
+                    if (q.type === 'single' && q.options && q.options.length > 2) return true;
+                  } else if (enhancedType.includes('True or False')) {
+                    if (q.options && q.options.length === 2 && ((q.options[0].toLowerCase() === 'true' && q.options[1].toLowerCase() === 'false') || (q.options[0].toLowerCase() === 'false' && q.options[1].toLowerCase() === 'true'))) return true;
                   }
-                } else {
-                  if (q.question_type === enhancedType) return true;
                 }
+              } else {
+                if (q.question_type === enhancedType) return true;
               }
-              return false;
-            });
-          }
+            }
+            return false;
+          });
         }
+      }
 
-        // 4) Apply selection mode and limit
-        const numInput = document.getElementById('numQuestions');
-        const numQuestions = Math.min(parseInt(numInput.value) || 10, questions.length);
-        const mode = modeDiv.querySelector('input[name="selectionMode"]:checked').value;
-        let chosenQuestions;
-        if (mode === 'random') {
-          chosenQuestions = shuffle(questions).slice(0, numQuestions);
-        } else if (mode === 'balanced') {
-          chosenQuestions = balancedSelection(questions, numQuestions);
-        } else {
-          chosenQuestions = questions.slice(0, numQuestions);
-        }
+      // 4) Apply selection mode and limit
+      const numInput = document.getElementById('numQuestions');
+      const numQuestions = Math.min(parseInt(numInput.value) || 10, questions.length);
+      const mode = modeDiv.querySelector('input[name="selectionMode"]:checked').value;
+      let chosenQuestions;
+      if (mode === 'random') {
+        chosenQuestions = takeQuestionsKeepingPassages(shuffleKeepingPassages(questions), numQuestions);
+      } else if (mode === 'balanced') {
+        chosenQuestions = balancedSelection(questions, numQuestions);
+      } else if (mode === 'stratified') {
+        chosenQuestions = stratifiedSelection(questions, numQuestions);
+      } else {
+        chosenQuestions = takeQuestionsKeepingPassages(questions, numQuestions);
+      }
+      attachQuestionMedia(AppState.database, chosenQuestions);
 
-        // 5) Build export payload and trigger download
-        const payload = {
-          meta: {
-            source: 'database',
-            dbFileName: AppState.dbFileName || 'database',
-            exportedAt: new Date().toISOString(),
-            count: chosenQuestions.length,
-            mode
-          },
-          questions: chosenQuestions
-        };
+      // 5) Build export payload; each passage is written once and referenced by passageId
+      const passages = [];
+      groupQuestionsByPassage(chosenQuestions).forEach(unit => {
+        if (unit[0].passage) passages.push({ id: unit[0].passageId, ...unit[0].passage });
+      });
+      const payload = {
+        meta: {
+          source: 'database',
+          dbFileName: AppState.dbFileName || 'database',
+          exportedAt: new Date().toISOString(),
+          count: chosenQuestions.length,
+          mode
+        },
+        ...(passages.length > 0 ? { passages } : {}),
+        questions: chosenQuestions.map(({ passage, ...q }) => q)
+      };
+      return payload;
+    };
 
-        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        const ts = new Date();
-        const pad = n => String(n).padStart(2,'0');
-        const stamp = `${ts.getFullYear()}${pad(ts.getMonth()+1)}${pad(ts.getDate())}_${pad(ts.getHours())}${pad(ts.getMinutes())}${pad(ts.getSeconds())}`;
-        const base = (AppState.dbFileName || 'selection').replace(/[^a-z0-9_\-]+/gi,'_');
-        a.href = url;
-        a.download = `${base}_export_${chosenQuestions.length}q_${stamp}.json`;
-        document.body.appendChild(a);
-        a.click();
-        setTimeout(() => { try { URL.revokeObjectURL(url); } catch(_){} document.body.removeChild(a); }, 0);
-      } catch (err) {
-        console.error('Export JSON failed:', err);
-        alert('Failed to export JSON. See console for details.');
-      }
-    });
+    // Triggers a download named <db>_export_<n>q_<timestamp>.<ext>
+    const downloadExport = (blob, count, ext) => {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      const ts = new Date();
+      const pad = n => String(n).padStart(2,'0');
+      const stamp = `${ts.getFullYear()}${pad(ts.getMonth()+1)}${pad(ts.getDate())}_${pad(ts.getHours())}${pad(ts.getMinutes())}${pad(ts.getSeconds())}`;
+      const base = (AppState.dbFileName || 'selection').replace(/[^a-z0-9_\-]+/gi,'_');
+      a.href = url;
+      a.download = `${base}_export_${count}q_${stamp}.${ext}`;
+      document.body.appendChild(a);
+      a.click();
+      setTimeout(() => { try { URL.revokeObjectURL(url); } catch(_){} document.body.removeChild(a); }, 0);
+    };
 
-    buttonContainer.appendChild(exportBtn);
+    const exportFormats = [
+      { label: 'Export to JSON', ext: 'json', mimeType: 'application/json', serialize: payload => JSON.stringify(payload, null, 2) },
+      { label: 'Export to Moodle XML', ext: 'xml', mimeType: 'application/xml', serialize: payload => buildMoodleXml(payload) },
+      { label: 'Export to GIFT', ext: 'gift', mimeType: 'text/plain', serialize: payload => buildGiftText(payload) },
+      { label: 'Export to QTI 2.1', ext: 'zip', mimeType: 'application/zip', serialize: payload => buildQtiPackage(payload) }
+    ];
+
+    exportFormats.forEach(format => {
+      const exportBtn = document.createElement('button');
+      exportBtn.textContent = format.label;
+      exportBtn.className = 'custom-btn';
+      exportBtn.style.marginRight = '10px';
+      exportBtn.style.backgroundColor = '#f5f5f5';
+      exportBtn.style.color = '#333';
+      exportBtn.style.border = '1px solid #ccc';
+
+      exportBtn.addEventListener('click', () => {
+        try {
+          const payload = buildExportPayload();
+          if (!payload) return;
+          const blob = new Blob([format.serialize(payload)], { type: format.mimeType });
+          downloadExport(blob, payload.meta.count, format.ext);
+        } catch (err) {
+          console.error(`${format.label} failed:`, err);
+          alert(`Failed to ${format.label.toLowerCase()}. See console for details.`);
+        }
+      });
+
+      buttonContainer.appendChild(exportBtn);
+    });
   }
   
   // Create placeholder for "View Invalid Questions" button 
@@ -2073,6 +2443,14 @@ function buildDbFilterPanel(topics, types, skipRestore = false) {
   viewInvalidBtnPlaceholder.id = "viewInvalidBtnContainer";
   buttonContainer.appendChild(viewInvalidBtnPlaceholder);
   
+  // Questions of this database due for another look (review-deck.js)
+  if (typeof buildReviewDueButton === 'function') {
+    buttonContainer.appendChild(buildReviewDueButton(() => {
+      applyTestOptions();
+      saveOptionsState();
+    }));
+  }
+  
   buttonContainer.appendChild(startBtnContainer);
   
   wrapper.appendChild(buttonContainer);
@@ -2157,37 +2535,190 @@ function openCandidateNameDialog() {
   });
 }
 
+/**
+ * Fills the exam sections editor with one row per topic that has a selected
+ * subtopic, keeping the numbers already typed for topics still listed
+ *
+ * @param {HTMLElement} editor - The #exam-sections-editor container
+ * @param {HTMLElement} topicDiv - Topic/subtopic checkbox tree of the panel
+ */
+function renderExamSectionsEditor(editor, topicDiv) {
+  const previous = {};
+  editor.querySelectorAll('tr[data-topic]').forEach(row => {
+    previous[row.dataset.topic] = {
+      count: row.querySelector('.section-count').value,
+      minutes: row.querySelector('.section-minutes').value,
+      attempt: row.querySelector('.section-attempt').value
+    };
+  });
+  const topics = [];
+  topicDiv.querySelectorAll('.subtopic-checkbox:checked').forEach(cb => {
+    if (!topics.includes(cb.dataset.topic)) topics.push(cb.dataset.topic);
+  });
+  if (topics.length === 0) {
+    editor.innerHTML = '<div style="font-size: 0.9em; color: #666;">Select at least one topic to set up sections.</div>';
+    return;
+  }
+  const cell = 'padding: 3px 6px; text-align: left;';
+  const input = 'width: 4.5em; padding: 2px 4px;';
+  editor.innerHTML = `
+    <table style="border-collapse: collapse; font-size: 0.9em;">
+      <thead><tr>
+        <th style="${cell}">Section</th>
+        <th style="${cell}">Questions</th>
+        <th style="${cell}">Minutes</th>
+        <th style="${cell}" title="Leave blank to make every question of the section count">Attempt any</th>
+      </tr></thead>
+      <tbody></tbody>
+    </table>`;
+  const tbody = editor.querySelector('tbody');
+  topics.forEach(topic => {
+    const saved = previous[topic] || { count: '10', minutes: '15', attempt: '' };
+    const row = document.createElement('tr');
+    row.dataset.topic = topic;
+    row.innerHTML = `
+      <td style="${cell}"></td>
+      <td style="${cell}"><input type="number" class="section-count" min="1" step="1" value="${saved.count}" style="${input}"></td>
+      <td style="${cell}"><input type="number" class="section-minutes" min="1" step="1" value="${saved.minutes}" style="${input}"></td>
+      <td style="${cell}"><input type="number" class="section-attempt" min="1" step="1" value="${saved.attempt}" placeholder="all" style="${input}"></td>`;
+    row.firstElementChild.textContent = topic;
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Reads the exam sections editor
+ *
+ * @returns {Array<{topic: string, count: number, duration: number, attemptLimit: (number|null)}>|null} Section specs in exam order, or null when the exam is not split into sections
+ */
+function getExamSectionSpecs() {
+  const toggle = document.getElementById('examSectionsOptionDb');
+  const editor = document.getElementById('exam-sections-editor');
+  if (!toggle || !toggle.checked || !editor) return null;
+  return Array.from(editor.querySelectorAll('tr[data-topic]'), row => {
+    const count = parseInt(row.querySelector('.section-count').value, 10) || 0;
+    const minutes = parseFloat(row.querySelector('.section-minutes').value);
+    const attempt = parseInt(row.querySelector('.section-attempt').value, 10);
+    return {
+      topic: row.dataset.topic,
+      count,
+      duration: minutes > 0 ? minutes : Math.round(count * 1.5),
+      attemptLimit: attempt > 0 ? attempt : null
+    };
+  }).filter(spec => spec.count > 0);
+}
+
+/**
+ * SQL fragment for the difficulty and tag sections of the database filter panel
+ * @returns {string} " AND (...)" to append to a WHERE clause, or '' when neither section narrows the selection
+ */
+function getAttributeSqlFilter() {
+  const conditions = [buildDifficultyCondition(getSelectedDifficulties()), buildTagCondition(getSelectedTagFilter())].filter(Boolean);
+  return conditions.map(condition => ` AND ${condition}`).join('');
+}
+
+/**
+ * Checks a database question against the question types ticked in the panel
+ * MCQ types are split by their options ("MCQ - Single Correct", "MCQ - Multiple
+ * Correct", "MCQ - True or False"); other types match by name.
+ *
+ * @param {Object} q - Question with question_type, type, options and answer as the Start Test handler builds it
+ * @param {Array<string>} selectedEnhancedTypes - Ticked type names
+ * @returns {boolean} True when the question is of one of the ticked types
+ */
+function matchesEnhancedTypes(q, selectedEnhancedTypes) {
+  for (const enhancedType of selectedEnhancedTypes) {
+    if (enhancedType.includes(' - ')) {
+      const baseType = enhancedType.split(' - ')[0];
+      if (q.question_type === baseType) {
+        if (enhancedType.includes('Multiple Correct')) {
+          // Should have multiple correct answers (array with length > 1)
+          if (Array.isArray(q.answer) && q.answer.length > 1) return true;
+        } else if (enhancedType.includes('Single Correct')) {
+          // Should have single correct answer and not be True/False
+          if (q.type === 'single' && q.options && q.options.length > 2) return true;
+        } else if (enhancedType.includes('True or False')) {
+          // Should be True/False type
+          if (q.options && q.options.length === 2 && 
+              ((q.options[0].toLowerCase() === 'true' && q.options[1].toLowerCase() === 'false') ||
+               (q.options[0].toLowerCase() === 'false' && q.options[1].toLowerCase() === 'true'))) {
+            return true;
+          }
+        }
+      }
+    } else {
+      // Direct type match (non-enhanced)
+      if (q.question_type === enhancedType) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads the fields matchesEnhancedTypes() looks at, without loading the whole question
+ * Options and answers are read as the Start Test handler reads them.
+ *
+ * @param {{id: number, question_type: string}} row - Question row
+ * @returns {Object} Question with question_type, type, options and answer
+ */
+function readEnhancedTypeFields(row) {
+  const q = { question_type: row.question_type };
+  if (q.question_type === 'MCQ' || q.question_type === 'MCQ-Scenario' || q.question_type === 'Cohort-05-MCQ' || q.question_type === 'MCQ-Multiple') {
+    const optRes = executeSecureQueryAll(AppState.database, 'SELECT option_text, is_correct FROM options WHERE question_id = ? ORDER BY id', [row.id]);
+    q.options = optRes.map(opt => opt.option_text);
+    q.answer = optRes.filter(opt => opt.is_correct === 1 || opt.is_correct === "1").map(opt => opt.option_text);
+    q.type = q.question_type === 'MCQ-Multiple' || q.answer.length > 1 ? 'multiple' : 'single';
+  } else if (q.question_type === 'TrueFalse') {
+    q.options = ["True", "False"];
+    q.type = 'single';
+  }
+  return q;
+}
+
 // Balanced selection algorithm for database mode
 function balancedSelection(questions, targetCount) {
-  // Group questions by topic/subtopic combination
+  // Group questions by topic/subtopic combination; a passage group counts
+  // as one pick (under its first question's topic) so it is never split
   const groups = {};
-  questions.forEach(q => {
-    const key = `${q.topic}::${q.subtopic || 'General'}`;
+  groupQuestionsByPassage(questions).forEach(unit => {
+    const key = `${unit[0].topic}::${unit[0].subtopic || 'General'}`;
     if (!groups[key]) groups[key] = [];
-    groups[key].push(q);
+    groups[key].push(unit);
   });
   
   const groupKeys = Object.keys(groups);
   const selected = [];
+  let selectedCount = 0;
+  const pick = (list, index) => {
+    const unit = list.splice(index, 1)[0];
+    selected.push(unit);
+    selectedCount += unit.length;
+  };
+  const fittingIndexes = list => list
+    .map((unit, index) => index)
+    .filter(index => selectedCount + list[index].length <= targetCount);
   
-  // First pass: one question per group
+  // First pass: one question (or passage group) per group
   groupKeys.forEach(key => {
-    if (selected.length < targetCount && groups[key].length > 0) {
-      const randomIndex = Math.floor(Math.random() * groups[key].length);
-      selected.push(groups[key].splice(randomIndex, 1)[0]);
+    const fitting = fittingIndexes(groups[key]);
+    if (fitting.length > 0) {
+      pick(groups[key], fitting[Math.floor(Math.random() * fitting.length)]);
     }
   });
   
-  // Second pass: fill remaining slots randomly from remaining questions
+  // Second pass: fill remaining slots randomly from remaining questions,
+  // preferring units that still fit whole
   const remaining = [];
   Object.values(groups).forEach(group => remaining.push(...group));
   
-  while (selected.length < targetCount && remaining.length > 0) {
-    const randomIndex = Math.floor(Math.random() * remaining.length);
-    selected.push(remaining.splice(randomIndex, 1)[0]);
+  while (selectedCount < targetCount && remaining.length > 0) {
+    const fitting = fittingIndexes(remaining);
+    const candidates = fitting.length > 0 ? fitting : remaining.map((unit, index) => index);
+    pick(remaining, candidates[Math.floor(Math.random() * candidates.length)]);
   }
   
-  return selected;
+  // Passage groups that overshoot the count are passed over or cut here
+  return takeQuestionsKeepingPassages(selected.flat(), targetCount);
 }
 
 // Helper functions that are part of the Golden 22 implementation
@@ -2400,7 +2931,7 @@ function updateMaxQuestions() {
     let sql;
     if (selectAllTopics && selectAllTopics.checked) {
       // All topics selected - get all questions
-      sql = `SELECT id, question_type FROM questions`;
+      sql = `SELECT id, question_type FROM questions WHERE 1=1${getAttributeSqlFilter()}`;
     } else {
       // Build query based on individual subtopic selections
       const selectedSubtopics = document.querySelectorAll(".subtopic-checkbox:checked");
@@ -2427,7 +2958,7 @@ function updateMaxQuestions() {
         conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
       });
       
-      sql = `SELECT id, question_type FROM questions WHERE ${conditions.join(' OR ')}`;
+      sql = `SELECT id, question_type FROM questions WHERE (${conditions.join(' OR ')})${getAttributeSqlFilter()}`;
     }
     
     console.log("Getting questions for enhanced filtering:", sql);
@@ -2487,7 +3018,7 @@ function updateMaxQuestions() {
     // Traditional type filtering
     let sql;
     if (selectAllTopics && selectAllTopics.checked) {
-      sql = `SELECT id FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+      sql = `SELECT id FROM questions WHERE question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
     } else {
       const selectedSubtopics = document.querySelectorAll(".subtopic-checkbox:checked");
       
@@ -2512,7 +3043,7 @@ function updateMaxQuestions() {
         conditions.push(`(topic = '${escapeSQL(topic)}' AND subtopic = '${escapeSQL(subtopic)}')`);
       });
       
-      sql = `SELECT id FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})`;
+      sql = `SELECT id FROM questions WHERE (${conditions.join(' OR ')}) AND question_type IN (${selectedTypes.map(t => `'${escapeSQL(t)}'`).join(',')})${getAttributeSqlFilter()}`;
     }
     
     const questionsRes = AppState.database.exec(sql);
@@ -2786,7 +3317,57 @@ function updateMaxQuestions() {
         });
       }
     } catch (e) { console.log("Error checking insufficient match_pairs:", e); }
-    
+
+    // 2.7 FillBlank questions whose blanks and blank_answers rows disagree
+    try {
+      const fillBlankResult = AppState.database.exec(`SELECT id, question_text, question_type, topic, subtopic FROM questions WHERE question_type = 'FillBlank'`);
+      const fillBlanks = (fillBlankResult[0]?.values || []).map(([id, question_text, question_type, topic, subtopic]) => ({ id, question_text, question_type, topic, subtopic }));
+      attachBlankAnswers(AppState.database, fillBlanks);
+      fillBlanks.forEach(q => {
+        const validation = validateQuestion({ ...q, blanks: q.blanks || [] });
+        if (!validation.isValid) {
+          invalidQuestions.push({ id: q.id, question_text: q.question_text, question_type: q.question_type, topic: q.topic, subtopic: q.subtopic, reason: validation.reason });
+        }
+      });
+    } catch (e) { console.log("Error checking FillBlank answers:", e); }
+
+    // 2.8 Numeric questions with a missing/non-numeric value or no usable tolerance
+    try {
+      const numericResult = AppState.database.exec(`SELECT id, question_text, question_type, topic, subtopic FROM questions WHERE question_type = 'Numeric'`);
+      const numerics = (numericResult[0]?.values || []).map(([id, question_text, question_type, topic, subtopic]) => ({ id, question_text, question_type, topic, subtopic }));
+      attachNumericAnswers(AppState.database, numerics);
+      numerics.forEach(q => {
+        const validation = validateQuestion(q);
+        if (!validation.isValid) {
+          invalidQuestions.push({ id: q.id, question_text: q.question_text, question_type: q.question_type, topic: q.topic, subtopic: q.subtopic, reason: validation.reason });
+        }
+      });
+    } catch (e) { console.log("Error checking Numeric answers:", e); }
+
+    // 2.9 Order questions with too few, empty or repeated order_items
+    try {
+      const orderResult = AppState.database.exec(`SELECT id, question_text, question_type, topic, subtopic FROM questions WHERE question_type = 'Order'`);
+      const orders = (orderResult[0]?.values || []).map(([id, question_text, question_type, topic, subtopic]) => ({ id, question_text, question_type, topic, subtopic }));
+      attachOrderItems(AppState.database, orders);
+      orders.forEach(q => {
+        const validation = validateQuestion({ ...q, items: q.items || [] });
+        if (!validation.isValid) {
+          invalidQuestions.push({ id: q.id, question_text: q.question_text, question_type: q.question_type, topic: q.topic, subtopic: q.subtopic, reason: validation.reason });
+        }
+      });
+    } catch (e) { console.log("Error checking Order items:", e); }
+
+    // 2.10 Questions whose passage_id has no passages row
+    try {
+      if (questionsTableHasColumn(AppState.database, 'passage_id')) {
+        const missingCondition = databaseHasTable(AppState.database, 'passages') ? ' AND NOT EXISTS (SELECT 1 FROM passages p WHERE p.id = q.passage_id)' : '';
+        const passageResult = AppState.database.exec(`SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, q.passage_id FROM questions q WHERE q.passage_id IS NOT NULL${missingCondition}`);
+        (passageResult[0]?.values || []).forEach(([id, question_text, question_type, topic, subtopic, passageId]) => {
+          invalidQuestions.push({ id, question_text, question_type, topic, subtopic, reason: `Passage ${passageId} not found (no passages row with that id)` });
+        });
+      }
+    } catch (e) { console.log("Error checking passages:", e); }
+
     // Collect all valid questions (those not flagged as invalid)
     const invalidQuestionIds = new Set(invalidQuestions.map(q => q.id));
     allQuestions.forEach(q => {
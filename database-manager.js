@@ -27,6 +27,12 @@
  *    - Resource cleanup and memory management
  * 
  * 4. QUERY UTILITIES:
+ *    - Optional difficulty column detection and filtering
+ *    - Optional tags table lookup and any/all tag filtering
+ *    - Answer tables of the extra question types (blank_answers, numeric_answers,
+ *      order_items, descriptive_answers) and passages (passages table, passage_id
+ *      column) copied onto questions
+ *    - Question rows turned into test-engine questions (options, answers, passages)
  *    - Database metadata queries (count, schema info)
  *    - Test execution queries with filtering
  *    - Question retrieval and validation
@@ -50,6 +56,7 @@
  * 
  * Dependencies: 
  * - app-state.js (for AppState access)
+ * - question-types.js, question-scoring.js, question-selection.js (question rules used by the queries)
  * - SQL.js library (loaded dynamically)
  * 
  * Used by: 
@@ -206,6 +213,8 @@ function getDatabaseMetadata(database) {
  * @param {Array} filters.topics - Selected topics
  * @param {Array} filters.subtopics - Selected subtopics  
  * @param {Array} filters.types - Selected question types
+ * @param {Array|null} filters.difficulties - Selected difficulty levels (null = any)
+ * @param {Object|null} filters.tagFilter - { tags, mode: 'any'|'all' } (null = no tag filter)
  * @param {number} filters.limit - Maximum number of questions
  * @param {string} filters.selectionMode - 'random' or 'sequential'
  * @returns {Object} Object with query string and parameters array
@@ -237,6 +246,18 @@ function buildFilteredQuery(filters) {
     params.push(...filters.types);
   }
   
+  // Add difficulty filtering
+  const difficultyCondition = buildDifficultyCondition(filters.difficulties || null);
+  if (difficultyCondition) {
+    query += ` AND ${difficultyCondition}`;
+  }
+  
+  // Add tag filtering (only databases with a tags table get a tag selection)
+  const tagCondition = buildTagCondition(filters.tagFilter || null);
+  if (tagCondition) {
+    query += ` AND ${tagCondition}`;
+  }
+  
   // Add ordering
   if (filters.selectionMode === 'random') {
     query += ' ORDER BY RANDOM()';
@@ -282,7 +303,26 @@ function validateQuestionData(question) {
     }
   }
   
-  if (!question.answer) errors.push('Missing answer');
+  if (question.type === 'fillblank') {
+    if (countBlanks(question.question) === 0) {
+      errors.push('Fill-in-the-blank questions need at least one ___ blank');
+    }
+  }
+  
+  if (question.type === 'numeric') {
+    if (parseNumericTolerance(question.tolerance) === null) {
+      errors.push('Numeric questions need a tolerance (0 for an exact answer)');
+    }
+  }
+  
+  if (question.type === 'order') {
+    if (getOrderItems(question).length < 2) {
+      errors.push('Ordering questions need at least 2 items');
+    }
+  } else if (question.type !== 'descriptive' && !question.answer && question.answer !== 0) {
+    // Descriptive questions are self- or teacher-marked; their model answer is optional
+    errors.push('Missing answer');
+  }
   
   return {
     isValid: errors.length === 0,
@@ -290,10 +330,450 @@ function validateQuestionData(question) {
   };
 }
 
+// ============================================
+// QUESTION DIFFICULTY
+// ============================================
+
+// Recognised difficulty levels, in display order. Banks without a difficulty
+// column/field (or with other values) are treated as "Unrated".
+const DIFFICULTY_LEVELS = ['Easy', 'Medium', 'Hard'];
+const UNRATED_DIFFICULTY = 'Unrated';
+
+/**
+ * Normalizes a stored difficulty value to one of DIFFICULTY_LEVELS
+ * Matching is case-insensitive and ignores surrounding whitespace.
+ * 
+ * @param {*} value - Raw difficulty from JSON or the questions table
+ * @returns {string|null} 'Easy', 'Medium', 'Hard', or null when unrated
+ */
+function normalizeDifficulty(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  return DIFFICULTY_LEVELS.find(level => level.toLowerCase() === key) || null;
+}
+
+/**
+ * Normalizes question.difficulty in place, dropping unrated values
+ * so older banks keep their original shape when exported
+ * 
+ * @param {Object} question - Question object (JSON or transformed DB row)
+ * @returns {Object} The same question object
+ */
+function applyQuestionDifficulty(question) {
+  const difficulty = normalizeDifficulty(question.difficulty);
+  if (difficulty) {
+    question.difficulty = difficulty;
+  } else {
+    delete question.difficulty;
+  }
+  return question;
+}
+
+/**
+ * Checks whether a question passes a difficulty selection
+ * 
+ * @param {Object} question - Question object
+ * @param {Array|null} difficulties - Selected levels (may include 'Unrated'); null means no filter
+ * @returns {boolean} True when the question should be kept
+ */
+function questionMatchesDifficulty(question, difficulties) {
+  if (!difficulties) return true;
+  return difficulties.includes(normalizeDifficulty(question.difficulty) || UNRATED_DIFFICULTY);
+}
+
+/**
+ * Checks whether the questions table has a given column
+ * Used to keep older databases (without optional columns) loading normally
+ * 
+ * @param {Database} database - The SQLite database instance
+ * @param {string} column - Column name to look for
+ * @returns {boolean} True if the column exists
+ */
+function questionsTableHasColumn(database, column) {
+  try {
+    const res = database.exec('PRAGMA table_info(questions)');
+    return !!res[0]?.values?.some(row => String(row[1]).toLowerCase() === column.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Builds a SQL condition for a difficulty selection
+ * Values come from the fixed DIFFICULTY_LEVELS list, so they are inlined.
+ * 
+ * @param {Array|null} difficulties - Selected levels (may include 'Unrated'); null means no filter
+ * @returns {string} Condition wrapped in parentheses, or '' when nothing needs filtering
+ */
+function buildDifficultyCondition(difficulties) {
+  if (!difficulties) return '';
+  const levels = DIFFICULTY_LEVELS.filter(level => difficulties.includes(level)).map(level => `'${level.toLowerCase()}'`);
+  const parts = [];
+  if (levels.length > 0) {
+    parts.push(`LOWER(TRIM(difficulty)) IN (${levels.join(',')})`);
+  }
+  if (difficulties.includes(UNRATED_DIFFICULTY)) {
+    parts.push(`difficulty IS NULL OR LOWER(TRIM(difficulty)) NOT IN (${DIFFICULTY_LEVELS.map(l => `'${l.toLowerCase()}'`).join(',')})`);
+  }
+  return parts.length > 0 ? `(${parts.join(' OR ')})` : '(0 = 1)';
+}
+
+// ============================================
+// QUESTION TAGS
+// ============================================
+
+/**
+ * Normalizes free-form tags to a list of trimmed, non-empty, unique strings
+ * Accepts an array or a single string separated by "|" or ",".
+ * Duplicates are detected case-insensitively; the first spelling wins.
+ *
+ * @param {*} value - Raw tags from JSON, CSV or the tags table
+ * @returns {Array<string>} Normalized tags (possibly empty)
+ */
+function normalizeTags(value) {
+  const raw = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[|,]/) : []);
+  const tags = [];
+  const seen = new Set();
+  raw.forEach(tag => {
+    if (typeof tag !== 'string' && typeof tag !== 'number') return;
+    const text = String(tag).trim();
+    const key = text.toLowerCase();
+    if (text && !seen.has(key)) {
+      seen.add(key);
+      tags.push(text);
+    }
+  });
+  return tags;
+}
+
+/**
+ * Normalizes question.tags in place, dropping the field when there are none
+ *
+ * @param {Object} question - Question object (JSON or transformed DB row)
+ * @returns {Object} The same question object
+ */
+function applyQuestionTags(question) {
+  const tags = normalizeTags(question.tags);
+  if (tags.length > 0) {
+    question.tags = tags;
+  } else {
+    delete question.tags;
+  }
+  return question;
+}
+
+/**
+ * Checks whether a question passes a tag selection
+ *
+ * @param {Object} question - Question object
+ * @param {Object|null} tagFilter - { tags: string[], mode: 'any'|'all' }; null means no filter
+ * @returns {boolean} True when the question should be kept
+ */
+function questionMatchesTags(question, tagFilter) {
+  if (!tagFilter || !tagFilter.tags || tagFilter.tags.length === 0) return true;
+  const own = normalizeTags(question.tags).map(tag => tag.toLowerCase());
+  const wanted = tagFilter.tags.map(tag => tag.toLowerCase());
+  return tagFilter.mode === 'all'
+    ? wanted.every(tag => own.includes(tag))
+    : wanted.some(tag => own.includes(tag));
+}
+
+/**
+ * Checks whether the database has a given (optional) table, e.g. tags or media
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {string} tableName - Table name to look for
+ * @returns {boolean} True if the table exists
+ */
+function databaseHasTable(database, tableName) {
+  try {
+    const res = database.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND LOWER(name) = '${escapeSQLString(tableName.toLowerCase())}'`);
+    return !!res[0]?.values?.length;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Copies rows from the tags table onto already transformed DB questions
+ * Does nothing for databases without a tags table.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Question objects with numeric ids
+ * @returns {Array} The same questions array
+ */
+function attachQuestionTags(database, questions) {
+  if (questions.length === 0 || !databaseHasTable(database, 'tags')) return questions;
+  const ids = questions.map(q => parseInt(q.id)).filter(id => !isNaN(id));
+  if (ids.length === 0) return questions;
+  const res = database.exec(`SELECT question_id, tag FROM tags WHERE question_id IN (${ids.join(',')}) ORDER BY rowid`);
+  const tagsById = {};
+  (res[0]?.values || []).forEach(([questionId, tag]) => {
+    (tagsById[questionId] = tagsById[questionId] || []).push(tag);
+  });
+  questions.forEach(q => {
+    q.tags = tagsById[q.id] || [];
+    applyQuestionTags(q);
+  });
+  return questions;
+}
+
+/**
+ * Builds a SQL condition for a tag selection
+ * Tags are matched case-insensitively; values are escaped with escapeSQLString.
+ *
+ * @param {Object|null} tagFilter - { tags: string[], mode: 'any'|'all' }; null means no filter
+ * @returns {string} Condition wrapped in parentheses, or '' when nothing needs filtering
+ */
+function buildTagCondition(tagFilter) {
+  const tags = tagFilter ? normalizeTags(tagFilter.tags) : [];
+  if (tags.length === 0) return '';
+  const list = tags.map(tag => `'${escapeSQLString(tag.toLowerCase())}'`).join(',');
+  const subquery = `SELECT question_id FROM tags WHERE LOWER(TRIM(tag)) IN (${list})`;
+  if (tagFilter.mode === 'all') {
+    return `(id IN (${subquery} GROUP BY question_id HAVING COUNT(DISTINCT LOWER(TRIM(tag))) = ${tags.length}))`;
+  }
+  return `(id IN (${subquery}))`;
+}
+
+// ============================================
+// QUESTION TYPE TABLES
+// ============================================
+
+/**
+ * Copies rows from the blank_answers table onto already transformed
+ * FillBlank questions (blanks = accepted spellings, answer = first spelling
+ * of each blank). Does nothing for databases without that table.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Question objects with numeric ids
+ * @returns {Array} The same questions array
+ */
+function attachBlankAnswers(database, questions) {
+  const fillBlanks = questions.filter(isFillBlankQuestion);
+  if (fillBlanks.length === 0 || !databaseHasTable(database, 'blank_answers')) return questions;
+  const ids = fillBlanks.map(q => parseInt(q.id)).filter(id => !isNaN(id));
+  if (ids.length === 0) return questions;
+  const res = database.exec(`SELECT question_id, blank_number, answer_text FROM blank_answers WHERE question_id IN (${ids.join(',')}) ORDER BY question_id, blank_number, id`);
+  const blanksById = {};
+  (res[0]?.values || []).forEach(([questionId, blankNumber, answerText]) => {
+    const blanks = blanksById[questionId] = blanksById[questionId] || [];
+    const index = Math.max(0, parseInt(blankNumber) - 1 || 0);
+    (blanks[index] = blanks[index] || []).push(String(answerText));
+  });
+  fillBlanks.forEach(q => {
+    q.blanks = Array.from(blanksById[q.id] || [], entry => entry || []);
+    q.answer = q.blanks.map(spellings => spellings[0] || '');
+  });
+  return questions;
+}
+
+/**
+ * Copies the numeric_answers row of each already transformed Numeric
+ * question onto it (answer, tolerance, unit). Does nothing for databases
+ * without that table.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Question objects with numeric ids
+ * @returns {Array} The same questions array
+ */
+function attachNumericAnswers(database, questions) {
+  const numerics = questions.filter(isNumericQuestion);
+  if (numerics.length === 0 || !databaseHasTable(database, 'numeric_answers')) return questions;
+  const ids = numerics.map(q => parseInt(q.id)).filter(id => !isNaN(id));
+  if (ids.length === 0) return questions;
+  const res = database.exec(`SELECT question_id, answer_value, tolerance, unit FROM numeric_answers WHERE question_id IN (${ids.join(',')}) ORDER BY question_id, id`);
+  const rowsById = {};
+  (res[0]?.values || []).forEach(row => {
+    if (!rowsById[row[0]]) rowsById[row[0]] = row;
+  });
+  numerics.forEach(q => {
+    const row = rowsById[q.id];
+    if (!row) return;
+    q.answer = row[1];
+    q.tolerance = row[2];
+    if (row[3] !== null && String(row[3]).trim() !== '') q.unit = String(row[3]);
+  });
+  return questions;
+}
+
+/**
+ * Copies rows from the order_items table onto already transformed Order
+ * questions (items = texts sorted by position, answer = the same list).
+ * Does nothing for databases without that table.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Question objects with numeric ids
+ * @returns {Array} The same questions array
+ */
+function attachOrderItems(database, questions) {
+  const orders = questions.filter(isOrderQuestion);
+  if (orders.length === 0 || !databaseHasTable(database, 'order_items')) return questions;
+  const ids = orders.map(q => parseInt(q.id)).filter(id => !isNaN(id));
+  if (ids.length === 0) return questions;
+  const res = database.exec(`SELECT question_id, item_text FROM order_items WHERE question_id IN (${ids.join(',')}) ORDER BY question_id, position, id`);
+  const itemsById = {};
+  (res[0]?.values || []).forEach(([questionId, itemText]) => {
+    (itemsById[questionId] = itemsById[questionId] || []).push(String(itemText));
+  });
+  orders.forEach(q => {
+    q.items = itemsById[q.id] || [];
+    q.answer = [...q.items];
+  });
+  return questions;
+}
+
+/**
+ * Copies the descriptive_answers row of each already transformed
+ * Descriptive question onto it (modelAnswer, rubric). Does nothing for
+ * databases without that table.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Question objects with numeric ids
+ * @returns {Array} The same questions array
+ */
+function attachDescriptiveAnswers(database, questions) {
+  const descriptives = questions.filter(isDescriptiveQuestion);
+  if (descriptives.length === 0 || !databaseHasTable(database, 'descriptive_answers')) return questions;
+  const ids = descriptives.map(q => parseInt(q.id)).filter(id => !isNaN(id));
+  if (ids.length === 0) return questions;
+  const res = database.exec(`SELECT question_id, model_answer, rubric FROM descriptive_answers WHERE question_id IN (${ids.join(',')}) ORDER BY question_id, id`);
+  const rowsById = {};
+  (res[0]?.values || []).forEach(row => {
+    if (!rowsById[row[0]]) rowsById[row[0]] = row;
+  });
+  descriptives.forEach(q => {
+    const row = rowsById[q.id];
+    if (!row) return;
+    if (row[1] !== null && String(row[1]).trim() !== '') q.modelAnswer = String(row[1]);
+    if (row[2] !== null && String(row[2]).trim() !== '') q.rubric = getRubricPoints({ rubric: String(row[2]) });
+  });
+  return questions;
+}
+
+/**
+ * Copies the passages row of each already transformed DB question onto it
+ * (passageId, passage). Does nothing for databases without a passage_id
+ * column or passages table.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Question objects (SELECT * rows, so passage_id is present)
+ * @returns {Array} The same questions array
+ */
+function attachPassages(database, questions) {
+  const grouped = questions.filter(q => getPassageId(q) !== null);
+  if (grouped.length === 0 || !databaseHasTable(database, 'passages')) return questions;
+  const ids = [...new Set(grouped.map(q => parseInt(getPassageId(q))).filter(id => !isNaN(id)))];
+  if (ids.length === 0) return questions;
+  const res = database.exec(`SELECT id, title, passage_text FROM passages WHERE id IN (${ids.join(',')})`);
+  const byId = {};
+  (res[0]?.values || []).forEach(([id, title, text]) => {
+    byId[id] = normalizePassage({ title: title ?? '', text });
+  });
+  grouped.forEach(q => {
+    q.passageId = parseInt(getPassageId(q));
+    if (byId[q.passageId]) q.passage = byId[q.passageId];
+  });
+  return questions;
+}
+
 // ============================================
 // DATABASE QUERY OPERATIONS
 // ============================================
 
+/**
+ * Turns rows of the questions table into question objects for the test engine:
+ * options, answers and type from the answer tables, plus difficulty, passages and tags
+ * Images are left out; callers attach them for the questions they keep.
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array<Object>} rows - Rows of the questions table (changed in place)
+ * @returns {Array<Object>} The same rows as question objects
+ */
+function transformDatabaseRows(database, rows) {
+  const questions = rows.map(q => {
+    // Standardize question text field
+    q.question = q.question_text;
+    applyQuestionDifficulty(q);
+    
+    // Process different question types
+    if (q.question_type === 'MCQ' || q.question_type === 'MCQ-Scenario' || q.question_type === 'Cohort-05-MCQ' || q.question_type === 'MCQ-Multiple') {
+      // Fetch options from options table
+      const optRes = database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
+      q.options = optRes[0]?.values?.map(v => v[0]) || [];
+      
+      // Get correct answers (handle both string and integer values for is_correct)
+      q.answer = optRes[0]?.values?.filter(v => v[1] === 1 || v[1] === "1")?.map(v => v[0]) || [];
+      
+      // For single choice, convert array to single value
+      if (q.answer.length === 1) {
+        q.answer = q.answer[0];
+      }
+      
+      // Set type based on number of correct answers
+      if (q.question_type === 'MCQ-Multiple') {
+        q.type = 'multiple';
+      } else {
+        q.type = (Array.isArray(q.answer) && q.answer.length > 1) ? 'multiple' : 'single';
+      }
+      
+    } else if (q.question_type === 'TrueFalse') {
+      q.options = ["True", "False"];
+      q.type = 'single';
+      
+      // Fetch correct answer from options table
+      const optRes = database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id}`);
+      const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === "1");
+      q.answer = correctOpt ? correctOpt[0] : null;
+      
+    } else if (q.question_type === 'Match') {
+      q.type = 'match';
+      
+      // Fetch match pairs from match_pairs table
+      const matchRes = database.exec(`SELECT left_text, right_text FROM match_pairs WHERE question_id = ${q.id} ORDER BY id`);
+      if (matchRes[0]?.values) {
+        q.matchPairs = {};
+        matchRes[0].values.forEach(([left, right]) => {
+          q.matchPairs[left] = right;
+        });
+        q.options = ["Refer to match pairs"]; // Placeholder for compatibility
+        q.answer = q.matchPairs;
+      }
+      
+    } else if (q.question_type === 'AssertionReason') {
+      q.type = 'assertion';
+      
+      // Fetch options from options table
+      const optRes = database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
+      q.options = optRes[0]?.values?.map(v => v[0]) || [];
+      const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === "1");
+      q.answer = correctOpt ? correctOpt[0] : null;
+      
+    } else if (q.question_type === 'FillBlank') {
+      // Accepted answers come from blank_answers (attachBlankAnswers below)
+      q.type = 'fillblank';
+    } else if (q.question_type === 'Numeric') {
+      // Value, tolerance and unit come from numeric_answers (attachNumericAnswers below)
+      q.type = 'numeric';
+    } else if (q.question_type === 'Order') {
+      // Items and their sequence come from order_items (attachOrderItems below)
+      q.type = 'order';
+    } else if (q.question_type === 'Descriptive') {
+      // Model answer and rubric come from descriptive_answers (attachDescriptiveAnswers below)
+      q.type = 'descriptive';
+    }
+    
+    return q;
+  });
+  attachBlankAnswers(database, questions);
+  attachNumericAnswers(database, questions);
+  attachOrderItems(database, questions);
+  attachDescriptiveAnswers(database, questions);
+  attachPassages(database, questions);
+  attachQuestionTags(database, questions);
+  return questions;
+}
+
 /**
  * Reruns the last database test query with the same parameters
  * Used for "New Questions (Same Options)" functionality
@@ -390,13 +870,24 @@ function rerunDatabaseTest() {
     AppState.showTopicSubtopic = params.showTopicSubtopic;
     AppState.showImmediateResult = params.showImmediateResult;
     AppState.showCorrectAnswer = params.showCorrectAnswer;
+    AppState.orderPartialCredit = !!params.orderPartialCredit;
+    AppState.scoringPolicy = normalizeScoringPolicy(params.scoringPolicy);
+    AppState.markingScheme = normalizeMarkingScheme(params.markingScheme);
     
-    // Build and execute the query
+    // Build and execute the query. A LIMIT could cut a passage group in two,
+    // so banks with passages are trimmed after the query instead
+    const hasPassages = questionsTableHasColumn(AppState.database, 'passage_id');
+    // Stratified selection needs every matching question to share out, and
+    // adaptive practice picks from all of them as the learner goes
+    const stratified = params.selectionMode === 'stratified';
+    const adaptive = params.adaptive || null;
     const queryFilters = {
       topics: params.selectedTopics,
       subtopics: params.selectedSubtopics,
       types: params.selectedTypes,
-      limit: params.numQuestions,
+      difficulties: params.selectedDifficulties || null,
+      tagFilter: params.tagFilter || null,
+      limit: hasPassages || stratified || adaptive ? 0 : params.numQuestions,
       selectionMode: params.selectionMode
     };
     
@@ -405,7 +896,28 @@ function rerunDatabaseTest() {
   // ...existing code...
   // ...existing code...
     
-    const results = executeSecureQueryAll(AppState.database, query, queryParams);
+    let results = executeSecureQueryAll(AppState.database, query, queryParams);
+    if (params.blueprint) {
+      // A blueprint draws from the whole bank, ignoring the filters above
+      const drawn = drawToBlueprint(executeSecureQueryAll(AppState.database, 'SELECT * FROM questions'), params.blueprint);
+      if (drawn.shortfalls.length > 0) {
+        const loadingMessage = document.getElementById("loading-message");
+        if (loadingMessage) {
+          loadingMessage.remove();
+        }
+        if (fileChosenElement) {
+          fileChosenElement.innerHTML = `<span style="color: red;">This database cannot fill the blueprint: ${sanitizeText(drawn.shortfalls.join('; '))}</span>`;
+        }
+        return;
+      }
+      results = drawn.questions;
+    } else if (adaptive) {
+      // Every matching question stays in the pool
+    } else if (stratified) {
+      results = stratifiedSelection(results, questionCount);
+    } else if (hasPassages) {
+      results = takeQuestionsKeepingPassages(results, questionCount);
+    }
     
     if (results.length === 0) {
       if (fileChosenElement) {
@@ -415,66 +927,11 @@ function rerunDatabaseTest() {
     }
     
     // Transform questions using the same logic as the original Start Test
-    const transformedQuestions = results.map(q => {
-      // Standardize question text field
-      q.question = q.question_text;
-      
-      // Process different question types
-      if (q.question_type === 'MCQ' || q.question_type === 'MCQ-Scenario' || q.question_type === 'Cohort-05-MCQ' || q.question_type === 'MCQ-Multiple') {
-        // Fetch options from options table
-        const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
-        q.options = optRes[0]?.values?.map(v => v[0]) || [];
-        
-        // Get correct answers (handle both string and integer values for is_correct)
-        q.answer = optRes[0]?.values?.filter(v => v[1] === 1 || v[1] === "1")?.map(v => v[0]) || [];
-        
-        // For single choice, convert array to single value
-        if (q.answer.length === 1) {
-          q.answer = q.answer[0];
-        }
-        
-        // Set type based on number of correct answers
-        if (q.question_type === 'MCQ-Multiple') {
-          q.type = 'multiple';
-        } else {
-          q.type = (Array.isArray(q.answer) && q.answer.length > 1) ? 'multiple' : 'single';
-        }
-        
-      } else if (q.question_type === 'TrueFalse') {
-        q.options = ["True", "False"];
-        q.type = 'single';
-        
-        // Fetch correct answer from options table
-        const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id}`);
-        const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === "1");
-        q.answer = correctOpt ? correctOpt[0] : null;
-        
-      } else if (q.question_type === 'Match') {
-        q.type = 'match';
-        
-        // Fetch match pairs from match_pairs table
-        const matchRes = AppState.database.exec(`SELECT left_text, right_text FROM match_pairs WHERE question_id = ${q.id} ORDER BY id`);
-        if (matchRes[0]?.values) {
-          q.matchPairs = {};
-          matchRes[0].values.forEach(([left, right]) => {
-            q.matchPairs[left] = right;
-          });
-          q.options = ["Refer to match pairs"]; // Placeholder for compatibility
-          q.answer = q.matchPairs;
-        }
-        
-      } else if (q.question_type === 'AssertionReason') {
-        q.type = 'assertion';
-        
-        // Fetch options from options table
-        const optRes = AppState.database.exec(`SELECT option_text, is_correct FROM options WHERE question_id = ${q.id} ORDER BY id`);
-        q.options = optRes[0]?.values?.map(v => v[0]) || [];
-        const correctOpt = optRes[0]?.values?.find(v => v[1] === 1 || v[1] === "1");
-        q.answer = correctOpt ? correctOpt[0] : null;
-      }
-      
-      return q;
-    });
+    const transformedQuestions = transformDatabaseRows(AppState.database, results);
+    if (!adaptive) {
+      // Adaptive practice loads images for each question as it is picked
+      attachQuestionMedia(AppState.database, transformedQuestions);
+    }
     
   // ...existing code...
     
@@ -485,7 +942,11 @@ function rerunDatabaseTest() {
     
     // Start the test with transformed questions (same as original Start Test logic)
     if (typeof startTest === 'function') {
-      startTest(transformedQuestions);
+      if (adaptive) {
+        startAdaptivePractice(transformedQuestions, adaptive);
+      } else {
+        startTest(transformedQuestions);
+      }
       
       // Remove loading message after test starts
       setTimeout(() => {
@@ -0,0 +1,565 @@
+/**
+ * ============================================================================
+ * JSON → SQLITE DATABASE BUILDER MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Turns the JSON bank loaded in JSON mode (AppState.originalData) into a
+ * SQLite .db file that follows DB Schema/DBSchema.sql, so banks can travel
+ * both ways: DB mode already exports JSON, and JSON mode can now save a DB.
+ * The same bank can also be written as a SQL INSERT script for authors who
+ * maintain their databases in SQLiteStudio.
+ *
+ * Type Mapping (Insert Rules/InsertRules.md):
+ * • single    → MCQ (True/False included: MCQ with two options)
+ * • multiple  → MCQ-Multiple
+ * • assertion → AssertionReason
+ * • match     → Match, with the dummy option "Refer to match pairs"
+ *               and one match_pairs row per pair
+ * • fillblank → FillBlank, no options; one blank_answers row per
+ *               accepted spelling of each blank
+ * • numeric   → Numeric, no options; one numeric_answers row with the
+ *               value, tolerance and unit
+ * • order     → Order, no options; one order_items row per item, with
+ *               its position in the correct sequence
+ * • descriptive → Descriptive, no options; one descriptive_answers row
+ *               when the question has a model answer or rubric
+ *
+ * Questions that share a passage (passageId) are written one after the
+ * other, at the place of the group's first question; the passage becomes
+ * a passages row that their passage_id points to.
+ *
+ * Core Functions:
+ * • mapJsonTypeToDbType() - JSON question type → question_type value
+ * • prepareQuestionForDb() - Type mapping + validation shared by both outputs
+ * • orderQuestionsForInsert() - Bank order with passage groups made contiguous
+ * • buildQuestionDatabase() - Questions → sql.js Database (+ skipped list)
+ * • buildInsertScript() - Questions → SQL INSERT script (+ skipped list)
+ * • collectQuestionMediaRows() - Embedded images → media table rows
+ * • saveJsonBankAsDatabase() - "Save as Database" button handler
+ * • saveJsonBankAsSqlScript() - "Save as SQL Script" button handler
+ *
+ * Dependencies:
+ * • core-utils.js - loadSQLJS
+ * • database-manager.js - escapeSQLString, normalizeDifficulty, normalizeTags
+ * • question-scoring.js - parseQuestionMarks
+ * • question-types.js - getBlankAnswers, parseNumericValue, getOrderItems, getModelAnswer, getRubricPoints, getPassageId, normalizePassage, groupQuestionsByPassage
+ * • app-state.js - AppState.originalData
+ * • test-engine.js - validateQuestion
+ * • question-media.js - dataUriToMedia
+ * • validation-popup.js - showFloatingMessage
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// Table definitions copied from DB Schema/DBSchema.sql
+const QUESTION_DB_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS questions (id INTEGER PRIMARY KEY, question_text TEXT NOT NULL, question_type TEXT NOT NULL, explanation TEXT, reference TEXT, topic TEXT NOT NULL, subtopic TEXT NOT NULL, difficulty TEXT, marks REAL, passage_id INTEGER REFERENCES passages(id));
+  CREATE TABLE IF NOT EXISTS passages (
+    id INTEGER PRIMARY KEY,
+    title TEXT,
+    passage_text TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS options (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    option_text TEXT NOT NULL,
+    is_correct INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS match_pairs (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    left_text TEXT NOT NULL,
+    right_text TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS blank_answers (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    blank_number INTEGER NOT NULL,
+    answer_text TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS numeric_answers (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    answer_value REAL NOT NULL,
+    tolerance TEXT NOT NULL,
+    unit TEXT,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS order_items (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    item_text TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS descriptive_answers (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    model_answer TEXT,
+    rubric TEXT,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS tags (
+    question_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS media (
+    id INTEGER PRIMARY KEY,
+    question_id INTEGER,
+    name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    data BLOB NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+  );
+`;
+
+// Dummy option every Match question carries (InsertRules.md, rule 2)
+const MATCH_PLACEHOLDER_OPTION = 'Refer to match pairs';
+
+/**
+ * Maps a JSON question type onto the DB question_type
+ * @param {Object} question - JSON question
+ * @returns {string|null} DB question type, or null when unsupported
+ */
+function mapJsonTypeToDbType(question) {
+  switch (question.type) {
+    case 'single': return 'MCQ';
+    case 'multiple': return 'MCQ-Multiple';
+    case 'assertion': return 'AssertionReason';
+    case 'match': return 'Match';
+    case 'fillblank': return 'FillBlank';
+    case 'numeric': return 'Numeric';
+    case 'order': return 'Order';
+    case 'descriptive': return 'Descriptive';
+    default: return null;
+  }
+}
+
+/**
+ * Collects the embeddable images of a JSON question for the media table
+ * question.media entries keep their names; data-URI question.image figures
+ * get generated names. Relative image paths cannot be embedded and are left out.
+ * @param {Object} q - JSON question
+ * @param {number} position - 1-based question number, used in generated names
+ * @returns {Array<{name: string, mimeType: string, bytes: Uint8Array}>} Media rows
+ */
+function collectQuestionMediaRows(q, position) {
+  const rows = [];
+  if (q.media && typeof q.media === 'object') {
+    Object.entries(q.media).forEach(([name, uri]) => {
+      const media = dataUriToMedia(uri);
+      if (media) rows.push({ name, ...media });
+    });
+  }
+  const images = Array.isArray(q.image) ? q.image : (q.image ? [q.image] : []);
+  images.forEach((image, i) => {
+    const media = dataUriToMedia(typeof image === 'string' ? image : image && image.src);
+    if (media) rows.push({ name: `q${position}-figure-${i + 1}`, ...media });
+  });
+  return rows;
+}
+
+/**
+ * Checks a JSON question against the insert rules before it is written
+ * @param {Object} q - JSON question
+ * @returns {{dbType: string, pairs: Object|null}|{reason: string}} DB type and match pairs, or why it cannot be stored
+ */
+function prepareQuestionForDb(q) {
+  const dbType = mapJsonTypeToDbType(q);
+  if (!dbType) {
+    return { reason: `Unsupported type "${q.type}"` };
+  }
+
+  if (dbType === 'Match') {
+    const pairs = q.matchPairs || (q.answer && typeof q.answer === 'object' && !Array.isArray(q.answer) ? q.answer : null);
+    if (!q.question || !pairs || Object.keys(pairs).length === 0) {
+      return { reason: !q.question ? 'Missing question text' : 'Missing match pairs' };
+    }
+    return { dbType, pairs };
+  }
+
+  const validation = validateQuestion(q);
+  if (!validation.isValid) {
+    return { reason: validation.reason };
+  }
+  return { dbType, pairs: null };
+}
+
+/**
+ * Lists the questions in the order they are written: the bank's order,
+ * except that each passage group follows its first question
+ * @param {Object[]} questions - JSON questions
+ * @returns {Array<{q: Object, index: number}>} Questions with their index in the bank
+ */
+function orderQuestionsForInsert(questions) {
+  return groupQuestionsByPassage(questions).flat().map(q => ({ q, index: questions.indexOf(q) }));
+}
+
+/**
+ * Builds a sql.js database from JSON questions
+ * Invalid questions are skipped and reported instead of aborting the build.
+ * @param {Object} SQL - Initialized sql.js module
+ * @param {Object[]} questions - JSON questions
+ * @returns {{database: Object, inserted: number, skipped: Array<{index: number, reason: string}>}} Build result
+ */
+function buildQuestionDatabase(SQL, questions) {
+  const database = new SQL.Database();
+  const skipped = [];
+  let inserted = 0;
+
+  database.run(QUESTION_DB_SCHEMA);
+
+  const insertQuestion = database.prepare('INSERT INTO questions (question_text, question_type, topic, subtopic, reference, explanation, difficulty, marks, passage_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)');
+  const insertPassage = database.prepare('INSERT INTO passages (title, passage_text) VALUES (?, ?)');
+  const insertOption = database.prepare('INSERT INTO options (question_id, option_text, is_correct) VALUES (?, ?, ?)');
+  const insertPair = database.prepare('INSERT INTO match_pairs (question_id, left_text, right_text) VALUES (?, ?, ?)');
+  const insertBlank = database.prepare('INSERT INTO blank_answers (question_id, blank_number, answer_text) VALUES (?, ?, ?)');
+  const insertNumeric = database.prepare('INSERT INTO numeric_answers (question_id, answer_value, tolerance, unit) VALUES (?, ?, ?, ?)');
+  const insertOrderItem = database.prepare('INSERT INTO order_items (question_id, position, item_text) VALUES (?, ?, ?)');
+  const insertDescriptive = database.prepare('INSERT INTO descriptive_answers (question_id, model_answer, rubric) VALUES (?, ?, ?)');
+  const insertTag = database.prepare('INSERT INTO tags (question_id, tag) VALUES (?, ?)');
+  const insertMedia = database.prepare('INSERT INTO media (question_id, name, mime_type, data) VALUES (?, ?, ?, ?)');
+
+  const passageRowIds = {}; // JSON passageId → passages.id
+  const lastInsertId = () => database.exec('SELECT last_insert_rowid()')[0].values[0][0];
+
+  try {
+    database.run('BEGIN TRANSACTION');
+
+    orderQuestionsForInsert(questions).forEach(({ q, index }) => {
+      const prepared = prepareQuestionForDb(q);
+      if (prepared.reason) {
+        skipped.push({ index, reason: prepared.reason });
+        return;
+      }
+      const { dbType, pairs } = prepared;
+
+      // The passage row is written with the first question of its group that is kept
+      const passageKey = getPassageId(q);
+      const passage = passageKey !== null ? normalizePassage(q.passage) : null;
+      if (passage && !(passageKey in passageRowIds)) {
+        insertPassage.run([passage.title || null, passage.text]);
+        passageRowIds[passageKey] = lastInsertId();
+      }
+
+      insertQuestion.run([
+        q.question,
+        dbType,
+        q.topic || 'General',
+        q.subtopic || 'General',
+        q.reference || null,
+        q.explanation || null,
+        normalizeDifficulty(q.difficulty),
+        parseQuestionMarks(q.marks),
+        passage ? passageRowIds[passageKey] : null
+      ]);
+      const questionId = lastInsertId();
+
+      if (dbType === 'Match') {
+        insertOption.run([questionId, MATCH_PLACEHOLDER_OPTION, 1]);
+        Object.entries(pairs).forEach(([left, right]) => {
+          insertPair.run([questionId, left, right]);
+        });
+      } else if (dbType === 'FillBlank') {
+        getBlankAnswers(q).forEach((spellings, i) => {
+          spellings.forEach(answer => insertBlank.run([questionId, i + 1, answer]));
+        });
+      } else if (dbType === 'Numeric') {
+        insertNumeric.run([questionId, parseNumericValue(q.answer, q.unit), String(q.tolerance).trim(), q.unit ? String(q.unit).trim() : null]);
+      } else if (dbType === 'Order') {
+        getOrderItems(q).forEach((item, i) => insertOrderItem.run([questionId, i + 1, item]));
+      } else if (dbType === 'Descriptive') {
+        const modelAnswer = getModelAnswer(q);
+        const rubric = getRubricPoints(q);
+        if (modelAnswer || rubric.length > 0) {
+          insertDescriptive.run([questionId, modelAnswer || null, rubric.length > 0 ? rubric.join('|') : null]);
+        }
+      } else {
+        const correct = Array.isArray(q.answer) ? q.answer : [q.answer];
+        q.options.forEach(option => {
+          insertOption.run([questionId, option, correct.includes(option) ? 1 : 0]);
+        });
+      }
+      normalizeTags(q.tags).forEach(tag => {
+        insertTag.run([questionId, tag]);
+      });
+      collectQuestionMediaRows(q, index + 1).forEach(media => {
+        insertMedia.run([questionId, media.name, media.mimeType, media.bytes]);
+      });
+      inserted++;
+    });
+
+    database.run('COMMIT');
+  } catch (error) {
+    database.run('ROLLBACK');
+    database.close();
+    throw error;
+  } finally {
+    insertQuestion.free();
+    insertPassage.free();
+    insertOption.free();
+    insertPair.free();
+    insertBlank.free();
+    insertNumeric.free();
+    insertOrderItem.free();
+    insertDescriptive.free();
+    insertTag.free();
+    insertMedia.free();
+  }
+
+  return { database, inserted, skipped };
+}
+
+/**
+ * Formats a value as a SQL literal for the generated script
+ * @param {*} value - Text, number, bytes (BLOB) or null
+ * @returns {string} Quoted and escaped literal, X'..' blob literal, or NULL
+ */
+function toSqlLiteral(value) {
+  if (value === null || value === undefined || value === '') return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (ArrayBuffer.isView(value)) {
+    return `X'${Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('')}'`;
+  }
+  return `'${escapeSQLString(String(value))}'`;
+}
+
+/**
+ * Builds a ready-to-run SQL script of INSERT statements from JSON questions
+ * Each questions insert is followed by its options/match_pairs/blank_answers/numeric_answers/order_items/descriptive_answers inserts, which
+ * link back with (SELECT MAX(id) FROM questions) - the row just inserted - so
+ * the script can be appended to an existing database without <id> placeholders
+ * and without relying on question_text being unique. Passages link the same
+ * way through (SELECT MAX(id) FROM passages).
+ * @param {Object[]} questions - JSON questions
+ * @param {string} [title] - Bank title written into the header comment
+ * @returns {{script: string, inserted: number, skipped: Array<{index: number, reason: string}>}} Script and counts
+ */
+function buildInsertScript(questions, title = '') {
+  const skipped = [];
+  const blocks = [];
+  const questionId = '(SELECT MAX(id) FROM questions)';
+  let usesDifficulty = false;
+  let usesMarks = false;
+  let usesTags = false;
+  let usesMedia = false;
+  let usesBlanks = false;
+  let usesNumeric = false;
+  let usesOrder = false;
+  let usesDescriptive = false;
+  let usesPassages = false;
+  const passagesWritten = new Set();
+
+  orderQuestionsForInsert(questions).forEach(({ q, index }) => {
+    const prepared = prepareQuestionForDb(q);
+    if (prepared.reason) {
+      skipped.push({ index, reason: prepared.reason });
+      return;
+    }
+    const { dbType, pairs } = prepared;
+
+    // difficulty and marks are only named when set, so banks without them still run on databases without those columns
+    const difficulty = normalizeDifficulty(q.difficulty);
+    const marks = parseQuestionMarks(q.marks);
+    const columns = ['question_text', 'question_type', 'topic', 'subtopic', 'reference', 'explanation'];
+    const values = [q.question, dbType, q.topic || 'General', q.subtopic || 'General', q.reference, q.explanation].map(toSqlLiteral);
+    if (difficulty) {
+      columns.push('difficulty');
+      values.push(toSqlLiteral(difficulty));
+      usesDifficulty = true;
+    }
+    if (marks) {
+      columns.push('marks');
+      values.push(toSqlLiteral(marks));
+      usesMarks = true;
+    }
+
+    const lines = [`-- Q${blocks.length + 1} (${dbType})`];
+
+    // A group's questions come right after its passage, so the newest passages row is theirs
+    const passageKey = getPassageId(q);
+    const passage = passageKey !== null ? normalizePassage(q.passage) : null;
+    if (passage) {
+      if (!passagesWritten.has(passageKey)) {
+        passagesWritten.add(passageKey);
+        lines.push('INSERT INTO passages (title, passage_text)');
+        lines.push(`VALUES (${toSqlLiteral(passage.title || null)}, ${toSqlLiteral(passage.text)});`);
+      }
+      columns.push('passage_id');
+      values.push('(SELECT MAX(id) FROM passages)');
+      usesPassages = true;
+    }
+
+    lines.push(`INSERT INTO questions (${columns.join(', ')})`);
+    lines.push(`VALUES (${values.join(', ')});`);
+
+    let rows;
+    if (dbType === 'Match') {
+      lines.push('INSERT INTO options (question_id, option_text, is_correct) VALUES');
+      lines.push(`(${questionId}, ${toSqlLiteral(MATCH_PLACEHOLDER_OPTION)}, 1);`);
+      lines.push('INSERT INTO match_pairs (question_id, left_text, right_text) VALUES');
+      rows = Object.entries(pairs).map(([left, right]) => `(${questionId}, ${toSqlLiteral(left)}, ${toSqlLiteral(right)})`);
+    } else if (dbType === 'FillBlank') {
+      lines.push('INSERT INTO blank_answers (question_id, blank_number, answer_text) VALUES');
+      rows = getBlankAnswers(q).flatMap((spellings, i) => spellings.map(answer => `(${questionId}, ${i + 1}, ${toSqlLiteral(answer)})`));
+      usesBlanks = true;
+    } else if (dbType === 'Numeric') {
+      lines.push('INSERT INTO numeric_answers (question_id, answer_value, tolerance, unit) VALUES');
+      rows = [`(${questionId}, ${toSqlLiteral(parseNumericValue(q.answer, q.unit))}, ${toSqlLiteral(String(q.tolerance).trim())}, ${toSqlLiteral(q.unit ? String(q.unit).trim() : null)})`];
+      usesNumeric = true;
+    } else if (dbType === 'Order') {
+      lines.push('INSERT INTO order_items (question_id, position, item_text) VALUES');
+      rows = getOrderItems(q).map((item, i) => `(${questionId}, ${i + 1}, ${toSqlLiteral(item)})`);
+      usesOrder = true;
+    } else if (dbType === 'Descriptive') {
+      const modelAnswer = getModelAnswer(q);
+      const rubric = getRubricPoints(q);
+      rows = [];
+      if (modelAnswer || rubric.length > 0) {
+        lines.push('INSERT INTO descriptive_answers (question_id, model_answer, rubric) VALUES');
+        rows = [`(${questionId}, ${toSqlLiteral(modelAnswer || null)}, ${toSqlLiteral(rubric.length > 0 ? rubric.join('|') : null)})`];
+        usesDescriptive = true;
+      }
+    } else {
+      const correct = Array.isArray(q.answer) ? q.answer : [q.answer];
+      lines.push('INSERT INTO options (question_id, option_text, is_correct) VALUES');
+      rows = q.options.map(option => `(${questionId}, ${toSqlLiteral(option)}, ${correct.includes(option) ? 1 : 0})`);
+    }
+    if (rows.length > 0) lines.push(rows.join(',\n') + ';');
+
+    const tags = normalizeTags(q.tags);
+    if (tags.length > 0) {
+      lines.push('INSERT INTO tags (question_id, tag) VALUES');
+      lines.push(tags.map(tag => `(${questionId}, ${toSqlLiteral(tag)})`).join(',\n') + ';');
+      usesTags = true;
+    }
+
+    const mediaRows = collectQuestionMediaRows(q, index + 1);
+    if (mediaRows.length > 0) {
+      lines.push('INSERT INTO media (question_id, name, mime_type, data) VALUES');
+      lines.push(mediaRows.map(media => `(${questionId}, ${toSqlLiteral(media.name)}, ${toSqlLiteral(media.mimeType)}, ${toSqlLiteral(media.bytes)})`).join(',\n') + ';');
+      usesMedia = true;
+    }
+
+    blocks.push(lines.join('\n'));
+  });
+
+  const header = [
+    `-- InsightPrep insert script${title ? `: ${title}` : ''}`,
+    `-- ${blocks.length} question${blocks.length === 1 ? '' : 's'}, generated ${new Date().toISOString()}`,
+    '-- Run against a database created from DB Schema/DBSchema.sql (e.g. in SQLiteStudio).',
+    ...(usesDifficulty ? ['-- Uses the difficulty column; on older databases run first: ALTER TABLE questions ADD COLUMN difficulty TEXT;'] : []),
+    ...(usesMarks ? ['-- Uses the marks column; on older databases run first: ALTER TABLE questions ADD COLUMN marks REAL;'] : []),
+    ...(usesPassages ? ['-- Uses the passage_id column; on older databases run first: ALTER TABLE questions ADD COLUMN passage_id INTEGER;'] : []),
+    ''
+  ];
+  // The answer, tags and media tables are optional, so scripts that use them create them when missing
+  const setup = [
+    ...(usesPassages ? ['CREATE TABLE IF NOT EXISTS passages (id INTEGER PRIMARY KEY, title TEXT, passage_text TEXT NOT NULL);'] : []),
+    ...(usesNumeric ? ['CREATE TABLE IF NOT EXISTS numeric_answers (id INTEGER PRIMARY KEY, question_id INTEGER NOT NULL, answer_value REAL NOT NULL, tolerance TEXT NOT NULL, unit TEXT, FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE);'] : []),
+    ...(usesOrder ? ['CREATE TABLE IF NOT EXISTS order_items (id INTEGER PRIMARY KEY, question_id INTEGER NOT NULL, position INTEGER NOT NULL, item_text TEXT NOT NULL, FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE);'] : []),
+    ...(usesDescriptive ? ['CREATE TABLE IF NOT EXISTS descriptive_answers (id INTEGER PRIMARY KEY, question_id INTEGER NOT NULL, model_answer TEXT, rubric TEXT, FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE);'] : []),
+    ...(usesBlanks ? ['CREATE TABLE IF NOT EXISTS blank_answers (id INTEGER PRIMARY KEY, question_id INTEGER NOT NULL, blank_number INTEGER NOT NULL, answer_text TEXT NOT NULL, FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE);'] : []),
+    ...(usesTags ? ['CREATE TABLE IF NOT EXISTS tags (question_id INTEGER NOT NULL, tag TEXT NOT NULL, FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE);'] : []),
+    ...(usesMedia ? ['CREATE TABLE IF NOT EXISTS media (id INTEGER PRIMARY KEY, question_id INTEGER, name TEXT NOT NULL, mime_type TEXT NOT NULL, data BLOB NOT NULL, FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE);'] : [])
+  ];
+  if (setup.length > 0) setup.push('');
+  const script = [...header, 'BEGIN TRANSACTION;', '', ...setup, blocks.join('\n\n'), '', 'COMMIT;', ''].join('\n');
+
+  return { script, inserted: blocks.length, skipped };
+}
+
+/**
+ * Starts a browser download for a generated bank file
+ * @param {Blob} blob - File contents
+ * @param {string} extension - File extension without the dot
+ */
+function downloadBankFile(blob, extension) {
+  const title = AppState.originalData && AppState.originalData.title;
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${String(title || 'questions').replace(/[^a-z0-9_\-]+/gi, '_')}.${extension}`;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => { try { URL.revokeObjectURL(url); } catch(_){} document.body.removeChild(a); }, 0);
+}
+
+/**
+ * Handles the "Save as Database" button in JSON mode
+ * Builds the .db from AppState.originalData and downloads it.
+ */
+async function saveJsonBankAsDatabase() {
+  const data = AppState.originalData;
+  if (!data || !Array.isArray(data.questions) || data.questions.length === 0) {
+    alert('Load a JSON question bank first.');
+    return;
+  }
+
+  let result = null;
+  try {
+    await loadSQLJS();
+    const SQL = await initSqlJs({ locateFile: fileName => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${fileName}` });
+    result = buildQuestionDatabase(SQL, data.questions);
+
+    if (result.inserted === 0) {
+      alert('None of the questions could be saved. See console for details.');
+      console.warn('Save as Database skipped questions:', result.skipped);
+      return;
+    }
+
+    const bytes = result.database.export();
+    downloadBankFile(new Blob([bytes], { type: 'application/x-sqlite3' }), 'db');
+
+    if (result.skipped.length > 0) {
+      console.warn('Save as Database skipped questions:', result.skipped);
+    }
+    if (typeof showFloatingMessage === 'function') {
+      const skippedNote = result.skipped.length > 0 ? ` (${result.skipped.length} invalid question${result.skipped.length === 1 ? '' : 's'} skipped, see console)` : '';
+      showFloatingMessage(`💾 Saved ${result.inserted} question${result.inserted === 1 ? '' : 's'} to database${skippedNote}`, result.skipped.length > 0 ? 'info' : 'success');
+    }
+  } catch (error) {
+    console.error('Save as Database failed:', error);
+    alert('Failed to build the database. See console for details.');
+  } finally {
+    if (result && result.database) {
+      result.database.close();
+    }
+  }
+}
+
+/**
+ * Handles the "Save as SQL Script" button in JSON mode
+ * Downloads the INSERT script for AppState.originalData as a .sql file.
+ */
+function saveJsonBankAsSqlScript() {
+  const data = AppState.originalData;
+  if (!data || !Array.isArray(data.questions) || data.questions.length === 0) {
+    alert('Load a JSON question bank first.');
+    return;
+  }
+
+  const result = buildInsertScript(data.questions, data.title);
+  if (result.inserted === 0) {
+    alert('None of the questions could be converted. See console for details.');
+    console.warn('Save as SQL Script skipped questions:', result.skipped);
+    return;
+  }
+
+  downloadBankFile(new Blob([result.script], { type: 'application/sql;charset=utf-8' }), 'sql');
+
+  if (result.skipped.length > 0) {
+    console.warn('Save as SQL Script skipped questions:', result.skipped);
+  }
+  if (typeof showFloatingMessage === 'function') {
+    const skippedNote = result.skipped.length > 0 ? ` (${result.skipped.length} invalid question${result.skipped.length === 1 ? '' : 's'} skipped, see console)` : '';
+    showFloatingMessage(`📝 Wrote ${result.inserted} question${result.inserted === 1 ? '' : 's'} to SQL script${skippedNote}`, result.skipped.length > 0 ? 'info' : 'success');
+  }
+}
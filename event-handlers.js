@@ -20,7 +20,7 @@
  * • initializeEventListeners() - Set up all application event handlers
  * • addEventListenerWithCleanup() - Track event listeners for proper cleanup
  * • removeAllEventListeners() - Clean up event listeners to prevent memory leaks
- * • handleFileInput() - Process JSON file uploads
+ * • handleFileInput() - Process JSON file uploads (CSV/TSV, Moodle XML and GIFT via their importers)
  * • handleDatabaseSelection() - Process database file selection
  * • handleNavigationEvents() - Manage workflow navigation buttons
  * 
@@ -30,6 +30,7 @@
  * • database-manager.js - For database operations and initialization
  * • filter-panels.js - For building filter interfaces
  * • test-engine.js - For starting and managing tests
+ * • review-deck.js - For starting another "Due for review" session
  * • ui-layout.js - For layout initialization
  * 
  * Technical Features:
@@ -192,12 +193,28 @@ async function checkAndRestoreDatabaseSession() {
 
 /**
  * Handle JSON file input and loading
+ * CSV/TSV files are handed to handleDelimitedFileInput() for column mapping;
+ * Moodle XML (.xml) and GIFT (.gift) files to handleMoodleGiftFileInput()
  * @param {Event} e - File input change event
  */
 function handleFileInput(e) {
   const file = e.target.files[0];
   if (!file) return;
 
+  // Spreadsheet exports go through the column-mapping preview (csv-import.js)
+  if (/\.(csv|tsv)$/i.test(file.name) && typeof handleDelimitedFileInput === 'function') {
+    handleDelimitedFileInput(file);
+    e.target.value = ""; // allow re-selecting the same file again
+    return;
+  }
+
+  // Moodle XML and GIFT banks are converted by moodle-gift.js
+  if (/\.(xml|gift)$/i.test(file.name) && typeof handleMoodleGiftFileInput === 'function') {
+    handleMoodleGiftFileInput(file);
+    e.target.value = "";
+    return;
+  }
+
   // If a test is already loaded, reset workflow instead of reload
   if (AppState.originalData !== null || AppState.questions.length > 0) {
     resetWorkflow();
@@ -269,8 +286,10 @@ function handleFileInput(e) {
       if (!questionsArr) {
         throw new Error('JSON must have a top-level "questions" array or be an array of questions.');
       }
+      // Questions with a passageId get their passage text from the bank's passages list
+      resolveQuestionPassages(questionsArr, data.passages);
       // Normalize to expected structure
-      data = { title: data.title || file.name.replace(/\.json$/i,'') || 'Imported Test', questions: questionsArr };
+      data = { title: data.title || file.name.replace(/\.json$/i,'') || 'Imported Test', fileName: file.name, questions: questionsArr };
       AppState.originalData = data;
       AppState.isDbMode = false; // Set JSON mode flag
       const chosen = document.getElementById('file-chosen');
@@ -416,10 +435,15 @@ function handleBackToStartPage() {
  * Handle test restart with same questions
  */
 function handleTestRestart() {
-  // Use last filters and explanation mode for restart
+  // An adaptive session starts over on the same pool
+  if (AppState.adaptive) {
+    restartAdaptivePractice();
+    return;
+  }
+  // Use last filters and explanation mode for restart (a review or mistakes session stays one)
   if (AppState.lastFilteredQuestions && AppState.lastFilteredQuestions.length > 0) {
     AppState.explanationMode = AppState.lastExplanationMode;
-    startTest(AppState.lastFilteredQuestions);
+    startTest(AppState.lastFilteredQuestions, { review: AppState.reviewSession, mistakes: AppState.mistakesSession });
   } else {
     startTest(AppState.originalData.questions);
   }
@@ -521,9 +545,18 @@ function handleBackToOptions() {
  */
 function handleNewTestSameOptions() {
   // Start a new test with the same filters but different question selection
-  if (AppState.isDbMode) {
+  if (AppState.reviewSession) {
+    // Whatever is due for review now
+    startReviewSession();
+  } else if (AppState.isDbMode) {
     // For database mode, re-run the database query to get a new set of questions
     rerunDatabaseTest();
+  } else if (AppState.adaptive) {
+    restartAdaptivePractice();
+  } else if (AppState.lastBlueprint && AppState.originalData) {
+    // A blueprint test draws fresh questions to the same counts
+    AppState.explanationMode = AppState.lastExplanationMode;
+    startTest(drawToBlueprint(AppState.originalData.questions, AppState.lastBlueprint).questions);
   } else {
     // For JSON mode, restart with the same filters (questions will be reshuffled)
     if (AppState.lastFilteredQuestions && AppState.lastFilteredQuestions.length > 0) {
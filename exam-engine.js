@@ -14,6 +14,16 @@ class ExamEngine {
         this.examStartTime = null;
         this.examCompleted = false;
         this.allowNavigation = false; // Flag to control navigation
+        this.orderShuffles = new Map(); // Question index → first shown order of an ordering question
+        this.orderPartialCredit = false; // Ordering questions earn credit per item in place
+        this.scoringPolicy = normalizeScoringPolicy(); // Partial credit of multiple-answer and match questions
+        this.markingScheme = normalizeMarkingScheme(); // Marks per question and marks off for a wrong answer
+        this.sections = []; // Timed sections in exam order ([] = one question list and one timer)
+        this.activeSection = 0; // Section now running; earlier sections are locked
+        this.sectionTimeUsed = []; // Seconds spent in each section
+        this.questionTimeUsed = []; // Seconds each question was on screen
+        this.filters = null; // Filters the questions were drawn with (attempt history)
+        this.practiceRound = 0; // Rounds of "Practice incorrect and unanswered" since the first exam
         
         this.initializeEventListeners();
         this.loadExamData();
@@ -252,11 +262,13 @@ class ExamEngine {
             const submitBtn = document.getElementById('submit-exam');
             const downloadBtn = document.getElementById('download-report');
             const returnBtn = document.getElementById('return-options');
+            const practiceBtn = document.getElementById('practice-mistakes');
             
             if (reviewBtn) reviewBtn.addEventListener('click', () => this.hideFinishModal());
-            if (submitBtn) submitBtn.addEventListener('click', () => this.submitExam());
+            if (submitBtn) submitBtn.addEventListener('click', () => this.confirmFinish());
             if (downloadBtn) downloadBtn.addEventListener('click', () => this.downloadPdfReport());
             if (returnBtn) returnBtn.addEventListener('click', () => this.returnToOptions());
+            if (practiceBtn) practiceBtn.addEventListener('click', () => this.practiceMistakes());
             
             // Helper wrappers for beforeunload so we can deterministically detach/attach
             this.attachBeforeUnload = () => {
@@ -282,6 +294,17 @@ class ExamEngine {
             // Initial attach
             this.attachBeforeUnload();
 
+            // Clicks on a locked answer area (closed section, attempt limit reached) change nothing
+            const answerOptions = document.getElementById('answer-options');
+            if (answerOptions) {
+                answerOptions.addEventListener('click', (e) => {
+                    if (answerOptions.classList.contains('locked')) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                    }
+                }, true);
+            }
+
             // Add keyboard navigation
             document.addEventListener('keydown', (e) => this.handleKeyboardNavigation(e));
             // Resize listener to keep options list height safe relative to bottom navigation
@@ -342,7 +365,15 @@ class ExamEngine {
             }
             
             this.examDuration = examData.duration || Math.ceil(this.questions.length * 1.5);
-            this.timeRemaining = this.examDuration * 60;
+            this.orderPartialCredit = !!examData.orderPartialCredit;
+            this.scoringPolicy = normalizeScoringPolicy(examData.scoringPolicy);
+            this.markingScheme = normalizeMarkingScheme(examData.markingScheme);
+            this.filters = examData.filters || null;
+            this.practiceRound = examData.practiceRound || 0;
+            this.sections = normalizeExamSections(examData.sections, this.questions.length);
+            this.sectionTimeUsed = this.sections.map(() => 0);
+            // A sectioned exam runs the clock of one section at a time
+            this.timeRemaining = (this.sections.length > 0 ? this.sections[0].duration : this.examDuration) * 60;
             // Capture candidate name for display & report (fallback to cookie/localStorage if missing)
             try {
                 const fromPayload = (examData.candidateName && String(examData.candidateName).trim()) || '';
@@ -378,19 +409,41 @@ class ExamEngine {
         
         // Set up navigation buttons
         this.updateNavigationButtons();
+        
+        // Name the running section in the header
+        this.updateSectionStatus();
     }
 
     createQuestionNumbers() {
         const container = document.getElementById('question-numbers');
         container.innerHTML = '';
         
-        this.questions.forEach((_, index) => {
+        const createButton = (index) => {
             const btn = document.createElement('button');
             btn.className = 'question-num-btn';
             btn.textContent = index + 1;
             btn.addEventListener('click', () => this.goToQuestion(index));
-            container.appendChild(btn);
-        });
+            return btn;
+        };
+        if (this.sections.length > 0) {
+            // One group of numbers per section, headed by its name
+            this.sections.forEach(section => {
+                const group = document.createElement('div');
+                group.className = 'palette-section';
+                const title = document.createElement('div');
+                title.className = 'palette-section-title';
+                group.appendChild(title);
+                const numbers = document.createElement('div');
+                numbers.className = 'palette-section-numbers';
+                for (let index = section.start; index < section.start + section.count; index++) {
+                    numbers.appendChild(createButton(index));
+                }
+                group.appendChild(numbers);
+                container.appendChild(group);
+            });
+        } else {
+            this.questions.forEach((_, index) => container.appendChild(createButton(index)));
+        }
         
         // Adjust layout after creating navigation buttons
         setTimeout(() => this.adjustContainerHeights(), 100);
@@ -400,6 +453,10 @@ class ExamEngine {
         if (index < 0 || index >= this.questions.length) {
             return;
         }
+        // Later sections open only when the running one closes
+        if (this.sections.length > 0 && getSectionIndex(this.sections, index) > this.activeSection) {
+            return;
+        }
         
         this.currentQuestionIndex = index;
         const question = this.questions[index];
@@ -414,14 +471,26 @@ class ExamEngine {
         if (totalQuestionsElement) {
             totalQuestionsElement.textContent = this.questions.length;
         }
+        const marksElement = document.getElementById('question-marks');
+        if (marksElement) {
+            marksElement.textContent = usesCustomMarks(this.questions, this.markingScheme)
+                ? `(${formatQuestionMarks(question, this.markingScheme)})`
+                : '';
+        }
         
         // Display question text
         const questionTextElement = document.getElementById('question-text');
         if (questionTextElement) {
             const questionText = question.question_text || question.question || 'Question text not available';
-            questionTextElement.innerHTML = this.formatQuestionText(questionText);
+            // Images in the text are shown as figures below it (click to zoom); blanks are numbered
+            let plainText = hasMediaMarkup(questionText) ? stripMediaMarkup(questionText) : questionText;
+            if (isFillBlankQuestion(question)) plainText = numberBlanks(plainText);
+            questionTextElement.innerHTML = this.formatQuestionText(plainText) + renderQuestionFiguresHtml(question);
         }
         
+        // Show or hide the shared passage pane
+        this.displayPassage(question, index);
+        
         // Hide topic info in exam mode (no spoilers!)
         const topicInfoElement = document.getElementById('topic-info');
         const metadataElement = document.getElementById('question-metadata');
@@ -437,6 +506,7 @@ class ExamEngine {
         
         // Display answer options
         this.displayAnswerOptions(question);
+        this.applyAnswerLock(index);
         
         // Update question number highlights
         this.updateQuestionNumberHighlights();
@@ -445,8 +515,44 @@ class ExamEngine {
         this.updateNavigationButtons();
     }
 
+    displayPassage(question, index) {
+        const panel = document.getElementById('passage-panel');
+        const divider = document.getElementById('passage-divider');
+        if (!panel) return;
+        const passageId = getPassageId(question);
+        const hasPassage = !!question.passage && passageId !== null;
+        panel.style.display = hasPassage ? '' : 'none';
+        if (divider) divider.style.display = hasPassage ? '' : 'none';
+        if (!hasPassage) {
+            delete panel.dataset.passageId;
+            return;
+        }
+
+        // The group's question numbers, e.g. "Questions 4–7"
+        let first = index;
+        let last = index;
+        while (first > 0 && getPassageId(this.questions[first - 1]) === passageId) first--;
+        while (last + 1 < this.questions.length && getPassageId(this.questions[last + 1]) === passageId) last++;
+        const range = first === last ? `Question ${first + 1}` : `Questions ${first + 1}–${last + 1}`;
+        const titleElement = document.getElementById('passage-title');
+        if (titleElement) titleElement.textContent = `📖 ${question.passage.title || 'Read the passage'} (${range})`;
+
+        // Moving between questions of the same passage keeps the reading position
+        if (panel.dataset.passageId !== passageId) {
+            const textElement = document.getElementById('passage-text');
+            if (textElement) setMediaText(textElement, question.passage.text, question);
+            panel.scrollTop = 0;
+            panel.dataset.passageId = passageId;
+        }
+    }
+
     // Turn inline enumerations like "I.", "1)", "A.", "a.", "ii.", etc. into separate lines
     formatQuestionText(raw) {
+        // Set $...$ formulas aside so enumeration splitting cannot cut through them
+        if (typeof hasMathMarkup === 'function' && hasMathMarkup(raw)) {
+            const math = protectMath(String(raw));
+            return math.restore(this.formatQuestionText(math.text));
+        }
         try {
             const str = String(raw);
             // If content already has list/table/line breaks, leave it as-is to avoid double-formatting
@@ -490,6 +596,14 @@ class ExamEngine {
         // Handle different question types
         if (question.question_type === 'Match' || question.type === 'match') {
             this.displayMatchOptions(question, container);
+        } else if (isFillBlankQuestion(question)) {
+            this.displayFillBlankInputs(question, container);
+        } else if (isNumericQuestion(question)) {
+            this.displayNumericInput(question, container);
+        } else if (isOrderQuestion(question)) {
+            this.displayOrderList(question, container);
+        } else if (isDescriptiveQuestion(question)) {
+            this.displayDescriptiveInput(question, container);
         } else {
             // Check if this should be multiple choice (array answer) or single choice
             const correctAnswer = question.answer || question.correct_answer || question.correct || question.correctAnswer;
@@ -568,7 +682,7 @@ class ExamEngine {
             optionDiv.className = 'answer-option';
             optionDiv.innerHTML = `
                 <input type="radio" name="answer" value="${letter}" id="option-${letter}">
-                <span class="option-text">${letter}. ${this.escapeHtml(String(text))}</span>
+                <span class="option-text">${letter}. ${renderMediaText(String(text), question)}</span>
             `;
             const handleOptionClick = (e) => {
                 e.preventDefault();
@@ -670,7 +784,7 @@ class ExamEngine {
             optionDiv.className = 'answer-option';
             optionDiv.innerHTML = `
                 <input type="checkbox" name="answer" value="${letter}" id="option-${letter}">
-                <span class="option-text">${letter}. ${this.escapeHtml(String(text))}</span>
+                <span class="option-text">${letter}. ${renderMediaText(String(text), question)}</span>
             `;
             const handleOptionClick = (e) => {
                 e.preventDefault();
@@ -845,6 +959,181 @@ class ExamEngine {
         });
     }
     
+    displayFillBlankInputs(question, container) {
+        const instruction = document.createElement('div');
+        instruction.className = 'fill-blank-instruction';
+        instruction.innerHTML = '<strong>✏️ Type your answer for each blank:</strong>';
+        instruction.style.cssText = 'margin-bottom: 10px; padding: 10px; background: #e3f2fd; border-radius: 5px; color: #1565c0;';
+        container.appendChild(instruction);
+
+        const blankCount = Math.max(1, getBlankAnswers(question).length);
+        const inputs = [];
+        for (let i = 0; i < blankCount; i++) {
+            const row = document.createElement('label');
+            row.className = 'answer-option blank-answer';
+            row.style.cssText = 'display:flex; align-items:center; gap:10px; cursor:text;';
+            const caption = document.createElement('span');
+            caption.className = 'option-text';
+            caption.textContent = blankCount === 1 ? 'Answer:' : `Blank [${i + 1}]:`;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = 'blank-answer';
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+            input.style.cssText = 'flex:1; min-width:120px; padding:8px 10px; font-size:1em; border:1px solid #ccc; border-radius:4px;';
+            // Typed answers are saved as they change; all boxes empty means unanswered
+            input.addEventListener('input', () => this.updateFillBlankAnswers());
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && i < blankCount - 1) {
+                    e.preventDefault();
+                    inputs[i + 1].focus();
+                }
+            });
+            inputs.push(input);
+            row.appendChild(caption);
+            row.appendChild(input);
+            container.appendChild(row);
+        }
+
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        container.style.gap = '15px';
+        const answerPanel = document.getElementById('answer-panel');
+        if (answerPanel) answerPanel.style.overflowY = 'hidden';
+    }
+
+    displayNumericInput(question, container) {
+        const instruction = document.createElement('div');
+        instruction.className = 'numeric-instruction';
+        instruction.innerHTML = '<strong>🔢 Type your answer as a number:</strong>';
+        instruction.style.cssText = 'margin-bottom: 10px; padding: 10px; background: #e3f2fd; border-radius: 5px; color: #1565c0;';
+        container.appendChild(instruction);
+
+        const row = document.createElement('label');
+        row.className = 'answer-option numeric-answer';
+        row.style.cssText = 'display:flex; align-items:center; gap:10px; cursor:text;';
+        const caption = document.createElement('span');
+        caption.className = 'option-text';
+        caption.textContent = 'Answer:';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.name = 'numeric-answer';
+        input.autocomplete = 'off';
+        input.style.cssText = 'flex:1; min-width:120px; max-width:240px; padding:8px 10px; font-size:1em; border:1px solid #ccc; border-radius:4px;';
+        input.addEventListener('input', () => this.updateNumericAnswer());
+        row.appendChild(caption);
+        row.appendChild(input);
+        if (question.unit) {
+            const unit = document.createElement('span');
+            unit.className = 'numeric-unit';
+            setMediaText(unit, String(question.unit), question);
+            row.appendChild(unit);
+        }
+        container.appendChild(row);
+
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        container.style.gap = '15px';
+        const answerPanel = document.getElementById('answer-panel');
+        if (answerPanel) answerPanel.style.overflowY = 'hidden';
+    }
+
+    displayOrderList(question, container) {
+        const instruction = document.createElement('div');
+        instruction.className = 'order-instruction';
+        instruction.innerHTML = '<strong>🔀 Drag the items into the right order (or select one and use ↑ / ↓):</strong>';
+        instruction.style.cssText = 'margin-bottom: 10px; padding: 10px; background: #e3f2fd; border-radius: 5px; color: #1565c0;';
+        container.appendChild(instruction);
+
+        // Keep the first shuffle, so leaving and revisiting an unanswered question shows the same list
+        const index = this.currentQuestionIndex;
+        if (!this.orderShuffles.has(index)) {
+            this.orderShuffles.set(index, shuffleOrderItems(getOrderItems(question)));
+        }
+        const savedOrder = this.userAnswers.get(index);
+        const reorderable = createReorderableList(Array.isArray(savedOrder) ? savedOrder : this.orderShuffles.get(index), {
+            question,
+            onChange: order => this.updateOrderAnswer(order)
+        });
+        container.appendChild(reorderable.element);
+
+        // The shown order may already be the learner's answer; this records it without moving anything
+        const keepBtn = document.createElement('button');
+        keepBtn.type = 'button';
+        keepBtn.className = 'order-keep-btn';
+        keepBtn.textContent = '✔ Use this order';
+        keepBtn.title = 'Save the order shown above as your answer';
+        keepBtn.style.cssText = 'align-self:flex-start; padding:6px 14px; cursor:pointer; border:1px solid #1565c0; background:#fff; color:#1565c0; border-radius:4px;';
+        keepBtn.addEventListener('click', () => this.updateOrderAnswer(reorderable.getOrder()));
+        container.appendChild(keepBtn);
+
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        container.style.gap = '10px';
+    }
+
+    displayDescriptiveInput(question, container) {
+        const instruction = document.createElement('div');
+        instruction.className = 'descriptive-instruction';
+        instruction.innerHTML = '<strong>📝 Write your answer below. It is marked by your teacher after the exam.</strong>';
+        instruction.style.cssText = 'margin-bottom: 10px; padding: 10px; background: #e3f2fd; border-radius: 5px; color: #1565c0;';
+        container.appendChild(instruction);
+
+        const textarea = document.createElement('textarea');
+        textarea.name = 'descriptive-answer';
+        textarea.rows = 8;
+        textarea.placeholder = 'Write your answer here...';
+        textarea.style.cssText = 'width:100%; box-sizing:border-box; padding:8px 10px; font-size:1em; font-family:inherit; border:1px solid #ccc; border-radius:4px; resize:vertical;';
+        textarea.addEventListener('input', () => this.updateDescriptiveAnswer());
+        container.appendChild(textarea);
+
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+        container.style.gap = '15px';
+    }
+
+    updateDescriptiveAnswer() {
+        const textarea = document.querySelector('#answer-options textarea[name="descriptive-answer"]');
+        const value = textarea ? textarea.value : '';
+        if (value.trim() !== '') {
+            this.userAnswers.set(this.currentQuestionIndex, value);
+        } else {
+            this.userAnswers.delete(this.currentQuestionIndex);
+        }
+        this.updateCounters();
+        this.updateQuestionNumberHighlights();
+    }
+
+    updateOrderAnswer(order) {
+        this.userAnswers.set(this.currentQuestionIndex, order);
+        this.updateCounters();
+        this.updateQuestionNumberHighlights();
+    }
+
+    updateNumericAnswer() {
+        const input = document.querySelector('#answer-options input[name="numeric-answer"]');
+        const value = input ? input.value : '';
+        if (value.trim() !== '') {
+            this.userAnswers.set(this.currentQuestionIndex, value);
+        } else {
+            this.userAnswers.delete(this.currentQuestionIndex);
+        }
+        this.updateCounters();
+        this.updateQuestionNumberHighlights();
+    }
+
+    updateFillBlankAnswers() {
+        const values = Array.from(document.querySelectorAll('#answer-options input[name="blank-answer"]')).map(input => input.value);
+        if (values.some(v => v.trim() !== '')) {
+            this.userAnswers.set(this.currentQuestionIndex, values);
+        } else {
+            this.userAnswers.delete(this.currentQuestionIndex);
+        }
+        this.updateCounters();
+        this.updateQuestionNumberHighlights();
+    }
+
     updateMatchAnswers() {
         const selects = document.querySelectorAll('.match-select');
         const matchAnswers = {};
@@ -866,8 +1155,27 @@ class ExamEngine {
     restorePreviousAnswer() {
         const savedAnswer = this.userAnswers.get(this.currentQuestionIndex);
         if (savedAnswer) {
+            // Handle fill-in-the-blank answers (array of typed texts)
+            if (isFillBlankQuestion(this.questions[this.currentQuestionIndex])) {
+                const inputs = document.querySelectorAll('#answer-options input[name="blank-answer"]');
+                inputs.forEach((input, i) => { input.value = Array.isArray(savedAnswer) ? (savedAnswer[i] || '') : ''; });
+            }
+            // Handle numeric answers (typed text, kept as entered)
+            else if (isNumericQuestion(this.questions[this.currentQuestionIndex])) {
+                const input = document.querySelector('#answer-options input[name="numeric-answer"]');
+                if (input) input.value = String(savedAnswer);
+            }
+            // Handle descriptive answers (free text, kept as written)
+            else if (isDescriptiveQuestion(this.questions[this.currentQuestionIndex])) {
+                const textarea = document.querySelector('#answer-options textarea[name="descriptive-answer"]');
+                if (textarea) textarea.value = String(savedAnswer);
+            }
+            // Ordering answers are shown by displayOrderList, which starts from the saved order
+            else if (isOrderQuestion(this.questions[this.currentQuestionIndex])) {
+                return;
+            }
             // Handle single choice MCQ answers (string)
-            if (typeof savedAnswer === 'string') {
+            else if (typeof savedAnswer === 'string') {
                 const radio = document.querySelector(`input[name="answer"][value="${savedAnswer}"]`);
                 if (radio) {
                     radio.checked = true;
@@ -900,7 +1208,7 @@ class ExamEngine {
     updateAnswerHighlights() {
         document.querySelectorAll('.answer-option').forEach(option => {
             const radio = option.querySelector('input[type="radio"]');
-            option.classList.toggle('selected', radio.checked);
+            if (radio) option.classList.toggle('selected', radio.checked);
         });
     }
 
@@ -919,6 +1227,11 @@ class ExamEngine {
         const buttons = document.querySelectorAll('.question-num-btn');
         buttons.forEach((btn, index) => {
             btn.classList.remove('current', 'answered', 'bookmarked');
+            if (this.sections.length > 0) {
+                const sectionIndex = getSectionIndex(this.sections, index);
+                btn.classList.toggle('closed', sectionIndex < this.activeSection);
+                btn.disabled = sectionIndex > this.activeSection;
+            }
             
             if (index === this.currentQuestionIndex) {
                 btn.classList.add('current');
@@ -930,6 +1243,18 @@ class ExamEngine {
                 btn.classList.add('bookmarked');
             }
         });
+        
+        // Section headings: answered so far, the attempt limit and whether the section is over
+        document.querySelectorAll('.palette-section').forEach((group, sectionIndex) => {
+            const section = this.sections[sectionIndex];
+            if (!section) return;
+            const answered = this.countSectionAnswers(section);
+            const state = sectionIndex < this.activeSection ? ' · 🔒 closed' : sectionIndex > this.activeSection ? ' · not started' : '';
+            const limit = section.attemptLimit ? ` (any ${section.attemptLimit} of ${section.count})` : '';
+            group.classList.toggle('active', sectionIndex === this.activeSection);
+            group.querySelector('.palette-section-title').textContent =
+                `${section.name} · ${answered}/${section.attemptLimit || section.count} answered${limit}${state}`;
+        });
     }
 
     updateNavigationButtons() {
@@ -939,7 +1264,14 @@ class ExamEngine {
         
         prevBtn.disabled = this.currentQuestionIndex === 0;
         
-        if (this.currentQuestionIndex === this.questions.length - 1) {
+        // The running section ends at its last question, where Finish closes it
+        const lastIndex = this.sections.length > 0
+            ? this.sections[this.activeSection].start + this.sections[this.activeSection].count - 1
+            : this.questions.length - 1;
+        const finishLabel = this.isFinalSection() ? 'Finish Exam' : 'Finish Section';
+        if (finishBtn.textContent !== finishLabel) finishBtn.textContent = finishLabel;
+        
+        if (this.currentQuestionIndex === lastIndex) {
             nextBtn.style.display = 'none';
             finishBtn.style.display = 'inline-block';
         } else {
@@ -1013,10 +1345,17 @@ class ExamEngine {
     }
 
     clearCurrentAnswer() {
+        if (this.isSectionClosed(this.currentQuestionIndex)) return;
         const radios = document.querySelectorAll('input[name="answer"]');
         radios.forEach(radio => radio.checked = false);
+        document.querySelectorAll('input[name="blank-answer"], input[name="numeric-answer"], textarea[name="descriptive-answer"]').forEach(input => input.value = '');
         
         this.userAnswers.delete(this.currentQuestionIndex);
+        // An ordering question goes back to its first shuffle
+        if (isOrderQuestion(this.questions[this.currentQuestionIndex])) {
+            this.displayAnswerOptions(this.questions[this.currentQuestionIndex]);
+            this.applyAnswerLock(this.currentQuestionIndex);
+        }
         this.updateAnswerHighlights();
         this.updateCounters();
         this.updateQuestionNumberHighlights();
@@ -1029,6 +1368,8 @@ class ExamEngine {
         
         this.examTimer = setInterval(() => {
             this.timeRemaining--;
+            if (this.sections.length > 0) this.sectionTimeUsed[this.activeSection]++;
+            this.questionTimeUsed[this.currentQuestionIndex] = (this.questionTimeUsed[this.currentQuestionIndex] || 0) + 1;
             this.updateTimerDisplay();
             
             if (this.timeRemaining <= 0) {
@@ -1050,29 +1391,131 @@ class ExamEngine {
             timerDisplay.style.background = '#dc3545';
         } else if (this.timeRemaining <= 600) { // Last 10 minutes
             timerDisplay.style.background = '#fd7e14';
+        } else {
+            timerDisplay.style.background = ''; // A new section starts with a full clock
         }
     }
 
     timeUp() {
+        // The running section locks and the next one starts; the last one ends the exam
+        if (this.sections.length > 0 && !this.isFinalSection()) {
+            this.showTransientNotice(`Time is up for ${this.sections[this.activeSection].name}. Its answers are now locked.`, { type: 'warning' });
+            this.closeSection();
+            return;
+        }
         clearInterval(this.examTimer);
     // ...removed debug alert...
         this.submitExam();
     }
 
+    // Section methods
+    isFinalSection() {
+        return this.sections.length === 0 || this.activeSection >= this.sections.length - 1;
+    }
+
+    isSectionClosed(questionIndex) {
+        return this.sections.length > 0 && getSectionIndex(this.sections, questionIndex) < this.activeSection;
+    }
+
+    countSectionAnswers(section) {
+        let answered = 0;
+        this.userAnswers.forEach((_, index) => {
+            if (index >= section.start && index < section.start + section.count) answered++;
+        });
+        return answered;
+    }
+
+    /**
+     * Explains why a question's answer cannot be changed, if it cannot:
+     * its section has closed, or the section's "attempt any N" is used up
+     * by other questions
+     *
+     * @param {number} index - Question index
+     * @returns {string} Reason shown above the answer area, or '' when the answer is open
+     */
+    getAnswerLock(index) {
+        if (this.sections.length === 0) return '';
+        const section = this.sections[getSectionIndex(this.sections, index)];
+        if (!section) return '';
+        if (this.isSectionClosed(index)) {
+            return `🔒 ${section.name} is closed. Its answers can no longer be changed.`;
+        }
+        if (section.attemptLimit && !this.userAnswers.has(index) && this.countSectionAnswers(section) >= section.attemptLimit) {
+            return `✋ Attempt any ${section.attemptLimit} of the ${section.count} questions in ${section.name}. You have answered ${section.attemptLimit}; clear one of those answers to attempt this question instead.`;
+        }
+        return '';
+    }
+
+    applyAnswerLock(index) {
+        const container = document.getElementById('answer-options');
+        const clearBtn = document.getElementById('clear-answer');
+        if (!container) return;
+        const reason = this.getAnswerLock(index);
+        container.classList.toggle('locked', !!reason);
+        if (clearBtn) clearBtn.disabled = !!reason;
+        if (!reason) return;
+        container.querySelectorAll('input, select, textarea, button').forEach(el => { el.disabled = true; });
+        const note = document.createElement('div');
+        note.className = 'answer-lock-note';
+        note.textContent = reason;
+        container.insertBefore(note, container.firstChild);
+    }
+
+    updateSectionStatus() {
+        const status = document.getElementById('exam-status-header');
+        if (!status || this.sections.length === 0) return;
+        status.textContent = `Section ${this.activeSection + 1} of ${this.sections.length}: ${this.sections[this.activeSection].name}`;
+    }
+
+    closeSection() {
+        this.hideFinishModal();
+        this.activeSection++;
+        const section = this.sections[this.activeSection];
+        this.timeRemaining = section.duration * 60;
+        this.updateTimerDisplay();
+        this.updateSectionStatus();
+        this.displayQuestion(section.start);
+        this.updateCounters();
+    }
+
     // Exam completion methods
     showFinishModal() {
         const modal = document.getElementById('finish-modal');
-        const answered = this.userAnswers.size;
-        const unanswered = this.questions.length - answered;
-        const bookmarked = this.bookmarkedQuestions.size;
+        // Before the last section, the modal closes the running section only
+        const section = this.isFinalSection() ? null : this.sections[this.activeSection];
+        const total = section ? section.count : this.questions.length;
+        const answered = section ? this.countSectionAnswers(section) : this.userAnswers.size;
+        const unanswered = total - answered;
+        let bookmarked = this.bookmarkedQuestions.size;
+        if (section) {
+            bookmarked = Array.from(this.bookmarkedQuestions).filter(index => getSectionIndex(this.sections, index) === this.activeSection).length;
+        }
         
         document.getElementById('summary-answered').textContent = answered;
         document.getElementById('summary-unanswered').textContent = unanswered;
         document.getElementById('summary-bookmarked').textContent = bookmarked;
         
+        const title = document.getElementById('finish-title');
+        const note = document.getElementById('finish-note');
+        const submitBtn = document.getElementById('submit-exam');
+        if (title) title.textContent = section ? `Finish Section: ${section.name}` : 'Finish Exam';
+        if (note) {
+            note.textContent = section ? `The section locks and ${this.sections[this.activeSection + 1].name} starts. Time left in this section is not carried over.` : '';
+            note.style.display = section ? 'block' : 'none';
+        }
+        if (submitBtn) submitBtn.textContent = section ? 'Close Section' : 'Submit Answers';
+        
         modal.style.display = 'flex';
     }
 
+    confirmFinish() {
+        if (!this.isFinalSection()) {
+            this.closeSection();
+            return;
+        }
+        this.submitExam();
+    }
+
     hideFinishModal() {
         document.getElementById('finish-modal').style.display = 'none';
     }
@@ -1084,6 +1527,17 @@ class ExamEngine {
         // Calculate results
         const results = this.calculateResults();
         
+        // Schedule the answered questions in the spaced-repetition deck (a practice
+        // round repeats questions the exam before has just recorded)
+        if (typeof recordReviewResults === 'function' && this.practiceRound === 0) {
+            recordReviewResults(getReviewBank(), [...results.outcomes].map(([index, outcome]) => ({ question: this.questions[index], ...outcome })));
+        }
+        
+        // Keep the attempt for the history dashboard
+        if (typeof buildExamAttempt === 'function') {
+            saveAttempt(buildExamAttempt(this, results));
+        }
+        
         // Show results modal
         this.showResults(results);
         
@@ -1093,12 +1547,21 @@ class ExamEngine {
 
     calculateResults() {
         let correctCount = 0;
+        let score = 0; // Correct answers plus partial credit
+        let partialCount = 0;
+        const outcomes = new Map(); // Question index → { isCorrect, credit } of each answered question
         let totalAnswered = this.userAnswers.size;
-        
-        
+        // Descriptive answers are left to the teacher: they are not auto-scored or counted as answered
+        const descriptiveTotal = this.questions.filter(isDescriptiveQuestion).length;
+        let descriptiveAnswered = 0;
         
         this.userAnswers.forEach((answer, questionIndex) => {
             const question = this.questions[questionIndex];
+            if (isDescriptiveQuestion(question)) {
+                descriptiveAnswered++;
+                totalAnswered--;
+                return;
+            }
             
             // Get the correct answer (use 'answer' field since 'correct_answer' is undefined)
             const correctAnswer = question.answer || question.correct_answer || question.correct || question.correctAnswer;
@@ -1110,6 +1573,12 @@ class ExamEngine {
             if (question.question_type === 'Match' || question.type === 'match') {
                 // For matching questions, user answer is already an object
                 userAnswerText = answer;
+            } else if (isFillBlankQuestion(question) || isNumericQuestion(question)) {
+                // For typed-answer questions, user answer is the typed text (per blank for fill-in-the-blank)
+                userAnswerText = answer;
+            } else if (isOrderQuestion(question)) {
+                // For ordering questions, user answer is the list of items in the chosen order
+                userAnswerText = answer;
             } else if (Array.isArray(answer)) {
                 // For multiple choice questions, convert array of letters to array of option texts
                 userAnswerText = answer.map(letter => {
@@ -1152,7 +1621,13 @@ class ExamEngine {
             }
             
             // Compare the user's answer with the correct answer based on question type
-            if (question.question_type === 'Match' || question.type === 'match') {
+            if (isFillBlankQuestion(question)) {
+                isCorrect = isFillBlankAnswerCorrect(question, userAnswerText);
+            } else if (isNumericQuestion(question)) {
+                isCorrect = isNumericAnswerCorrect(question, userAnswerText);
+            } else if (isOrderQuestion(question)) {
+                isCorrect = isOrderAnswerCorrect(question, userAnswerText);
+            } else if (question.question_type === 'Match' || question.type === 'match') {
                 // For matching questions, compare objects
                 if (typeof correctAnswer === 'object' && typeof userAnswerText === 'object') {
                     // Normalize both objects for comparison
@@ -1194,23 +1669,112 @@ class ExamEngine {
             
             if (isCorrect) {
                 correctCount++;
-                
+                score++;
+                outcomes.set(questionIndex, { isCorrect: true, credit: 1 });
             } else {
-                
+                const credit = this.getPartialCredit(question, answer);
+                if (credit > 0) {
+                    partialCount++;
+                    score += credit;
+                }
+                outcomes.set(questionIndex, { isCorrect: false, credit });
             }
         });
         
-        const percentage = totalAnswered > 0 ? Math.round((correctCount / totalAnswered) * 100) : 0;
+        const percentage = totalAnswered > 0 ? Math.round((score / totalAnswered) * 100) : 0;
+        
+        // Marks over every auto-scored question; unanswered ones earn (and lose) nothing
+        let rawMarks = 0;
+        let maxMarks = 0;
+        this.questions.forEach((question, index) => {
+            if (isDescriptiveQuestion(question)) return;
+            maxMarks += getQuestionMarks(question, this.markingScheme);
+            const outcome = outcomes.get(index);
+            rawMarks += markAnswer(question, { answered: !!outcome, ...outcome }, this.markingScheme);
+        });
+        
+        // Per-section results; a section asking for any N questions is out of its N best-paid ones
+        const sections = this.sections.map((section, sectionIndex) => {
+            const result = { name: section.name, questions: section.count, attemptLimit: section.attemptLimit, answered: 0, correctCount: 0, partialCount: 0, score: 0, rawMarks: 0, maxMarks: 0, timeSpent: this.sectionTimeUsed[sectionIndex] || 0 };
+            const marks = [];
+            for (let index = section.start; index < section.start + section.count; index++) {
+                const question = this.questions[index];
+                if (isDescriptiveQuestion(question)) continue;
+                marks.push(getQuestionMarks(question, this.markingScheme));
+                const outcome = outcomes.get(index);
+                if (!outcome) continue;
+                result.answered++;
+                if (outcome.isCorrect) result.correctCount++;
+                else if (outcome.credit > 0) result.partialCount++;
+                result.score += outcome.credit;
+                result.rawMarks += markAnswer(question, { answered: true, ...outcome }, this.markingScheme);
+            }
+            marks.sort((a, b) => b - a);
+            result.maxMarks = marks.slice(0, section.attemptLimit || marks.length).reduce((sum, value) => sum + value, 0);
+            return result;
+        });
+        if (sections.length > 0) {
+            maxMarks = sections.reduce((sum, section) => sum + section.maxMarks, 0);
+        }
+        
+        // The same totals by topic, subtopic and question type
+        const breakdowns = {
+            topic: this.buildResultBreakdown(outcomes, q => q.topic || 'General'),
+            subtopic: this.buildResultBreakdown(outcomes, q => `${q.topic || 'General'} › ${q.subtopic || 'General'}`),
+            type: this.buildResultBreakdown(outcomes, q => q.question_type || q.type || 'Unknown')
+        };
         
     return {
             totalQuestions: this.questions.length,
             totalAnswered,
             correctCount,
+            partialCount,
+            score,
+            rawMarks,
+            maxMarks,
+            descriptiveTotal,
+            descriptiveAnswered,
             percentage,
-            timeSpent: this.examDuration * 60 - this.timeRemaining
+            sections,
+            breakdowns,
+            outcomes,
+            timeSpent: this.sections.length > 0
+                ? this.sectionTimeUsed.reduce((sum, seconds) => sum + seconds, 0)
+                : this.examDuration * 60 - this.timeRemaining
         };
     }
 
+    /**
+     * Share of the mark a wrong answer still earns under the exam's scoring
+     * policy: per item in place (ordering), per correct option with wrong
+     * picks deducted (multiple-answer) or per pair (match)
+     *
+     * @param {Object} question - Exam question
+     * @param {*} answer - Stored answer (option letters, match object, item order)
+     * @returns {number} Credit between 0 and 1
+     */
+    getPartialCredit(question, answer) {
+        if (answer === undefined || answer === null) return 0;
+        if (isOrderQuestion(question)) {
+            return this.orderPartialCredit ? scoreOrderAnswer(question, answer) : 0;
+        }
+        const correctAnswer = question.answer || question.correct_answer || question.correct || question.correctAnswer;
+        if (question.question_type === 'Match' || question.type === 'match') {
+            return this.scoringPolicy.match === 'per-pair'
+                ? scoreMatchAnswer(question.matchPairs || question.match_pairs || correctAnswer, answer).credit
+                : 0;
+        }
+        if (Array.isArray(answer) && Array.isArray(correctAnswer) && this.scoringPolicy.multiple === 'per-option') {
+            // Stored picks are option letters (A = first option)
+            const picked = answer.map(letter => {
+                const index = typeof letter === 'string' && /^[A-Z]$/i.test(letter) ? letter.toUpperCase().charCodeAt(0) - 65 : -1;
+                return Array.isArray(question.options) && index >= 0 && index < question.options.length ? question.options[index] : letter;
+            });
+            return scoreMultipleAnswer(correctAnswer, picked).credit;
+        }
+        return 0;
+    }
+
     showResults(results) {
         const modal = document.getElementById('results-modal');
         
@@ -1226,13 +1790,30 @@ class ExamEngine {
         breakdown.innerHTML = `
             <p><strong>Total Questions:</strong> ${results.totalQuestions}</p>
             <p><strong>Answered:</strong> ${results.totalAnswered}</p>
-            <p><strong>Unanswered:</strong> ${results.totalQuestions - results.totalAnswered}</p>
+            <p><strong>Unanswered:</strong> ${results.totalQuestions - results.totalAnswered - results.descriptiveAnswered}</p>
+            ${results.descriptiveTotal > 0 ? `<p><strong>Descriptive (marked by teacher, not in the score):</strong> ${results.descriptiveAnswered} of ${results.descriptiveTotal} answered</p>` : ''}
             <p><strong>Correct:</strong> ${results.correctCount}</p>
-            <p><strong>Incorrect:</strong> ${results.totalAnswered - results.correctCount}</p>
+            ${results.partialCount > 0 ? `<p><strong>Partly correct:</strong> ${results.partialCount}</p>` : ''}
+            <p><strong>Incorrect:</strong> ${results.totalAnswered - results.correctCount - results.partialCount}</p>
+            ${results.score !== results.correctCount ? `<p><strong>Score with partial credit:</strong> ${formatScore(results.score)} / ${results.totalAnswered}</p>` : ''}
+            <p><strong>Marks:</strong> ${formatMarksSummary(results.rawMarks, results.maxMarks)}${results.descriptiveTotal > 0 ? ' (descriptive answers not included)' : ''}</p>
             <p><strong>Time Spent:</strong> ${timeSpentMinutes}m ${timeSpentSeconds}s</p>
             <p><strong>Bookmarked:</strong> ${this.bookmarkedQuestions.size}</p>
+            ${this.formatSectionResults(results)}
+            ${this.formatBreakdownResults(results, true)}
         `;
 
+        // Offer another round of the missed questions, or close the loop once there are none
+        this.mistakeQuestions = this.getMistakeQuestions(results);
+        const practiceBtn = document.getElementById('practice-mistakes');
+        if (practiceBtn) {
+            practiceBtn.textContent = `🎯 Practice incorrect and unanswered (${this.mistakeQuestions.length})`;
+            practiceBtn.style.display = this.mistakeQuestions.length > 0 ? '' : 'none';
+        }
+        if (this.mistakeQuestions.length === 0 && this.practiceRound > 0) {
+            breakdown.insertAdjacentHTML('afterbegin', '<p style="color: #2e7d32;"><strong>🎉 All right this round - nothing left to practice.</strong></p>');
+        }
+
         // Inject candidate name into the results header area
         try {
             const scoreDisplay = document.getElementById('score-display');
@@ -1257,6 +1838,157 @@ class ExamEngine {
         modal.style.display = 'flex';
     }
 
+    /**
+     * Questions answered wrongly or not at all, for a practice round
+     * Descriptive questions are left out: they are marked by the teacher.
+     *
+     * @param {Object} results - Output of calculateResults()
+     * @returns {Array<Object>} Question objects, in exam order
+     */
+    getMistakeQuestions(results) {
+        return this.questions.filter((question, index) => {
+            if (isDescriptiveQuestion(question)) return false;
+            const outcome = results.outcomes.get(index);
+            return !outcome || !outcome.isCorrect;
+        });
+    }
+
+    /**
+     * Starts a new exam of the missed questions, reshuffled
+     * The hand-over in sessionStorage is rewritten with just those questions,
+     * no sections, and the same time per question as this exam; the page
+     * then loads again.
+     */
+    practiceMistakes() {
+        const questions = this.mistakeQuestions || [];
+        if (questions.length === 0) return;
+        let examData;
+        try {
+            examData = JSON.parse(sessionStorage.getItem('examData')) || {};
+        } catch (_) {
+            examData = {};
+        }
+        const minutesPerQuestion = this.examDuration / Math.max(1, this.questions.length);
+        const practiceData = {
+            ...examData,
+            questions: shuffleKeepingPassages(questions),
+            startTime: new Date().toISOString(),
+            duration: Math.max(1, Math.ceil(questions.length * minutesPerQuestion)),
+            sections: [],
+            practiceRound: this.practiceRound + 1
+        };
+        try {
+            sessionStorage.setItem('examData', JSON.stringify(practiceData));
+        } catch (storageError) {
+            alert('These questions are too large to open again in Exam Mode (most likely because of their images). Please practice them in Learning Mode.');
+            return;
+        }
+        this.clearAutoSave();
+        this.suppressBeforeUnload();
+        window.location.href = 'exam.html';
+    }
+
+    /**
+     * Lists each section's answers, marks and time, for the results modal and the report
+     *
+     * @param {Object} results - Output of calculateResults()
+     * @returns {string} HTML, or '' for an exam without sections
+     */
+    formatSectionResults(results) {
+        if (!results.sections || results.sections.length === 0) return '';
+        const items = results.sections.map(section => {
+            const partly = section.partialCount > 0 ? `, ${section.partialCount} partly` : '';
+            const limit = section.attemptLimit ? `any ${section.attemptLimit} of ${section.questions}` : `${section.questions} questions`;
+            return `<li><strong>${this.escapeHtml(section.name)}:</strong> ${section.correctCount} correct${partly} of ${section.answered} answered (${limit})`
+                + ` &middot; Marks ${formatMarksSummary(section.rawMarks, section.maxMarks)}`
+                + ` &middot; ${Math.floor(section.timeSpent / 60)}m ${section.timeSpent % 60}s</li>`;
+        }).join('');
+        return `<div class="section-results"><p><strong>By Section:</strong></p><ul>${items}</ul></div>`;
+    }
+
+    /**
+     * Totals of the auto-scored questions grouped by topic, subtopic or question type
+     * The groups with the lowest accuracy are flagged as weakest, unless every
+     * attempted group scored the same.
+     *
+     * @param {Map} outcomes - Question index → { isCorrect, credit } of each answered question
+     * @param {Function} keyOf - Group name of a question
+     * @returns {Array<{name: string, questions: number, attempted: number, correct: number, partial: number, score: number, accuracy: number|null, timeSpent: number, weakest: boolean}>} One entry per group, in exam order
+     */
+    buildResultBreakdown(outcomes, keyOf) {
+        const groups = new Map();
+        this.questions.forEach((question, index) => {
+            if (isDescriptiveQuestion(question)) return;
+            const name = String(keyOf(question));
+            if (!groups.has(name)) {
+                groups.set(name, { name, questions: 0, attempted: 0, correct: 0, partial: 0, score: 0, accuracy: null, timeSpent: 0, weakest: false });
+            }
+            const group = groups.get(name);
+            group.questions++;
+            group.timeSpent += this.questionTimeUsed[index] || 0;
+            const outcome = outcomes.get(index);
+            if (!outcome) return;
+            group.attempted++;
+            group.score += outcome.credit;
+            if (outcome.isCorrect) group.correct++;
+            else if (outcome.credit > 0) group.partial++;
+        });
+        const entries = [...groups.values()];
+        entries.forEach(group => {
+            if (group.attempted > 0) group.accuracy = Math.round(group.score / group.attempted * 100);
+        });
+        const scored = entries.filter(group => group.accuracy !== null).map(group => group.accuracy);
+        const lowest = Math.min(...scored);
+        if (scored.length > 1 && lowest < Math.max(...scored)) {
+            entries.forEach(group => { group.weakest = group.accuracy === lowest; });
+        }
+        return entries;
+    }
+
+    /**
+     * Tables of the topic, subtopic and question type breakdowns, with an
+     * accuracy bar per row and the weakest areas highlighted
+     *
+     * @param {Object} results - Output of calculateResults()
+     * @param {boolean} collapsible - Fold the subtopic and type tables (results modal); the report shows all
+     * @returns {string} HTML, or '' when no question was auto-scored
+     */
+    formatBreakdownResults(results, collapsible) {
+        const views = [
+            { key: 'topic', title: 'By Topic', label: 'Topic' },
+            { key: 'subtopic', title: 'By Subtopic', label: 'Subtopic' },
+            { key: 'type', title: 'By Question Type', label: 'Type' }
+        ];
+        if (!results.breakdowns || results.breakdowns.topic.length === 0) return '';
+        const formatTime = seconds => `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+
+        const weakest = views.flatMap(view => results.breakdowns[view.key]
+            .filter(group => group.weakest)
+            .map(group => `${view.label.toLowerCase()} <strong>${this.escapeHtml(group.name)}</strong> (${group.accuracy}%)`));
+        const weakLine = weakest.length > 0
+            ? `<p class="weak-summary">⚠️ <strong>Weakest areas:</strong> ${weakest.join(' &middot; ')}</p>`
+            : '';
+
+        const tables = views.map((view, index) => {
+            const rows = results.breakdowns[view.key].map(group => {
+                const accuracy = group.accuracy === null ? '<em>not attempted</em>'
+                    : `<span class="breakdown-bar"><span style="width: ${group.accuracy}%;"></span></span> ${group.accuracy}%`;
+                const partly = group.partial > 0 ? ` (+${group.partial} partly)` : '';
+                return `<tr${group.weakest ? ' class="weak-area"' : ''}>`
+                    + `<td>${group.weakest ? '⚠️ ' : ''}${this.escapeHtml(group.name)}</td>`
+                    + `<td>${group.attempted} / ${group.questions}</td>`
+                    + `<td>${group.correct}${partly}</td>`
+                    + `<td>${accuracy}</td>`
+                    + `<td>${formatTime(group.timeSpent)}</td></tr>`;
+            }).join('');
+            const table = `<table class="breakdown-table"><thead><tr><th>${view.label}</th><th>Attempted</th><th>Correct</th><th>Accuracy</th><th>Time</th></tr></thead><tbody>${rows}</tbody></table>`;
+            return collapsible
+                ? `<details${index === 0 ? ' open' : ''}><summary><strong>${view.title}</strong></summary>${table}</details>`
+                : `<p><strong>${view.title}:</strong></p>${table}`;
+        }).join('');
+        return `<div class="result-breakdowns">${weakLine}${tables}</div>`;
+    }
+
     downloadPdfReport() {
         if (this._pdfOpening) {
             
@@ -1273,14 +2005,67 @@ class ExamEngine {
 
         // Gather per-question details
         let questionsHtml = '';
+        const difficultyStats = {};
+        // The report window has no KaTeX stylesheet, so formulas use the browser's MathML
+        const reportMath = { output: 'mathml' };
+        // Each question block shows its marks when marks differ from one per question
+        const showMarks = usesCustomMarks(this.questions, this.markingScheme);
         this.questions.forEach((q, i) => {
             try {
+                // Each section starts under its own heading
+                const sectionIndex = this.sections.findIndex(section => section.start === i);
+                if (sectionIndex >= 0) {
+                    questionsHtml += `
+                <h2 class=\"section-heading\">Section ${sectionIndex + 1}: ${this.escapeHtml(this.sections[sectionIndex].name)}</h2>`;
+                }
+                // A shared passage is printed once, before the first question of its group
+                const passageId = getPassageId(q);
+                if (q.passage && passageId !== null && getPassageId(this.questions[i - 1]) !== passageId) {
+                    questionsHtml += `
+                <div class=\"passage-block\">
+                    ${q.passage.title ? `<div class=\"passage-title\">${this.escapeHtml(q.passage.title)}</div>` : ''}
+                    <div class=\"passage-text\">${renderMediaText(q.passage.text, q, reportMath)}</div>
+                </div>`;
+                }
                 const rawUser = this.userAnswers.get(i);
                 const correctAnswer = q.answer || q.correct_answer || q.correct || q.correctAnswer;
                 let userAnswerText = rawUser;
+                const isFillBlank = isFillBlankQuestion(q);
+                const isNumeric = isNumericQuestion(q);
+                const isOrder = isOrderQuestion(q);
+
+                // Descriptive answers are printed in full with the marking guide, for the teacher to mark
+                if (isDescriptiveQuestion(q)) {
+                    const modelAnswer = getModelAnswer(q);
+                    const rubricPoints = getRubricPoints(q);
+                    const written = typeof rawUser === 'string' && rawUser.trim() !== '';
+                    const difficulty = typeof normalizeDifficulty === 'function' ? normalizeDifficulty(q.difficulty) : null;
+                    questionsHtml += `
+                <div class=\"question-block descriptive\">
+                    <div class=\"q-header\">
+                        <span class=\"q-number\">Q${i+1}</span>
+                        <span class=\"q-status ${written ? 'to-mark' : 'unanswered'}\">${written ? 'To be marked' : 'Unanswered'}${this.bookmarkedQuestions.has(i) ? ' • Bookmarked' : ''}</span>
+                        ${difficulty ? `<span class=\"q-difficulty ${difficulty.toLowerCase()}\">${difficulty}</span>` : ''}
+                    </div>
+                    <div class=\"q-text\">${renderMediaText(stripMediaMarkup(q.question_text || q.question || ''), q, reportMath)}${renderQuestionFiguresHtml(q)}</div>
+                    <div class=\"answer-line\">Your answer:</div>
+                    <div class=\"written-answer\">${written ? this.escapeHtml(rawUser) : '<em>(none)</em>'}</div>
+                    ${modelAnswer ? `<div class=\"correct-line\">Model answer: ${renderMediaText(modelAnswer, q, reportMath)}</div>` : ''}
+                    ${rubricPoints.length > 0 ? `<div class=\"correct-line\">Marking points:</div><ul class=\"rubric\">${rubricPoints.map(point => `<li>${this.escapeHtml(point)}</li>`).join('')}</ul>` : ''}
+                    <div class=\"marks-line\">Marks: ________</div>
+                </div>`;
+                    return;
+                }
 
                 // Transform user answer to text similar to calculateResults
-                if (Array.isArray(rawUser)) {
+                if (isFillBlank) {
+                    userAnswerText = Array.isArray(rawUser) ? formatFillBlankAnswer(rawUser) : '';
+                } else if (isNumeric) {
+                    userAnswerText = rawUser != null ? String(rawUser).trim() : '';
+                } else if (isOrder) {
+                    const inPlace = Math.round(scoreOrderAnswer(q, rawUser) * getOrderItems(q).length);
+                    userAnswerText = Array.isArray(rawUser) ? `${formatOrderAnswer(rawUser)} (${inPlace}/${getOrderItems(q).length} in the right position)` : '';
+                } else if (Array.isArray(rawUser)) {
                     userAnswerText = rawUser.map(letter => {
                         if (typeof letter === 'string' && letter.length === 1 && /[A-Z]/i.test(letter)) {
                             const optionField = `option_${letter.toLowerCase()}`;
@@ -1308,7 +2093,10 @@ class ExamEngine {
                     userAnswerText = Object.entries(rawUser).map(([l,r]) => `${l} → ${r}`).join('; ');
                 }
                 // Compute correctness including match object deep compare (case-insensitive)
-                const isCorrect = (function() {
+                const isCorrect = isFillBlank ? isFillBlankAnswerCorrect(q, rawUser)
+                    : isNumeric ? isNumericAnswerCorrect(q, rawUser)
+                    : isOrder ? isOrderAnswerCorrect(q, rawUser)
+                    : (function() {
                     // Helpers to normalize answers for comparison
                     const getOptionTextByLetter = (letter) => {
                         if (!letter || typeof letter !== 'string') return null;
@@ -1362,7 +2150,19 @@ class ExamEngine {
                     }
                 })();
                 const bookmarked = this.bookmarkedQuestions.has(i);
-                const status = rawUser ? (isCorrect ? 'Correct' : 'Incorrect') : 'Unanswered';
+                const credit = rawUser && !isCorrect ? this.getPartialCredit(q, rawUser) : 0;
+                const status = rawUser ? (isCorrect ? 'Correct' : credit > 0 ? 'Partial' : 'Incorrect') : 'Unanswered';
+                const statusText = status === 'Partial' ? `Partly correct • ${formatScore(credit)} of 1 mark` : status;
+                const maxMarks = getQuestionMarks(q, this.markingScheme);
+                const marksText = showMarks
+                    ? `${formatScore(markAnswer(q, { answered: !!rawUser, isCorrect, credit }, this.markingScheme))} / ${formatScore(maxMarks)} ${maxMarks === 1 ? 'mark' : 'marks'}`
+                    : '';
+                const difficulty = typeof normalizeDifficulty === 'function' ? normalizeDifficulty(q.difficulty) : null;
+                if (difficulty) {
+                    difficultyStats[difficulty] = difficultyStats[difficulty] || { total: 0, correct: 0 };
+                    difficultyStats[difficulty].total++;
+                    if (rawUser && isCorrect) difficultyStats[difficulty].correct++;
+                }
                 const showCorrectLine = !isCorrect; // show correct if wrong or unanswered
                 const options = q.options || q.answers || q.choices || null;
                 let optionsMarkup = '';
@@ -1377,27 +2177,37 @@ class ExamEngine {
                     }).join('');
                     optionsMarkup = `<table class="match-table"><thead><tr><th>Left</th><th>Correct Match</th><th>Your Match</th></tr></thead><tbody>${rows}</tbody></table>`;
                 } else if (Array.isArray(options)) {
-                    optionsMarkup = `<ol class="options">${options.map(opt => `<li>${this.escapeHtml(String(opt))}</li>`).join('')}</ol>`;
+                    optionsMarkup = `<ol class="options">${options.map(opt => `<li>${renderMediaText(String(opt), q, reportMath)}</li>`).join('')}</ol>`;
                 }
                 // Build correct answer line string for match objects
                 let correctAnswerText = '';
                 if (showCorrectLine) {
-                    if (correctAnswer && typeof correctAnswer === 'object' && !Array.isArray(correctAnswer)) {
+                    if (isFillBlank) {
+                        correctAnswerText = formatFillBlankAnswer(getBlankAnswers(q));
+                    } else if (isNumeric) {
+                        correctAnswerText = formatNumericAnswer(q);
+                    } else if (isOrder) {
+                        correctAnswerText = formatOrderAnswer(getOrderItems(q));
+                    } else if (correctAnswer && typeof correctAnswer === 'object' && !Array.isArray(correctAnswer)) {
                         correctAnswerText = Object.entries(correctAnswer).map(([l,r]) => `${l} → ${r}`).join('; ');
                     } else {
                         correctAnswerText = Array.isArray(correctAnswer)? correctAnswer.join(', ') : String(correctAnswer);
                     }
                 }
                 const isMatchQuestion = (q.type === 'match' || q.question_type === 'Match') && (q.matchPairs || q.match_pairs);
-                const answerLineMarkup = isMatchQuestion ? '' : `<div class="answer-line">Your answer: <strong>${rawUser != null ? this.escapeHtml(String(userAnswerText)) : '<em>(none)</em>'}</strong></div>`;
-                const correctLineMarkup = isMatchQuestion ? '' : (showCorrectLine ? `<div class=\"correct-line\">Correct answer: <strong>${this.escapeHtml(correctAnswerText)}</strong></div>` : '');
+                const plainQuestionText = stripMediaMarkup(q.question_text || q.question || '');
+                const reportQuestionText = isFillBlank ? numberBlanks(plainQuestionText) : plainQuestionText;
+                const answerLineMarkup = isMatchQuestion ? '' : `<div class="answer-line">Your answer: <strong>${rawUser != null ? renderMediaText(String(userAnswerText), q, reportMath) : '<em>(none)</em>'}</strong></div>`;
+                const correctLineMarkup = isMatchQuestion ? '' : (showCorrectLine ? `<div class=\"correct-line\">Correct answer: <strong>${renderMediaText(correctAnswerText, q, reportMath)}</strong></div>` : '');
                 questionsHtml += `
-                <div class=\"question-block ${isCorrect ? 'correct' : 'incorrect'}\">
+                <div class=\"question-block ${isCorrect ? 'correct' : credit > 0 ? 'partial' : 'incorrect'}\">
                     <div class=\"q-header\">
                         <span class=\"q-number\">Q${i+1}</span>
-                        <span class=\"q-status ${status.toLowerCase()}\">${status}${bookmarked ? ' • Bookmarked' : ''}</span>
+                        <span class=\"q-status ${status.toLowerCase()}\">${statusText}${bookmarked ? ' • Bookmarked' : ''}</span>
+                        ${difficulty ? `<span class=\"q-difficulty ${difficulty.toLowerCase()}\">${difficulty}</span>` : ''}
+                        ${marksText ? `<span class=\"q-marks\">${marksText}</span>` : ''}
                     </div>
-                    <div class=\"q-text\">${this.escapeHtml(q.question_text || q.question || '')}</div>
+                    <div class=\"q-text\">${renderMediaText(reportQuestionText, q, reportMath)}${renderQuestionFiguresHtml(q)}</div>
                     ${optionsMarkup}
                     ${answerLineMarkup}
                     ${correctLineMarkup}
@@ -1411,6 +2221,9 @@ class ExamEngine {
         const timeSpentMinutes = Math.floor(timeSpent / 60);
         const timeSpentSeconds = timeSpent % 60;
 
+    // Correct answers per difficulty level (only for banks that rate questions)
+    const difficultyLine = Object.keys(difficultyStats).length === 0 ? '' :
+        `<p><strong>By Difficulty:</strong> ${DIFFICULTY_LEVELS.filter(level => difficultyStats[level]).map(level => `${level} ${difficultyStats[level].correct}/${difficultyStats[level].total}`).join(' &middot; ')}</p>`;
     const labelForPdf = (function(){ try { return localStorage.getItem('candidateLabel') || 'Examinee'; } catch(_) { return 'Examinee'; } })();
     const summaryHtml = `
             <div class="summary">
@@ -1419,12 +2232,18 @@ class ExamEngine {
                 <p><strong>Date:</strong> ${ts.toLocaleDateString()} ${ts.toLocaleTimeString()}</p>
                 <p><strong>Duration (configured):</strong> ${this.examDuration} minutes</p>
                 <p><strong>Time Spent:</strong> ${timeSpentMinutes}m ${timeSpentSeconds}s</p>
-                <p><strong>Score:</strong> ${results.percentage}% (${results.correctCount}/${results.totalAnswered} answered correct)</p>
+                <p><strong>Score:</strong> ${results.percentage}% (${results.correctCount}/${results.totalAnswered} answered correct${results.score !== results.correctCount ? `; ${formatScore(results.score)} with partial credit` : ''})</p>
+                <p><strong>Marks:</strong> ${formatMarksSummary(results.rawMarks, results.maxMarks)}${results.descriptiveTotal > 0 ? ' (descriptive answers not included)' : ''}</p>
                 <p><strong>Total Questions:</strong> ${results.totalQuestions}</p>
                 <p><strong>Answered:</strong> ${results.totalAnswered}</p>
-                <p><strong>Unanswered:</strong> ${results.totalQuestions - results.totalAnswered}</p>
-                <p><strong>Incorrect:</strong> ${results.totalAnswered - results.correctCount}</p>
+                <p><strong>Unanswered:</strong> ${results.totalQuestions - results.totalAnswered - results.descriptiveAnswered}</p>
+                ${results.descriptiveTotal > 0 ? `<p><strong>Descriptive answers to be marked by the teacher:</strong> ${results.descriptiveAnswered} (not included in the score)</p>` : ''}
+                ${results.partialCount > 0 ? `<p><strong>Partly correct:</strong> ${results.partialCount}</p>` : ''}
+                <p><strong>Incorrect:</strong> ${results.totalAnswered - results.correctCount - results.partialCount}</p>
                 <p><strong>Bookmarked:</strong> ${this.bookmarkedQuestions.size}</p>
+                ${difficultyLine}
+                ${this.formatSectionResults(results)}
+                ${this.formatBreakdownResults(results, false)}
             </div>`;
 
         const style = `
@@ -1435,12 +2254,38 @@ class ExamEngine {
                 .question-block { page-break-inside: avoid; border:1px solid #ddd; border-left:5px solid #888; padding:12px 14px 10px; margin:16px 0; border-radius:4px; }
                 .question-block.correct { border-left-color:#2e7d32; }
                 .question-block.incorrect { border-left-color:#c62828; }
+                .question-block.partial { border-left-color:#ef6c00; }
                 .q-header { display:flex; gap:12px; font-size:12px; text-transform:uppercase; letter-spacing:.5px; margin-bottom:6px; }
                 .q-number { font-weight:bold; color:#555; }
                 .q-status.correct { color:#2e7d32; }
                 .q-status.incorrect { color:#c62828; }
+                .q-status.partial { color:#ef6c00; }
+                .q-marks { margin-left:auto; color:#555; text-transform:none; }
                 .q-status.unanswered { color:#6a1b9a; }
+                .q-status.to-mark { color:#1565c0; }
+                .section-heading { font-size:18px; margin:28px 0 4px; padding-bottom:4px; border-bottom:2px solid #0078d7; color:#0d47a1; }
+                .section-results ul { margin:4px 0 0 20px; padding:0; }
+                table.breakdown-table { width:100%; border-collapse:collapse; margin:4px 0 12px; font-size:12.5px; }
+                table.breakdown-table th, table.breakdown-table td { border:1px solid #ccc; padding:4px 6px; text-align:left; }
+                table.breakdown-table th { background:#e0e0e0; }
+                table.breakdown-table tr.weak-area td { background:#fff3e0; font-weight:bold; }
+                .breakdown-bar { display:inline-block; width:80px; height:10px; background:#e0e0e0; border-radius:5px; overflow:hidden; vertical-align:middle; }
+                .breakdown-bar span { display:block; height:100%; background:#0078d7; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+                tr.weak-area .breakdown-bar span { background:#ef6c00; }
+                .weak-summary { color:#bf360c; }
+                .passage-block { border:1px solid #e0d8b0; background:#fffdf5; padding:12px 14px; margin:20px 0 8px; border-radius:4px; }
+                .passage-title { font-weight:bold; margin-bottom:6px; }
+                .passage-text { white-space:pre-wrap; font-size:13px; line-height:1.5; }
+                .question-block.descriptive { border-left-color:#1565c0; }
+                .written-answer { white-space:pre-wrap; font-size:13px; border:1px solid #ccc; border-radius:4px; padding:8px 10px; margin:4px 0 8px; min-height:3em; }
+                ul.rubric { margin:2px 0 6px 20px; padding:0; font-size:12.5px; }
+                .marks-line { font-size:13px; font-weight:bold; margin-top:8px; text-align:right; }
+                .q-difficulty { margin-left:auto; font-weight:bold; }
+                .q-difficulty.easy { color:#2e7d32; }
+                .q-difficulty.medium { color:#ef6c00; }
+                .q-difficulty.hard { color:#c62828; }
                 .q-text { font-size:14px; margin:4px 0 8px; line-height:1.4; }
+                img.question-image { break-inside:avoid; max-height:240px !important; }
                 ol.options { margin:4px 0 8px 20px; padding:0; }
                 ol.options li { margin:2px 0; font-size:13px; }
                 .answer-line, .correct-line { font-size:12.5px; margin:2px 0; }
@@ -0,0 +1,409 @@
+/**
+ * ============================================================================
+ * HISTORY DASHBOARD MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Drives history.html: reads the attempts saved by attempt-history.js and
+ * shows how results change over time. Everything is drawn in the page as
+ * SVG; nothing leaves the browser.
+ *
+ * Views:
+ * • Score trend - the score of each attempt in order, coloured by mode
+ * • Accuracy per topic - one line per topic (the most practised ones),
+ *   each point the share of that topic's answered questions the attempt got right
+ * • Attempts - every attempt, newest first; a click opens its drill-down
+ *   (filters, sections, topics and each question with its outcome and time)
+ *
+ * Core Functions:
+ * • initHistoryDashboard() - Loads the attempts and wires the controls
+ * • renderHistoryDashboard() - Redraws everything for the chosen bank and mode
+ * • buildLineChartSvg() - Line chart with a 0-100% axis
+ * • getTopicAccuracySeries() - Per-topic accuracy of each attempt
+ * • renderAttemptDetail() - Drill-down into one attempt
+ *
+ * Dependencies:
+ * • attempt-history.js - loadAttempts, clearAttempts
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+const HISTORY_MODE_LABELS = { learning: 'Learning', adaptive: 'Adaptive', review: 'Review', practice: 'Practice round', exam: 'Exam' };
+const HISTORY_MODE_COLORS = { learning: '#0078d7', adaptive: '#8e44ad', review: '#e67e22', practice: '#c2185b', exam: '#2e7d32' };
+const HISTORY_TOPIC_COLORS = ['#0078d7', '#e53935', '#2e7d32', '#8e44ad', '#e67e22', '#00897b', '#6d4c41', '#c2185b'];
+const HISTORY_OUTCOME_LABELS = { correct: '✅ Correct', partial: '🟡 Partly right', wrong: '❌ Wrong', unanswered: '➖ Unanswered', ungraded: '📝 Marked by teacher' };
+
+// Attempts loaded from IndexedDB and the one open in the drill-down
+const historyView = { attempts: [], selectedId: null };
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Escapes text for HTML and SVG markup
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHistoryHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats seconds as "4m 05s"
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+function formatHistoryTime(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Formats the finishing time of an attempt
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Local date and time
+ */
+function formatHistoryDate(iso) {
+  const date = new Date(iso);
+  return isNaN(date) ? '' : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Shows a bank name without its "db:" / "json:" prefix
+ * @param {string|null} bank - Bank name as saved
+ * @returns {string} Display name
+ */
+function formatHistoryBank(bank) {
+  return bank ? bank.replace(/^(db|json):/, '') : 'Unknown bank';
+}
+
+/**
+ * Attempts of the chosen bank and mode
+ * @param {Array<Object>} attempts - All attempts, oldest first
+ * @param {string} bank - Bank name, '' for all banks
+ * @param {string} mode - Mode, '' for all modes
+ * @returns {Array<Object>} Matching attempts, oldest first
+ */
+function filterHistoryAttempts(attempts, bank, mode) {
+  return attempts.filter(attempt => (!bank || attempt.bank === bank) && (!mode || attempt.mode === mode));
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Totals per topic of one attempt
+ * @param {Object} attempt - Attempt record
+ * @returns {Array<{topic: string, total: number, answered: number, correct: number, score: number, seconds: number}>} One entry per topic, in test order
+ */
+function getAttemptTopicBreakdown(attempt) {
+  const topics = new Map();
+  attempt.questions.forEach(q => {
+    const topic = q.topic || 'General';
+    if (!topics.has(topic)) topics.set(topic, { topic, total: 0, answered: 0, correct: 0, score: 0, seconds: 0 });
+    const entry = topics.get(topic);
+    entry.total++;
+    entry.seconds += q.seconds || 0;
+    if (q.outcome === 'unanswered' || q.outcome === 'ungraded') return;
+    entry.answered++;
+    entry.score += q.credit || 0;
+    if (q.outcome === 'correct') entry.correct++;
+  });
+  return [...topics.values()];
+}
+
+/**
+ * Accuracy of each topic across attempts
+ * Only the most practised topics get a line, so the chart stays readable.
+ *
+ * @param {Array<Object>} attempts - Attempts in chart order
+ * @param {number} [maxTopics=HISTORY_TOPIC_COLORS.length] - Most lines to draw
+ * @returns {Array<{name: string, points: Array<{x: number, y: number, tip: string}>}>} One series per topic
+ */
+function getTopicAccuracySeries(attempts, maxTopics = HISTORY_TOPIC_COLORS.length) {
+  const series = new Map();
+  attempts.forEach((attempt, index) => {
+    getAttemptTopicBreakdown(attempt).forEach(entry => {
+      if (entry.answered === 0) return;
+      if (!series.has(entry.topic)) series.set(entry.topic, { name: entry.topic, answered: 0, points: [] });
+      const line = series.get(entry.topic);
+      const accuracy = Math.round(entry.score / entry.answered * 100);
+      line.answered += entry.answered;
+      line.points.push({
+        x: index,
+        y: accuracy,
+        tip: `${entry.topic} · ${formatHistoryDate(attempt.finishedAt)}: ${accuracy}% of ${entry.answered} answered`
+      });
+    });
+  });
+  return [...series.values()]
+    .sort((a, b) => b.answered - a.answered || a.name.localeCompare(b.name))
+    .slice(0, maxTopics);
+}
+
+// ============================================================================
+// CHARTS
+// ============================================================================
+
+/**
+ * Draws a line chart with a 0-100% axis
+ *
+ * @param {Object} chart
+ * @param {Array<{name: string, color: string, points: Array<{x: number, y: number, tip: string, color?: string}>}>} chart.series - Lines to draw
+ * @param {number} chart.xCount - Number of positions on the x axis (attempts)
+ * @param {Function} chart.xLabel - Label of an x position
+ * @returns {string} SVG markup
+ */
+function buildLineChartSvg({ series, xCount, xLabel }) {
+  const width = 760;
+  const height = 260;
+  const margin = { top: 12, right: 16, bottom: 44, left: 44 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const xAt = x => margin.left + (xCount > 1 ? x / (xCount - 1) * plotWidth : plotWidth / 2);
+  const yAt = y => margin.top + (1 - y / 100) * plotHeight;
+
+  const grid = [0, 25, 50, 75, 100].map(y => `
+    <line x1="${margin.left}" x2="${width - margin.right}" y1="${yAt(y)}" y2="${yAt(y)}" stroke="#e0e0e0"/>
+    <text x="${margin.left - 6}" y="${yAt(y) + 4}" text-anchor="end" font-size="11" fill="#666">${y}%</text>`).join('');
+
+  // Label at most about ten attempts along the x axis
+  const step = Math.max(1, Math.ceil(xCount / 10));
+  const xTicks = [];
+  for (let x = 0; x < xCount; x += step) {
+    xTicks.push(`<text x="${xAt(x)}" y="${height - margin.bottom + 16}" text-anchor="middle" font-size="11" fill="#666">${escapeHistoryHtml(xLabel(x))}</text>`);
+  }
+
+  const lines = series.map(line => {
+    const path = line.points.length > 1
+      ? `<polyline fill="none" stroke="${line.color}" stroke-width="2" points="${line.points.map(p => `${xAt(p.x)},${yAt(p.y)}`).join(' ')}"/>`
+      : '';
+    const dots = line.points.map(p => `<circle cx="${xAt(p.x)}" cy="${yAt(p.y)}" r="4" fill="${p.color || line.color}"><title>${escapeHistoryHtml(p.tip)}</title></circle>`).join('');
+    return path + dots;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img">
+    ${grid}
+    <text x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle" font-size="11" fill="#666">Attempt</text>
+    ${xTicks.join('')}
+    ${lines}
+  </svg>`;
+}
+
+/**
+ * Score of each attempt, each point coloured by mode
+ * @param {Array<Object>} attempts - Attempts, oldest first
+ * @returns {string} HTML
+ */
+function renderScoreTrendChart(attempts) {
+  const points = attempts.map((attempt, index) => ({
+    x: index,
+    y: attempt.percentage,
+    color: HISTORY_MODE_COLORS[attempt.mode],
+    tip: `${formatHistoryDate(attempt.finishedAt)} · ${HISTORY_MODE_LABELS[attempt.mode] || attempt.mode}: ${attempt.percentage}% (${attempt.correct} of ${attempt.totalQuestions} right)`
+  }));
+  const modes = [...new Set(attempts.map(attempt => attempt.mode))];
+  const legend = modes.map(mode => `<span><span style="color:${HISTORY_MODE_COLORS[mode]};">●</span> ${HISTORY_MODE_LABELS[mode] || escapeHistoryHtml(mode)}</span>`).join('');
+  return buildLineChartSvg({ series: [{ name: 'Score', color: '#9e9e9e', points }], xCount: attempts.length, xLabel: x => String(x + 1) })
+    + `<div class="history-legend">${legend}</div>`;
+}
+
+/**
+ * Accuracy per topic over the attempts
+ * @param {Array<Object>} attempts - Attempts, oldest first
+ * @returns {string} HTML
+ */
+function renderTopicAccuracyChart(attempts) {
+  const series = getTopicAccuracySeries(attempts).map((line, index) => ({ ...line, color: HISTORY_TOPIC_COLORS[index] }));
+  if (series.length === 0) {
+    return '<div class="history-empty">No answered questions yet.</div>';
+  }
+  const legend = series.map(line => `<span><span style="color:${line.color};">●</span> ${escapeHistoryHtml(line.name)}</span>`).join('');
+  return buildLineChartSvg({ series, xCount: attempts.length, xLabel: x => String(x + 1) })
+    + `<div class="history-legend">${legend}</div>`;
+}
+
+// ============================================================================
+// ATTEMPT LIST AND DRILL-DOWN
+// ============================================================================
+
+/**
+ * Table of attempts, newest first
+ * @param {Array<Object>} attempts - Attempts, oldest first
+ * @returns {string} HTML
+ */
+function renderAttemptList(attempts) {
+  const rows = attempts.map((attempt, index) => ({ attempt, number: index + 1 })).reverse().map(({ attempt, number }) => `
+    <tr class="attempt-row${attempt.id === historyView.selectedId ? ' selected' : ''}" data-id="${attempt.id}">
+      <td>${number}</td>
+      <td>${escapeHistoryHtml(formatHistoryDate(attempt.finishedAt))}</td>
+      <td>${HISTORY_MODE_LABELS[attempt.mode] || escapeHistoryHtml(attempt.mode)}</td>
+      <td>${escapeHistoryHtml(formatHistoryBank(attempt.bank))}</td>
+      <td>${attempt.answered} / ${attempt.totalQuestions}</td>
+      <td><strong>${attempt.percentage}%</strong></td>
+      <td>${formatHistoryTime(attempt.timeSpent)}</td>
+    </tr>`).join('');
+  return `<table class="history-table">
+    <thead><tr><th>#</th><th>Finished</th><th>Mode</th><th>Bank</th><th>Answered</th><th>Score</th><th>Time</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+/**
+ * Describes the filters of an attempt in one line
+ * @param {Object|null} filters - Filters as saved (see describeAttemptFilters)
+ * @returns {string} HTML
+ */
+function formatAttemptFilters(filters) {
+  if (!filters) return 'Not recorded';
+  const parts = [];
+  if (filters.blueprint) {
+    parts.push(`Blueprint: ${escapeHistoryHtml(filters.blueprint)}`);
+  } else {
+    parts.push(`Topics: ${filters.topics && filters.topics.length ? escapeHistoryHtml(filters.topics.join(', ')) : 'all'}`);
+    parts.push(`Types: ${filters.types && filters.types.length ? escapeHistoryHtml(filters.types.join(', ')) : 'all'}`);
+    if (filters.difficulties) parts.push(`Difficulty: ${escapeHistoryHtml(filters.difficulties.join(', '))}`);
+    if (filters.tags) parts.push(`Tags (${filters.tags.mode}): ${escapeHistoryHtml(filters.tags.tags.join(', '))}`);
+    parts.push(`Selection: ${escapeHistoryHtml(filters.selectionMode)}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Drill-down into one attempt
+ * @param {Object} attempt - Attempt record
+ * @returns {string} HTML
+ */
+function renderAttemptDetail(attempt) {
+  const marks = attempt.maxMarks !== attempt.totalQuestions || attempt.rawMarks !== attempt.score
+    ? `<div><strong>Marks:</strong> ${Math.round(attempt.rawMarks * 100) / 100} / ${attempt.maxMarks}</div>`
+    : '';
+  const sections = attempt.sections && attempt.sections.length > 0 ? `
+    <h4>Sections</h4>
+    <table class="history-table">
+      <thead><tr><th>Section</th><th>Answered</th><th>Correct</th><th>Time</th></tr></thead>
+      <tbody>${attempt.sections.map(section => `
+        <tr><td>${escapeHistoryHtml(section.name)}</td><td>${section.answered} / ${section.questions}</td><td>${section.correct}</td><td>${formatHistoryTime(section.timeSpent)}</td></tr>`).join('')}
+      </tbody>
+    </table>` : '';
+  const topics = getAttemptTopicBreakdown(attempt).map(entry => `
+        <tr>
+          <td>${escapeHistoryHtml(entry.topic)}</td>
+          <td>${entry.answered} / ${entry.total}</td>
+          <td>${entry.correct}</td>
+          <td><strong>${entry.answered > 0 ? Math.round(entry.score / entry.answered * 100) + '%' : '-'}</strong></td>
+          <td>${formatHistoryTime(entry.seconds)}</td>
+        </tr>`).join('');
+  const questions = attempt.questions.map((q, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHistoryHtml(q.topic)}${q.subtopic ? ` / ${escapeHistoryHtml(q.subtopic)}` : ''}</td>
+          <td>${escapeHistoryHtml(q.type)}${q.difficulty ? ` · ${escapeHistoryHtml(q.difficulty)}` : ''}</td>
+          <td>${escapeHistoryHtml(q.text)}</td>
+          <td>${HISTORY_OUTCOME_LABELS[q.outcome] || escapeHistoryHtml(q.outcome)}</td>
+          <td>${formatHistoryTime(q.seconds)}</td>
+        </tr>`).join('');
+  return `
+    <h3>🔍 Attempt of ${escapeHistoryHtml(formatHistoryDate(attempt.finishedAt))}</h3>
+    <div><strong>Mode:</strong> ${HISTORY_MODE_LABELS[attempt.mode] || escapeHistoryHtml(attempt.mode)} · <strong>Bank:</strong> ${escapeHistoryHtml(attempt.bankTitle || formatHistoryBank(attempt.bank))}</div>
+    <div><strong>Filters:</strong> ${formatAttemptFilters(attempt.filters)}</div>
+    <div><strong>Score:</strong> ${attempt.percentage}% · ${attempt.correct} correct${attempt.partial ? `, ${attempt.partial} partly right` : ''} · ${attempt.answered} of ${attempt.totalQuestions} answered · ${formatHistoryTime(attempt.timeSpent)}</div>
+    ${marks}
+    ${sections}
+    <h4>Topics</h4>
+    <table class="history-table">
+      <thead><tr><th>Topic</th><th>Answered</th><th>Correct</th><th>Accuracy</th><th>Time</th></tr></thead>
+      <tbody>${topics}</tbody>
+    </table>
+    <h4>Questions</h4>
+    <table class="history-table">
+      <thead><tr><th>#</th><th>Topic</th><th>Type</th><th>Question</th><th>Outcome</th><th>Time</th></tr></thead>
+      <tbody>${questions}</tbody>
+    </table>`;
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+/**
+ * Redraws the dashboard for the chosen bank and mode
+ */
+function renderHistoryDashboard() {
+  const bank = document.getElementById('history-bank').value;
+  const mode = document.getElementById('history-mode').value;
+  const attempts = filterHistoryAttempts(historyView.attempts, bank, mode);
+  const detail = document.getElementById('attempt-detail');
+
+  if (attempts.length === 0) {
+    const empty = historyView.attempts.length === 0
+      ? 'No saved attempts yet. Finish a test in InsightPrep and it will show up here.'
+      : 'No attempts match this bank and mode.';
+    document.getElementById('history-summary').innerHTML = '';
+    ['score-trend-chart', 'topic-accuracy-chart', 'attempt-list'].forEach(id => {
+      document.getElementById(id).innerHTML = `<div class="history-empty">${empty}</div>`;
+    });
+    detail.style.display = 'none';
+    return;
+  }
+
+  const average = Math.round(attempts.reduce((sum, attempt) => sum + attempt.percentage, 0) / attempts.length);
+  const best = Math.max(...attempts.map(attempt => attempt.percentage));
+  const time = attempts.reduce((sum, attempt) => sum + (attempt.timeSpent || 0), 0);
+  document.getElementById('history-summary').innerHTML =
+    `<strong>${attempts.length}</strong> ${attempts.length === 1 ? 'attempt' : 'attempts'} · average <strong>${average}%</strong> · best <strong>${best}%</strong> · total time <strong>${formatHistoryTime(time)}</strong>`;
+  document.getElementById('score-trend-chart').innerHTML = renderScoreTrendChart(attempts);
+  document.getElementById('topic-accuracy-chart').innerHTML = renderTopicAccuracyChart(attempts);
+  document.getElementById('attempt-list').innerHTML = renderAttemptList(attempts);
+
+  const selected = attempts.find(attempt => attempt.id === historyView.selectedId);
+  detail.style.display = selected ? 'block' : 'none';
+  detail.innerHTML = selected ? renderAttemptDetail(selected) : '';
+}
+
+/**
+ * Loads the saved attempts and wires the controls of history.html
+ * @returns {Promise<void>}
+ */
+async function initHistoryDashboard() {
+  historyView.attempts = await loadAttempts();
+
+  const bankSelect = document.getElementById('history-bank');
+  const banks = [...new Set(historyView.attempts.map(attempt => attempt.bank))];
+  bankSelect.innerHTML = '<option value="">All banks</option>' +
+    banks.map(bank => `<option value="${escapeHistoryHtml(bank)}">${escapeHistoryHtml(formatHistoryBank(bank))}</option>`).join('');
+
+  bankSelect.addEventListener('change', renderHistoryDashboard);
+  document.getElementById('history-mode').addEventListener('change', renderHistoryDashboard);
+
+  document.getElementById('attempt-list').addEventListener('click', event => {
+    const row = event.target.closest('tr.attempt-row');
+    if (!row) return;
+    historyView.selectedId = Number(row.dataset.id);
+    renderHistoryDashboard();
+    document.getElementById('attempt-detail').scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+
+  document.getElementById('history-clear').addEventListener('click', async () => {
+    if (historyView.attempts.length === 0) return;
+    if (!confirm('Delete every saved attempt from this browser? This cannot be undone.')) return;
+    await clearAttempts();
+    historyView.attempts = [];
+    historyView.selectedId = null;
+    bankSelect.innerHTML = '<option value="">All banks</option>';
+    renderHistoryDashboard();
+  });
+
+  renderHistoryDashboard();
+}
+
+document.addEventListener('DOMContentLoaded', initHistoryDashboard);
@@ -28,6 +28,8 @@
  * • buildDbFilterPanel() - Creates database mode filter interface  
  * • setupTopicSubtopicCheckboxes() - Manages hierarchical checkbox logic
  * • setupAllCheckbox() - Handles "select all" functionality
+ * • buildDifficultyFilterSection() - Optional difficulty filter for both modes
+ * • buildTagFilterSection() - Optional any/all tag filter for both modes
  * • showInvalidQuestionsPopup() - Displays validation results
  * 
  * Dependencies:
@@ -35,6 +37,8 @@
  * • app-state.js - For state persistence and configuration management
  * • database-manager.js - For secure database operations and queries
  * • test-engine.js - For starting tests with filtered question sets
+ * • blueprint.js - For the blueprint editor and drawing tests to it
+ * • review-deck.js - For the "Due for review" button
  * 
  * Technical Features:
  * • Smart question counting with validation-aware totals
@@ -314,6 +318,167 @@ function showTotalDbQuestions() {
 // JSON MODE FILTER PANEL BUILDER
 // ============================================================================
 
+// ============================================================================
+// DIFFICULTY FILTER SECTION (shared by JSON and database modes)
+// ============================================================================
+
+/**
+ * Counts questions per difficulty level (including "Unrated")
+ * @param {Array} questions - Question objects with an optional difficulty field
+ * @returns {Object} Map of level → count
+ */
+function countQuestionsByDifficulty(questions) {
+  const counts = {};
+  questions.forEach(q => {
+    const level = normalizeDifficulty(q.difficulty) || UNRATED_DIFFICULTY;
+    counts[level] = (counts[level] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Builds the "Select Difficulty" filter section
+ * Only levels present in the bank get a checkbox; all start checked unless
+ * a saved selection says otherwise.
+ * @param {Object} counts - Map of level → question count for the whole bank
+ * @param {Array|null} savedSelection - Previously selected levels, or null for all
+ * @returns {HTMLElement} Section element with id "difficulty-filter-section"
+ */
+function buildDifficultyFilterSection(counts, savedSelection = null) {
+  const icons = { Easy: '🟢', Medium: '🟠', Hard: '🔴', [UNRATED_DIFFICULTY]: '⚪' };
+  const difficultyDiv = document.createElement("div");
+  difficultyDiv.className = "filter-section";
+  difficultyDiv.id = "difficulty-filter-section";
+  difficultyDiv.innerHTML = "<h3>Select Difficulty</h3>";
+
+  [...DIFFICULTY_LEVELS, UNRATED_DIFFICULTY].forEach(level => {
+    const count = counts[level] || 0;
+    if (count === 0) return;
+    const checked = !savedSelection || savedSelection.includes(level);
+    const l = document.createElement("label");
+    l.style.display = "block";
+    l.innerHTML = `<input type="checkbox" class="difficulty-checkbox" value="${level}" ${checked ? 'checked' : ''}> ${icons[level]} ${level} <span style="color: #666; font-weight: normal;">(${count} question${count === 1 ? '' : 's'})</span>`;
+    difficultyDiv.appendChild(l);
+  });
+
+  return difficultyDiv;
+}
+
+/**
+ * Reads the difficulty selection from the current filter panel
+ * @returns {Array|null} Checked levels, or null when the section is absent or every level is checked
+ */
+function getSelectedDifficulties() {
+  const boxes = Array.from(document.querySelectorAll('#difficulty-filter-section .difficulty-checkbox'));
+  if (boxes.length === 0 || boxes.every(cb => cb.checked)) return null;
+  return boxes.filter(cb => cb.checked).map(cb => cb.value);
+}
+
+/**
+ * Refreshes the per-level counts shown in the difficulty section
+ * @param {Object} counts - Map of level → count for the current topic/type selection
+ */
+function updateDifficultyCounts(counts) {
+  document.querySelectorAll('#difficulty-filter-section .difficulty-checkbox').forEach(cb => {
+    const span = cb.parentElement && cb.parentElement.querySelector('span');
+    const count = counts[cb.value] || 0;
+    if (span) span.textContent = `(${count} question${count === 1 ? '' : 's'})`;
+  });
+}
+
+// ============================================================================
+// TAG FILTER SECTION (shared by JSON and database modes)
+// ============================================================================
+
+/**
+ * Counts questions per tag; tags differing only in case are counted together
+ * @param {Array} questions - Question objects with an optional tags array
+ * @returns {Object} Map of lower-cased tag → { label, count }, label being the first spelling seen
+ */
+function countQuestionsByTag(questions) {
+  const counts = {};
+  questions.forEach(q => {
+    normalizeTags(q.tags).forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!counts[key]) counts[key] = { label: tag, count: 0 };
+      counts[key].count++;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Builds the "Select Tags" filter section
+ * No tag is checked by default (no tag filter); "Match any" keeps questions
+ * carrying at least one checked tag, "Match all" only those carrying every one.
+ * @param {Object} counts - Result of countQuestionsByTag for the whole bank
+ * @param {Object|null} savedFilter - Previously saved { tags, mode }, or null
+ * @returns {HTMLElement} Section element with id "tag-filter-section"
+ */
+function buildTagFilterSection(counts, savedFilter = null) {
+  const savedTags = savedFilter && Array.isArray(savedFilter.tags) ? savedFilter.tags.map(tag => tag.toLowerCase()) : [];
+  const savedMode = savedFilter && savedFilter.mode === 'all' ? 'all' : 'any';
+
+  const tagDiv = document.createElement("div");
+  tagDiv.className = "filter-section";
+  tagDiv.id = "tag-filter-section";
+  tagDiv.innerHTML = `<h3>Select Tags</h3>
+    <div style="margin-bottom: 6px;">
+      <label style="margin-right: 16px;"><input type="radio" name="tagMatchMode" value="any" ${savedMode === 'any' ? 'checked' : ''}> Match any selected tag</label>
+      <label><input type="radio" name="tagMatchMode" value="all" ${savedMode === 'all' ? 'checked' : ''}> Match all selected tags</label>
+    </div>
+    <div style="color: #666; font-size: 0.9em; margin-bottom: 6px;">Leave every tag unchecked to include questions with any (or no) tags.</div>`;
+
+  const list = document.createElement("div");
+  list.style.cssText = "display: flex; flex-wrap: wrap; gap: 4px 16px; max-height: 180px; overflow-y: auto;";
+  Object.keys(counts)
+    .sort((a, b) => counts[a].label.localeCompare(counts[b].label))
+    .forEach(key => {
+      const { label, count } = counts[key];
+      const l = document.createElement("label");
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.className = "tag-checkbox";
+      cb.value = label;
+      cb.checked = savedTags.includes(key);
+      const countSpan = document.createElement("span");
+      countSpan.style.cssText = "color: #666; font-weight: normal;";
+      countSpan.textContent = `(${count})`;
+      l.appendChild(cb);
+      l.appendChild(document.createTextNode(` 🏷️ ${label} `));
+      l.appendChild(countSpan);
+      list.appendChild(l);
+    });
+  tagDiv.appendChild(list);
+
+  return tagDiv;
+}
+
+/**
+ * Reads the tag selection from the current filter panel
+ * @returns {Object|null} { tags, mode } or null when the section is absent or no tag is checked
+ */
+function getSelectedTagFilter() {
+  const section = document.getElementById('tag-filter-section');
+  if (!section) return null;
+  const tags = Array.from(section.querySelectorAll('.tag-checkbox:checked')).map(cb => cb.value);
+  if (tags.length === 0) return null;
+  const modeInput = section.querySelector('input[name="tagMatchMode"]:checked');
+  return { tags, mode: modeInput && modeInput.value === 'all' ? 'all' : 'any' };
+}
+
+/**
+ * Refreshes the per-tag counts shown in the tag section
+ * @param {Object} counts - Result of countQuestionsByTag for the current selection
+ */
+function updateTagCounts(counts) {
+  document.querySelectorAll('#tag-filter-section .tag-checkbox').forEach(cb => {
+    const span = cb.parentElement && cb.parentElement.querySelector('span');
+    const entry = counts[cb.value.toLowerCase()];
+    if (span) span.textContent = `(${entry ? entry.count : 0})`;
+  });
+}
+
 function buildFilterPanel(allQuestions, skipRestore = false) {
   const panel = document.getElementById("filter-panel");
   panel.innerHTML = "";
@@ -453,6 +618,16 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
   });
   setupAllCheckbox(typeDiv);
   
+  // Difficulty (shown only when the bank rates at least one question)
+  const difficultyCounts = countQuestionsByDifficulty(allQuestions);
+  const difficultyDiv = DIFFICULTY_LEVELS.some(level => difficultyCounts[level])
+    ? buildDifficultyFilterSection(difficultyCounts)
+    : null;
+  
+  // Tags (shown only when at least one question is tagged)
+  const tagCounts = countQuestionsByTag(allQuestions);
+  const tagDiv = Object.keys(tagCounts).length > 0 ? buildTagFilterSection(tagCounts) : null;
+  
   // Function to update "Selected Types" count based on checked question types (JSON mode)
   function updateSelectedTypesCountJSON() {
     const typeChecks = typeDiv.querySelectorAll("input[type=checkbox]");
@@ -551,7 +726,7 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     }
     
     // Filter questions based on selected topic/subtopic combinations and types
-    const filteredQuestions = allQuestions.filter(q => {
+    const topicTypeQuestions = allQuestions.filter(q => {
       const questionSubtopic = q.subtopic || 'General';
       const matchesTopicSubtopic = selectedCombinations.some(combo => 
         q.topic === combo.topic && questionSubtopic === combo.subtopic
@@ -560,6 +735,20 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
       return matchesTopicSubtopic && matchesType;
     });
     
+    // Then by difficulty; the difficulty counts show what each level would add
+    const selectedDifficulties = getSelectedDifficulties();
+    const difficultyQuestions = topicTypeQuestions.filter(q => questionMatchesDifficulty(q, selectedDifficulties));
+    if (difficultyDiv) {
+      updateDifficultyCounts(countQuestionsByDifficulty(topicTypeQuestions));
+    }
+    
+    // Then by tags; the tag counts show how many of those questions carry each tag
+    const selectedTagFilter = getSelectedTagFilter();
+    const filteredQuestions = difficultyQuestions.filter(q => questionMatchesTags(q, selectedTagFilter));
+    if (tagDiv) {
+      updateTagCounts(countQuestionsByTag(difficultyQuestions));
+    }
+    
     const maxQuestions = filteredQuestions.length;
     const numInput = document.getElementById("numQuestions");
     if (numInput) {
@@ -629,7 +818,12 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     <label><input type="checkbox" id="tryAgainOption" checked> Allow "Try Again" for incorrect answers</label><br>
     <label><input type="checkbox" id="topicRevealOption" checked> Show Topic/Subtopic when answering</label><br>
     <label><input type="checkbox" id="immediateResultOption" checked> Show result immediately after each answer</label><br>
-    <label><input type="checkbox" id="correctAnswerOption" checked> Show correct answer when wrong</label>
+    <label><input type="checkbox" id="correctAnswerOption" checked> Show correct answer when wrong</label><br>
+    <label title="Without this, an ordering question only scores when every item is in place"><input type="checkbox" id="orderPartialOption"> Partial credit for ordering questions (by position)</label><br>
+    <label title="Per correct option: each correct option picked earns its share of the mark and each wrong pick takes a share away (never below 0)">Multiple-answer scoring: <select id="multipleScoringOption"><option value="all-or-nothing">All or nothing</option><option value="per-option">Per correct option, wrong picks deduct</option></select></label><br>
+    <label title="Per pair: each correctly matched pair earns its share of the mark">Match scoring: <select id="matchScoringOption"><option value="all-or-nothing">All or nothing</option><option value="per-pair">Per correct pair</option></select></label><br>
+    <label title='Marks of a question that does not set its own ("marks" field)'>Marks per question: <input type="number" id="defaultMarksOption" value="1" min="0.25" step="0.25" style="width: 5em;"></label>
+    <label title="Marks taken off for a wrong answer: a number (1 for a +4/−1 scheme) or a share of the question's marks (25%). Unanswered questions lose nothing." style="margin-left: 12px;">Negative marks per wrong answer: <input type="text" id="negativeMarksOption" value="0" placeholder="0, 1 or 25%" style="width: 5em;"></label>
     <div style="margin-top: 8px; padding: 8px; background: #f0f8ff; border-radius: 4px; font-size: 0.9em; color: #666;">
       <em>Note: If "immediate result" is OFF, results and selected options will be revealed after the final score</em>
     </div>
@@ -678,6 +872,48 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     });
   }
 
+  // Selection mode
+  const modeDiv = document.createElement("div");
+  modeDiv.className = "filter-section";
+  modeDiv.innerHTML = `
+    <h3>Selection Mode</h3>
+    <label><input type="radio" name="selectionMode" value="random" checked> Random (default)</label><br>
+    <label title="Every topic, subtopic and question type gets its share of the questions, in proportion to how many it has"><input type="radio" name="selectionMode" value="stratified"> Stratified (proportional by topic, subtopic and type)</label>
+    <label style="display: block; margin-top: 8px;" title="Learning mode only. Picks each next question from every question that passes the filters, stepping difficulty and topic up or down from your answers, and stops once every topic reaches the mastery target. Number of Questions becomes the most it will ask. Not used with a blueprint.">
+      <input type="checkbox" id="adaptiveOption"> 🎯 Adaptive practice
+    </label>
+    <label style="margin-left: 22px;">Mastery target:
+      <select id="masteryTargetOption">
+        <option value="70">70%</option>
+        <option value="80" selected>80%</option>
+        <option value="90">90%</option>
+      </select>
+    </label>
+  `;
+  
+  /**
+   * Reads the explanation mode and test behavior options into AppState
+   */
+  const applyTestOptions = () => {
+    const expChoice = expDiv.querySelector("input[name=expMode]:checked");
+    AppState.explanationMode = parseInt(expChoice.value);
+    
+    // Capture test behavior options
+    AppState.allowTryAgain = document.getElementById("tryAgainOption").checked;
+    AppState.showTopicSubtopic = document.getElementById("topicRevealOption").checked;
+    AppState.showImmediateResult = document.getElementById("immediateResultOption").checked;
+    AppState.showCorrectAnswer = document.getElementById("correctAnswerOption").checked;
+    AppState.orderPartialCredit = document.getElementById("orderPartialOption").checked;
+    AppState.scoringPolicy = normalizeScoringPolicy({
+      multiple: document.getElementById("multipleScoringOption").value,
+      match: document.getElementById("matchScoringOption").value
+    });
+    AppState.markingScheme = normalizeMarkingScheme({
+      defaultMarks: document.getElementById("defaultMarksOption").value,
+      negativeMarks: document.getElementById("negativeMarksOption").value
+    });
+  };
+  
   // Start button
   const startBtn = document.createElement("button");
   startBtn.textContent = "Start Test";
@@ -709,17 +945,36 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
       });
     }
     
-    const expChoice = expDiv.querySelector("input[name=expMode]:checked");
-    AppState.explanationMode = parseInt(expChoice.value);
+    applyTestOptions();
     
-    // Capture test behavior options
-    AppState.allowTryAgain = document.getElementById("tryAgainOption").checked;
-    AppState.showTopicSubtopic = document.getElementById("topicRevealOption").checked;
-    AppState.showImmediateResult = document.getElementById("immediateResultOption").checked;
-    AppState.showCorrectAnswer = document.getElementById("correctAnswerOption").checked;
+    // A blueprint replaces the topic, type, difficulty, tag and count choices
+    const blueprint = getActiveBlueprint();
+    if (document.getElementById("blueprintOption").checked) {
+      if (!blueprint) {
+        document.getElementById("file-chosen").innerHTML = `<span style='color:red;'>The blueprint has no rows. Please add a row with at least one question, or switch the blueprint off.</span>`;
+        return;
+      }
+      const drawn = drawToBlueprint(allQuestions, blueprint);
+      if (drawn.shortfalls.length > 0) {
+        document.getElementById("file-chosen").innerHTML = `<span style='color:red;'>This bank cannot fill the blueprint: ${sanitizeText(drawn.shortfalls.join('; '))}. Please lower those counts or loosen the rows.</span>`;
+        return;
+      }
+      AppState.lastBlueprint = blueprint;
+      document.getElementById("file-chosen").innerHTML = `Loaded ${drawn.questions.length} questions. Preparing test UI...`;
+      setTimeout(() => {
+        panel.innerHTML = "";
+        document.getElementById("restart").style.display = "none";
+        document.getElementById("restart-bottom").style.display = "none";
+        startTest(drawn.questions);
+      }, 500);
+      return;
+    }
+    AppState.lastBlueprint = null;
     
     // Filter questions based on selection
-    let filteredQuestions = allQuestions.filter(q => selectedTopics.includes(q.topic) && selectedTypes.includes(q.type));
+    const selectedDifficulties = getSelectedDifficulties();
+    const selectedTagFilter = getSelectedTagFilter();
+    let filteredQuestions = allQuestions.filter(q => selectedTopics.includes(q.topic) && selectedTypes.includes(q.type) && questionMatchesDifficulty(q, selectedDifficulties) && questionMatchesTags(q, selectedTagFilter));
     
     const numInput = document.getElementById("numQuestions");
     const maxQuestions = filteredQuestions.length;
@@ -730,9 +985,24 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
       return;
     }
     
-    // Always use random selection in JSON mode
-    filteredQuestions = shuffle(filteredQuestions);
-    const chosenQuestions = filteredQuestions.slice(0, numQuestions);
+    // Adaptive practice picks from every filtered question as the learner goes
+    if (document.getElementById("adaptiveOption").checked) {
+      const settings = { maxQuestions: numQuestions, target: parseInt(document.getElementById("masteryTargetOption").value, 10) };
+      document.getElementById("file-chosen").innerHTML = `Starting adaptive practice over ${maxQuestions} questions...`;
+      setTimeout(() => {
+        panel.innerHTML = "";
+        document.getElementById("restart").style.display = "none";
+        document.getElementById("restart-bottom").style.display = "none";
+        startAdaptivePractice(filteredQuestions, settings);
+      }, 500);
+      return;
+    }
+    
+    // Random or stratified selection (questions sharing a passage stay together)
+    const mode = modeDiv.querySelector('input[name="selectionMode"]:checked').value;
+    const chosenQuestions = mode === 'stratified'
+      ? stratifiedSelection(filteredQuestions, numQuestions)
+      : takeQuestionsKeepingPassages(shuffleKeepingPassages(filteredQuestions), numQuestions);
     
     document.getElementById("file-chosen").innerHTML = `Loaded ${chosenQuestions.length} questions. Preparing test UI...`;
     setTimeout(() => {
@@ -786,7 +1056,7 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     }
     
     // Filter questions based on selected topic/subtopic combinations and types
-    const filteredQuestions = allQuestions.filter(q => {
+    const topicTypeQuestions = allQuestions.filter(q => {
       const questionSubtopic = q.subtopic || 'General';
       const matchesTopicSubtopic = selectedCombinations.some(combo => 
         q.topic === combo.topic && questionSubtopic === combo.subtopic
@@ -795,6 +1065,20 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
       return matchesTopicSubtopic && matchesType;
     });
     
+    // Then by difficulty; the difficulty counts show what each level would add
+    const selectedDifficulties = getSelectedDifficulties();
+    const difficultyQuestions = topicTypeQuestions.filter(q => questionMatchesDifficulty(q, selectedDifficulties));
+    if (difficultyDiv) {
+      updateDifficultyCounts(countQuestionsByDifficulty(topicTypeQuestions));
+    }
+    
+    // Then by tags; the tag counts show how many of those questions carry each tag
+    const selectedTagFilter = getSelectedTagFilter();
+    const filteredQuestions = difficultyQuestions.filter(q => questionMatchesTags(q, selectedTagFilter));
+    if (tagDiv) {
+      updateTagCounts(countQuestionsByTag(difficultyQuestions));
+    }
+    
     const maxQuestions = filteredQuestions.length;
     const numInput = document.getElementById("numQuestions");
     numInput.max = maxQuestions;
@@ -880,12 +1164,37 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     
     startBtn.disabled = (maxQuestions < 1 || parseInt(numInput.value) < 1 || parseInt(numInput.value) > maxQuestions);
     
+    // Stratified preview on the Start Test tooltip
+    if (modeDiv.querySelector('input[name="selectionMode"]:checked').value === 'stratified') {
+      const requestedCount = Math.max(1, parseInt(numInput.value) || 10);
+      tooltip.innerHTML = formatStratifiedPlan(planStratifiedSelection(filteredQuestions, requestedCount), requestedCount);
+      tooltip.style.display = "block";
+    } else {
+      tooltip.style.display = "none";
+    }
+    
     // Reset the flag
     updateMaxQuestionsJSON.isUpdating = false;
   }
   
+  // Start button with the stratified distribution tooltip
+  const startBtnContainer = document.createElement("div");
+  startBtnContainer.className = "tooltip-container";
+  startBtnContainer.appendChild(startBtn);
+  const tooltip = document.createElement("div");
+  tooltip.className = "tooltip";
+  tooltip.style.display = "none";
+  startBtnContainer.appendChild(tooltip);
+  modeDiv.addEventListener("change", updateMaxQuestionsJSON);
+  
   topicDiv.addEventListener("change", updateMaxQuestionsJSON);
   typeDiv.addEventListener("change", updateMaxQuestionsJSON);
+  if (difficultyDiv) {
+    difficultyDiv.addEventListener("change", updateMaxQuestionsJSON);
+  }
+  if (tagDiv) {
+    tagDiv.addEventListener("change", updateMaxQuestionsJSON);
+  }
   setTimeout(() => {
     const numInput = document.getElementById("numQuestions");
     if (numInput) {
@@ -971,6 +1280,20 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
       }
     });
     
+    // Reset difficulty - every level selected
+    if (difficultyDiv) {
+      difficultyDiv.querySelectorAll(".difficulty-checkbox").forEach(cb => cb.checked = true);
+      updateMaxQuestionsJSON();
+    }
+    
+    // Reset tags - no tag filter, "Match any"
+    if (tagDiv) {
+      tagDiv.querySelectorAll(".tag-checkbox").forEach(cb => cb.checked = false);
+      const anyMode = tagDiv.querySelector('input[name="tagMatchMode"][value="any"]');
+      if (anyMode) anyMode.checked = true;
+      updateMaxQuestionsJSON();
+    }
+    
     // Reset explanation mode to "Both when right and wrong" (value 2)
     const expRadios = expDiv.querySelectorAll("input[name=expMode]");
     expRadios.forEach(radio => {
@@ -982,12 +1305,20 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     document.getElementById("topicRevealOption").checked = true;
     document.getElementById("immediateResultOption").checked = true;
     document.getElementById("correctAnswerOption").checked = true;
+    document.getElementById("orderPartialOption").checked = false;
+    document.getElementById("multipleScoringOption").value = 'all-or-nothing';
+    document.getElementById("matchScoringOption").value = 'all-or-nothing';
+    document.getElementById("defaultMarksOption").value = 1;
+    document.getElementById("negativeMarksOption").value = '0';
     
     // Update AppState with default values
     AppState.allowTryAgain = true;
     AppState.showTopicSubtopic = true;
     AppState.showImmediateResult = true;
     AppState.showCorrectAnswer = true;
+    AppState.orderPartialCredit = false;
+    AppState.scoringPolicy = { multiple: 'all-or-nothing', match: 'all-or-nothing' };
+    AppState.markingScheme = { defaultMarks: 1, negativeMarks: '0' };
     AppState.explanationMode = 2; // "Both when right and wrong"
     
     // Clear persistent saved settings to prevent restoration
@@ -1000,11 +1331,63 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
     const maxQuestions = allQuestions.length;
     document.getElementById("numQuestions").value = Math.min(10, maxQuestions);
     
+    // Reset selection mode to random, adaptive practice off
+    modeDiv.querySelectorAll("input[name=selectionMode]").forEach(radio => {
+      radio.checked = radio.value === "random";
+    });
+    document.getElementById("adaptiveOption").checked = false;
+    document.getElementById("masteryTargetOption").value = "80";
+    updateMaxQuestionsJSON();
+    
+    // Blueprint off (its rows and presets are kept)
+    const blueprintToggle = document.getElementById("blueprintOption");
+    if (blueprintToggle.checked) {
+      blueprintToggle.checked = false;
+      blueprintToggle.dispatchEvent(new Event('change'));
+    }
+    AppState.lastBlueprint = null;
+    
   // ...removed debug log...
   });
   
   buttonContainer.appendChild(resetBtn);
-  buttonContainer.appendChild(startBtn);
+  
+  // Save the loaded JSON bank as a SQLite .db (db-builder.js)
+  if (typeof saveJsonBankAsDatabase === 'function') {
+    const saveDbBtn = document.createElement("button");
+    saveDbBtn.textContent = "💾 Save as Database";
+    saveDbBtn.className = "custom-btn";
+    saveDbBtn.title = "Convert this question bank into a SQLite .db file that can be opened with Choose DB.";
+    saveDbBtn.style.marginRight = "10px";
+    saveDbBtn.style.backgroundColor = "#f5f5f5";
+    saveDbBtn.style.color = "#333";
+    saveDbBtn.style.border = "1px solid #ccc";
+    saveDbBtn.addEventListener("click", saveJsonBankAsDatabase);
+    buttonContainer.appendChild(saveDbBtn);
+  }
+
+  if (typeof saveJsonBankAsSqlScript === 'function') {
+    const saveSqlBtn = document.createElement("button");
+    saveSqlBtn.textContent = "📝 Save as SQL Script";
+    saveSqlBtn.className = "custom-btn";
+    saveSqlBtn.title = "Download INSERT statements for this question bank, ready to run in SQLiteStudio.";
+    saveSqlBtn.style.marginRight = "10px";
+    saveSqlBtn.style.backgroundColor = "#f5f5f5";
+    saveSqlBtn.style.color = "#333";
+    saveSqlBtn.style.border = "1px solid #ccc";
+    saveSqlBtn.addEventListener("click", saveJsonBankAsSqlScript);
+    buttonContainer.appendChild(saveSqlBtn);
+  }
+  
+  // Questions due again from earlier sessions with this bank (review-deck.js)
+  if (typeof buildReviewDueButton === 'function') {
+    buttonContainer.appendChild(buildReviewDueButton(() => {
+      applyTestOptions();
+      saveOptionsState();
+    }));
+  }
+  
+  buttonContainer.appendChild(startBtnContainer);
   
   // Create placeholder for "View Invalid Questions" button (will be added dynamically after validation)
   const viewInvalidBtnPlaceholder = document.createElement("span");
@@ -1013,9 +1396,20 @@ function buildFilterPanel(allQuestions, skipRestore = false) {
   
   wrapper.appendChild(topicDiv);
   wrapper.appendChild(typeDiv);
+  if (difficultyDiv) {
+    wrapper.appendChild(difficultyDiv);
+  }
+  if (tagDiv) {
+    wrapper.appendChild(tagDiv);
+  }
   wrapper.appendChild(expDiv);
   wrapper.appendChild(behaviorDiv);
+  wrapper.appendChild(modeDiv);
   wrapper.appendChild(numDiv);
+  wrapper.appendChild(buildBlueprintSection(allQuestions, {
+    saved: AppState.lastBlueprint,
+    overridden: [topicDiv, typeDiv, difficultyDiv, tagDiv, numDiv]
+  }));
   wrapper.appendChild(buttonContainer);
   panel.appendChild(wrapper);
   
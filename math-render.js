@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * MATH RENDERING MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Renders LaTeX written between $...$ (inline) or $$...$$ (display) in
+ * question text, options, answers and explanations. Uses the KaTeX copy in
+ * vendor/katex/ so formulas work offline; shared by InsightPrep.html and
+ * exam.html.
+ *
+ * Delimiter Rules (same as Pandoc, so prices like "$5 and $10" stay text):
+ * • $$...$$ is display math
+ * • $...$ is inline math when the opening $ is followed by a non-space and
+ *   the closing $ is preceded by a non-space and not followed by a digit
+ * • \$ is a literal dollar sign
+ *
+ * Core Functions:
+ * • findMathSegments() - Locates formulas in a text
+ * • hasMathMarkup() - Quick check before switching textContent → innerHTML
+ * • renderMath() - One formula → KaTeX HTML (or MathML)
+ * • renderMathInHtml() - Renders formulas in the text parts of an HTML string
+ * • protectMath() - Sets formulas aside while list formatters split the text
+ *
+ * Dependencies:
+ * • vendor/katex/katex.min.js (+ katex.min.css) - window.katex; without it
+ *   formulas are shown as written
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+/**
+ * Finds the formulas in a text
+ * @param {string} text - Text possibly containing $...$ or $$...$$
+ * @returns {Array<{start: number, end: number, tex: string, display: boolean}>} Formulas in order
+ */
+function findMathSegments(text) {
+  const segments = [];
+  if (typeof text !== 'string' || text.indexOf('$') === -1) return segments;
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i += 2; // skip escaped characters, including \$
+      continue;
+    }
+    if (ch !== '$') {
+      i++;
+      continue;
+    }
+
+    if (text[i + 1] === '$') {
+      const close = text.indexOf('$$', i + 2);
+      if (close > i + 2) {
+        segments.push({ start: i, end: close + 2, tex: text.slice(i + 2, close), display: true });
+        i = close + 2;
+      } else {
+        i += 2;
+      }
+      continue;
+    }
+
+    // Inline: $ must hug its content on both sides
+    if (i + 1 >= text.length || /\s/.test(text[i + 1])) {
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    let close = -1;
+    while (j < text.length) {
+      if (text[j] === '\\') {
+        j += 2;
+        continue;
+      }
+      if (text[j] === '$') {
+        if (!/\s/.test(text[j - 1]) && !/\d/.test(text[j + 1] || '')) close = j;
+        break;
+      }
+      j++;
+    }
+    if (close !== -1) {
+      segments.push({ start: i, end: close + 1, tex: text.slice(i + 1, close), display: false });
+      i = close + 1;
+    } else {
+      i++;
+    }
+  }
+  return segments;
+}
+
+/**
+ * Checks whether a text has formulas (or escaped dollars) to render
+ * @param {*} text - Text to check
+ * @returns {boolean} True when renderMathInHtml would change it
+ */
+function hasMathMarkup(text) {
+  return typeof text === 'string' && (text.includes('\\$') || findMathSegments(text).length > 0);
+}
+
+/**
+ * Renders one formula with KaTeX
+ * Invalid LaTeX is shown in red by KaTeX instead of throwing.
+ * @param {string} tex - LaTeX source without delimiters
+ * @param {boolean} display - true for $$...$$
+ * @param {Object} [options]
+ * @param {string} [options.output] - 'htmlAndMathml' (default) or 'mathml' for pages without the KaTeX stylesheet
+ * @returns {string} HTML
+ */
+function renderMath(tex, display, options = {}) {
+  const delimiter = display ? '$$' : '$';
+  const fallback = `${delimiter}${tex}${delimiter}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  if (typeof katex === 'undefined') return fallback;
+  try {
+    return katex.renderToString(tex, {
+      displayMode: display,
+      throwOnError: false,
+      output: options.output || 'htmlAndMathml',
+      strict: 'ignore'
+    });
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Renders formulas in the text parts of an HTML string (tags are left alone)
+ * Formula sources are un-escaped first, so escaped text such as $a &lt; b$ works.
+ * @param {*} html - HTML (or plain text already used as HTML)
+ * @param {Object} [options] - Passed to renderMath
+ * @returns {*} HTML with rendered formulas; non-strings are returned unchanged
+ */
+function renderMathInHtml(html, options = {}) {
+  if (typeof html !== 'string' || html.indexOf('$') === -1) return html;
+  return html.split(/(<[^>]*>)/).map(part => {
+    if (part.startsWith('<')) return part;
+    const segments = findMathSegments(part);
+    let out = '';
+    let last = 0;
+    segments.forEach(seg => {
+      out += part.slice(last, seg.start).replace(/\\\$/g, '$');
+      const tex = seg.tex
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+      out += renderMath(tex, seg.display, options);
+      last = seg.end;
+    });
+    return out + part.slice(last).replace(/\\\$/g, '$');
+  }).join('');
+}
+
+/**
+ * Swaps formulas for placeholders so text formatters (numbered lists,
+ * enumerations) cannot split them; restore() puts the rendered formulas back.
+ * Escaped dollars become &#36; so the protected text has no math markup left.
+ * @param {string} text - Raw question text (used as HTML)
+ * @param {Object} [options] - Passed to renderMath
+ * @returns {{text: string, restore: function(string): string}} Protected text and restore function
+ */
+function protectMath(text, options = {}) {
+  const segments = findMathSegments(text);
+  const escapeDollars = part => part.replace(/\\\$/g, '&#36;');
+  let protectedText = '';
+  let last = 0;
+  segments.forEach((seg, n) => {
+    protectedText += escapeDollars(text.slice(last, seg.start)) + `\uE000${n}\uE001`;
+    last = seg.end;
+  });
+  protectedText += escapeDollars(text.slice(last));
+  return {
+    text: protectedText,
+    restore: html => (typeof html !== 'string' ? html : html.replace(/\uE000(\d+)\uE001/g,
+      (m, n) => renderMath(segments[n].tex, segments[n].display, options)))
+  };
+}
@@ -0,0 +1,634 @@
+/**
+ * ============================================================================
+ * MOODLE XML & GIFT INTERCHANGE MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Moves question banks between InsightPrep and Moodle. Both Moodle formats
+ * (Moodle XML and GIFT) can be loaded through "Choose JSON" and produced from
+ * the DB options page next to "Export to JSON".
+ *
+ * Type Mapping:
+ * • multichoice (single answer)   ⇄ single / assertion
+ * • multichoice (several answers) ⇄ multiple
+ * • truefalse                     ⇄ single with options ["True", "False"]
+ * • matching                      ⇄ match (matchPairs)
+ * • Moodle category "Topic/Subtopic" ⇄ topic / subtopic
+ * • general feedback              ⇄ explanation (+ "Reference: ..." line)
+ * Other Moodle types (short answer, numerical, essay, cloze, ...) have no
+ * InsightPrep equivalent and are skipped on import with a count.
+ *
+ * Core Functions:
+ * • buildMoodleXml(payload) / parseMoodleXml(text)
+ * • buildGiftText(payload) / parseGiftText(text)
+ * • handleMoodleGiftFileInput(file) - Entry point used by handleFileInput()
+ *
+ * Exports take the payload built by "Export to JSON" in
+ * database-filter-panel.js ({ meta, questions }), so one filtered selection
+ * can be written in every format.
+ *
+ * Dependencies:
+ * • core-utils.js - sanitizeText
+ * • csv-import.js - loadImportedQuestionBank
+ * • question-types.js - isFillBlankQuestion, isNumericQuestion, isOrderQuestion, isDescriptiveQuestion, formatScore
+ * • question-scoring.js - parseQuestionMarks
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// Prefix written in feedback so the reference survives a round trip
+const INTERCHANGE_REFERENCE_PREFIX = 'Reference: ';
+
+// ============================================================================
+// SHARED HELPERS
+// ============================================================================
+
+/**
+ * Escapes text for use inside XML element content or attributes
+ * @param {string} text - Raw text
+ * @returns {string} XML-safe text
+ */
+function escapeXml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Converts plain question text to the HTML Moodle stores (line breaks kept)
+ * @param {string} text - Plain text
+ * @returns {string} HTML fragment
+ */
+function plainTextToHtml(text) {
+  return sanitizeText(String(text || '')).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Converts Moodle HTML back to plain text, keeping paragraph and line breaks
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function htmlToPlainText(html) {
+  const withBreaks = String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+  const doc = new DOMParser().parseFromString(`<body>${withBreaks}</body>`, 'text/html');
+  return (doc.body.textContent || '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Checks whether a question is a True/False item in InsightPrep terms
+ * @param {Object} q - Question object
+ * @returns {boolean} True when the options are exactly True and False
+ */
+function isInterchangeTrueFalse(q) {
+  if (q.question_type === 'TrueFalse') return true;
+  if (!Array.isArray(q.options) || q.options.length !== 2) return false;
+  const opts = q.options.map(o => String(o).trim().toLowerCase()).sort();
+  return opts[0] === 'false' && opts[1] === 'true';
+}
+
+/**
+ * Returns the correct answers of a choice question as an array
+ * @param {Object} q - Question object
+ * @returns {string[]} Correct option texts
+ */
+function getCorrectAnswerList(q) {
+  if (Array.isArray(q.answer)) return q.answer;
+  return q.answer === undefined || q.answer === null ? [] : [q.answer];
+}
+
+/**
+ * Returns the match pairs of a match question
+ * @param {Object} q - Question object
+ * @returns {Object} { left: right } map (empty when missing)
+ */
+function getMatchPairs(q) {
+  if (q.matchPairs && typeof q.matchPairs === 'object') return q.matchPairs;
+  if (q.answer && typeof q.answer === 'object' && !Array.isArray(q.answer)) return q.answer;
+  return {};
+}
+
+/**
+ * Joins explanation and reference into one feedback text
+ * @param {Object} q - Question object
+ * @returns {string} Feedback text
+ */
+function buildInterchangeFeedback(q) {
+  const parts = [];
+  if (q.explanation) parts.push(String(q.explanation));
+  if (q.reference) parts.push(INTERCHANGE_REFERENCE_PREFIX + q.reference);
+  return parts.join('\n');
+}
+
+/**
+ * Splits feedback text back into explanation and reference
+ * @param {string} feedback - Feedback text
+ * @param {Object} q - Question object to fill
+ */
+function applyInterchangeFeedback(feedback, q) {
+  const lines = String(feedback || '').split('\n');
+  const refIndex = lines.findIndex(l => l.trim().startsWith(INTERCHANGE_REFERENCE_PREFIX));
+  if (refIndex > -1) {
+    q.reference = lines[refIndex].trim().slice(INTERCHANGE_REFERENCE_PREFIX.length).trim();
+    lines.splice(refIndex, 1);
+  }
+  const explanation = lines.join('\n').trim();
+  if (explanation) q.explanation = explanation;
+}
+
+/**
+ * Formats a Moodle answer fraction (Moodle only accepts certain grades,
+ * and 100/n rounded to 5 decimals matches them)
+ * @param {number} value - Percentage
+ * @returns {string} Fraction attribute value
+ */
+function formatMoodleFraction(value) {
+  return String(Number(value.toFixed(5)));
+}
+
+/**
+ * Derives a short question name from the question text
+ * @param {Object} q - Question object
+ * @param {number} index - Position in the export
+ * @returns {string} Name
+ */
+function buildInterchangeName(q, index) {
+  const text = String(q.question || q.question_text || '').replace(/\s+/g, ' ').trim();
+  const prefix = q.id !== undefined && q.id !== null ? `Q${q.id}` : `Q${index + 1}`;
+  return `${prefix} ${text.length > 60 ? text.slice(0, 57) + '...' : text}`.trim();
+}
+
+// ============================================================================
+// MOODLE XML
+// ============================================================================
+
+/**
+ * Serializes an export payload as Moodle XML
+ * A category question is written whenever topic/subtopic changes.
+ * @param {{meta: Object, questions: Object[]}} payload - Export payload
+ * @returns {string} Moodle XML document
+ */
+function buildMoodleXml(payload) {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  const text = (value, indent) => `${indent}<text><![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]></text>`;
+  let currentCategory = null;
+
+  // Typed-answer (fill-in-the-blank, numeric), ordering and descriptive questions have no choice equivalent and are left out
+  (payload.questions || []).filter(q => !isFillBlankQuestion(q) && !isNumericQuestion(q) && !isOrderQuestion(q) && !isDescriptiveQuestion(q)).forEach((q, index) => {
+    const category = `$course$/top/${q.topic || 'General'}/${q.subtopic || 'General'}`;
+    if (category !== currentCategory) {
+      currentCategory = category;
+      out.push('  <question type="category">');
+      out.push(`    <category><text>${escapeXml(category)}</text></category>`);
+      out.push('  </question>');
+    }
+
+    const feedback = buildInterchangeFeedback(q);
+    const common = [
+      `    <name><text>${escapeXml(buildInterchangeName(q, index))}</text></name>`,
+      '    <questiontext format="html">',
+      text(plainTextToHtml(q.question || q.question_text), '      '),
+      '    </questiontext>',
+      '    <generalfeedback format="html">',
+      text(plainTextToHtml(feedback), '      '),
+      '    </generalfeedback>',
+      `    <defaultgrade>${formatScore(parseQuestionMarks(q.marks) || 1)}</defaultgrade>`
+    ];
+
+    if (q.type === 'match') {
+      out.push('  <question type="matching">', ...common);
+      out.push('    <shuffleanswers>true</shuffleanswers>');
+      Object.entries(getMatchPairs(q)).forEach(([left, right]) => {
+        out.push('    <subquestion format="html">');
+        out.push(text(plainTextToHtml(left), '      '));
+        out.push(`      <answer><text>${escapeXml(right)}</text></answer>`);
+        out.push('    </subquestion>');
+      });
+      out.push('  </question>');
+      return;
+    }
+
+    const correct = getCorrectAnswerList(q);
+
+    if (isInterchangeTrueFalse(q) && q.type !== 'multiple') {
+      const isTrue = String(correct[0] || '').trim().toLowerCase() === 'true';
+      out.push('  <question type="truefalse">', ...common);
+      out.push(`    <answer fraction="${isTrue ? 100 : 0}"><text>true</text></answer>`);
+      out.push(`    <answer fraction="${isTrue ? 0 : 100}"><text>false</text></answer>`);
+      out.push('  </question>');
+      return;
+    }
+
+    const options = q.options || [];
+    const isMultiple = q.type === 'multiple' || correct.length > 1;
+    const wrongCount = options.filter(o => !correct.includes(o)).length;
+    out.push('  <question type="multichoice">', ...common);
+    out.push(`    <single>${isMultiple ? 'false' : 'true'}</single>`);
+    out.push(`    <shuffleanswers>${q.type === 'assertion' ? 'false' : 'true'}</shuffleanswers>`);
+    out.push('    <answernumbering>abc</answernumbering>');
+    options.forEach(option => {
+      let fraction;
+      if (correct.includes(option)) {
+        fraction = isMultiple ? 100 / correct.length : 100;
+      } else {
+        fraction = isMultiple && wrongCount > 0 ? -100 / wrongCount : 0;
+      }
+      out.push(`    <answer fraction="${formatMoodleFraction(fraction)}" format="html">`);
+      out.push(text(plainTextToHtml(option), '      '));
+      out.push('    </answer>');
+    });
+    out.push('  </question>');
+  });
+
+  out.push('</quiz>');
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Parses a Moodle XML document into InsightPrep questions
+ * @param {string} xmlText - Moodle XML
+ * @returns {{questions: Object[], skipped: string[]}} Questions and reasons for skipped items
+ */
+function parseMoodleXml(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not well-formed XML.');
+  }
+  if (!doc.documentElement || doc.documentElement.nodeName !== 'quiz') {
+    throw new Error('Moodle XML must have a <quiz> root element.');
+  }
+
+  const childText = (el, tag) => {
+    const child = Array.from(el.children).find(c => c.nodeName === tag);
+    if (!child) return '';
+    const textEl = Array.from(child.children).find(c => c.nodeName === 'text');
+    return textEl ? textEl.textContent : child.textContent;
+  };
+  const readText = (el, tag) => {
+    const child = Array.from(el.children).find(c => c.nodeName === tag);
+    const raw = childText(el, tag);
+    return child && child.getAttribute('format') === 'html' ? htmlToPlainText(raw) : raw.trim();
+  };
+
+  const questions = [];
+  const skipped = [];
+  let topic = 'General';
+  let subtopic = 'General';
+
+  Array.from(doc.documentElement.children).forEach(el => {
+    if (el.nodeName !== 'question') return;
+    const qType = el.getAttribute('type');
+
+    if (qType === 'category') {
+      const path = childText(el, 'category').split('/')
+        .map(p => p.trim())
+        .filter(p => p && !/^\$[a-z]+\$$/i.test(p) && p.toLowerCase() !== 'top');
+      topic = path[0] || 'General';
+      subtopic = path.length > 1 ? path[path.length - 1] : 'General';
+      return;
+    }
+
+    const name = childText(el, 'name').trim() || `#${questions.length + skipped.length + 1}`;
+    const q = {
+      id: questions.length + 1,
+      topic,
+      subtopic,
+      question: readText(el, 'questiontext')
+    };
+    applyInterchangeFeedback(readText(el, 'generalfeedback'), q);
+
+    const answers = Array.from(el.children)
+      .filter(c => c.nodeName === 'answer')
+      .map(a => ({
+        text: a.getAttribute('format') === 'html' ? htmlToPlainText(childText(a, 'text')) : childText(a, 'text').trim(),
+        fraction: parseFloat(a.getAttribute('fraction') || '0')
+      }));
+
+    if (qType === 'multichoice') {
+      q.options = answers.map(a => a.text);
+      const correct = answers.filter(a => a.fraction > 0).map(a => a.text);
+      const single = childText(el, 'single').trim() !== 'false';
+      if (correct.length === 0) {
+        skipped.push(`${name}: no correct answer`);
+        return;
+      }
+      q.type = single && correct.length === 1 ? 'single' : 'multiple';
+      q.answer = q.type === 'single' ? correct[0] : correct;
+    } else if (qType === 'truefalse') {
+      const correct = answers.find(a => a.fraction > 0);
+      if (!correct) {
+        skipped.push(`${name}: no correct answer`);
+        return;
+      }
+      q.type = 'single';
+      q.options = ['True', 'False'];
+      q.answer = correct.text.toLowerCase() === 'true' ? 'True' : 'False';
+    } else if (qType === 'matching') {
+      q.type = 'match';
+      q.matchPairs = {};
+      Array.from(el.children).filter(c => c.nodeName === 'subquestion').forEach(sub => {
+        const left = sub.getAttribute('format') === 'html' ? htmlToPlainText(childText(sub, 'text')) : childText(sub, 'text').trim();
+        const right = childText(sub, 'answer').trim();
+        // Moodle allows extra distractor answers with an empty subquestion; they cannot be represented
+        if (left && right) q.matchPairs[left] = right;
+      });
+      if (Object.keys(q.matchPairs).length < 2) {
+        skipped.push(`${name}: fewer than 2 match pairs`);
+        return;
+      }
+    } else {
+      skipped.push(`${name}: unsupported type "${qType}"`);
+      return;
+    }
+
+    if (!q.question) {
+      skipped.push(`${name}: missing question text`);
+      return;
+    }
+    questions.push(q);
+  });
+
+  return { questions, skipped };
+}
+
+// ============================================================================
+// GIFT
+// ============================================================================
+
+/**
+ * Escapes GIFT control characters (~ = # { } :) and line breaks
+ * @param {string} text - Raw text
+ * @returns {string} GIFT-safe text
+ */
+function escapeGift(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/\\/g, '\\\\')
+    .replace(/([~=#{}:])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Reverses escapeGift()
+ * @param {string} text - GIFT text
+ * @returns {string} Plain text
+ */
+function unescapeGift(text) {
+  return String(text || '').replace(/\\(.)/g, (_, ch) => ch === 'n' ? '\n' : ch).trim();
+}
+
+/**
+ * Serializes an export payload as GIFT
+ * @param {{meta: Object, questions: Object[]}} payload - Export payload
+ * @returns {string} GIFT text
+ */
+function buildGiftText(payload) {
+  const meta = payload.meta || {};
+  const out = [`// Exported from InsightPrep${meta.dbFileName ? ` (${meta.dbFileName})` : ''} on ${meta.exportedAt || new Date().toISOString()}`, ''];
+  let currentCategory = null;
+
+  (payload.questions || []).filter(q => !isFillBlankQuestion(q) && !isNumericQuestion(q) && !isOrderQuestion(q) && !isDescriptiveQuestion(q)).forEach((q, index) => {
+    const category = `${q.topic || 'General'}/${q.subtopic || 'General'}`;
+    if (category !== currentCategory) {
+      currentCategory = category;
+      out.push(`$CATEGORY: $course$/top/${category}`, '');
+    }
+
+    const feedback = buildInterchangeFeedback(q);
+    const feedbackLine = feedback ? `\t####${escapeGift(feedback)}` : null;
+    const head = `::${escapeGift(buildInterchangeName(q, index))}:: ${escapeGift(q.question || q.question_text)} {`;
+    const correct = getCorrectAnswerList(q);
+
+    if (q.type === 'match') {
+      out.push(head);
+      Object.entries(getMatchPairs(q)).forEach(([left, right]) => {
+        out.push(`\t=${escapeGift(left)} -> ${escapeGift(right)}`);
+      });
+      if (feedbackLine) out.push(feedbackLine);
+      out.push('}', '');
+      return;
+    }
+
+    if (isInterchangeTrueFalse(q) && q.type !== 'multiple') {
+      const isTrue = String(correct[0] || '').trim().toLowerCase() === 'true';
+      out.push(`${head}${isTrue ? 'TRUE' : 'FALSE'}${feedback ? `####${escapeGift(feedback)}` : ''}}`, '');
+      return;
+    }
+
+    const options = q.options || [];
+    const isMultiple = q.type === 'multiple' || correct.length > 1;
+    const wrongCount = options.filter(o => !correct.includes(o)).length;
+    out.push(head);
+    options.forEach(option => {
+      if (!isMultiple) {
+        out.push(`\t${correct.includes(option) ? '=' : '~'}${escapeGift(option)}`);
+      } else {
+        const weight = correct.includes(option) ? 100 / correct.length : (wrongCount > 0 ? -100 / wrongCount : 0);
+        out.push(`\t~%${formatMoodleFraction(weight)}%${escapeGift(option)}`);
+      }
+    });
+    if (feedbackLine) out.push(feedbackLine);
+    out.push('}', '');
+  });
+
+  return out.join('\n');
+}
+
+/**
+ * Finds the first occurrence of a character that is not backslash-escaped
+ * @param {string} text - GIFT text
+ * @param {string} ch - Character to look for
+ * @param {number} from - Start index
+ * @returns {number} Index of the first unescaped occurrence, or -1
+ */
+function indexOfUnescaped(text, ch, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') { i++; continue; }
+    if (text[i] === ch) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parses GIFT text into InsightPrep questions
+ * @param {string} giftText - GIFT file contents
+ * @returns {{questions: Object[], skipped: string[]}} Questions and reasons for skipped items
+ */
+function parseGiftText(giftText) {
+  const questions = [];
+  const skipped = [];
+  let topic = 'General';
+  let subtopic = 'General';
+
+  // Drop comment lines, then split into blocks on blank lines
+  const lines = String(giftText || '').replace(/^\uFEFF/, '').split(/\r?\n/)
+    .filter(line => !/^\s*\/\//.test(line));
+  const blocks = lines.join('\n').split(/\n\s*\n/).map(b => b.trim()).filter(Boolean);
+
+  blocks.forEach(block => {
+    const categoryMatch = block.match(/^\$CATEGORY:\s*(.+)$/m);
+    if (categoryMatch) {
+      const path = categoryMatch[1].split('/')
+        .map(p => p.trim())
+        .filter(p => p && !/^\$[a-z]+\$$/i.test(p) && p.toLowerCase() !== 'top');
+      topic = path[0] || 'General';
+      subtopic = path.length > 1 ? path[path.length - 1] : 'General';
+      block = block.replace(/^\$CATEGORY:.*$/m, '').trim();
+      if (!block) return;
+    }
+
+    let rest = block;
+    let name = `#${questions.length + skipped.length + 1}`;
+    if (rest.startsWith('::')) {
+      let end = indexOfUnescaped(rest, ':', 2);
+      while (end > -1 && rest[end + 1] !== ':') end = indexOfUnescaped(rest, ':', end + 1);
+      if (end > -1) {
+        name = unescapeGift(rest.slice(2, end)) || name;
+        rest = rest.slice(end + 2);
+      }
+    }
+
+    const open = indexOfUnescaped(rest, '{');
+    const close = open > -1 ? indexOfUnescaped(rest, '}', open + 1) : -1;
+    if (open === -1 || close === -1) {
+      skipped.push(`${name}: no answer block`);
+      return;
+    }
+
+    let questionText = rest.slice(0, open) + (rest.slice(close + 1).trim() ? ' _____ ' + rest.slice(close + 1) : '');
+    questionText = unescapeGift(questionText.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, ''));
+    let body = rest.slice(open + 1, close).trim();
+
+    const q = { id: questions.length + 1, topic, subtopic, question: questionText };
+
+    // General feedback (####) belongs to the whole question
+    const generalIdx = body.indexOf('####');
+    if (generalIdx > -1) {
+      applyInterchangeFeedback(unescapeGift(body.slice(generalIdx + 4)), q);
+      body = body.slice(0, generalIdx).trim();
+    }
+
+    if (!q.question) {
+      skipped.push(`${name}: missing question text`);
+      return;
+    }
+
+    const tf = body.match(/^(T|TRUE|F|FALSE)\b/i);
+    if (tf) {
+      q.type = 'single';
+      q.options = ['True', 'False'];
+      q.answer = tf[1].toUpperCase().startsWith('T') ? 'True' : 'False';
+      questions.push(q);
+      return;
+    }
+    if (body.startsWith('#')) {
+      skipped.push(`${name}: numerical questions are not supported`);
+      return;
+    }
+
+    // Split answers on unescaped = or ~ markers
+    const answers = [];
+    let i = 0;
+    while (i < body.length) {
+      const ch = body[i];
+      if (ch === '\\') { i += 2; continue; }
+      if (ch === '=' || ch === '~') {
+        answers.push({ marker: ch, start: i + 1 });
+      }
+      i++;
+    }
+    const parsed = answers.map((a, idx) => {
+      let raw = body.slice(a.start, idx + 1 < answers.length ? answers[idx + 1].start - 1 : body.length);
+      const feedbackIdx = indexOfUnescaped(raw, '#');
+      if (feedbackIdx > -1) raw = raw.slice(0, feedbackIdx);
+      let weight = a.marker === '=' ? 100 : 0;
+      const weightMatch = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      if (weightMatch) {
+        weight = parseFloat(weightMatch[1]);
+        raw = raw.slice(weightMatch[0].length);
+      }
+      return { marker: a.marker, text: raw, weight };
+    });
+
+    if (parsed.length === 0) {
+      skipped.push(`${name}: essay questions are not supported`);
+      return;
+    }
+
+    if (parsed.every(a => a.marker === '=') && parsed.some(a => a.text.includes('->'))) {
+      q.type = 'match';
+      q.matchPairs = {};
+      parsed.forEach(a => {
+        const arrow = a.text.indexOf('->');
+        const left = unescapeGift(a.text.slice(0, arrow));
+        const right = unescapeGift(a.text.slice(arrow + 2));
+        if (left && right) q.matchPairs[left] = right;
+      });
+      if (Object.keys(q.matchPairs).length < 2) {
+        skipped.push(`${name}: fewer than 2 match pairs`);
+        return;
+      }
+      questions.push(q);
+      return;
+    }
+
+    if (!parsed.some(a => a.marker === '~')) {
+      skipped.push(`${name}: short-answer questions are not supported`);
+      return;
+    }
+
+    q.options = parsed.map(a => unescapeGift(a.text));
+    const correct = parsed.filter(a => a.weight > 0).map(a => unescapeGift(a.text));
+    if (correct.length === 0) {
+      skipped.push(`${name}: no correct answer`);
+      return;
+    }
+    const usesWeights = parsed.some(a => a.marker === '~' && a.weight > 0);
+    q.type = usesWeights || correct.length > 1 ? 'multiple' : 'single';
+    q.answer = q.type === 'single' ? correct[0] : correct;
+    questions.push(q);
+  });
+
+  return { questions, skipped };
+}
+
+// ============================================================================
+// FILE INPUT
+// ============================================================================
+
+/**
+ * Reads a Moodle XML (.xml) or GIFT (.gift) file and loads it in JSON mode
+ * @param {File} file - Selected file
+ */
+function handleMoodleGiftFileInput(file) {
+  const reader = new FileReader();
+  reader.onload = function(event) {
+    const chosen = document.getElementById('file-chosen');
+    try {
+      const text = typeof event.target.result === 'string' ? event.target.result : '';
+      const isXml = /\.xml$/i.test(file.name);
+      const { questions, skipped } = isXml ? parseMoodleXml(text) : parseGiftText(text);
+      if (skipped.length > 0) {
+        console.warn(`${file.name}: skipped ${skipped.length} question(s)`, skipped);
+      }
+      if (questions.length === 0) {
+        throw new Error(`No supported questions found${skipped.length ? ` (${skipped.length} skipped)` : ''}.`);
+      }
+      loadImportedQuestionBank(file.name, questions, skipped.length, 'question');
+    } catch (err) {
+      console.error('Moodle/GIFT import failed:', err);
+      if (chosen) {
+        chosen.innerHTML = `❌ Could not read <strong>${sanitizeText(file.name)}</strong>: ${sanitizeText(err.message)}`;
+      }
+    }
+  };
+  reader.readAsText(file);
+}
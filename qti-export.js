@@ -0,0 +1,296 @@
+/**
+ * ============================================================================
+ * IMS QTI 2.1 EXPORT MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Builds an IMS QTI 2.1 content package (zip) from the payload produced by
+ * "Export to JSON" in database-filter-panel.js, for LMSs that only accept QTI.
+ * Everything runs in the browser; no network access and no libraries.
+ *
+ * Package Layout:
+ * • imsmanifest.xml - IMS Content Packaging manifest listing every resource
+ * • assessment.xml  - assessmentTest referencing all items in export order
+ * • items/item_N.xml - One assessmentItem per question
+ *
+ * Interaction Mapping:
+ * • MCQ, MCQ-Scenario, TrueFalse, AssertionReason (single / assertion)
+ *   → choiceInteraction, maxChoices = 1
+ * • MCQ-Multiple (multiple) → choiceInteraction, maxChoices = 0
+ * • Match (match) → matchInteraction with directedPair responses
+ * Scoring uses the standard match_correct response processing template.
+ *
+ * Core Functions:
+ * • buildQtiPackage(payload) - Payload → zip bytes (Uint8Array)
+ * • buildQtiItemXml(q, identifier) - One assessmentItem document
+ * • createZipArchive(files) - Minimal uncompressed (stored) zip writer
+ *
+ * Dependencies:
+ * • moodle-gift.js - escapeXml, getCorrectAnswerList, getMatchPairs
+ * • question-types.js - isFillBlankQuestion, isNumericQuestion, isOrderQuestion, isDescriptiveQuestion
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = 'http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const QTI_MATCH_CORRECT_TEMPLATE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+// ============================================================================
+// ITEM GENERATION
+// ============================================================================
+
+/**
+ * Converts plain text to XHTML paragraphs (blank lines split paragraphs,
+ * single line breaks become <br/>)
+ * @param {string} text - Plain text
+ * @returns {string} XHTML block content
+ */
+function qtiTextToXhtml(text) {
+  return String(text || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(p => `<p>${escapeXml(p.trim()).replace(/\r?\n/g, '<br/>')}</p>`)
+    .join('');
+}
+
+/**
+ * Builds one QTI 2.1 assessmentItem
+ * @param {Object} q - Question from the export payload
+ * @param {string} identifier - Item identifier (also the file name stem)
+ * @returns {string} assessmentItem XML
+ */
+function buildQtiItemXml(q, identifier) {
+  const title = String(q.question || q.question_text || identifier).replace(/\s+/g, ' ').trim().slice(0, 80);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA_LOCATION}" identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`
+  ];
+  const body = [];
+
+  if (q.type === 'match') {
+    const pairs = Object.entries(getMatchPairs(q));
+    const rights = [...new Set(pairs.map(([, right]) => right))];
+    const leftId = i => `L${i + 1}`;
+    const rightId = right => `R${rights.indexOf(right) + 1}`;
+
+    lines.push('  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">');
+    lines.push('    <correctResponse>');
+    pairs.forEach(([, right], i) => lines.push(`      <value>${leftId(i)} ${rightId(right)}</value>`));
+    lines.push('    </correctResponse>');
+    lines.push('  </responseDeclaration>');
+
+    body.push(`    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">`);
+    body.push('      <simpleMatchSet>');
+    pairs.forEach(([left], i) => body.push(`        <simpleAssociableChoice identifier="${leftId(i)}" matchMax="1">${escapeXml(left)}</simpleAssociableChoice>`));
+    body.push('      </simpleMatchSet>');
+    body.push('      <simpleMatchSet>');
+    rights.forEach(right => {
+      const uses = pairs.filter(([, r]) => r === right).length;
+      body.push(`        <simpleAssociableChoice identifier="${rightId(right)}" matchMax="${uses}">${escapeXml(right)}</simpleAssociableChoice>`);
+    });
+    body.push('      </simpleMatchSet>');
+    body.push('    </matchInteraction>');
+  } else {
+    const options = q.options || [];
+    const correct = getCorrectAnswerList(q);
+    const isMultiple = q.type === 'multiple' || correct.length > 1;
+    const choiceId = i => `choice_${i + 1}`;
+
+    lines.push(`  <responseDeclaration identifier="RESPONSE" cardinality="${isMultiple ? 'multiple' : 'single'}" baseType="identifier">`);
+    lines.push('    <correctResponse>');
+    options.forEach((option, i) => {
+      if (correct.includes(option)) lines.push(`      <value>${choiceId(i)}</value>`);
+    });
+    lines.push('    </correctResponse>');
+    lines.push('  </responseDeclaration>');
+
+    // Assertion-Reason and True/False options have a fixed order
+    const shuffle = q.type === 'assertion' || q.question_type === 'AssertionReason' || q.question_type === 'TrueFalse' ? 'false' : 'true';
+    body.push(`    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${shuffle}" maxChoices="${isMultiple ? 0 : 1}">`);
+    options.forEach((option, i) => {
+      body.push(`      <simpleChoice identifier="${choiceId(i)}">${escapeXml(option)}</simpleChoice>`);
+    });
+    body.push('    </choiceInteraction>');
+  }
+
+  lines.push('  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">');
+  lines.push('    <defaultValue><value>0</value></defaultValue>');
+  lines.push('  </outcomeDeclaration>');
+  lines.push('  <itemBody>');
+  lines.push(`    <div>${qtiTextToXhtml(q.question || q.question_text)}</div>`);
+  lines.push(...body);
+  lines.push('  </itemBody>');
+  lines.push(`  <responseProcessing template="${QTI_MATCH_CORRECT_TEMPLATE}"/>`);
+  lines.push('</assessmentItem>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the assessmentTest that references every item in order
+ * @param {string[]} itemIds - Item identifiers
+ * @param {string} title - Test title
+ * @returns {string} assessmentTest XML
+ */
+function buildQtiTestXml(itemIds, title) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA_LOCATION}" identifier="assessment" title="${escapeXml(title)}">`,
+    '  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    '    <assessmentSection identifier="section1" title="Questions" visible="true">',
+    ...itemIds.map(id => `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Builds imsmanifest.xml listing the test and all items
+ * @param {string[]} itemIds - Item identifiers
+ * @returns {string} Manifest XML
+ */
+function buildQtiManifestXml(itemIds) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="MANIFEST-${Date.now()}" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd ${QTI_SCHEMA_LOCATION}">`,
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="RES-assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">',
+    '      <file href="assessment.xml"/>',
+    ...itemIds.map(id => `      <dependency identifierref="RES-${id}"/>`),
+    '    </resource>'
+  ];
+  itemIds.forEach(id => {
+    lines.push(`    <resource identifier="RES-${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">`);
+    lines.push(`      <file href="items/${id}.xml"/>`);
+    lines.push('    </resource>');
+  });
+  lines.push('  </resources>', '</manifest>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the complete QTI 2.1 package for an export payload
+ * @param {{meta: Object, questions: Object[]}} payload - Export payload
+ * @returns {Uint8Array} Zip file bytes
+ */
+function buildQtiPackage(payload) {
+  // Fill-in-the-blank, numeric, ordering and descriptive questions are not exported; only choice and match items are written
+  const questions = (payload.questions || []).filter(q => !isFillBlankQuestion(q) && !isNumericQuestion(q) && !isOrderQuestion(q) && !isDescriptiveQuestion(q));
+  const itemIds = questions.map((_, i) => `item_${i + 1}`);
+  const title = (payload.meta && payload.meta.dbFileName) || 'InsightPrep export';
+
+  const files = [
+    { name: 'imsmanifest.xml', content: buildQtiManifestXml(itemIds) },
+    { name: 'assessment.xml', content: buildQtiTestXml(itemIds, title) }
+  ];
+  questions.forEach((q, i) => {
+    files.push({ name: `items/${itemIds[i]}.xml`, content: buildQtiItemXml(q, itemIds[i]) });
+  });
+
+  return createZipArchive(files);
+}
+
+// ============================================================================
+// ZIP WRITER
+// ============================================================================
+
+/**
+ * Computes the CRC-32 checksum zip entries require
+ * The lookup table (IEEE polynomial) is built on first use and kept on the function.
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function qtiCrc32(bytes) {
+  if (!qtiCrc32.table) {
+    qtiCrc32.table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      qtiCrc32.table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = qtiCrc32.table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Writes files into an uncompressed ("stored") zip archive
+ * Names are flagged as UTF-8; the archive is small enough that skipping
+ * compression keeps the writer trivial.
+ * @param {Array<{name: string, content: string}>} files - Entries to write
+ * @returns {Uint8Array} Zip file bytes
+ */
+function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = qtiCrc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);  // local file header signature
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true);         // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);    // local header offset
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);       // end of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  parts.forEach(part => {
+    out.set(part, pos);
+    pos += part.length;
+  });
+  return out;
+}
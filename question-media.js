@@ -0,0 +1,375 @@
+/**
+ * ============================================================================
+ * QUESTION MEDIA MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Images and diagrams inside questions and options. Shared by learning mode
+ * (InsightPrep.html) and exam mode (exam.html), so it only relies on the DOM
+ * and on AppState-free helpers.
+ *
+ * Image Sources:
+ * • Markup inside question or option text: ![alt text](source)
+ * • question.image - one source, an array of sources, or { src, alt } objects;
+ *   shown as figures under the question text
+ * • source may be a data URI (data:image/png;base64,...), a path relative to
+ *   the app folder (images/map.png) or media:NAME, looked up in question.media
+ * • Database mode: rows of the optional media table become question.media
+ *   entries; rows linked to a question but not referenced in its text become
+ *   its figures
+ * • External URLs (http:, https:, //host) are never loaded
+ *
+ * Core Functions:
+ * • resolveMediaSource() - Markup source → safe img src (or null)
+ * • renderMediaText() - Text with image markup → escaped HTML (math rendered too)
+ * • setMediaText() - Same, written into a DOM element
+ * • renderAnswerHtml() - Images and math for answer/explanation lines, other text untouched
+ * • stripMediaMarkup() / getQuestionFigures() - Split figures from the text
+ * • renderQuestionFiguresHtml() - Figure block for a question
+ * • showImageZoom() - Full-screen view; any img.question-image opens it on click
+ * • attachQuestionMedia() - Loads media table rows onto DB questions
+ * • mediaBytesToDataUri() / dataUriToMedia() - BLOB ↔ data URI conversion
+ *
+ * Dependencies:
+ * • database-manager.js - databaseHasTable, escapeSQLString (DB loading only)
+ * • math-render.js - renderMathInHtml, hasMathMarkup (optional, $...$ formulas)
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// ![alt](source) - source has no spaces or closing parenthesis
+const MEDIA_MARKUP_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+
+// Image types accepted in data URIs and media rows
+const MEDIA_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml', 'image/bmp'];
+
+// ============================================================================
+// SOURCE RESOLUTION & RENDERING
+// ============================================================================
+
+/**
+ * Escapes text for use inside HTML markup and attributes
+ * @param {*} text - Text to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeMediaHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Checks whether a text contains image markup
+ * @param {*} text - Question, option or answer text
+ * @returns {boolean} True when at least one ![alt](source) is present
+ */
+function hasMediaMarkup(text) {
+  return typeof text === 'string' && /!\[[^\]]*\]\([^)\s]+\)/.test(text);
+}
+
+/**
+ * Turns an image source into something safe to put in an img src
+ * Relative paths are made absolute so they also load from the printable
+ * report, which opens from a blob: URL.
+ * @param {string} src - data URI, relative path or media:NAME
+ * @param {Object} [question] - Question carrying a media map for media:NAME
+ * @returns {string|null} Usable src, or null for unknown/external sources
+ */
+function resolveMediaSource(src, question) {
+  if (typeof src !== 'string' || !src.trim()) return null;
+  const value = src.trim();
+
+  if (/^media:/i.test(value)) {
+    const name = value.slice(6);
+    const media = question && question.media;
+    return media && typeof media[name] === 'string' ? resolveMediaSource(media[name]) : null;
+  }
+
+  const dataMatch = value.match(/^data:([^;,]+)[;,]/i);
+  if (dataMatch) {
+    return MEDIA_IMAGE_TYPES.includes(dataMatch[1].toLowerCase()) ? value : null;
+  }
+
+  // Anything with a scheme or a host is external (or unsafe) - only relative paths remain
+  if (/^[a-z][a-z0-9+.\-]*:/i.test(value) || value.startsWith('//') || value.startsWith('\\')) {
+    return null;
+  }
+  try {
+    return typeof document !== 'undefined' ? new URL(value, document.baseURI).href : value;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Builds the img tag for one image (or a placeholder when it cannot be shown)
+ * @param {string} src - Markup source
+ * @param {string} alt - Alternative text
+ * @param {Object} [question] - Question carrying a media map
+ * @returns {string} HTML
+ */
+function createMediaImageHtml(src, alt, question) {
+  const resolved = resolveMediaSource(src, question);
+  if (!resolved) {
+    return `<span class="question-image-missing" style="color:#999; font-style:italic;">[image${alt ? `: ${escapeMediaHtml(alt)}` : ''}]</span>`;
+  }
+  return `<img class="question-image" src="${escapeMediaHtml(resolved)}" alt="${escapeMediaHtml(alt || '')}" title="Click to zoom" style="display:block; max-width:100%; max-height:320px; margin:6px 0; cursor:zoom-in; border:1px solid #ddd; border-radius:4px; background:#fff;">`;
+}
+
+/**
+ * Renders text with image markup as HTML; the surrounding text is escaped
+ * and any $...$ formulas in it are rendered
+ * @param {*} text - Text possibly containing ![alt](source)
+ * @param {Object} [question] - Question carrying a media map
+ * @param {Object} [mathOptions] - Passed to renderMathInHtml (e.g. { output: 'mathml' })
+ * @returns {string} HTML
+ */
+function renderMediaText(text, question, mathOptions) {
+  const str = String(text ?? '');
+  let html = '';
+  let last = 0;
+  for (const match of str.matchAll(MEDIA_MARKUP_PATTERN)) {
+    html += escapeMediaHtml(str.slice(last, match.index));
+    html += createMediaImageHtml(match[2], match[1], question);
+    last = match.index + match[0].length;
+  }
+  html += escapeMediaHtml(str.slice(last));
+  return typeof renderMathInHtml === 'function' ? renderMathInHtml(html, mathOptions) : html;
+}
+
+/**
+ * Renders image markup and formulas for places that already insert text as
+ * HTML (answer and explanation lines); other text is returned unchanged
+ * @param {*} text - Text possibly containing ![alt](source) or $...$
+ * @param {Object} [question] - Question carrying a media map
+ * @returns {*} HTML with images and math, or the original text
+ */
+function renderAnswerHtml(text, question) {
+  if (hasMediaMarkup(text)) return renderMediaText(text, question);
+  return typeof renderMathInHtml === 'function' ? renderMathInHtml(text) : text;
+}
+
+/**
+ * Writes text into an element, rendering images and math when the text has markup
+ * Plain text keeps using textContent, exactly as before.
+ * @param {HTMLElement} element - Target element
+ * @param {*} text - Text possibly containing ![alt](source)
+ * @param {Object} [question] - Question carrying a media map
+ */
+function setMediaText(element, text, question) {
+  if (hasMediaMarkup(text) || (typeof hasMathMarkup === 'function' && hasMathMarkup(text))) {
+    element.innerHTML = renderMediaText(text, question);
+  } else {
+    element.textContent = text;
+  }
+}
+
+/**
+ * Removes image markup from a text (used for question text whose images
+ * are shown as figures instead)
+ * @param {*} text - Text possibly containing ![alt](source)
+ * @returns {string} Text without markup
+ */
+function stripMediaMarkup(text) {
+  return String(text ?? '').replace(MEDIA_MARKUP_PATTERN, ' ').replace(/ {2,}/g, ' ').trim();
+}
+
+/**
+ * Collects the figures of a question: question.image entries first, then
+ * images written inline in the question text
+ * @param {Object} question - Question object
+ * @returns {Array<{src: string, alt: string}>} Figures in display order
+ */
+function getQuestionFigures(question) {
+  const figures = [];
+  const images = Array.isArray(question.image) ? question.image : (question.image ? [question.image] : []);
+  images.forEach(image => {
+    if (typeof image === 'string') {
+      figures.push({ src: image, alt: '' });
+    } else if (image && typeof image.src === 'string') {
+      figures.push({ src: image.src, alt: image.alt || '' });
+    }
+  });
+  const text = String(question.question_text || question.question || '');
+  for (const match of text.matchAll(MEDIA_MARKUP_PATTERN)) {
+    figures.push({ src: match[2], alt: match[1] });
+  }
+  return figures;
+}
+
+/**
+ * Builds the figure block shown under the question text
+ * @param {Object} question - Question object
+ * @returns {string} HTML, or '' when the question has no figures
+ */
+function renderQuestionFiguresHtml(question) {
+  const figures = getQuestionFigures(question);
+  if (figures.length === 0) return '';
+  return `<div class="question-figures" style="display:flex; flex-wrap:wrap; gap:10px; font-weight:normal;">${figures.map(f => createMediaImageHtml(f.src, f.alt, question)).join('')}</div>`;
+}
+
+// ============================================================================
+// ZOOM
+// ============================================================================
+
+/**
+ * Shows an image full screen; click anywhere or press Escape to close
+ * @param {string} src - Image src (already resolved)
+ * @param {string} [alt] - Caption
+ */
+function showImageZoom(src, alt = '') {
+  const existing = document.getElementById('image-zoom-overlay');
+  if (existing) existing.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'image-zoom-overlay';
+  overlay.style.cssText = 'position:fixed; inset:0; background:rgba(0,0,0,0.85); display:flex; flex-direction:column; align-items:center; justify-content:center; z-index:100000; cursor:zoom-out; padding:20px; box-sizing:border-box;';
+  const img = document.createElement('img');
+  img.src = src;
+  img.alt = alt;
+  img.style.cssText = 'max-width:95vw; max-height:88vh; background:#fff; border-radius:4px; box-shadow:0 4px 24px rgba(0,0,0,0.5);';
+  overlay.appendChild(img);
+  if (alt) {
+    const caption = document.createElement('div');
+    caption.textContent = alt;
+    caption.style.cssText = 'color:#fff; margin-top:10px; font-size:14px; text-align:center;';
+    overlay.appendChild(caption);
+  }
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKey, true);
+  };
+  const onKey = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      close();
+    }
+  };
+  overlay.addEventListener('click', close);
+  document.addEventListener('keydown', onKey, true);
+  document.body.appendChild(overlay);
+}
+
+// Images sit inside clickable option rows; the capture-phase listener opens the
+// zoom view without also selecting the option underneath.
+if (typeof document !== 'undefined') {
+  document.addEventListener('click', (e) => {
+    const img = e.target && e.target.closest ? e.target.closest('img.question-image') : null;
+    if (!img) return;
+    e.preventDefault();
+    e.stopPropagation();
+    showImageZoom(img.src, img.alt);
+  }, true);
+}
+
+// ============================================================================
+// DATABASE MEDIA TABLE
+// ============================================================================
+
+/**
+ * Converts BLOB bytes to a data URI
+ * @param {Uint8Array} bytes - Image bytes
+ * @param {string} mimeType - e.g. image/png
+ * @returns {string} data URI
+ */
+function mediaBytesToDataUri(bytes, mimeType) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * Splits a base64 image data URI into MIME type and bytes
+ * @param {string} uri - data URI
+ * @returns {{mimeType: string, bytes: Uint8Array}|null} Parsed image, or null for non-image/non-base64 URIs
+ */
+function dataUriToMedia(uri) {
+  const match = typeof uri === 'string' ? uri.match(/^data:([^;,]+);base64,(.*)$/is) : null;
+  if (!match || !MEDIA_IMAGE_TYPES.includes(match[1].toLowerCase())) return null;
+  try {
+    const binary = atob(match[2].replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return { mimeType: match[1].toLowerCase(), bytes };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lists the media:NAME references used in a question's texts
+ * @param {Object} question - Transformed DB question
+ * @returns {Array<string>} Referenced names
+ */
+function collectMediaReferences(question) {
+  const texts = [question.question_text, question.question, question.explanation];
+  if (Array.isArray(question.options)) texts.push(...question.options);
+  if (question.matchPairs && typeof question.matchPairs === 'object') {
+    Object.entries(question.matchPairs).forEach(([left, right]) => texts.push(left, right));
+  }
+  const names = new Set();
+  texts.forEach(text => {
+    if (typeof text !== 'string') return;
+    for (const match of text.matchAll(MEDIA_MARKUP_PATTERN)) {
+      if (/^media:/i.test(match[2])) names.add(match[2].slice(6));
+    }
+  });
+  return Array.from(names);
+}
+
+/**
+ * Copies rows from the optional media table onto transformed DB questions
+ * Each question gets a media map (name → data URI) holding only the images
+ * it uses, so questions stay self-contained for exam mode and JSON export.
+ * Media rows linked to a question but not referenced in its text become
+ * question.image figures. Does nothing for databases without a media table.
+ *
+ * media table: id, question_id (nullable for shared images), name, mime_type, data (BLOB)
+ *
+ * @param {Database} database - The SQLite database instance
+ * @param {Array} questions - Transformed questions with numeric ids
+ * @returns {Array} The same questions array
+ */
+function attachQuestionMedia(database, questions) {
+  if (questions.length === 0 || !databaseHasTable(database, 'media')) return questions;
+
+  const ids = questions.map(q => parseInt(q.id)).filter(id => !isNaN(id));
+  const referencesById = new Map(questions.map(q => [q.id, collectMediaReferences(q)]));
+  const names = Array.from(new Set([].concat(...referencesById.values())));
+  const conditions = [];
+  if (ids.length > 0) conditions.push(`question_id IN (${ids.join(',')})`);
+  if (names.length > 0) conditions.push(`name IN (${names.map(n => `'${escapeSQLString(n)}'`).join(',')})`);
+  if (conditions.length === 0) return questions;
+
+  const res = database.exec(`SELECT question_id, name, mime_type, data FROM media WHERE ${conditions.join(' OR ')} ORDER BY id`);
+  const rows = (res[0]?.values || [])
+    .filter(([, name, mimeType, data]) => name && ArrayBuffer.isView(data) && MEDIA_IMAGE_TYPES.includes(String(mimeType).toLowerCase()))
+    .map(([questionId, name, mimeType, data]) => ({ questionId, name: String(name), uri: mediaBytesToDataUri(data, String(mimeType).toLowerCase()) }));
+  if (rows.length === 0) return questions;
+
+  questions.forEach(q => {
+    const references = referencesById.get(q.id) || [];
+    const media = {};
+    const figures = [];
+    rows.forEach(row => {
+      if (references.includes(row.name)) {
+        media[row.name] = row.uri;
+      } else if (row.questionId === q.id) {
+        media[row.name] = row.uri;
+        figures.push(`media:${row.name}`);
+      }
+    });
+    if (Object.keys(media).length > 0) q.media = media;
+    if (figures.length > 0) q.image = figures;
+  });
+  return questions;
+}
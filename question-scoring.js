@@ -0,0 +1,200 @@
+/**
+ * ============================================================================
+ * QUESTION SCORING MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * What an answer is worth once it has been checked: partial credit for
+ * multiple-answer and match questions, marks per question and marks off for
+ * a wrong answer. Learning mode and exam mode both score through here, so a
+ * test and its report always agree.
+ *
+ * Core Functions:
+ * • normalizeScoringPolicy() - Partial-credit policy of a test
+ * • scoreMultipleAnswer() / scoreMatchAnswer() - Credit of a multiple-answer or match response
+ * • normalizeMarkingScheme() - Default marks and negative marking of a test
+ * • getQuestionMarks() / getWrongAnswerPenalty() / markAnswer() - Marks of one question
+ * • formatQuestionMarks() / formatMarksSummary() - Marks for display
+ *
+ * Dependencies:
+ * • question-types.js - parseNumericValue, parseNumericTolerance, formatScore, isDescriptiveQuestion
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// ============================================
+// PARTIAL CREDIT
+// ============================================
+
+/**
+ * Reads a scoring policy, falling back to all-or-nothing for anything unknown
+ * - multiple: 'all-or-nothing' | 'per-option' (each correct pick earns a share, each wrong pick loses one)
+ * - match: 'all-or-nothing' | 'per-pair' (each correct pair earns a share)
+ *
+ * @param {Object} [policy] - Saved or handed-over policy
+ * @returns {{multiple: string, match: string}} The policy
+ */
+function normalizeScoringPolicy(policy) {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  return {
+    multiple: source.multiple === 'per-option' ? 'per-option' : 'all-or-nothing',
+    match: source.match === 'per-pair' ? 'per-pair' : 'all-or-nothing'
+  };
+}
+
+/**
+ * Scores a multiple-answer response per correct option: every correct
+ * option picked earns 1/N of the mark (N = number of correct options) and
+ * every wrong pick takes 1/N away, never going below 0
+ *
+ * @param {Array<string>|string} correctAnswers - Correct option texts
+ * @param {Array<string>} chosen - Option texts the learner picked
+ * @returns {{credit: number, hits: number, wrong: number, total: number}} Credit between 0 and 1 and the counts behind it
+ */
+function scoreMultipleAnswer(correctAnswers, chosen) {
+  const norm = value => String(value ?? '').trim().toLowerCase();
+  const correct = new Set((Array.isArray(correctAnswers) ? correctAnswers : [correctAnswers]).map(norm));
+  const picked = new Set((Array.isArray(chosen) ? chosen : []).map(norm));
+  const hits = [...picked].filter(option => correct.has(option)).length;
+  const wrong = picked.size - hits;
+  const total = correct.size;
+  const credit = total > 0 ? Math.max(0, (hits - wrong) / total) : 0;
+  return { credit, hits, wrong, total };
+}
+
+/**
+ * Scores a match response per pair: the share of left items matched to
+ * their right item (ignoring case and surrounding spaces)
+ *
+ * @param {Object} correctPairs - Left item → correct right item
+ * @param {Object} chosen - Left item → right item the learner picked
+ * @returns {{credit: number, right: number, total: number}} Credit between 0 and 1 and the counts behind it
+ */
+function scoreMatchAnswer(correctPairs, chosen) {
+  const norm = value => String(value ?? '').trim().toLowerCase();
+  const given = {};
+  Object.entries(chosen && typeof chosen === 'object' ? chosen : {}).forEach(([left, right]) => {
+    given[norm(left)] = norm(right);
+  });
+  const pairs = Object.entries(correctPairs && typeof correctPairs === 'object' ? correctPairs : {});
+  const right = pairs.filter(([left, answer]) => given[norm(left)] === norm(answer)).length;
+  return { credit: pairs.length > 0 ? right / pairs.length : 0, right, total: pairs.length };
+}
+
+// ============================================
+// MARKS AND NEGATIVE MARKING
+// ============================================
+
+/**
+ * Reads a marks value (question.marks, or the optional questions.marks column)
+ *
+ * @param {*} value - Marks as a number or text
+ * @returns {number|null} Positive number of marks, NaN when set but not a positive number, null when unset
+ */
+function parseQuestionMarks(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const marks = parseNumericValue(value);
+  return marks > 0 ? marks : NaN;
+}
+
+/**
+ * Reads an exam's marking scheme, falling back to 1 mark per question and
+ * no negative marking
+ * - defaultMarks: marks of a question that sets none
+ * - negativeMarks: marks taken off for a wrong answer, either a number ('1')
+ *   or a share of the question's marks ('25%'); unanswered questions lose nothing
+ *
+ * @param {Object} [scheme] - Saved or handed-over scheme
+ * @returns {{defaultMarks: number, negativeMarks: string}} The scheme
+ */
+function normalizeMarkingScheme(scheme) {
+  const source = scheme && typeof scheme === 'object' ? scheme : {};
+  const defaultMarks = parseQuestionMarks(source.defaultMarks);
+  const negativeMarks = parseNumericTolerance(source.negativeMarks) ? String(source.negativeMarks).trim() : '0';
+  return { defaultMarks: defaultMarks > 0 ? defaultMarks : 1, negativeMarks };
+}
+
+/**
+ * Checks whether marks differ from plain counting (1 per correct answer,
+ * nothing off for wrong ones), so summaries only add a marks line when it says more
+ *
+ * @param {Array} questions - Questions of the test
+ * @param {Object} [scheme] - Marking scheme
+ * @returns {boolean} True when a question has its own marks or the scheme is not the default
+ */
+function usesCustomMarks(questions, scheme) {
+  const { defaultMarks, negativeMarks } = normalizeMarkingScheme(scheme);
+  return defaultMarks !== 1 || parseNumericTolerance(negativeMarks).amount > 0 ||
+    (questions || []).some(q => parseQuestionMarks(q && q.marks) > 0);
+}
+
+/**
+ * Reads the marks a question is worth
+ *
+ * @param {Object} question - Question object
+ * @param {Object} [scheme] - Marking scheme (its defaultMarks is used when the question sets none)
+ * @returns {number} Marks for a fully correct answer
+ */
+function getQuestionMarks(question, scheme) {
+  const marks = parseQuestionMarks(question && question.marks);
+  return marks > 0 ? marks : normalizeMarkingScheme(scheme).defaultMarks;
+}
+
+/**
+ * Works out the marks taken off a question for a wrong answer
+ *
+ * @param {Object} question - Question object
+ * @param {Object} [scheme] - Marking scheme
+ * @returns {number} Penalty (0 without negative marking)
+ */
+function getWrongAnswerPenalty(question, scheme) {
+  const penalty = parseNumericTolerance(normalizeMarkingScheme(scheme).negativeMarks);
+  return penalty.percent ? getQuestionMarks(question, scheme) * penalty.amount / 100 : penalty.amount;
+}
+
+/**
+ * Marks one answer: full marks when correct, the credited share of the
+ * marks for a partly right answer, minus the penalty for a wrong one and
+ * nothing for an unanswered question. Descriptive questions are never
+ * penalised; they earn the share they were marked with.
+ *
+ * @param {Object} question - Question object
+ * @param {{answered: boolean, isCorrect: boolean, credit: number}} outcome - How the question was answered
+ * @param {Object} [scheme] - Marking scheme
+ * @returns {number} Marks earned (negative for a penalised wrong answer)
+ */
+function markAnswer(question, outcome, scheme) {
+  if (!outcome || !outcome.answered) return 0;
+  const marks = getQuestionMarks(question, scheme);
+  if (outcome.isCorrect) return marks;
+  if (outcome.credit > 0 || isDescriptiveQuestion(question)) return marks * (outcome.credit || 0);
+  return -getWrongAnswerPenalty(question, scheme);
+}
+
+/**
+ * Describes what a question is worth, e.g. "4 marks, −1 if wrong"
+ *
+ * @param {Object} question - Question object
+ * @param {Object} [scheme] - Marking scheme
+ * @returns {string} Display text
+ */
+function formatQuestionMarks(question, scheme) {
+  const marks = getQuestionMarks(question, scheme);
+  const penalty = isDescriptiveQuestion(question) ? 0 : getWrongAnswerPenalty(question, scheme);
+  const text = `${formatScore(marks)} ${marks === 1 ? 'mark' : 'marks'}`;
+  return penalty > 0 ? `${text}, −${formatScore(penalty)} if wrong` : text;
+}
+
+/**
+ * Formats marks as "raw / max (percentage%)"
+ *
+ * @param {number} raw - Marks earned
+ * @param {number} max - Marks available
+ * @returns {string} Display text
+ */
+function formatMarksSummary(raw, max) {
+  const percentage = max > 0 ? Math.round((raw / max) * 100) : 0;
+  return `${formatScore(raw)} / ${formatScore(max)} (${percentage}%)`;
+}
@@ -0,0 +1,239 @@
+/**
+ * ============================================================================
+ * QUESTION SELECTION MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * How the questions of a test are laid out and shared out: timed exam
+ * sections drawn per topic, and stratified selection in proportion to
+ * topic, subtopic and question type. Used by both filter panels and by
+ * exam mode (exam.html reads the sections back).
+ *
+ * Core Functions:
+ * • normalizeExamSections() / buildExamSections() / getSectionIndex() - Exam sections
+ * • planStratifiedSelection() / stratifiedSelection() - Stratified selection
+ * • formatStratifiedPlan() - The plan as a tooltip table (options panels)
+ *
+ * Dependencies:
+ * • question-types.js - shuffleKeepingPassages, takeQuestionsKeepingPassages
+ * • core-utils.js - sanitizeText (formatStratifiedPlan only)
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// ============================================
+// EXAM SECTIONS
+// ============================================
+
+/**
+ * Reads the sections of a sectioned exam. Sections follow each other in the
+ * question list and together cover all of it; anything else gives [], an exam
+ * with one question list and one timer
+ * - name: shown on the palette, the timer bar and the report
+ * - start, count: the section's questions (start … start + count - 1)
+ * - duration: minutes the section runs before its answers lock
+ * - attemptLimit: "attempt any N" of the section's questions (null = all)
+ *
+ * @param {Array} sections - Sections handed over with the exam
+ * @param {number} questionCount - Number of questions in the exam
+ * @returns {Array<{name: string, start: number, count: number, duration: number, attemptLimit: (number|null)}>} The sections
+ */
+function normalizeExamSections(sections, questionCount) {
+  if (!Array.isArray(sections) || sections.length === 0) return [];
+  const result = [];
+  let next = 0;
+  for (const section of sections) {
+    const start = Number(section && section.start);
+    const count = Number(section && section.count);
+    const duration = Number(section && section.duration);
+    if (start !== next || !Number.isInteger(count) || count < 1 || !(duration > 0)) return [];
+    const limit = Number(section.attemptLimit);
+    result.push({
+      name: String(section.name || `Section ${result.length + 1}`),
+      start,
+      count,
+      duration,
+      attemptLimit: Number.isInteger(limit) && limit >= 1 && limit < count ? limit : null
+    });
+    next += count;
+  }
+  return next === questionCount ? result : [];
+}
+
+/**
+ * Draws the questions of a sectioned exam, one section per spec, each from
+ * the questions of the spec's topic
+ *
+ * @param {Array} questions - Questions that passed the filters
+ * @param {Array<{topic: string, count: number, duration: number, attemptLimit: (number|null)}>} specs - Sections in exam order
+ * @param {function(Array, number): Array} pick - Selection mode: picks count questions from a pool
+ * @returns {{questions: Array, sections: Array}} Questions in section order and the sections over them (topics with no questions are left out)
+ */
+function buildExamSections(questions, specs, pick) {
+  const chosen = [];
+  const sections = [];
+  (specs || []).forEach(spec => {
+    const pool = questions.filter(q => q.topic === spec.topic);
+    const picked = pool.length > 0 && spec.count > 0 ? pick(pool, Math.min(spec.count, pool.length)) : [];
+    if (picked.length === 0) return;
+    sections.push({
+      name: spec.name || spec.topic,
+      start: chosen.length,
+      count: picked.length,
+      duration: spec.duration > 0 ? spec.duration : Math.round(picked.length * 1.5),
+      attemptLimit: spec.attemptLimit > 0 && spec.attemptLimit < picked.length ? spec.attemptLimit : null
+    });
+    chosen.push(...picked);
+  });
+  return { questions: chosen, sections };
+}
+
+/**
+ * Finds the section a question belongs to
+ *
+ * @param {Array} sections - Normalized sections
+ * @param {number} questionIndex - Index of the question in the exam
+ * @returns {number} Section index, or -1 outside every section
+ */
+function getSectionIndex(sections, questionIndex) {
+  return (sections || []).findIndex(section => questionIndex >= section.start && questionIndex < section.start + section.count);
+}
+
+// ============================================
+// STRATIFIED SELECTION
+// ============================================
+
+/**
+ * Finds the stratum of a question: its topic, subtopic and question type
+ *
+ * @param {Object} question - Question object or database row
+ * @returns {{key: string, topic: string, subtopic: string, type: string}} Stratum (subtopic 'General' when missing)
+ */
+function getQuestionStratum(question) {
+  const topic = String(question.topic || '');
+  const subtopic = String(question.subtopic || 'General');
+  const type = String(question.question_type || question.type || '');
+  return { key: `${topic}::${subtopic}::${type}`, topic, subtopic, type };
+}
+
+/**
+ * Orders strata by topic, subtopic and type
+ *
+ * @param {Object} a - Stratum
+ * @param {Object} b - Stratum
+ * @returns {number} Sort order
+ */
+function compareStrata(a, b) {
+  return a.topic.localeCompare(b.topic) || a.subtopic.localeCompare(b.subtopic) || a.type.localeCompare(b.type);
+}
+
+/**
+ * Shares a question count among strata in proportion to their sizes
+ * Every stratum gets the whole part of its share; the questions left over go
+ * to the largest remainders (ties to the larger stratum, then by name), so
+ * the preview and the draw always agree.
+ *
+ * @param {Array<{available: number}>} strata - Strata with the number of questions each holds
+ * @param {number} targetCount - Questions to select in total
+ * @returns {Array<Object>} The strata, each with a count added
+ */
+function allocateStratifiedCounts(strata, targetCount) {
+  const total = strata.reduce((sum, stratum) => sum + stratum.available, 0);
+  const target = Math.max(0, Math.min(targetCount, total));
+  const shares = strata.map(stratum => total > 0 ? target * stratum.available / total : 0);
+  const result = strata.map((stratum, i) => ({ ...stratum, count: Math.floor(shares[i]) }));
+  let left = target - result.reduce((sum, stratum) => sum + stratum.count, 0);
+  result
+    .map((stratum, i) => i)
+    .sort((a, b) => (shares[b] - result[b].count) - (shares[a] - result[a].count) || strata[b].available - strata[a].available || compareStrata(strata[a], strata[b]))
+    .forEach(i => {
+      if (left > 0 && result[i].count < result[i].available) {
+        result[i].count++;
+        left--;
+      }
+    });
+  return result;
+}
+
+/**
+ * Plans a stratified selection over topic, subtopic and question type
+ *
+ * @param {Array} questions - Questions that passed the filters
+ * @param {number} targetCount - Questions to select
+ * @returns {Array<{topic: string, subtopic: string, type: string, available: number, count: number, questions: Array}>} Strata sorted by topic, subtopic and type
+ */
+function planStratifiedSelection(questions, targetCount) {
+  const strata = {};
+  questions.forEach(q => {
+    const stratum = getQuestionStratum(q);
+    if (!strata[stratum.key]) {
+      strata[stratum.key] = { topic: stratum.topic, subtopic: stratum.subtopic, type: stratum.type, available: 0, questions: [] };
+    }
+    strata[stratum.key].available++;
+    strata[stratum.key].questions.push(q);
+  });
+  return allocateStratifiedCounts(Object.values(strata).sort(compareStrata), targetCount);
+}
+
+/**
+ * Selects questions so every topic, subtopic and question type keeps its
+ * share of the filtered bank
+ * Each stratum is drawn at random, keeping passage groups together where its
+ * count allows; the strata are then shuffled together.
+ *
+ * @param {Array} questions - Questions that passed the filters
+ * @param {number} targetCount - Questions to select
+ * @returns {Array} Selected questions
+ */
+function stratifiedSelection(questions, targetCount) {
+  const chosen = planStratifiedSelection(questions, targetCount)
+    .flatMap(stratum => stratum.count > 0 ? takeQuestionsKeepingPassages(shuffleKeepingPassages(stratum.questions), stratum.count) : []);
+  return shuffleKeepingPassages(chosen);
+}
+
+/**
+ * Describes a stratified plan for the Start Test tooltip
+ *
+ * @param {Array<{topic: string, subtopic: string, type: string, available: number, count: number}>} strata - Planned strata
+ * @param {number} requestedCount - Questions asked for
+ * @returns {string} Tooltip HTML
+ */
+function formatStratifiedPlan(strata, requestedCount) {
+  const available = strata.reduce((sum, stratum) => sum + stratum.available, 0);
+  if (available === 0) {
+    return `
+      <h4>Stratified Distribution Preview</h4>
+      <div style="text-align: center;">
+        No questions available for the selected topics, types and filters.<br>
+        Please adjust your selections.
+      </div>
+    `;
+  }
+  const selected = strata.reduce((sum, stratum) => sum + stratum.count, 0);
+  const rows = strata.map(stratum => `
+        <tr${stratum.count === 0 ? ' style="opacity: 0.6;"' : ''}>
+          <td style="text-align: left;">${sanitizeText(stratum.topic)}</td>
+          <td style="text-align: left;">${sanitizeText(stratum.subtopic)}</td>
+          <td>${sanitizeText(stratum.type)}</td>
+          <td><strong>${stratum.count}</strong></td>
+          <td>${stratum.available}</td>
+        </tr>`).join('');
+  const skipped = strata.filter(stratum => stratum.count === 0).length;
+  return `
+    <h4>Stratified Distribution Preview</h4>
+    <div style="font-size: 0.85em;">Each topic, subtopic and question type gets its share of the ${available} matching question${available === 1 ? '' : 's'}, rounded by largest remainder.</div>
+    <table class="tooltip-table">
+      <thead><tr><th>Topic</th><th>Subtopic</th><th>Type</th><th>Picked</th><th>Available</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    ${skipped > 0 ? `<div style="font-size: 0.85em; color: #666;"><em>${skipped} group${skipped === 1 ? ' is' : 's are'} too small for a question at this count.</em></div>` : ''}
+    <div class="tooltip-summary">Total: ${selected} question${selected === 1 ? '' : 's'} will be selected</div>
+    ${requestedCount > available ? `
+    <div style="margin-top: 8px; padding: 6px; background: #fff3cd; border-radius: 4px; font-size: 0.85em; color: #856404;">
+      ⚠️ Requested ${requestedCount} questions, but only ${available} available.
+    </div>` : ''}
+  `;
+}
@@ -0,0 +1,537 @@
+/**
+ * ============================================================================
+ * QUESTION TYPES MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * The rules of the question types beyond single and multiple choice: how a
+ * question is recognised, how its answer is read from a JSON bank or a
+ * database row, and whether a response is right. Shared by learning mode
+ * (InsightPrep.html), exam mode (exam.html) and tools/validate-bank.js, so
+ * it relies on neither the DOM nor the database.
+ *
+ * Question types:
+ * • Fill-in-the-blank - ___ in the text, one or more accepted spellings per blank
+ * • Numeric - a typed number, with an optional tolerance and unit
+ * • Ordering - items put in sequence, scored per item in place if wanted
+ * • Descriptive - free text against a model answer and rubric points
+ * • Passage groups - questions that share a passage, kept together when
+ *   shuffling and selecting
+ *
+ * Core Functions:
+ * • isFillBlankQuestion() - Type check of fill-in-the-blank questions
+ * • getBlankAnswers() / isFillBlankAnswerCorrect() - Accepted spellings and the answer check
+ * • isNumericQuestion() / isNumericAnswerCorrect() - Numeric answers within a tolerance
+ * • isOrderQuestion() / isOrderAnswerCorrect() / scoreOrderAnswer() - Ordering answers and their part marks
+ * • formatScore() - A score with partial credit, for display
+ * • isDescriptiveQuestion() / matchRubricPoints() - Descriptive answers against the rubric
+ * • resolveQuestionPassages() / groupQuestionsByPassage() - Passage groups
+ * • shuffleKeepingPassages() / takeQuestionsKeepingPassages() - Shuffling and trimming without splitting a group
+ *
+ * Dependencies:
+ * • None (database-manager.js copies the answer tables of a database onto the questions)
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+// ============================================
+// FILL-IN-THE-BLANK QUESTIONS
+// ============================================
+
+// A blank in the question text: three or more underscores
+const BLANK_MARKER_PATTERN = /_{3,}/g;
+
+/**
+ * Checks whether a question is a fill-in-the-blank question
+ * JSON banks use type "fillblank", databases use question_type "FillBlank".
+ *
+ * @param {Object} question - Question object
+ * @returns {boolean} True for fill-in-the-blank questions
+ */
+function isFillBlankQuestion(question) {
+  if (!question) return false;
+  const type = String(question.question_type || question.type || '').toLowerCase();
+  return type === 'fillblank';
+}
+
+/**
+ * Counts the blanks (___) in a question text
+ *
+ * @param {string} text - Question text
+ * @returns {number} Number of blanks
+ */
+function countBlanks(text) {
+  return (String(text || '').match(BLANK_MARKER_PATTERN) || []).length;
+}
+
+/**
+ * Labels each blank with its number ([1]_____, [2]_____) when there are
+ * several, so the answer boxes can refer to them
+ *
+ * @param {string} text - Question text
+ * @returns {string} Text with numbered blanks (unchanged for a single blank)
+ */
+function numberBlanks(text) {
+  const str = String(text || '');
+  if (countBlanks(str) < 2) return str;
+  let n = 0;
+  return str.replace(BLANK_MARKER_PATTERN, () => `[${++n}]_____`);
+}
+
+/**
+ * Normalizes a typed or accepted answer for comparison
+ * Case, surrounding whitespace and repeated inner whitespace are ignored.
+ *
+ * @param {*} value - Answer text
+ * @returns {string} Comparable form
+ */
+function normalizeBlankAnswer(value) {
+  return String(value ?? '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reads the accepted answers of every blank
+ * question.blanks (or, failing that, question.answer) holds one entry per
+ * blank: a string, a string with alternate spellings separated by "|",
+ * or an array of alternate spellings.
+ *
+ * @param {Object} question - Fill-in-the-blank question
+ * @returns {Array<Array<string>>} Accepted spellings per blank; the first one is shown as the answer
+ */
+function getBlankAnswers(question) {
+  const source = question.blanks !== undefined ? question.blanks : question.answer;
+  const entries = Array.isArray(source) ? source : (source !== undefined && source !== null ? [source] : []);
+  return entries.map(entry => {
+    const spellings = Array.isArray(entry) ? entry : String(entry ?? '').split('|');
+    return spellings
+      .filter(s => typeof s === 'string' || typeof s === 'number')
+      .map(s => String(s).trim())
+      .filter(Boolean);
+  });
+}
+
+/**
+ * Checks typed answers blank by blank
+ *
+ * @param {Object} question - Fill-in-the-blank question
+ * @param {Array<string>} responses - Typed answers in blank order
+ * @returns {Array<boolean>} One result per blank
+ */
+function checkFillBlankAnswers(question, responses) {
+  const typed = Array.isArray(responses) ? responses : [];
+  return getBlankAnswers(question).map((accepted, i) => {
+    const answer = normalizeBlankAnswer(typed[i]);
+    return answer !== '' && accepted.some(spelling => normalizeBlankAnswer(spelling) === answer);
+  });
+}
+
+/**
+ * Checks whether every blank was filled with an accepted answer
+ *
+ * @param {Object} question - Fill-in-the-blank question
+ * @param {Array<string>} responses - Typed answers in blank order
+ * @returns {boolean} True when all blanks are right
+ */
+function isFillBlankAnswerCorrect(question, responses) {
+  const results = checkFillBlankAnswers(question, responses);
+  return results.length > 0 && results.every(Boolean);
+}
+
+/**
+ * Formats answers for display, e.g. "Paris" or "[1] Paris; [2] Rome / Roma"
+ *
+ * @param {Array<Array<string>>|Array<string>} answers - Accepted spellings per blank, or typed answers
+ * @returns {string} Display text
+ */
+function formatFillBlankAnswer(answers) {
+  const parts = (answers || []).map(entry => Array.isArray(entry) ? entry.join(' / ') : String(entry ?? ''));
+  if (parts.length === 1) return parts[0];
+  return parts.map((part, i) => `[${i + 1}] ${part || '-'}`).join('; ');
+}
+
+// ============================================
+// NUMERIC-ANSWER QUESTIONS
+// ============================================
+
+// A plain decimal number, optionally signed and in e-notation (1.5e-3)
+const NUMERIC_VALUE_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Checks whether a question expects a typed number
+ * JSON banks use type "numeric", databases use question_type "Numeric".
+ *
+ * @param {Object} question - Question object
+ * @returns {boolean} True for numeric-answer questions
+ */
+function isNumericQuestion(question) {
+  if (!question) return false;
+  const type = String(question.question_type || question.type || '').toLowerCase();
+  return type === 'numeric';
+}
+
+/**
+ * Reads a typed or stored number
+ * Thousands separators (1,250 or 1 250), a Unicode minus sign and the
+ * question's unit after the number are accepted.
+ *
+ * @param {*} value - Number or text
+ * @param {string} [unit] - Unit that may follow the number
+ * @returns {number} The number, or NaN when the text is not a number
+ */
+function parseNumericValue(value, unit) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  let text = String(value ?? '').normalize('NFKC').trim().replace(/\u2212/g, '-');
+  const unitText = String(unit ?? '').normalize('NFKC').trim();
+  if (unitText && text.toLowerCase().endsWith(unitText.toLowerCase())) {
+    text = text.slice(0, -unitText.length).trim();
+  }
+  text = text.replace(/(\d)[,\s](?=\d{3}\b)/g, '$1');
+  return NUMERIC_VALUE_PATTERN.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Reads a tolerance: a number is an absolute margin, text ending in "%"
+ * a percentage of the correct value
+ *
+ * @param {*} tolerance - question.tolerance or numeric_answers.tolerance
+ * @returns {{amount: number, percent: boolean}|null} Tolerance, or null when missing or not a non-negative number
+ */
+function parseNumericTolerance(tolerance) {
+  if (tolerance === undefined || tolerance === null || String(tolerance).trim() === '') return null;
+  const text = String(tolerance).trim();
+  const percent = text.endsWith('%');
+  const amount = parseNumericValue(percent ? text.slice(0, -1) : tolerance);
+  if (isNaN(amount) || amount < 0) return null;
+  return { amount, percent };
+}
+
+/**
+ * Checks a typed number against the correct value and its tolerance
+ *
+ * @param {Object} question - Numeric question (answer, tolerance, optional unit)
+ * @param {string|Array<string>} response - Typed text (or a one-item array of it)
+ * @returns {boolean} True when the number lies within the tolerance
+ */
+function isNumericAnswerCorrect(question, response) {
+  const expected = parseNumericValue(question.answer, question.unit);
+  const tolerance = parseNumericTolerance(question.tolerance);
+  const typed = parseNumericValue(Array.isArray(response) ? response[0] : response, question.unit);
+  if (isNaN(expected) || isNaN(typed) || !tolerance) return false;
+  const allowed = tolerance.percent ? Math.abs(expected) * tolerance.amount / 100 : tolerance.amount;
+  // Tiny slack so floating-point rounding (0.1 + 0.2) never fails an exact answer
+  return Math.abs(typed - expected) <= allowed + 1e-9 * Math.max(1, Math.abs(expected));
+}
+
+/**
+ * Formats the correct answer for display, e.g. "9.8 m/s² (± 0.1 m/s²)" or "1200 (± 2%)"
+ *
+ * @param {Object} question - Numeric question
+ * @returns {string} Display text
+ */
+function formatNumericAnswer(question) {
+  const unit = String(question.unit ?? '').trim();
+  const withUnit = value => unit ? `${value} ${unit}` : String(value);
+  const value = parseNumericValue(question.answer, question.unit);
+  let text = withUnit(isNaN(value) ? String(question.answer ?? '') : value);
+  const tolerance = parseNumericTolerance(question.tolerance);
+  if (tolerance && tolerance.amount > 0) {
+    text += tolerance.percent ? ` (± ${tolerance.amount}%)` : ` (± ${withUnit(tolerance.amount)})`;
+  }
+  return text;
+}
+
+// ============================================
+// ORDERING QUESTIONS
+// ============================================
+
+/**
+ * Checks whether a question asks for items to be put in sequence
+ * JSON banks use type "order", databases use question_type "Order".
+ *
+ * @param {Object} question - Question object
+ * @returns {boolean} True for ordering questions
+ */
+function isOrderQuestion(question) {
+  if (!question) return false;
+  const type = String(question.question_type || question.type || '').toLowerCase();
+  return type === 'order';
+}
+
+/**
+ * Reads the items of an ordering question in their correct order
+ * question.items is preferred; an array answer is accepted as well.
+ *
+ * @param {Object} question - Ordering question
+ * @returns {Array<string>} Items, first to last
+ */
+function getOrderItems(question) {
+  const source = Array.isArray(question.items) ? question.items : question.answer;
+  if (!Array.isArray(source)) return [];
+  return source
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).trim());
+}
+
+/**
+ * Shuffles the items for display, making sure the learner never starts
+ * from the answer itself (unless every item is identical)
+ *
+ * @param {Array<string>} items - Items in correct order
+ * @returns {Array<string>} A new, shuffled array
+ */
+function shuffleOrderItems(items) {
+  const shuffled = [...items];
+  const isSolved = () => shuffled.every((item, i) => item === items[i]);
+  for (let attempt = 0; attempt < 10 && (attempt === 0 || isSolved()); attempt++) {
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+  }
+  if (isSolved() && shuffled.length > 1) shuffled.push(shuffled.shift());
+  return shuffled;
+}
+
+/**
+ * Scores a submitted order by position: the share of items that sit in
+ * their correct place (1 = fully correct)
+ *
+ * @param {Object} question - Ordering question
+ * @param {Array<string>} response - Items in the order the learner left them
+ * @returns {number} Score between 0 and 1
+ */
+function scoreOrderAnswer(question, response) {
+  const items = getOrderItems(question);
+  const given = Array.isArray(response) ? response : [];
+  if (items.length === 0) return 0;
+  const inPlace = items.filter((item, i) => String(given[i] ?? '').trim() === item).length;
+  return inPlace / items.length;
+}
+
+/**
+ * Checks whether every item was put in its correct place
+ *
+ * @param {Object} question - Ordering question
+ * @param {Array<string>} response - Items in submitted order
+ * @returns {boolean} True for the exact correct order
+ */
+function isOrderAnswerCorrect(question, response) {
+  return getOrderItems(question).length > 0 && scoreOrderAnswer(question, response) === 1;
+}
+
+/**
+ * Formats a sequence for display, e.g. "Seed → Sapling → Tree"
+ *
+ * @param {Array<string>} items - Items in order
+ * @returns {string} Display text
+ */
+function formatOrderAnswer(items) {
+  return (items || []).map(item => String(item ?? '')).join(' → ');
+}
+
+/**
+ * Formats a score that may include partial credit (2, 2.5, 2.33)
+ *
+ * @param {number} value - Score
+ * @returns {string} Score rounded to at most two decimals
+ */
+function formatScore(value) {
+  return String(Math.round((Number(value) || 0) * 100) / 100);
+}
+
+// ============================================
+// DESCRIPTIVE QUESTIONS
+// ============================================
+
+/**
+ * Checks whether a question is answered in the learner's own words
+ * JSON banks use type "descriptive", databases use question_type "Descriptive".
+ *
+ * @param {Object} question - Question object
+ * @returns {boolean} True for descriptive questions
+ */
+function isDescriptiveQuestion(question) {
+  if (!question) return false;
+  const type = String(question.question_type || question.type || '').toLowerCase();
+  return type === 'descriptive';
+}
+
+/**
+ * Reads the model answer of a descriptive question
+ * question.modelAnswer is preferred; a text answer is accepted as well.
+ *
+ * @param {Object} question - Descriptive question
+ * @returns {string} Model answer, or '' when there is none
+ */
+function getModelAnswer(question) {
+  const source = question.modelAnswer !== undefined && question.modelAnswer !== null ? question.modelAnswer : question.answer;
+  return typeof source === 'string' || typeof source === 'number' ? String(source).trim() : '';
+}
+
+/**
+ * Reads the rubric of a descriptive question: the key points (usually
+ * keywords or short phrases) a good answer mentions
+ *
+ * @param {Object} question - Descriptive question
+ * @returns {Array<string>} Rubric points; empty when the question has no rubric
+ */
+function getRubricPoints(question) {
+  const source = question.rubric;
+  const points = Array.isArray(source) ? source : String(source ?? '').split('|');
+  return points
+    .filter(point => typeof point === 'string' || typeof point === 'number')
+    .map(point => String(point).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Finds the rubric points an answer mentions word for word (ignoring case
+ * and spacing), so the self-assessment can start with those ticked
+ *
+ * @param {Object} question - Descriptive question
+ * @param {string} text - The learner's answer
+ * @returns {Array<boolean>} One flag per rubric point
+ */
+function matchRubricPoints(question, text) {
+  const answer = normalizeBlankAnswer(text);
+  return getRubricPoints(question).map(point => answer !== '' && answer.includes(normalizeBlankAnswer(point)));
+}
+
+// ============================================
+// PASSAGE GROUPS
+// ============================================
+
+/**
+ * Reads the passage group a question belongs to
+ * JSON banks use passageId, databases the passage_id column.
+ *
+ * @param {Object} question - Question object
+ * @returns {string|null} Passage id as a string, or null for a standalone question
+ */
+function getPassageId(question) {
+  if (!question) return null;
+  const id = question.passageId ?? question.passage_id;
+  if (id === null || id === undefined || String(id).trim() === '') return null;
+  return String(id).trim();
+}
+
+/**
+ * Normalizes a passage to { title, text }
+ * Accepts plain text or an object with text (or passage_text) and an optional title.
+ *
+ * @param {*} value - Passage from JSON or the passages table
+ * @returns {{title: string, text: string}|null} The passage, or null when it has no text
+ */
+function normalizePassage(value) {
+  const source = value && typeof value === 'object' ? value : { text: value };
+  const text = source.text ?? source.passage_text;
+  if (typeof text !== 'string' || text.trim() === '') return null;
+  const title = typeof source.title === 'string' ? source.title.trim() : '';
+  return { title, text: text.trim() };
+}
+
+/**
+ * Gives the questions of a JSON bank their passage (question.passage)
+ * Passages are listed once at the root of the bank, either as
+ * [{ id, title, text }] or as { id: text | { title, text } }. A question
+ * that already carries its passage inline keeps it.
+ *
+ * @param {Array} questions - JSON questions
+ * @param {Array|Object} [passages] - The bank's passages
+ * @returns {Array} The same questions array
+ */
+function resolveQuestionPassages(questions, passages) {
+  const byId = {};
+  if (Array.isArray(passages)) {
+    passages.forEach(entry => {
+      const id = getPassageId({ passageId: entry && entry.id });
+      const passage = normalizePassage(entry);
+      if (id && passage) byId[id] = passage;
+    });
+  } else if (passages && typeof passages === 'object') {
+    Object.entries(passages).forEach(([id, entry]) => {
+      const passage = normalizePassage(entry);
+      if (passage) byId[String(id).trim()] = passage;
+    });
+  }
+  questions.forEach(q => {
+    if (!q || typeof q !== 'object') return;
+    const passage = normalizePassage(q.passage) || byId[getPassageId(q)] || null;
+    if (passage && getPassageId(q)) {
+      q.passage = passage;
+    } else {
+      delete q.passage;
+    }
+  });
+  return questions;
+}
+
+/**
+ * Splits questions into selection units: every passage group (placed where
+ * its first question appears, questions in their original order) and every
+ * standalone question on its own
+ *
+ * @param {Array} questions - Question objects
+ * @returns {Array<Array<Object>>} Units of one or more questions
+ */
+function groupQuestionsByPassage(questions) {
+  const units = [];
+  const unitByPassage = {};
+  questions.forEach(q => {
+    const id = getPassageId(q);
+    if (id === null) {
+      units.push([q]);
+    } else if (unitByPassage[id]) {
+      unitByPassage[id].push(q);
+    } else {
+      unitByPassage[id] = [q];
+      units.push(unitByPassage[id]);
+    }
+  });
+  return units;
+}
+
+/**
+ * Shuffles questions, moving each passage group as one block
+ *
+ * @param {Array} questions - Question objects
+ * @returns {Array} A new, shuffled array
+ */
+function shuffleKeepingPassages(questions) {
+  const units = groupQuestionsByPassage(questions);
+  for (let i = units.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [units[i], units[j]] = [units[j], units[i]];
+  }
+  return units.flat();
+}
+
+/**
+ * Takes the first targetCount questions without splitting passage groups
+ * A group that no longer fits is passed over for the smaller units after it;
+ * only when nothing else fits is a group cut short, keeping its first questions.
+ *
+ * @param {Array} questions - Question objects, in order of preference
+ * @param {number} targetCount - Number of questions wanted
+ * @returns {Array} The chosen questions, each group together
+ */
+function takeQuestionsKeepingPassages(questions, targetCount) {
+  const units = groupQuestionsByPassage(questions);
+  const chosen = [];
+  const passedOver = [];
+  let count = 0;
+  units.forEach(unit => {
+    if (count + unit.length <= targetCount) {
+      chosen.push(unit);
+      count += unit.length;
+    } else {
+      passedOver.push(unit);
+    }
+  });
+  if (count < targetCount && passedOver.length > 0) {
+    chosen.push(passedOver[0].slice(0, targetCount - count));
+  }
+  return chosen.flat();
+}
@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * REORDER LIST MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * The answer widget of ordering questions: a numbered list whose items the
+ * learner puts in sequence. Shared by learning mode (InsightPrep.html) and
+ * exam mode (exam.html), so it only relies on the DOM.
+ *
+ * Ways to move an item:
+ * • Drag it by the ⠿ handle (or anywhere on the row) and drop it above or
+ *   below another item
+ * • Focus it (Tab) and press ↑ / ↓
+ * • Click its ▲ / ▼ buttons (also the way to reorder on touch screens)
+ *
+ * Input is ignored while the list sits inside a .locked or .disabled card,
+ * so an answered learning-mode question keeps its submitted order.
+ *
+ * Core Functions:
+ * • createReorderableList() - Builds the list; returns the element and a getOrder() reader
+ *
+ * Dependencies:
+ * • question-media.js - setMediaText (images and math inside items; optional)
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+/**
+ * Builds a reorderable list of items
+ *
+ * @param {Array<string>} items - Items in the order they are shown first
+ * @param {Object} [options]
+ * @param {Object} [options.question] - Question the items belong to (for media:NAME images)
+ * @param {Function} [options.onChange] - Called with the new order after every move
+ * @returns {{element: HTMLOListElement, getOrder: function(): Array<string>}} The list and a reader of its current order
+ */
+function createReorderableList(items, options = {}) {
+  const { question = null, onChange = null } = options;
+  const list = document.createElement('ol');
+  list.className = 'order-list';
+  list.setAttribute('aria-label', 'Items to put in order. Drag an item, or focus it and use the arrow keys.');
+  list.style.cssText = 'list-style:none; margin:8px 0 12px; padding:0; max-width:680px;';
+
+  let dragged = null;
+  let orderBeforeDrag = '';
+
+  const isInactive = () => !!list.closest('.locked, .disabled');
+  const getOrder = () => Array.from(list.children, li => li.dataset.item);
+
+  // Renumber the rows and grey out the arrow that would move an item off the list
+  const refresh = () => {
+    const rows = Array.from(list.children);
+    rows.forEach((li, i) => {
+      li.querySelector('.order-position').textContent = `${i + 1}.`;
+      li.querySelector('.order-up').disabled = i === 0;
+      li.querySelector('.order-down').disabled = i === rows.length - 1;
+    });
+  };
+
+  const changed = () => {
+    refresh();
+    if (typeof onChange === 'function') onChange(getOrder());
+  };
+
+  const move = (li, offset) => {
+    if (isInactive()) return;
+    const sibling = offset < 0 ? li.previousElementSibling : li.nextElementSibling;
+    if (!sibling) return;
+    list.insertBefore(li, offset < 0 ? sibling : sibling.nextSibling);
+    changed();
+  };
+
+  const createArrow = (className, symbol, title, offset, li) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.textContent = symbol;
+    btn.title = title;
+    btn.tabIndex = -1; // the row itself takes the arrow keys
+    btn.style.cssText = 'padding:2px 8px; margin:0; font-size:0.85em; line-height:1.2; cursor:pointer; background:#fff; color:#333; border:1px solid #ccc; border-radius:4px;';
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      move(li, offset);
+      li.focus();
+    });
+    return btn;
+  };
+
+  items.forEach(item => {
+    const li = document.createElement('li');
+    li.className = 'order-item';
+    li.draggable = true;
+    li.tabIndex = 0;
+    li.dataset.item = item;
+    li.style.cssText = 'display:flex; align-items:center; gap:8px; padding:8px 10px; margin:6px 0; background:#fafafa; border:1px solid #ccc; border-radius:6px; cursor:grab; user-select:none;';
+
+    const handle = document.createElement('span');
+    handle.className = 'order-handle';
+    handle.textContent = '⠿';
+    handle.setAttribute('aria-hidden', 'true');
+    handle.style.cssText = 'color:#999; font-size:1.2em;';
+
+    const position = document.createElement('span');
+    position.className = 'order-position';
+    position.style.cssText = 'min-width:1.8em; font-weight:bold; color:#555;';
+
+    const text = document.createElement('span');
+    text.className = 'option-text';
+    text.style.flex = '1';
+    if (typeof setMediaText === 'function') {
+      setMediaText(text, item, question);
+    } else {
+      text.textContent = item;
+    }
+
+    li.appendChild(handle);
+    li.appendChild(position);
+    li.appendChild(text);
+    li.appendChild(createArrow('order-up', '▲', 'Move up', -1, li));
+    li.appendChild(createArrow('order-down', '▼', 'Move down', 1, li));
+
+    li.addEventListener('keydown', (e) => {
+      if (e.target !== li || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+      e.preventDefault();
+      e.stopPropagation(); // exam.html also uses the arrow keys to change question
+      move(li, e.key === 'ArrowUp' ? -1 : 1);
+      li.focus();
+    });
+    li.addEventListener('dragstart', (e) => {
+      if (isInactive()) {
+        e.preventDefault();
+        return;
+      }
+      dragged = li;
+      orderBeforeDrag = JSON.stringify(getOrder());
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item); // Firefox only drags when data is set
+      li.style.opacity = '0.5';
+    });
+    li.addEventListener('dragend', () => {
+      li.style.opacity = '';
+      dragged = null;
+      if (JSON.stringify(getOrder()) !== orderBeforeDrag) changed();
+    });
+
+    list.appendChild(li);
+  });
+
+  // Move the dragged row live, above or below the row under the pointer
+  list.addEventListener('dragover', (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+    const target = e.target instanceof Element ? e.target.closest('.order-item') : null;
+    if (!target || target === dragged || target.parentNode !== list) return;
+    const rect = target.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    list.insertBefore(dragged, after ? target.nextSibling : target);
+  });
+  list.addEventListener('drop', (e) => {
+    if (dragged) e.preventDefault();
+  });
+
+  refresh();
+  return { element: list, getOrder };
+}
@@ -0,0 +1,276 @@
+/**
+ * ============================================================================
+ * REVIEW DECK MODULE
+ * ============================================================================
+ *
+ * Purpose:
+ * Keeps a spaced-repetition record of every answered question so that what a
+ * learner got wrong comes back for review days later. The record lives in the
+ * browser's IndexedDB and survives closing the page; each question is keyed
+ * by its bank (the DB or JSON file) and its id.
+ *
+ * Scheduling (SM-2):
+ * • A right answer counts as a good recall, an answer with at least half the
+ *   credit as a hard one, anything less as a lapse.
+ * • A recalled question comes back after 1 day, then 6 days, then the last
+ *   interval times its ease (2.5 to start; hard recalls and lapses lower it,
+ *   never below 1.3).
+ * • A lapse starts the question over: it is due again the next day.
+ * • Only the first answer of a question in a test counts; Try Again and
+ *   practice rounds of the incorrect and unanswered questions do not change
+ *   the schedule.
+ *
+ * Core Functions:
+ * • recordReviewAnswer() - Records a learning-mode answer
+ * • recordReviewResults() - Records several answers at once (Exam Mode)
+ * • scheduleReviewCard() - Applies one answer to a question's schedule
+ * • getDueReviewCards() - Questions of a bank due for review
+ * • startReviewSession() - Starts a learning-mode test of the due questions
+ * • buildReviewDueButton() - "Due for review" button for the options panels
+ *
+ * Dependencies:
+ * • browser-storage.js - openIndexedDb
+ * • app-state.js - Loaded bank (originalData / database, dbFileName)
+ * • database-manager.js - executeSecureQueryAll, transformDatabaseRows
+ * • question-types.js - isDescriptiveQuestion
+ * • question-media.js - attachQuestionMedia (DB mode)
+ * • test-engine.js - startTest
+ *
+ * @author MockTest Application
+ * @version 1.0.0
+ * @since 2025-10-19
+ */
+
+const REVIEW_DB_NAME = 'InsightPrepReview';
+const REVIEW_STORE = 'cards';
+const REVIEW_DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_START_EASE = 2.5;
+const REVIEW_MIN_EASE = 1.3;
+
+// Questions of the current test already recorded (first answers only)
+const reviewRecordedQuestions = new WeakSet();
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Opens (and on first use creates) the review database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is not available
+ */
+function openReviewDatabase() {
+  return openIndexedDb(REVIEW_DB_NAME, 1, db => {
+    const store = db.createObjectStore(REVIEW_STORE, { keyPath: 'key' });
+    store.createIndex('bank', 'bank', { unique: false });
+  });
+}
+
+/**
+ * Name of the loaded bank, the first half of every review key
+ * @returns {string|null} "db:<file>" or "json:<file or title>", null when nothing is loaded
+ */
+function getReviewBank() {
+  if (AppState.isDbMode) {
+    return AppState.dbFileName ? `db:${AppState.dbFileName}` : null;
+  }
+  const data = AppState.originalData;
+  if (!data) return null;
+  return `json:${data.fileName || data.title || 'Imported Test'}`;
+}
+
+/**
+ * Id of a question within its bank; JSON questions without an id fall back to their text
+ * @param {Object} question - Question object
+ * @returns {string} Question id
+ */
+function getReviewQuestionId(question) {
+  return String(question.id ?? question.question ?? question.question_text ?? '');
+}
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * SM-2 grade of an answer
+ * @param {{isCorrect: boolean, credit: number}} outcome - Outcome of the answer
+ * @returns {number} 4 = recalled, 3 = recalled with difficulty, 1 = lapse
+ */
+function getReviewGrade(outcome) {
+  if (outcome.isCorrect) return 4;
+  return (outcome.credit || 0) >= 0.5 ? 3 : 1;
+}
+
+/**
+ * Applies one answer to a question's schedule
+ *
+ * @param {Object|null} card - Stored card, or null for a question seen for the first time
+ * @param {Object} entry - { bank, id, topic, isCorrect, credit }
+ * @param {number} [now=Date.now()] - Time of the answer (ms)
+ * @returns {Object} Updated card
+ */
+function scheduleReviewCard(card, entry, now = Date.now()) {
+  const next = card ? { ...card } : {
+    key: `${entry.bank}::${entry.id}`,
+    bank: entry.bank,
+    questionId: entry.id,
+    repetitions: 0,
+    interval: 0,
+    ease: REVIEW_START_EASE,
+    reviews: 0,
+    lapses: 0
+  };
+  const grade = getReviewGrade(entry);
+  if (grade >= 3) {
+    next.interval = next.repetitions === 0 ? 1 : next.repetitions === 1 ? 6 : Math.round(next.interval * next.ease);
+    next.repetitions++;
+  } else {
+    next.repetitions = 0;
+    next.interval = 1;
+    next.lapses++;
+  }
+  next.ease = Math.max(REVIEW_MIN_EASE, next.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  next.reviews++;
+  next.topic = entry.topic || next.topic || '';
+  next.lastReviewed = now;
+  next.due = now + next.interval * REVIEW_DAY_MS;
+  return next;
+}
+
+/**
+ * Records answers in the review deck
+ *
+ * @param {string|null} bank - Bank name (see getReviewBank)
+ * @param {Array<{question: Object, isCorrect: boolean, credit: number}>} answers - Answered questions
+ * @returns {Promise<boolean>} False when nothing could be stored
+ */
+async function recordReviewResults(bank, answers) {
+  if (!bank || !answers || answers.length === 0) return false;
+  const db = await openReviewDatabase();
+  if (!db) return false;
+  return new Promise(resolve => {
+    const tx = db.transaction(REVIEW_STORE, 'readwrite');
+    const store = tx.objectStore(REVIEW_STORE);
+    const now = Date.now();
+    answers.forEach(({ question, isCorrect, credit }) => {
+      const entry = { bank, id: getReviewQuestionId(question), topic: question.topic, isCorrect, credit };
+      const request = store.get(`${bank}::${entry.id}`);
+      request.onsuccess = () => store.put(scheduleReviewCard(request.result || null, entry, now));
+    });
+    tx.oncomplete = () => { db.close(); resolve(true); };
+    tx.onerror = () => { db.close(); resolve(false); };
+  });
+}
+
+/**
+ * Records a learning-mode answer once the question has been answered
+ * Descriptive questions are left out: their mark is the learner's own estimate.
+ *
+ * @param {number} qIndex - Index of the question in AppState.questions
+ */
+function recordReviewAnswer(qIndex) {
+  const question = AppState.questions[qIndex];
+  const result = AppState.questionResults[qIndex];
+  // A practice round repeats questions the test before has just recorded
+  if (AppState.mistakesSession) return;
+  if (!question || !result || reviewRecordedQuestions.has(question) || isDescriptiveQuestion(question)) return;
+  reviewRecordedQuestions.add(question);
+  recordReviewResults(getReviewBank(), [{ question, isCorrect: result.isCorrect, credit: result.credit || 0 }]);
+}
+
+/**
+ * Lists the questions of a bank that are due for review, most overdue first
+ *
+ * @param {string|null} bank - Bank name (see getReviewBank)
+ * @param {number} [now=Date.now()] - Reference time (ms)
+ * @returns {Promise<Array<Object>>} Due cards
+ */
+async function getDueReviewCards(bank, now = Date.now()) {
+  if (!bank) return [];
+  const db = await openReviewDatabase();
+  if (!db) return [];
+  return new Promise(resolve => {
+    const request = db.transaction(REVIEW_STORE, 'readonly').objectStore(REVIEW_STORE).index('bank').getAll(bank);
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result.filter(card => card.due <= now).sort((a, b) => a.due - b.due));
+    };
+    request.onerror = () => { db.close(); resolve([]); };
+  });
+}
+
+// ============================================================================
+// REVIEW SESSION
+// ============================================================================
+
+/**
+ * Loads the due questions from the current bank
+ * Questions no longer in the bank (edited or removed since) are skipped.
+ *
+ * @param {Array<Object>} cards - Due cards
+ * @returns {Array<Object>} Questions, in the order of the cards
+ */
+function getReviewQuestions(cards) {
+  const order = new Map(cards.map((card, index) => [card.questionId, index]));
+  let questions;
+  if (AppState.isDbMode) {
+    if (!AppState.database) return [];
+    const ids = cards.map(card => Number(card.questionId)).filter(Number.isInteger);
+    if (ids.length === 0) return [];
+    const rows = executeSecureQueryAll(AppState.database, `SELECT * FROM questions WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+    questions = transformDatabaseRows(AppState.database, rows);
+    attachQuestionMedia(AppState.database, questions);
+  } else {
+    if (!AppState.originalData) return [];
+    questions = AppState.originalData.questions.filter(q => order.has(getReviewQuestionId(q)));
+  }
+  return questions.sort((a, b) => order.get(getReviewQuestionId(a)) - order.get(getReviewQuestionId(b)));
+}
+
+/**
+ * Starts a learning-mode test of every question due for review in the loaded bank
+ * The caller applies the test behavior options first.
+ *
+ * @returns {Promise<boolean>} False when nothing is due
+ */
+async function startReviewSession() {
+  const fileChosen = document.getElementById("file-chosen");
+  const questions = getReviewQuestions(await getDueReviewCards(getReviewBank()));
+  if (questions.length === 0) {
+    if (fileChosen) fileChosen.innerHTML = "Nothing is due for review in this bank right now.";
+    return false;
+  }
+  const panel = document.getElementById("filter-panel");
+  if (panel) panel.innerHTML = "";
+  document.getElementById("restart").style.display = "none";
+  document.getElementById("restart-bottom").style.display = "none";
+  AppState.lastBlueprint = null;
+  startTest(questions, { review: true });
+  return true;
+}
+
+/**
+ * Creates the "Due for review" button of an options panel
+ * The count is filled in once the deck has been read; the button stays
+ * disabled while nothing is due.
+ *
+ * @param {Function} applyOptions - Reads the panel's behavior options into AppState
+ * @returns {HTMLButtonElement} Button
+ */
+function buildReviewDueButton(applyOptions) {
+  const button = document.createElement("button");
+  button.className = "custom-btn";
+  button.textContent = "🔁 Due for review";
+  button.title = "Questions you answered before in this bank and are due to see again (spaced repetition). Wrong answers come back the next day, right ones after longer and longer gaps.";
+  button.style.marginRight = "10px";
+  button.disabled = true;
+  getDueReviewCards(getReviewBank()).then(cards => {
+    button.textContent = `🔁 Due for review (${cards.length})`;
+    button.disabled = cards.length === 0;
+  });
+  button.addEventListener("click", () => {
+    applyOptions();
+    startReviewSession();
+  });
+  return button;
+}
@@ -19,8 +19,9 @@
  * 
  * 2. QUESTION RENDERING:
  *    - Dynamic question card generation
- *    - Support for multiple question types (single, multiple, match, assertion)
+ *    - Support for multiple question types (single, multiple, match, assertion, fill-in-the-blank, numeric, order, descriptive)
  *    - Advanced question text formatting (numbered lists, Roman numerals)
+ *    - Shared passages shown once above their group of questions
  *    - Interactive form elements and event handling
  * 
  * 3. ANSWER PROCESSING:
@@ -34,12 +35,18 @@
  *    - Multiple Choice: Checkbox selection with submit
  *    - Matching: Dropdown-based pair matching
  *    - Assertion-Reason: Specialized logic validation
+ *    - Fill-in-the-Blank: Typed answers, case/whitespace-insensitive, alternate spellings
+ *    - Numeric: Typed number graded within an absolute or percentage tolerance, optional unit
+ *    - Ordering: Drag/keyboard reordering, exact or (optionally) partial credit by position
+ *    - Descriptive: Written answer, self-assessed against the model answer and rubric
+ *    - Scoring policies: all-or-nothing, per correct option (wrong picks deduct) or per match pair
  * 
  * 5. INTERACTIVE FEATURES:
  *    - Question-by-question progression
  *    - Visual feedback (correct/incorrect indicators)
  *    - Explanation and reference display
  *    - Topic/subtopic information reveal
+ *    - Difficulty badge next to the question title
  *    - Try Again functionality for incorrect answers
  * 
  * 6. SCORING & RESULTS:
@@ -51,6 +58,8 @@
  * Rendering Features:
  * - Responsive question cards with consistent styling
  * - Advanced text formatting for complex questions
+ * - Figures and option images with click-to-zoom
+ * - LaTeX math ($...$, $$...$$) in questions, options and explanations
  * - Automatic option shuffling for fairness
  * - Progressive disclosure of questions
  * - Visual highlighting of active questions
@@ -66,6 +75,13 @@
  * - app-state.js (for AppState access and configuration)
  * - core-utils.js (for DOM utilities and shuffling)
  * - database-manager.js (for rerunDatabaseTest functionality)
+ * - question-types.js, question-scoring.js (for answer checks, partial credit and marks)
+ * - question-media.js (for images in questions, options and answers)
+ * - reorder-list.js (for the answer list of ordering questions)
+ * - math-render.js (for formulas; optional)
+ * - adaptive-practice.js (for picking adaptive questions one at a time)
+ * - review-deck.js (for scheduling answered questions for review)
+ * - attempt-history.js (for saving finished tests)
  * 
  * Used by:
  * - event-handlers.js (for test initiation)
@@ -104,6 +120,66 @@ function validateQuestion(question) {
       return { isValid: false, reason: "Missing question type" };
     }
     
+    // Marks are optional; when set they must be a positive number
+    if (isNaN(parseQuestionMarks(question.marks))) {
+      return { isValid: false, reason: `Invalid marks "${question.marks}" (use a positive number such as 4)` };
+    }
+    
+    // Fill-in-the-blank questions have ___ blanks and accepted answers instead of options
+    if (isFillBlankQuestion(question)) {
+      const blankCount = countBlanks(questionText);
+      if (blankCount === 0) {
+        return { isValid: false, reason: "No blanks in question text (write ___ for each blank)" };
+      }
+      const blanks = getBlankAnswers(question);
+      if (blanks.length !== blankCount) {
+        return { isValid: false, reason: `Question has ${blankCount} blank${blankCount === 1 ? '' : 's'} but ${blanks.length} accepted answer set${blanks.length === 1 ? '' : 's'}` };
+      }
+      const emptyBlank = blanks.findIndex(accepted => accepted.length === 0);
+      if (emptyBlank !== -1) {
+        return { isValid: false, reason: `Blank ${emptyBlank + 1} has no accepted answer` };
+      }
+      return { isValid: true, reason: "" };
+    }
+    
+    // Numeric questions have a correct value and a tolerance instead of options
+    if (isNumericQuestion(question)) {
+      if (question.answer === undefined || question.answer === null || String(question.answer).trim() === "") {
+        return { isValid: false, reason: "Missing numeric answer" };
+      }
+      if (isNaN(parseNumericValue(question.answer, question.unit))) {
+        return { isValid: false, reason: `Numeric answer "${question.answer}" is not a number` };
+      }
+      if (question.tolerance === undefined || question.tolerance === null || String(question.tolerance).trim() === "") {
+        return { isValid: false, reason: "Missing tolerance for numeric answer (use 0 for an exact answer)" };
+      }
+      if (!parseNumericTolerance(question.tolerance)) {
+        return { isValid: false, reason: `Invalid tolerance "${question.tolerance}" for numeric answer (use a number or a percentage such as 2%)` };
+      }
+      return { isValid: true, reason: "" };
+    }
+    
+    // Descriptive questions are marked by the learner (or a teacher); model answer and rubric are optional
+    if (isDescriptiveQuestion(question)) {
+      return { isValid: true, reason: "" };
+    }
+    
+    // Ordering questions list their items in the correct sequence instead of options
+    if (isOrderQuestion(question)) {
+      const items = getOrderItems(question);
+      if (items.length < 2) {
+        return { isValid: false, reason: `Ordering question needs at least 2 items (found ${items.length})` };
+      }
+      if (items.some(item => item === "")) {
+        return { isValid: false, reason: "Ordering question has an empty item" };
+      }
+      const repeated = items.find((item, i) => items.indexOf(item) !== i);
+      if (repeated !== undefined) {
+        return { isValid: false, reason: `Repeated order item - "${repeated}" (every item must be distinct)` };
+      }
+      return { isValid: true, reason: "" };
+    }
+    
     if (!question.options || !Array.isArray(question.options) || question.options.length === 0) {
       return { isValid: false, reason: "Missing or empty options array" };
     }
@@ -199,8 +275,12 @@ function updateInvalidQuestionsButton(invalidQuestions, totalQuestions) {
  * Handles UI setup, question shuffling, and test state initialization
  * 
  * @param {Array} filteredQuestions - Array of question objects to use in the test
+ * @param {Object} [options]
+ * @param {Object} [options.adaptive] - Adaptive practice session (adaptive-practice.js); the questions are then only its first pick
+ * @param {boolean} [options.review] - "Due for review" session (review-deck.js)
+ * @param {boolean} [options.mistakes] - Practice round of the questions missed in the test before (getMistakeQuestions)
  */
-function startTest(filteredQuestions) {
+function startTest(filteredQuestions, options = {}) {
   try {
     // No validation - use all questions as provided
     const validQuestions = filteredQuestions;
@@ -245,6 +325,10 @@ function startTest(filteredQuestions) {
     document.getElementById("scoreboard").innerHTML = "";
     AppState.score = 0;
     AppState.questionResults = []; // Reset question results for new test
+    AppState.adaptive = options.adaptive || null;
+    AppState.reviewSession = !!options.review;
+    AppState.mistakesSession = !!options.mistakes;
+    AppState.attemptClock = { startedAt: Date.now(), lastAnswerAt: Date.now(), seconds: [], outcomes: [], saved: false };
     
     // Initialize exam mode timer if needed
     if (AppState.isExamMode) {
@@ -257,8 +341,8 @@ function startTest(filteredQuestions) {
     // Scroll to top when test begins
     window.scrollTo({ top: 0, behavior: "smooth" });
     
-    // Absolute random shuffle for questions (use only valid questions)
-    const shuffledQuestions = shuffle(validQuestions.map(q => ({ ...q })));
+    // Absolute random shuffle for questions (use only valid questions); a passage group moves as one block
+    const shuffledQuestions = shuffleKeepingPassages(validQuestions.map(q => ({ ...q })));
     
     // Absolute random shuffle for options in every question
     AppState.questions = shuffledQuestions.map(q => {
@@ -292,6 +376,12 @@ function startTest(filteredQuestions) {
  * @returns {string} Formatted HTML string or original text if no formatting needed
  */
 function formatQuestionWithLists(questionText) {
+  // Set $...$ formulas aside so the list splitting below cannot cut through them
+  if (typeof hasMathMarkup === 'function' && hasMathMarkup(questionText)) {
+    const math = protectMath(questionText);
+    return math.restore(formatQuestionWithLists(math.text));
+  }
+
   // Check for numbered lists (1., 2., 3., etc.)
   const numberedPattern = /\b\d+\.\s/g;
   const numberedMatches = questionText.match(numberedPattern);
@@ -377,154 +467,10 @@ function renderTest(questions) {
     
     const container = document.getElementById("test");
     container.innerHTML = "";
+    // Questions show what they are worth once marks differ from one per question
+    const showMarks = usesCustomMarks(questions, AppState.markingScheme);
 
-    questions.forEach((q, qIndex) => {
-      const qDiv = document.createElement("div");
-      qDiv.className = "question-card";
-      qDiv.id = `q-${q.id}`;
-      qDiv.style.position = 'relative';
-
-      const qTitle = document.createElement("h3");
-      
-      // Get question text using flexible field names (support both database and JSON formats)
-      const questionText = q.question_text || q.question;
-      // Get the original question type from database
-      const questionType = q.question_type || q.type;
-      
-      // For MCQ-type questions, determine if single or multiple choice based on correct answer count
-      let isSingleChoice = true;
-      let isMultipleChoice = false;
-      
-      if (AppState.isDbMode && (questionType === 'MCQ' || questionType === 'MCQ-Scenario' || questionType === 'Cohort-05-MCQ' || questionType === 'MCQ-Multiple')) {
-        // Count correct answers in the options table
-        try {
-          const correctCountRes = AppState.database.exec(`SELECT COUNT(*) FROM options WHERE question_id = ${q.id} AND is_correct = 1`);
-          const correctCount = correctCountRes[0]?.values[0][0] || 1;
-          
-          isSingleChoice = (correctCount === 1);
-          isMultipleChoice = (correctCount > 1);
-          
-          // ...removed debug log...
-        } catch (error) {
-          console.warn(`Error checking correct answers for question ${q.id}:`, error);
-          // Default to single choice if error
-          isSingleChoice = true;
-          isMultipleChoice = false;
-        }
-      } else if (q.type === 'single' || questionType === 'single') {
-        // JSON mode or explicitly marked as single
-        isSingleChoice = true;
-        isMultipleChoice = false;
-      } else if (q.type === 'multiple' || questionType === 'multiple') {
-        // JSON mode or explicitly marked as multiple  
-        isSingleChoice = false;
-        isMultipleChoice = true;
-      }
-      
-      // Debug logging removed
-      // Object construction preserved
-      const questionInfo = {
-        id: q.id,
-        questionText: questionText?.substring(0, 50) + '...',
-        question_type: q.question_type,
-        type: q.type,
-        questionType: questionType,
-        isSingleChoice: isSingleChoice,
-        isMultipleChoice: isMultipleChoice,
-        hasOptions: Array.isArray(q.options),
-        optionsCount: q.options?.length || 0,
-        firstOption: q.options?.[0],
-        answer: q.answer
-      };
-      
-      // Format question text with advanced formatting
-      const formattedQuestion = formatQuestionWithLists(questionText);
-      
-      // Use innerHTML if the question was formatted, otherwise use textContent
-      if (formattedQuestion !== questionText) {
-        qTitle.innerHTML = `${qIndex + 1}. ${formattedQuestion}`;
-      } else {
-        qTitle.textContent = `${qIndex + 1}. ${questionText}`;
-      }
-      qDiv.appendChild(qTitle);
-
-      // Render question type-specific content
-      if ((questionType === "match" || questionType === "Match") && q.matchPairs && typeof q.matchPairs === 'object' && Object.keys(q.matchPairs).length > 0) {
-        // Matching questions (requires createMatchQuestion from core-utils.js)
-        const matchInfo = {
-          questionType: questionType,
-          hasMatchPairs: !!q.matchPairs,
-          matchPairCount: Object.keys(q.matchPairs || {}).length,
-          matchPairs: q.matchPairs,
-          createMatchQuestionAvailable: typeof createMatchQuestion === 'function'
-        };
-        
-        if (typeof createMatchQuestion === 'function') {
-          createMatchQuestion(q, qDiv, qIndex);
-        } else {
-          qDiv.innerHTML += `<div style='color:red;'>Error: Match question renderer not available.</div>`;
-        }
-      } else if ((isSingleChoice || questionType === "assertion") && Array.isArray(q.options)) {
-        // Single choice questions (radio buttons) - using answer-option structure for consistency
-        q.options.forEach(opt => {
-          const label = document.createElement("label");
-          label.className = "answer-option";
-          const input = document.createElement("input");
-          input.type = "radio";
-          input.name = `q${q.id}`;
-          input.value = opt;
-          input.addEventListener("change", () => {
-            handleAnswer(q, [opt], qDiv, qIndex);
-          });
-          const optionText = document.createElement("span");
-          optionText.className = "option-text";
-          optionText.textContent = opt;
-          label.appendChild(input);
-          label.appendChild(optionText);
-          qDiv.appendChild(label);
-        });
-      } else if (isMultipleChoice && Array.isArray(q.options)) {
-        // Multiple choice questions (checkboxes) - using answer-option structure for consistency
-        q.options.forEach(opt => {
-          const label = document.createElement("label");
-          label.className = "answer-option";
-          const input = document.createElement("input");
-          input.type = "checkbox";
-          input.name = `q${q.id}`;
-          input.value = opt;
-          const optionText = document.createElement("span");
-          optionText.className = "option-text";
-          optionText.textContent = opt;
-          label.appendChild(input);
-          label.appendChild(optionText);
-          qDiv.appendChild(label);
-        });
-
-        const submitBtn = document.createElement("button");
-        submitBtn.textContent = "Submit Answer";
-        submitBtn.title = "Submit your selected answers for this question. You can select multiple options.";
-        submitBtn.addEventListener("click", () => {
-          const selected = Array.from(qDiv.querySelectorAll(`input[name="q${q.id}"]:checked`)).map(inp => inp.value);
-          handleAnswer(q, selected, qDiv, qIndex);
-        });
-        qDiv.appendChild(submitBtn);
-      } else {
-        // Debug why question failed to match any type
-        console.error(`Question ${q.id} failed to match any rendering type:`, {
-          questionType: questionType,
-          isSingleChoice: isSingleChoice,
-          isMultipleChoice: isMultipleChoice,
-          hasOptions: Array.isArray(q.options),
-          optionsLength: q.options?.length || 0,
-          hasMatchPairs: !!q.matchPairs,
-          matchPairCount: Object.keys(q.matchPairs || {}).length,
-          question: q
-        });
-        qDiv.innerHTML += `<div style='color:red;'>Error: Question data is incomplete or malformed. Type: ${questionType}</div>`;
-      }
-
-      container.appendChild(qDiv);
-    });
+    questions.forEach((q, qIndex) => appendQuestionCard(container, questions, qIndex, showMarks));
 
     // Set up progressive disclosure - only first question is active
     questions.slice(1).forEach(q => {
@@ -540,6 +486,459 @@ function renderTest(questions) {
   }
 }
 
+/**
+ * Appends the card of one question (and its passage, above the first
+ * question of a group) to the test container
+ *
+ * @param {HTMLElement} container - The #test container
+ * @param {Array} questions - Questions of the test
+ * @param {number} qIndex - Index of the question to add
+ * @param {boolean} showMarks - Whether to show what the question is worth
+ */
+function appendQuestionCard(container, questions, qIndex, showMarks) {
+  const q = questions[qIndex];
+  // A passage is shown once, above the first question of its group
+  const passageId = getPassageId(q);
+  if (q.passage && passageId !== null && getPassageId(questions[qIndex - 1]) !== passageId) {
+    let lastIndex = qIndex;
+    while (lastIndex + 1 < questions.length && getPassageId(questions[lastIndex + 1]) === passageId) lastIndex++;
+    container.appendChild(createPassageCard(q, qIndex, lastIndex));
+  }
+
+  const qDiv = document.createElement("div");
+  qDiv.className = "question-card";
+  qDiv.id = `q-${q.id}`;
+  qDiv.style.position = 'relative';
+
+  const qTitle = document.createElement("h3");
+  
+  // Get question text using flexible field names (support both database and JSON formats)
+  const questionText = q.question_text || q.question;
+  // Get the original question type from database
+  const questionType = q.question_type || q.type;
+  
+  // For MCQ-type questions, determine if single or multiple choice based on correct answer count
+  let isSingleChoice = true;
+  let isMultipleChoice = false;
+  
+  if (AppState.isDbMode && (questionType === 'MCQ' || questionType === 'MCQ-Scenario' || questionType === 'Cohort-05-MCQ' || questionType === 'MCQ-Multiple')) {
+    // Count correct answers in the options table
+    try {
+      const correctCountRes = AppState.database.exec(`SELECT COUNT(*) FROM options WHERE question_id = ${q.id} AND is_correct = 1`);
+      const correctCount = correctCountRes[0]?.values[0][0] || 1;
+      
+      isSingleChoice = (correctCount === 1);
+      isMultipleChoice = (correctCount > 1);
+      
+      // ...removed debug log...
+    } catch (error) {
+      console.warn(`Error checking correct answers for question ${q.id}:`, error);
+      // Default to single choice if error
+      isSingleChoice = true;
+      isMultipleChoice = false;
+    }
+  } else if (q.type === 'single' || questionType === 'single') {
+    // JSON mode or explicitly marked as single
+    isSingleChoice = true;
+    isMultipleChoice = false;
+  } else if (q.type === 'multiple' || questionType === 'multiple') {
+    // JSON mode or explicitly marked as multiple  
+    isSingleChoice = false;
+    isMultipleChoice = true;
+  }
+  
+  // Debug logging removed
+  // Object construction preserved
+  const questionInfo = {
+    id: q.id,
+    questionText: questionText?.substring(0, 50) + '...',
+    question_type: q.question_type,
+    type: q.type,
+    questionType: questionType,
+    isSingleChoice: isSingleChoice,
+    isMultipleChoice: isMultipleChoice,
+    hasOptions: Array.isArray(q.options),
+    optionsCount: q.options?.length || 0,
+    firstOption: q.options?.[0],
+    answer: q.answer
+  };
+  
+  // Images in the question text are shown as figures below it; blanks are numbered
+  let plainQuestionText = hasMediaMarkup(questionText) ? stripMediaMarkup(questionText) : questionText;
+  if (isFillBlankQuestion(q)) plainQuestionText = numberBlanks(plainQuestionText);
+  
+  // Format question text with advanced formatting
+  const formattedQuestion = formatQuestionWithLists(plainQuestionText);
+  
+  // Use innerHTML if the question was formatted, otherwise use textContent
+  if (formattedQuestion !== plainQuestionText) {
+    qTitle.innerHTML = `${qIndex + 1}. ${formattedQuestion}`;
+  } else {
+    qTitle.textContent = `${qIndex + 1}. ${plainQuestionText}`;
+  }
+  const difficulty = normalizeDifficulty(q.difficulty);
+  if (difficulty) {
+    qTitle.appendChild(createDifficultyBadge(difficulty));
+  }
+  if (showMarks) {
+    qTitle.appendChild(createMarksBadge(formatQuestionMarks(q, AppState.markingScheme)));
+  }
+  // Figures live inside the title so "Try Again" (which keeps only the title) keeps them
+  qTitle.insertAdjacentHTML("beforeend", renderQuestionFiguresHtml(q));
+  qDiv.appendChild(qTitle);
+
+  // Render question type-specific content
+  if ((questionType === "match" || questionType === "Match") && q.matchPairs && typeof q.matchPairs === 'object' && Object.keys(q.matchPairs).length > 0) {
+    // Matching questions (requires createMatchQuestion from core-utils.js)
+    const matchInfo = {
+      questionType: questionType,
+      hasMatchPairs: !!q.matchPairs,
+      matchPairCount: Object.keys(q.matchPairs || {}).length,
+      matchPairs: q.matchPairs,
+      createMatchQuestionAvailable: typeof createMatchQuestion === 'function'
+    };
+    
+    if (typeof createMatchQuestion === 'function') {
+      createMatchQuestion(q, qDiv, qIndex);
+    } else {
+      qDiv.innerHTML += `<div style='color:red;'>Error: Match question renderer not available.</div>`;
+    }
+  } else if (isFillBlankQuestion(q)) {
+    // Fill-in-the-blank questions (one text box per blank)
+    createFillBlankInputs(q, qDiv, qIndex, `q${q.id}`);
+  } else if (isNumericQuestion(q)) {
+    // Numeric questions (one number box, unit shown after it)
+    createNumericInput(q, qDiv, qIndex, `q${q.id}`);
+  } else if (isOrderQuestion(q)) {
+    // Ordering questions (shuffled list, reordered by drag or keyboard)
+    createOrderList(q, qDiv, qIndex);
+  } else if (isDescriptiveQuestion(q)) {
+    // Descriptive questions (text area, then self-assessment)
+    createDescriptiveInput(q, qDiv, qIndex, `q${q.id}`);
+  } else if ((isSingleChoice || questionType === "assertion") && Array.isArray(q.options)) {
+    // Single choice questions (radio buttons) - using answer-option structure for consistency
+    q.options.forEach(opt => {
+      const label = document.createElement("label");
+      label.className = "answer-option";
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = `q${q.id}`;
+      input.value = opt;
+      input.addEventListener("change", () => {
+        handleAnswer(q, [opt], qDiv, qIndex);
+      });
+      const optionText = document.createElement("span");
+      optionText.className = "option-text";
+      setMediaText(optionText, opt, q);
+      label.appendChild(input);
+      label.appendChild(optionText);
+      qDiv.appendChild(label);
+    });
+  } else if (isMultipleChoice && Array.isArray(q.options)) {
+    // Multiple choice questions (checkboxes) - using answer-option structure for consistency
+    q.options.forEach(opt => {
+      const label = document.createElement("label");
+      label.className = "answer-option";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.name = `q${q.id}`;
+      input.value = opt;
+      const optionText = document.createElement("span");
+      optionText.className = "option-text";
+      setMediaText(optionText, opt, q);
+      label.appendChild(input);
+      label.appendChild(optionText);
+      qDiv.appendChild(label);
+    });
+
+    const submitBtn = document.createElement("button");
+    submitBtn.textContent = "Submit Answer";
+    submitBtn.title = "Submit your selected answers for this question. You can select multiple options.";
+    submitBtn.addEventListener("click", () => {
+      const selected = Array.from(qDiv.querySelectorAll(`input[name="q${q.id}"]:checked`)).map(inp => inp.value);
+      handleAnswer(q, selected, qDiv, qIndex);
+    });
+    qDiv.appendChild(submitBtn);
+  } else {
+    // Debug why question failed to match any type
+    console.error(`Question ${q.id} failed to match any rendering type:`, {
+      questionType: questionType,
+      isSingleChoice: isSingleChoice,
+      isMultipleChoice: isMultipleChoice,
+      hasOptions: Array.isArray(q.options),
+      optionsLength: q.options?.length || 0,
+      hasMatchPairs: !!q.matchPairs,
+      matchPairCount: Object.keys(q.matchPairs || {}).length,
+      question: q
+    });
+    qDiv.innerHTML += `<div style='color:red;'>Error: Question data is incomplete or malformed. Type: ${questionType}</div>`;
+  }
+
+  container.appendChild(qDiv);
+}
+
+/**
+ * Builds the card that shows a shared passage above its group of questions
+ *
+ * @param {Object} q - First question of the group (carries the passage and any media map)
+ * @param {number} firstIndex - Index of the group's first question
+ * @param {number} lastIndex - Index of the group's last question
+ * @returns {HTMLElement} The passage card
+ */
+function createPassageCard(q, firstIndex, lastIndex) {
+  const card = document.createElement("div");
+  card.className = "passage-card";
+  card.style.cssText = "margin: 0 0 16px; padding: 14px 18px; background: #fffdf5; border: 1px solid #e0d8b0; border-left: 5px solid #c9a227; border-radius: 8px;";
+  
+  const range = firstIndex === lastIndex ? `Question ${firstIndex + 1}` : `Questions ${firstIndex + 1}–${lastIndex + 1}`;
+  const heading = document.createElement("div");
+  heading.className = "passage-heading";
+  heading.style.cssText = "font-weight: bold; color: #7a5c00; margin-bottom: 8px;";
+  heading.textContent = `📖 ${q.passage.title || "Read the passage"} (${range})`;
+  card.appendChild(heading);
+  
+  const text = document.createElement("div");
+  text.className = "passage-text";
+  text.style.cssText = "white-space: pre-wrap; line-height: 1.6;";
+  setMediaText(text, q.passage.text, q);
+  card.appendChild(text);
+  return card;
+}
+
+/**
+ * Renders one text box per blank plus a Submit button for a fill-in-the-blank question
+ * Enter moves to the next box, or submits from the last one.
+ *
+ * @param {Object} q - Fill-in-the-blank question
+ * @param {HTMLElement} qDiv - Question container element
+ * @param {number} qIndex - Question index
+ * @param {string} namePrefix - Input name prefix (differs for Try Again re-renders)
+ */
+function createFillBlankInputs(q, qDiv, qIndex, namePrefix) {
+  const blankCount = Math.max(1, getBlankAnswers(q).length);
+  const inputs = [];
+  
+  const submit = () => {
+    handleAnswer(q, inputs.map(input => input.value), qDiv, qIndex);
+  };
+  
+  for (let i = 0; i < blankCount; i++) {
+    const label = document.createElement("label");
+    label.className = "answer-option blank-answer";
+    label.style.cssText = "display: flex; align-items: center; gap: 8px;";
+    const caption = document.createElement("span");
+    caption.className = "option-text";
+    caption.textContent = blankCount === 1 ? "Your answer:" : `Blank [${i + 1}]:`;
+    const input = document.createElement("input");
+    input.type = "text";
+    input.name = `${namePrefix}_blank${i + 1}`;
+    input.autocomplete = "off";
+    input.spellcheck = false;
+    input.style.cssText = "flex: 1; min-width: 120px; padding: 6px 8px; font-size: 1em; border: 1px solid #ccc; border-radius: 4px;";
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      if (i < blankCount - 1) {
+        inputs[i + 1].focus();
+      } else {
+        submit();
+      }
+    });
+    inputs.push(input);
+    label.appendChild(caption);
+    label.appendChild(input);
+    qDiv.appendChild(label);
+  }
+  
+  const submitBtn = document.createElement("button");
+  submitBtn.textContent = "Submit Answer";
+  submitBtn.title = "Check your answer. Case and extra spaces are ignored.";
+  submitBtn.addEventListener("click", submit);
+  qDiv.appendChild(submitBtn);
+}
+
+/**
+ * Renders a number box (with the unit after it, if any) plus a Submit button
+ * for a numeric question. Enter submits.
+ *
+ * @param {Object} q - Numeric question
+ * @param {HTMLElement} qDiv - Question container element
+ * @param {number} qIndex - Question index
+ * @param {string} namePrefix - Input name prefix (differs for Try Again re-renders)
+ */
+function createNumericInput(q, qDiv, qIndex, namePrefix) {
+  const label = document.createElement("label");
+  label.className = "answer-option numeric-answer";
+  label.style.cssText = "display: flex; align-items: center; gap: 8px;";
+  const caption = document.createElement("span");
+  caption.className = "option-text";
+  caption.textContent = "Your answer:";
+  const input = document.createElement("input");
+  input.type = "text";
+  input.inputMode = "decimal";
+  input.name = `${namePrefix}_numeric`;
+  input.autocomplete = "off";
+  input.style.cssText = "flex: 1; min-width: 120px; max-width: 240px; padding: 6px 8px; font-size: 1em; border: 1px solid #ccc; border-radius: 4px;";
+  label.appendChild(caption);
+  label.appendChild(input);
+  if (q.unit) {
+    const unit = document.createElement("span");
+    unit.className = "numeric-unit";
+    setMediaText(unit, String(q.unit), q);
+    label.appendChild(unit);
+  }
+  qDiv.appendChild(label);
+  
+  const submit = () => {
+    handleAnswer(q, [input.value], qDiv, qIndex);
+  };
+  input.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    submit();
+  });
+  
+  const submitBtn = document.createElement("button");
+  submitBtn.textContent = "Submit Answer";
+  submitBtn.title = "Check your answer. Numbers within the allowed tolerance count as correct.";
+  submitBtn.addEventListener("click", submit);
+  qDiv.appendChild(submitBtn);
+}
+
+/**
+ * Renders the shuffled items of an ordering question as a reorderable list
+ * plus a Submit button
+ *
+ * @param {Object} q - Ordering question
+ * @param {HTMLElement} qDiv - Question container element
+ * @param {number} qIndex - Question index
+ */
+function createOrderList(q, qDiv, qIndex) {
+  const hint = document.createElement("p");
+  hint.className = "order-hint";
+  hint.style.cssText = "margin: 4px 0; font-size: 0.9em; color: #666;";
+  hint.textContent = "Drag the items into the right order (or select one and use ↑ / ↓), then submit.";
+  qDiv.appendChild(hint);
+  
+  const reorderable = createReorderableList(shuffleOrderItems(getOrderItems(q)), { question: q });
+  qDiv.appendChild(reorderable.element);
+  
+  const submitBtn = document.createElement("button");
+  submitBtn.textContent = "Submit Order";
+  submitBtn.title = AppState.orderPartialCredit
+    ? "Check your order. Each item in its right place earns part of the mark."
+    : "Check your order. Every item must be in its right place.";
+  submitBtn.addEventListener("click", () => {
+    handleAnswer(q, reorderable.getOrder(), qDiv, qIndex);
+  });
+  qDiv.appendChild(submitBtn);
+}
+
+/**
+ * Renders a text area plus a Submit button for a descriptive question.
+ * Submitting keeps the text and opens the self-assessment.
+ *
+ * @param {Object} q - Descriptive question
+ * @param {HTMLElement} qDiv - Question container element
+ * @param {number} qIndex - Question index
+ * @param {string} namePrefix - Text area name prefix (differs for Try Again re-renders)
+ */
+function createDescriptiveInput(q, qDiv, qIndex, namePrefix) {
+  const textarea = document.createElement("textarea");
+  textarea.className = "descriptive-answer";
+  textarea.name = `${namePrefix}_descriptive`;
+  textarea.rows = 5;
+  textarea.placeholder = "Write your answer here...";
+  textarea.style.cssText = "display: block; width: 100%; max-width: 680px; box-sizing: border-box; margin: 8px 0; padding: 8px; font-size: 1em; font-family: inherit; border: 1px solid #ccc; border-radius: 4px; resize: vertical;";
+  qDiv.appendChild(textarea);
+  
+  const submitBtn = document.createElement("button");
+  submitBtn.textContent = "Submit Answer";
+  submitBtn.title = "Compare your answer with the model answer and mark it yourself.";
+  submitBtn.addEventListener("click", () => {
+    const text = textarea.value.trim();
+    if (!text) {
+      textarea.focus();
+      return;
+    }
+    textarea.readOnly = true;
+    submitBtn.remove();
+    showSelfAssessment(q, text, qDiv, qIndex);
+  });
+  qDiv.appendChild(submitBtn);
+}
+
+/**
+ * Shows the model answer and rubric under a submitted descriptive answer
+ * and lets the learner mark it. Rubric points found word for word in the
+ * answer start ticked; without a rubric the learner picks full, half or no
+ * marks. The chosen mark goes to handleAnswer as { text, credit }.
+ *
+ * @param {Object} q - Descriptive question
+ * @param {string} text - The submitted answer
+ * @param {HTMLElement} qDiv - Question container element
+ * @param {number} qIndex - Question index
+ */
+function showSelfAssessment(q, text, qDiv, qIndex) {
+  const panel = document.createElement("div");
+  panel.className = "self-assessment";
+  panel.style.cssText = "margin: 10px 0; padding: 10px 12px; background: #f5f9ff; border-left: 4px solid #0078d7; border-radius: 4px;";
+  
+  const modelAnswer = getModelAnswer(q);
+  if (modelAnswer) {
+    panel.insertAdjacentHTML("beforeend", `<p class="model-answer" style="margin-top: 0;"><strong>📘 Model answer:</strong> ${renderAnswerHtml(modelAnswer, q)}</p>`);
+  }
+  
+  const record = (credit) => {
+    panel.querySelectorAll("button, input").forEach(el => { el.disabled = true; });
+    handleAnswer(q, { text, credit }, qDiv, qIndex);
+  };
+  
+  const points = getRubricPoints(q);
+  if (points.length > 0) {
+    const found = matchRubricPoints(q, text);
+    const heading = document.createElement("p");
+    heading.style.cssText = "margin: 6px 0; font-weight: bold;";
+    heading.textContent = "Tick each point your answer covers (points found in your answer are already ticked):";
+    panel.appendChild(heading);
+    const checkboxes = points.map((point, i) => {
+      const label = document.createElement("label");
+      label.className = "answer-option rubric-point";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = found[i];
+      const pointText = document.createElement("span");
+      pointText.className = "option-text";
+      setMediaText(pointText, point, q);
+      label.appendChild(input);
+      label.appendChild(pointText);
+      panel.appendChild(label);
+      return input;
+    });
+    const recordBtn = document.createElement("button");
+    recordBtn.textContent = "Record My Mark";
+    recordBtn.title = "Each ticked point earns its share of the mark.";
+    recordBtn.addEventListener("click", () => {
+      record(checkboxes.filter(cb => cb.checked).length / points.length);
+    });
+    panel.appendChild(recordBtn);
+  } else {
+    const heading = document.createElement("p");
+    heading.style.cssText = "margin: 6px 0; font-weight: bold;";
+    heading.textContent = modelAnswer ? "How well does your answer match the model answer?" : "How well did you answer? (this question has no model answer)";
+    panel.appendChild(heading);
+    [["✅ Fully", 1], ["🟡 Partly", 0.5], ["❌ Not at all", 0]].forEach(([label, credit]) => {
+      const btn = document.createElement("button");
+      btn.textContent = label;
+      btn.style.marginRight = "8px";
+      btn.addEventListener("click", () => record(credit));
+      panel.appendChild(btn);
+    });
+  }
+  
+  qDiv.appendChild(panel);
+}
+
 // ============================================
 // ANSWER PROCESSING & VALIDATION
 // ============================================
@@ -568,8 +967,8 @@ function handleAnswer(question, chosen, qDiv, qIndex) {
   let isSingleChoice = true;
   let isMultipleChoice = false;
   
-  if (questionType === 'match' || questionType === 'Match') {
-    // Matching questions are neither single nor multiple choice in this flow
+  if (questionType === 'match' || questionType === 'Match' || isFillBlankQuestion(question) || isNumericQuestion(question) || isOrderQuestion(question) || isDescriptiveQuestion(question)) {
+    // Matching, ordering, typed-answer and self-marked questions are neither single nor multiple choice in this flow
     isSingleChoice = false;
     isMultipleChoice = false;
   }
@@ -613,6 +1012,22 @@ function handleAnswer(question, chosen, qDiv, qIndex) {
     const bKeys = Object.keys(b);
     isCorrect = aKeys.length > 0 && aKeys.length === bKeys.length && aKeys.every(k => a[k] === b[k]);
   }
+  else if (isFillBlankQuestion(question)) {
+    isCorrect = isFillBlankAnswerCorrect(question, chosen);
+  }
+  else if (isNumericQuestion(question)) {
+    isCorrect = isNumericAnswerCorrect(question, chosen);
+  }
+  else if (isOrderQuestion(question)) {
+    isCorrect = isOrderAnswerCorrect(question, chosen);
+  }
+  else if (isDescriptiveQuestion(question)) {
+    isCorrect = chosen.credit === 1;
+  }
+
+  // A retried question replaces the partial credit of its earlier attempt
+  const earlierCredit = AppState.questionResults[qIndex]?.credit || 0;
+  if (earlierCredit) AppState.score -= earlierCredit;
 
   // Remove any previous try-again container
   const prevTryContainer = qDiv.querySelector('.try-again-container');
@@ -636,19 +1051,25 @@ function handleAnswer(question, chosen, qDiv, qIndex) {
         if (AppState.showCorrectAnswer) {
           if (isSingleChoice || questionType === "assertion") {
             const displayAnswer = Array.isArray(question.answer) ? question.answer.join(', ') : question.answer;
-            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${displayAnswer}</p>`);
+            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${renderAnswerHtml(displayAnswer, question)}</p>`);
           } else if (isMultipleChoice) {
             const correctAnswers = Array.isArray(question.answer) ? question.answer : [question.answer];
-            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answers: ${correctAnswers.join(', ')}</p>`);
+            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answers: ${correctAnswers.map(answer => renderAnswerHtml(answer, question)).join(', ')}</p>`);
           } else if (questionType === "match" || questionType === "Match") {
             const matchDisplay = Object.entries(question.matchPairs).map(([left, right]) => `${left} → ${right}`).join(', ');
             qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct matches: ${matchDisplay}</p>`);
+          } else if (isFillBlankQuestion(question)) {
+            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${renderAnswerHtml(formatFillBlankAnswer(getBlankAnswers(question)), question)}</p>`);
+          } else if (isNumericQuestion(question)) {
+            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${renderAnswerHtml(formatNumericAnswer(question), question)}</p>`);
+          } else if (isOrderQuestion(question)) {
+            qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct order: ${renderAnswerHtml(formatOrderAnswer(getOrderItems(question)), question)}</p>`);
           }
         }
         
         // Show explanation if available
         if (question.explanation) {
-          qDiv.insertAdjacentHTML("beforeend", `<p class="explanation">💡 Explanation: ${question.explanation}</p>`);
+          qDiv.insertAdjacentHTML("beforeend", `<p class="explanation">💡 Explanation: ${renderAnswerHtml(question.explanation, question)}</p>`);
         }
         
         // Show reference if available
@@ -665,19 +1086,50 @@ function handleAnswer(question, chosen, qDiv, qIndex) {
     progressToNextQuestion(qIndex);
     
   } else {
+    // Ordering questions may earn part of the mark for the items already in place,
+    // multiple-answer and match questions per option or pair when the scoring policy
+    // says so; descriptive questions earn the share the learner gave themselves
+    const policy = normalizeScoringPolicy(AppState.scoringPolicy);
+    const orderScore = isOrderQuestion(question) ? scoreOrderAnswer(question, chosen) : 0;
+    let partial = null;
+    if (isMultipleChoice && policy.multiple === 'per-option') {
+      partial = scoreMultipleAnswer(question.answer, chosen);
+    } else if ((questionType === "match" || questionType === "Match") && policy.match === 'per-pair') {
+      partial = scoreMatchAnswer(question.matchPairs || question.answer, chosen);
+    }
+    const credit = isDescriptiveQuestion(question) ? chosen.credit
+      : partial ? partial.credit
+      : (AppState.orderPartialCredit ? orderScore : 0);
+    
     // Store the result for this question
-    AppState.questionResults[qIndex] = { isCorrect: false, userAnswer: chosen };
+    AppState.questionResults[qIndex] = { isCorrect: false, userAnswer: chosen, credit };
+    AppState.score += credit;
     
     // Show wrong message - only if immediate result is enabled
     if (AppState.showImmediateResult) {
-      qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>Wrong.</b></p>`);
+      if (isOrderQuestion(question)) {
+        const itemCount = getOrderItems(question).length;
+        const inPlace = Math.round(orderScore * itemCount);
+        const creditText = credit > 0 ? ` (+${formatScore(credit)} mark)` : '';
+        qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>Wrong.</b> ${inPlace} of ${itemCount} items in the right place${creditText}.</p>`);
+      } else if (isDescriptiveQuestion(question)) {
+        qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>Not fully answered.</b> Self-assessed mark: ${formatScore(credit)} of 1.</p>`);
+      } else if (partial) {
+        const creditText = credit > 0 ? ` (+${formatScore(credit)} mark)` : '';
+        const detail = isMultipleChoice
+          ? `${partial.hits} of ${partial.total} correct options picked, ${partial.wrong} wrong ${partial.wrong === 1 ? 'pick' : 'picks'}`
+          : `${partial.right} of ${partial.total} pairs matched`;
+        qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>${credit > 0 ? 'Partly right.' : 'Wrong.'}</b> ${detail}${creditText}.</p>`);
+      } else {
+        qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>Wrong.</b></p>`);
+      }
     }
     
     // Enable the next question after wrong answer too
     progressToNextQuestion(qIndex);
     
-    // Show "Try Again" button if enabled
-    if (AppState.allowTryAgain) {
+    // Show "Try Again" button if enabled (adaptive practice has already moved on)
+    if (AppState.allowTryAgain && !AppState.adaptive) {
       createTryAgainButton(question, qDiv, qIndex);
     }
     
@@ -698,6 +1150,16 @@ function handleAnswer(question, chosen, qDiv, qIndex) {
  * @param {number} currentIndex - Index of the current question
  */
 function progressToNextQuestion(currentIndex) {
+  // Schedule the question in the spaced-repetition deck (first answer only)
+  if (typeof recordReviewAnswer === 'function') recordReviewAnswer(currentIndex);
+  // Time and first outcome for the attempt history
+  if (typeof noteAttemptAnswer === 'function') noteAttemptAnswer(currentIndex);
+  // Adaptive practice decides the next question from the answers so far
+  if (AppState.adaptive) {
+    recordAdaptiveAnswer(currentIndex);
+    if (currentIndex + 1 >= AppState.questions.length && continueAdaptivePractice()) return;
+    renderAdaptiveStatus();
+  }
   const nextQ = document.getElementById(`q-${AppState.questions[currentIndex + 1]?.id}`);
   
   if (nextQ) {
@@ -832,20 +1294,28 @@ function showAnswerFeedback(question, qDiv) {
     if (questionType === "match" || questionType === "Match") {
       const matchDisplay = Object.entries(question.matchPairs).map(([left, right]) => `${left} → ${right}`).join(', ');
       qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct matches: ${matchDisplay}</p>`);
+    } else if (isFillBlankQuestion(question)) {
+      qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${renderAnswerHtml(formatFillBlankAnswer(getBlankAnswers(question)), question)}</p>`);
+    } else if (isNumericQuestion(question)) {
+      qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${renderAnswerHtml(formatNumericAnswer(question), question)}</p>`);
+    } else if (isOrderQuestion(question)) {
+      qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct order: ${renderAnswerHtml(formatOrderAnswer(getOrderItems(question)), question)}</p>`);
+    } else if (isDescriptiveQuestion(question)) {
+      // The model answer is already on screen in the self-assessment panel
     } else if (isMultipleChoice) {
       const correctAnswers = Array.isArray(question.answer) ? question.answer : [question.answer];
-      qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answers: ${correctAnswers.join(', ')}</p>`);
+      qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answers: ${correctAnswers.map(answer => renderAnswerHtml(answer, question)).join(', ')}</p>`);
     } else {
       // Single choice (including MCQ, TrueFalse, AssertionReason, assertion, etc.)
       const displayAnswer = Array.isArray(question.answer) ? question.answer.join(', ') : question.answer;
       if (displayAnswer) {
-        qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${displayAnswer}</p>`);
+        qDiv.insertAdjacentHTML("beforeend", `<p class="correct-answer">✓ Correct answer: ${renderAnswerHtml(displayAnswer, question)}</p>`);
       }
     }
   }
   
   if (question.explanation) {
-    qDiv.insertAdjacentHTML("beforeend", `<p class="explanation">💡 Explanation: ${question.explanation}</p>`);
+    qDiv.insertAdjacentHTML("beforeend", `<p class="explanation">💡 Explanation: ${renderAnswerHtml(question.explanation, question)}</p>`);
   }
   if (question.reference) {
     qDiv.insertAdjacentHTML("beforeend", `<p class="reference">📖 Reference: ${question.reference}</p>`);
@@ -869,6 +1339,33 @@ function addTopicSubtopicInfo(question, qDiv) {
   qDiv.appendChild(topicSubtopicInfo);
 }
 
+/**
+ * Creates the small difficulty pill shown after the question title
+ * @param {string} difficulty - 'Easy', 'Medium' or 'Hard'
+ * @returns {HTMLElement} Badge element
+ */
+function createDifficultyBadge(difficulty) {
+  const colors = { Easy: '#2e7d32', Medium: '#ef6c00', Hard: '#c62828' };
+  const badge = document.createElement("span");
+  badge.className = "difficulty-badge";
+  badge.textContent = difficulty;
+  badge.style.cssText = `display: inline-block; margin-left: 8px; padding: 1px 8px; border-radius: 10px; font-size: 0.7em; font-weight: normal; vertical-align: middle; color: #fff; background: ${colors[difficulty] || '#777'};`;
+  return badge;
+}
+
+/**
+ * Creates the outlined pill telling what a question is worth
+ * @param {string} text - e.g. "4 marks, −1 if wrong"
+ * @returns {HTMLElement} Badge element
+ */
+function createMarksBadge(text) {
+  const badge = document.createElement("span");
+  badge.className = "marks-badge";
+  badge.textContent = text;
+  badge.style.cssText = 'display: inline-block; margin-left: 8px; padding: 0 8px; border-radius: 10px; font-size: 0.7em; font-weight: normal; vertical-align: middle; color: #0078d7; border: 1px solid #0078d7; background: #fff;';
+  return badge;
+}
+
 // ============================================
 // SINGLE QUESTION RE-RENDERING (TRY AGAIN)
 // ============================================
@@ -926,6 +1423,18 @@ function renderSingleQuestion(q, qDiv, qIndex) {
       createMatchQuestion(q, qDiv, qIndex);
     }
   }
+  else if (isFillBlankQuestion(q)) {
+    createFillBlankInputs(q, qDiv, qIndex, `q${q.id}_retry`);
+  }
+  else if (isNumericQuestion(q)) {
+    createNumericInput(q, qDiv, qIndex, `q${q.id}_retry`);
+  }
+  else if (isOrderQuestion(q)) {
+    createOrderList(q, qDiv, qIndex);
+  }
+  else if (isDescriptiveQuestion(q)) {
+    createDescriptiveInput(q, qDiv, qIndex, `q${q.id}_retry`);
+  }
   else if ((q.type === "single" || q.type === "assertion") && Array.isArray(q.options)) {
     q.options.forEach(opt => {
       const label = document.createElement("label");
@@ -939,7 +1448,7 @@ function renderSingleQuestion(q, qDiv, qIndex) {
       });
       const optionText = document.createElement("span");
       optionText.className = "option-text";
-      optionText.textContent = opt;
+      setMediaText(optionText, opt, q);
       label.appendChild(input);
       label.appendChild(optionText);
       qDiv.appendChild(label);
@@ -955,7 +1464,7 @@ function renderSingleQuestion(q, qDiv, qIndex) {
       input.value = opt;
       const optionText = document.createElement("span");
       optionText.className = "option-text";
-      optionText.textContent = opt;
+      setMediaText(optionText, opt, q);
       label.appendChild(input);
       label.appendChild(optionText);
       qDiv.appendChild(label);
@@ -1031,6 +1540,27 @@ function showFinalScore() {
     return t.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
   })(candidateName);
 
+  // Marks (per-question marks, negative marking) once they differ from the plain score
+  let marksLine = '';
+  if (usesCustomMarks(AppState.questions, AppState.markingScheme)) {
+    let rawMarks = 0;
+    let maxMarks = 0;
+    AppState.questions.forEach((q, i) => {
+      const result = AppState.questionResults[i];
+      maxMarks += getQuestionMarks(q, AppState.markingScheme);
+      rawMarks += markAnswer(q, {
+        answered: !!result,
+        isCorrect: !!(result && result.isCorrect),
+        credit: (result && result.credit) || 0
+      }, AppState.markingScheme);
+    });
+    marksLine = `<div><strong>Marks:</strong> ${formatMarksSummary(rawMarks, maxMarks)}</div>`;
+  }
+  const adaptiveSummary = AppState.adaptive ? formatAdaptiveSummary(AppState.adaptive) : '';
+
+  // Keep the attempt for the history dashboard
+  if (typeof recordLearningAttempt === 'function') recordLearningAttempt();
+
   // Display final score with branding and candidate name
   document.getElementById("scoreboard").innerHTML = `
     <div style="text-align: center; margin-bottom: 20px;">
@@ -1038,9 +1568,12 @@ function showFinalScore() {
       <p style="color: #666; margin: 5px 0 0 0; font-style: italic;">Where Preparation Meets Reflection</p>
     </div>
     <div style="margin-bottom:8px;${safeName ? '' : 'display:none;'}"><strong>${candidateLabel}:</strong> ${safeName || ''}</div>
-    <div><strong>Your Score:</strong> ${AppState.score} / ${total} (${percent}%)</div>
+    <div><strong>Your Score:</strong> ${formatScore(AppState.score)} / ${total} (${percent}%)</div>
+    ${marksLine}
     <div id="message" class="${cssClass}">${message}</div>
+    ${adaptiveSummary}
   `;
+  appendPracticeMistakes(document.getElementById("scoreboard"));
 
   // If immediate results were OFF, now reveal all answers and explanations
   if (!AppState.showImmediateResult) {
@@ -1057,6 +1590,49 @@ function showFinalScore() {
   document.getElementById("newtest").style.display = "inline-block";
 }
 
+/**
+ * Questions of the finished test that were answered wrongly or not at all
+ * A question counts by its first answer, so one put right with Try Again
+ * still comes back; descriptive questions count by the learner's own mark.
+ *
+ * @returns {Array} Question objects, in test order
+ */
+function getMistakeQuestions() {
+  const firstOutcomes = AppState.attemptClock ? AppState.attemptClock.outcomes : [];
+  return AppState.questions.filter((q, index) => {
+    const result = firstOutcomes[index] || AppState.questionResults[index];
+    return !result || !result.isCorrect;
+  });
+}
+
+/**
+ * Adds the "Practice incorrect and unanswered" action to the score screen
+ * Each round holds only what the round before missed, reshuffled, until a
+ * round is answered without a mistake.
+ *
+ * @param {HTMLElement} scoreboard - Score screen container
+ */
+function appendPracticeMistakes(scoreboard) {
+  const mistakes = getMistakeQuestions();
+  const block = document.createElement("div");
+  block.style.marginTop = "12px";
+  if (mistakes.length === 0) {
+    if (!AppState.mistakesSession) return;
+    block.innerHTML = `<strong style="color: #2e7d32;">🎉 All right this round - nothing left to practice.</strong>`;
+  } else {
+    const button = document.createElement("button");
+    button.className = "custom-btn";
+    button.textContent = `🎯 Practice incorrect and unanswered (${mistakes.length})`;
+    button.title = "Start a new round with only the questions you got wrong or left unanswered, reshuffled. Keep going until you get them all right.";
+    button.addEventListener("click", () => {
+      AppState.explanationMode = AppState.lastExplanationMode;
+      startTest(mistakes, { mistakes: true });
+    });
+    block.appendChild(button);
+  }
+  scoreboard.appendChild(block);
+}
+
 /**
  * Reveals delayed results when immediate feedback was disabled
  * Shows correct/incorrect status, answers, and explanations for all questions
@@ -1077,7 +1653,8 @@ function revealDelayedResults() {
       if (result.isCorrect) {
         qDiv.insertAdjacentHTML("beforeend", `<p class="correct">✅ Correct!</p>`);
       } else {
-        qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>Wrong.</b></p>`);
+        const creditText = result.credit > 0 ? ` (+${formatScore(result.credit)} mark)` : '';
+        qDiv.insertAdjacentHTML("beforeend", `<p class="wrong">❌ <b>${result.credit > 0 ? 'Partly right.' : 'Wrong.'}</b>${creditText}</p>`);
       }
       
       // Show correct answers based on explanation mode and settings
@@ -1225,7 +1802,7 @@ function showExamResults() {
       <div style="background: #f0f8ff; padding: 15px; border-radius: 8px; margin: 10px 0;">
         <p><strong>Exam Duration:</strong> ${examDurationMinutes} minutes</p>
         <p><strong>Questions Completed:</strong> ${AppState.questions.length}</p>
-        <p><strong>Final Score:</strong> ${AppState.score} / ${AppState.questions.length}</p>
+        <p><strong>Final Score:</strong> ${formatScore(AppState.score)} / ${AppState.questions.length}</p>
         <p><strong>Percentage:</strong> ${Math.round((AppState.score / AppState.questions.length) * 100)}%</p>
       </div>
     ` + scoreboardElement.innerHTML;
@@ -0,0 +1,357 @@
+// tools/validate-bank.js
+// Usage: node tools/validate-bank.js <bank.db|bank.json> [more files...] [--format text|json] [--strict]
+// Checks question banks offline with the same rules the browser applies:
+//  - validateQuestion() from test-engine.js for every question (FillBlank/Numeric/Order/Descriptive answers via question-types.js)
+//  - the duplicate/anomaly checks run by updateMaxQuestions() in database-filter-panel.js
+//  - segregateValidationIssues() from validation-popup.js to split duplicates from anomalies
+// Anomalies and invalid questions are errors; duplicates are warnings (errors with --strict).
+// Exit code: 0 = clean, 1 = errors found, 2 = usage or file problem.
+// .db files need sql.js (npm install); .json files need nothing extra.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the browser rule functions so the CLI never drifts from the app
+function loadBrowserRules() {
+  const sandbox = { window: {}, console };
+  vm.createContext(sandbox);
+  for (const file of ['database-manager.js', 'question-types.js', 'question-scoring.js', 'test-engine.js', 'validation-popup.js']) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, sandbox, { filename: file });
+  }
+  return {
+    validateQuestion: sandbox.validateQuestion,
+    segregateValidationIssues: sandbox.segregateValidationIssues,
+    attachBlankAnswers: sandbox.attachBlankAnswers,
+    attachNumericAnswers: sandbox.attachNumericAnswers,
+    attachOrderItems: sandbox.attachOrderItems,
+    attachDescriptiveAnswers: sandbox.attachDescriptiveAnswers,
+    getPassageId: sandbox.getPassageId,
+    resolveQuestionPassages: sandbox.resolveQuestionPassages,
+    parseQuestionMarks: sandbox.parseQuestionMarks
+  };
+}
+
+const CHOICE_TYPES = ['MCQ', 'MCQ-Multiple', 'MCQ-Scenario', 'Cohort-05-MCQ'];
+const OPTION_TYPES = [...CHOICE_TYPES, 'TrueFalse', 'AssertionReason'];
+const sqlList = list => list.map(t => `'${t}'`).join(',');
+
+// Same queries as the "DUPLICATES" / "ANOMALIES" blocks in updateMaxQuestions()
+const DB_CHECKS = [
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, o.option_text, COUNT(*)
+          FROM questions q JOIN options o ON q.id = o.question_id
+          GROUP BY q.id, o.option_text, o.is_correct HAVING COUNT(*) > 1`,
+    reason: r => `Duplicate option (exact) - "${r[5]}" (${r[6]} times)`
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, o.option_text, GROUP_CONCAT(o.is_correct)
+          FROM questions q JOIN options o ON q.id = o.question_id
+          GROUP BY q.id, o.option_text HAVING COUNT(DISTINCT o.is_correct) > 1`,
+    reason: r => `Conflicting option correctness - "${r[5]}" has correctness values: ${r[6]}`
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, m.left_text, m.right_text, COUNT(*)
+          FROM questions q JOIN match_pairs m ON q.id = m.question_id
+          GROUP BY q.id, m.left_text, m.right_text HAVING COUNT(*) > 1`,
+    reason: r => `Duplicate match pair - "${r[5]}" → "${r[6]}" (${r[7]} times)`
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, m.left_text, COUNT(*)
+          FROM questions q JOIN match_pairs m ON q.id = m.question_id
+          GROUP BY q.id, m.left_text HAVING COUNT(*) > 1`,
+    reason: r => `Duplicate left text in match_pairs - "${r[5]}" appears ${r[6]} times`
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, m.right_text, COUNT(*)
+          FROM questions q JOIN match_pairs m ON q.id = m.question_id
+          GROUP BY q.id, m.right_text HAVING COUNT(*) > 1`,
+    reason: r => `Duplicate right text in match_pairs - "${r[5]}" appears ${r[6]} times`
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic FROM questions q
+          WHERE q.question_type IN (${sqlList(CHOICE_TYPES)})
+          AND NOT EXISTS (SELECT 1 FROM options o WHERE o.question_id = q.id AND (o.is_correct = 1 OR o.is_correct = '1'))`,
+    reason: () => 'MCQ with no correct answers'
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic FROM questions q
+          WHERE q.question_type IN (${sqlList(CHOICE_TYPES)})
+          AND EXISTS (SELECT 1 FROM options o WHERE o.question_id = q.id)
+          AND NOT EXISTS (SELECT 1 FROM options o WHERE o.question_id = q.id AND (o.is_correct = 0 OR o.is_correct = '0'))`,
+    reason: () => 'MCQ with all answers marked correct'
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic FROM questions q
+          WHERE q.question_type = 'TrueFalse'
+          AND (SELECT COUNT(*) FROM options o WHERE o.question_id = q.id AND (o.is_correct = 1 OR o.is_correct = '1')) > 1`,
+    reason: () => 'TrueFalse with multiple correct answers'
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, COUNT(o.id)
+          FROM questions q LEFT JOIN options o ON q.id = o.question_id
+          WHERE q.question_type IN (${sqlList(OPTION_TYPES)})
+          GROUP BY q.id HAVING COUNT(o.id) < 2`,
+    reason: r => `Insufficient options (only ${r[5]} option${r[5] === 1 ? '' : 's'})`
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic FROM questions q
+          WHERE (q.question_type IN (${sqlList(OPTION_TYPES)}) AND NOT EXISTS (SELECT 1 FROM options o WHERE o.question_id = q.id))
+             OR (q.question_type = 'Match' AND NOT EXISTS (SELECT 1 FROM match_pairs m WHERE m.question_id = q.id))`,
+    reason: () => 'Orphan question with no options/match_pairs'
+  },
+  {
+    sql: `SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, COUNT(m.id)
+          FROM questions q LEFT JOIN match_pairs m ON q.id = m.question_id
+          WHERE q.question_type = 'Match'
+          GROUP BY q.id HAVING COUNT(m.id) < 2`,
+    reason: r => `Insufficient match_pairs (only ${r[5]} pair${r[5] === 1 ? '' : 's'})`
+  }
+];
+
+function issue(q, reason) {
+  return {
+    id: q.id,
+    question_text: q.question_text || q.question || '',
+    question_type: q.question_type || q.type || '',
+    topic: q.topic || '',
+    subtopic: q.subtopic || '',
+    reason
+  };
+}
+
+async function checkDatabase(filePath, rules) {
+  let initSqlJs;
+  try {
+    initSqlJs = require('sql.js');
+  } catch (err) {
+    throw new Error('sql.js is not installed. Run "npm install" to validate .db files.');
+  }
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(filePath));
+  const issues = [];
+
+  try {
+    const all = (sql) => {
+      const res = db.exec(sql);
+      return res[0] ? res[0].values : [];
+    };
+
+    for (const check of DB_CHECKS) {
+      for (const row of all(check.sql)) {
+        const [id, question_text, question_type, topic, subtopic] = row;
+        issues.push({ id, question_text, question_type, topic, subtopic, reason: check.reason(row) });
+      }
+    }
+
+    // Passage links, for databases that have the optional passage_id column
+    const columns = all('PRAGMA table_info(questions)').map(row => String(row[1]).toLowerCase());
+    if (columns.includes('passage_id')) {
+      const hasPassages = all("SELECT name FROM sqlite_master WHERE type = 'table' AND LOWER(name) = 'passages'").length > 0;
+      const missing = hasPassages ? ' AND NOT EXISTS (SELECT 1 FROM passages p WHERE p.id = q.passage_id)' : '';
+      for (const [id, question_text, question_type, topic, subtopic, passageId] of all(`SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, q.passage_id FROM questions q WHERE q.passage_id IS NOT NULL${missing}`)) {
+        issues.push({ id, question_text, question_type, topic, subtopic, reason: `Passage ${passageId} not found (no passages row with that id)` });
+      }
+    }
+
+    // Per-question marks, for databases that have the optional marks column
+    if (columns.includes('marks')) {
+      for (const [id, question_text, question_type, topic, subtopic, marks] of all('SELECT q.id, q.question_text, q.question_type, q.topic, q.subtopic, q.marks FROM questions q WHERE q.marks IS NOT NULL')) {
+        if (Number.isNaN(rules.parseQuestionMarks(marks))) {
+          issues.push({ id, question_text, question_type, topic, subtopic, reason: `Invalid marks "${marks}" (use a positive number such as 4)` });
+        }
+      }
+    }
+
+    // validateQuestion() on each question, shaped like rerunDatabaseTest() builds them
+    const questions = all('SELECT id, question_text, question_type, topic, subtopic FROM questions');
+    for (const [id, question_text, question_type, topic, subtopic] of questions) {
+      if (question_type === 'FillBlank') {
+        const [q] = rules.attachBlankAnswers(db, [{ id, question_text, question_type, topic, subtopic }]);
+        const result = rules.validateQuestion({ ...q, blanks: q.blanks || [] });
+        if (!result.isValid) issues.push(issue(q, result.reason));
+        continue;
+      }
+      if (question_type === 'Numeric') {
+        const [q] = rules.attachNumericAnswers(db, [{ id, question_text, question_type, topic, subtopic }]);
+        const result = rules.validateQuestion(q);
+        if (!result.isValid) issues.push(issue(q, result.reason));
+        continue;
+      }
+      if (question_type === 'Order') {
+        const [q] = rules.attachOrderItems(db, [{ id, question_text, question_type, topic, subtopic }]);
+        const result = rules.validateQuestion({ ...q, items: q.items || [] });
+        if (!result.isValid) issues.push(issue(q, result.reason));
+        continue;
+      }
+      if (question_type === 'Descriptive') {
+        const [q] = rules.attachDescriptiveAnswers(db, [{ id, question_text, question_type, topic, subtopic }]);
+        const result = rules.validateQuestion(q);
+        if (!result.isValid) issues.push(issue(q, result.reason));
+        continue;
+      }
+      if (!OPTION_TYPES.includes(question_type)) {
+        if (question_type !== 'Match') {
+          issues.push({ id, question_text, question_type, topic, subtopic, reason: `Unknown question type "${question_type}"` });
+        }
+        continue;
+      }
+      const opts = all(`SELECT option_text, is_correct FROM options WHERE question_id = ${Number(id)} ORDER BY id`);
+      const correct = opts.filter(o => o[1] === 1 || o[1] === '1').map(o => o[0]);
+      const q = {
+        id, question_text, question_type, topic, subtopic,
+        options: question_type === 'TrueFalse' ? ['True', 'False'] : opts.map(o => o[0]),
+        answer: question_type === 'MCQ-Multiple' || correct.length > 1 ? correct : (correct[0] ?? null)
+      };
+      const result = rules.validateQuestion(q);
+      if (!result.isValid) issues.push(issue(q, result.reason));
+    }
+
+    return { total: questions.length, issues };
+  } finally {
+    db.close();
+  }
+}
+
+// Mirrors handleFileInput(): BOM strip, object-with-questions or bare array
+function readJsonQuestions(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').trim();
+  const data = JSON.parse(raw);
+  if (Array.isArray(data)) return { questions: data, passages: null };
+  if (data && Array.isArray(data.questions)) return { questions: data.questions, passages: data.passages };
+  const key = data && Object.keys(data).find(k => k.toLowerCase() === 'questions');
+  if (key && Array.isArray(data[key])) return { questions: data[key], passages: data.passages };
+  throw new Error('JSON must have a top-level "questions" array or be an array of questions.');
+}
+
+function checkJson(filePath, rules) {
+  const { questions, passages } = readJsonQuestions(filePath);
+  rules.resolveQuestionPassages(questions, passages);
+  const issues = [];
+
+  questions.forEach((q, index) => {
+    if (q.id === undefined) q = { ...q, id: `#${index + 1}` };
+    const type = q.type || q.question_type;
+
+    const passageId = rules.getPassageId(q);
+    if (passageId !== null && !q.passage) {
+      issues.push(issue(q, `Passage ${passageId} not found (no entry with that id in "passages")`));
+    }
+
+    if (type === 'match' || type === 'Match') {
+      const pairs = q.matchPairs || (q.answer && typeof q.answer === 'object' && !Array.isArray(q.answer) ? q.answer : {});
+      const entries = Object.entries(pairs);
+      if (!(q.question || q.question_text || '').trim()) issues.push(issue(q, 'Missing question text'));
+      if (entries.length < 2) {
+        issues.push(issue(q, `Insufficient match_pairs (only ${entries.length} pair${entries.length === 1 ? '' : 's'})`));
+      }
+      const rightCounts = {};
+      entries.forEach(([, right]) => { rightCounts[right] = (rightCounts[right] || 0) + 1; });
+      Object.entries(rightCounts).filter(([, n]) => n > 1).forEach(([right, n]) => {
+        issues.push(issue(q, `Duplicate right text in match_pairs - "${right}" appears ${n} times`));
+      });
+      return;
+    }
+
+    const result = rules.validateQuestion(q);
+    if (!result.isValid) issues.push(issue(q, result.reason));
+
+    if (Array.isArray(q.options)) {
+      const counts = {};
+      q.options.forEach(o => { counts[o] = (counts[o] || 0) + 1; });
+      Object.entries(counts).filter(([, n]) => n > 1).forEach(([option, n]) => {
+        issues.push(issue(q, `Duplicate option (exact) - "${option}" (${n} times)`));
+      });
+      const answers = Array.isArray(q.answer) ? q.answer : [q.answer];
+      if (q.options.length > 2 && q.options.every(o => answers.includes(o))) {
+        issues.push(issue(q, 'MCQ with all answers marked correct'));
+      }
+    }
+  });
+
+  return { total: questions.length, issues };
+}
+
+function printText(report) {
+  console.log(`\n${report.file} (${report.kind}, ${report.total} question${report.total === 1 ? '' : 's'})`);
+  const section = (title, list) => {
+    if (list.length === 0) return;
+    console.log(`  ${title}: ${list.length}`);
+    list.forEach(i => {
+      const text = String(i.question_text).replace(/\s+/g, ' ').slice(0, 70);
+      console.log(`    [${i.id}] ${i.question_type} | ${i.reason}`);
+      if (text) console.log(`          "${text}${String(i.question_text).length > 70 ? '...' : ''}"`);
+    });
+  };
+  section('ERRORS (anomalies - need fixing)', report.errors);
+  section('WARNINGS (duplicates - safe to delete)', report.warnings);
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    console.log('  All questions are valid.');
+  }
+}
+
+async function run() {
+  const args = process.argv.slice(2);
+  const inputs = [];
+  let format = 'text';
+  let strict = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--strict') strict = true;
+    else if (arg === '--format') format = args[++i];
+    else if (arg.startsWith('--format=')) format = arg.slice('--format='.length);
+    else inputs.push(arg);
+  }
+
+  if (inputs.length === 0 || !['text', 'json'].includes(format)) {
+    console.error('Usage: node tools/validate-bank.js <bank.db|bank.json> [...] [--format text|json] [--strict]');
+    process.exit(2);
+  }
+
+  const rules = loadBrowserRules();
+  const reports = [];
+  let failed = false;
+
+  for (const file of inputs) {
+    const ext = path.extname(file).toLowerCase();
+    const kind = ext === '.db' ? 'database' : 'json';
+    if (!fs.existsSync(file)) {
+      console.error(`File not found: ${file}`);
+      process.exit(2);
+    }
+    let result;
+    try {
+      result = kind === 'database' ? await checkDatabase(file, rules) : checkJson(file, rules);
+    } catch (err) {
+      console.error(`Cannot read ${file}: ${err.message}`);
+      process.exit(2);
+    }
+    const { duplicates, anomalies } = rules.segregateValidationIssues(result.issues);
+    const strip = list => list.map(({ category, action, ...rest }) => rest);
+    const report = {
+      file,
+      kind,
+      total: result.total,
+      errors: strip(anomalies),
+      warnings: strip(duplicates)
+    };
+    if (report.errors.length > 0 || (strict && report.warnings.length > 0)) failed = true;
+    reports.push(report);
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ ok: !failed, strict, reports }, null, 2));
+  } else {
+    reports.forEach(printText);
+    console.log(failed ? '\nValidation FAILED' : '\nValidation passed');
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+run().catch(err => {
+  console.error('VALIDATION FAILED:', err);
+  process.exit(2);
+});
@@ -389,6 +389,38 @@ function createFixButtonHtml(issue) {
             </div>`;
   }
   
+  // Numeric question without a usable tolerance - show guidance message instead of button
+  if (reason.includes('tolerance for numeric answer')) {
+    return `<br><div style="background: #e8f5e9; border-left: 4px solid #4caf50; padding: 8px; margin-top: 5px; font-size: 0.8em; border-radius: 3px;">
+              <strong>Manual Fix Required:</strong><br>
+              Set the tolerance (JSON "tolerance" or numeric_answers.tolerance): a number such as 0.5 for an absolute margin, a percentage such as 2%, or 0 for an exact answer.
+            </div>`;
+  }
+
+  // Numeric question whose correct value is missing or not a number - show guidance message instead of button
+  if (reason.includes('missing numeric answer') || (reason.startsWith('numeric answer') && reason.includes('is not a number'))) {
+    return `<br><div style="background: #e8f5e9; border-left: 4px solid #4caf50; padding: 8px; margin-top: 5px; font-size: 0.8em; border-radius: 3px;">
+              <strong>Manual Fix Required:</strong><br>
+              Store the correct value as a plain number (e.g. 9.81 or 1250). Put the unit in the separate unit field, not in the value.
+            </div>`;
+  }
+
+  // Ordering question with too few, empty or repeated items - show guidance message instead of button
+  if (reason.startsWith('ordering question') || reason.startsWith('repeated order item')) {
+    return `<br><div style="background: #e8f5e9; border-left: 4px solid #4caf50; padding: 8px; margin-top: 5px; font-size: 0.8em; border-radius: 3px;">
+              <strong>Manual Fix Required:</strong><br>
+              List at least two distinct, non-empty items in their correct order (JSON "items", or order_items rows numbered by position).
+            </div>`;
+  }
+
+  // Question pointing at a passage that does not exist - show guidance message instead of button
+  if (reason.startsWith('passage ') && reason.includes('not found')) {
+    return `<br><div style="background: #e8f5e9; border-left: 4px solid #4caf50; padding: 8px; margin-top: 5px; font-size: 0.8em; border-radius: 3px;">
+              <strong>Manual Fix Required:</strong><br>
+              Add the missing passages row, or set passage_id to the id of an existing passage (NULL for a standalone question).
+            </div>`;
+  }
+
   // Generic manual fix for other issues
   return `<br><button onclick="openManualFix(${issue.id})" 
             style="background: #607d8b; color: white; border: none; padding: 4px 8px; 